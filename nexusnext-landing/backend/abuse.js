@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import { signToken, verifyToken } from './tokens.js';
+import { canonicalizeEmail } from '@nexusnext/shared/emailValidation.mjs';
+
+// Abuse protection for the public waitlist endpoints:
+// per-IP / per-email rate limits, a honeypot field and optional proof-of-work.
+
+const { RATE_LIMIT_IP_WINDOW_SECONDS, RATE_LIMIT_IP_MAX, RATE_LIMIT_EMAIL_WINDOW_SECONDS, RATE_LIMIT_EMAIL_MAX } = config;
+// Leading zero bits required in sha256(challenge + solution); 0 disables proof-of-work
+const { POW_DIFFICULTY } = config;
+const POW_TTL_SECONDS = 300;
+
+// Name of the hidden form field real visitors never fill in
+export const HONEYPOT_FIELD = 'website';
+
+// --- Rejection counters (per UTC day, so trends are visible) ---
+const rejections = new Map();
+
+export const recordRejection = (reason, req) => {
+  const day = new Date().toISOString().slice(0, 10);
+  const counts = rejections.get(day) || {};
+  counts[reason] = (counts[reason] || 0) + 1;
+  rejections.set(day, counts);
+  console.warn(`[abuse] rejected ${req.method} ${req.path} from ${req.ip}: ${reason}`);
+};
+
+// { 'YYYY-MM-DD': { reason: count } }, oldest first
+export const getRejectionStats = () =>
+  Object.fromEntries([...rejections.entries()].sort(([a], [b]) => a.localeCompare(b)));
+
+// --- Fixed-window in-memory rate limiter ---
+export const createRateLimiter = ({ windowSeconds, max }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of hits) {
+      if (bucket.resetAt <= now) hits.delete(key);
+    }
+  }, windowSeconds * 1000).unref();
+
+  return {
+    // Count a hit for key. Returns { allowed, retryAfter } (retryAfter in seconds)
+    hit(key) {
+      const now = Date.now();
+      let bucket = hits.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowSeconds * 1000 };
+        hits.set(key, bucket);
+      }
+      bucket.count += 1;
+      return {
+        allowed: bucket.count <= max,
+        retryAfter: Math.ceil((bucket.resetAt - now) / 1000)
+      };
+    }
+  };
+};
+
+const ipLimiter = createRateLimiter({ windowSeconds: RATE_LIMIT_IP_WINDOW_SECONDS, max: RATE_LIMIT_IP_MAX });
+const emailLimiter = createRateLimiter({ windowSeconds: RATE_LIMIT_EMAIL_WINDOW_SECONDS, max: RATE_LIMIT_EMAIL_MAX });
+
+const tooManyRequests = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'rate_limited', retryAfter });
+};
+
+// Middleware: per-IP and per-email limits for endpoints that write or send email
+export const rateLimit = (req, res, next) => {
+  const ipResult = ipLimiter.hit(req.ip);
+  if (!ipResult.allowed) {
+    recordRejection('rate_limit_ip', req);
+    return tooManyRequests(res, ipResult.retryAfter);
+  }
+
+  // Keyed on the canonical address so "+tag" variants share one budget
+  const email = canonicalizeEmail(req.body?.email);
+  if (email) {
+    const emailResult = emailLimiter.hit(email);
+    if (!emailResult.allowed) {
+      recordRejection('rate_limit_email', req);
+      return tooManyRequests(res, emailResult.retryAfter);
+    }
+  }
+
+  next();
+};
+
+// --- Proof-of-work ---
+const usedChallenges = new Map();
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Issue a signed challenge; difficulty 0 means the client can skip solving
+export const createChallenge = () => {
+  if (!POW_DIFFICULTY) return { challenge: null, difficulty: 0 };
+  const nonce = crypto.randomBytes(12).toString('hex');
+  return {
+    challenge: signToken('pow', { nonce, difficulty: POW_DIFFICULTY }, POW_TTL_SECONDS),
+    difficulty: POW_DIFFICULTY
+  };
+};
+
+// Returns null when the solution is acceptable, otherwise a rejection reason
+const checkProofOfWork = ({ challenge, solution }) => {
+  if (!POW_DIFFICULTY) return null;
+  if (typeof challenge !== 'string' || typeof solution !== 'string' || solution.length > 32) {
+    return 'pow_missing';
+  }
+
+  const { payload, error } = verifyToken(challenge, 'pow');
+  if (error || usedChallenges.has(payload.nonce)) return 'pow_invalid';
+
+  const hash = crypto.createHash('sha256').update(challenge + solution).digest();
+  if (leadingZeroBits(hash) < payload.difficulty) return 'pow_invalid';
+
+  // Single use: remember the nonce until its challenge would have expired anyway
+  usedChallenges.set(payload.nonce, payload.exp);
+  const now = Math.floor(Date.now() / 1000);
+  for (const [nonce, exp] of usedChallenges) {
+    if (exp < now) usedChallenges.delete(nonce);
+  }
+  return null;
+};
+
+// Middleware for POST /api/waitlist: honeypot and proof-of-work checks
+export const signupGuard = (req, res, next) => {
+  const body = req.body || {};
+
+  // Bots that fill the hidden field get a fake success so they don't adapt
+  if (body[HONEYPOT_FIELD]) {
+    recordRejection('honeypot', req);
+    return res.json({ message: 'Almost there! Check your inbox to confirm your email.', status: 'pending' });
+  }
+
+  const powError = checkProofOfWork(body);
+  if (powError) {
+    recordRejection(powError, req);
+    return res.status(400).json({ error: 'Verification failed. Please refresh the page and try again.', code: 'verification_failed' });
+  }
+
+  next();
+};
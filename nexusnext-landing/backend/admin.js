@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { deriveSecret, signToken, verifyToken } from './tokens.js';
+import { getRejectionStats, rateLimit } from './abuse.js';
+import { channelBreakdown } from './attribution.js';
+import { WAITLIST_COLUMNS } from './storage/waitlist.js';
+
+// Admin-only API for managing the waitlist, mounted at /api/admin.
+// Auth: "Authorization: Bearer <ADMIN_TOKEN>" or a session token from POST /api/admin/session.
+
+const { ADMIN_TOKEN, ADMIN_SESSION_TTL_HOURS } = config;
+const MAX_PAGE_SIZE = 200;
+const STATS_DAYS = 30;
+
+const matchesAdminToken = (token) => {
+  if (!ADMIN_TOKEN || typeof token !== 'string') return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Sessions carry a key derived from the ADMIN_TOKEN they were issued for, so
+// rotating ADMIN_TOKEN also ends every session issued before
+const SESSION_KEY = ADMIN_TOKEN ? deriveSecret('admin-session', ADMIN_TOKEN).toString('base64url') : null;
+
+const isAdminSession = (token) => {
+  const { payload } = verifyToken(token, 'admin');
+  return Boolean(SESSION_KEY) && payload?.key === SESSION_KEY;
+};
+
+// Middleware: accept the raw admin token or a signed admin session
+export const requireAdmin = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && (matchesAdminToken(token) || isAdminSession(token))) {
+    return next();
+  }
+  res.status(401).json({ error: 'Admin authentication required' });
+};
+
+const isValidDate = (value) => !value || !Number.isNaN(new Date(value).getTime());
+
+// Quote CSV fields and neutralise spreadsheet formulas (=, +, -, @)
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ?search=&status=&admission=&from=&to= filters shared by the list and CSV routes
+const listFilters = ({ search, status, admission, from, to }) => ({ search, status, admission, from, to });
+
+export const createAdminRouter = ({ waitlist, clientErrors, webhooks, webhookDeliveries, erasure }) => {
+  const router = express.Router();
+
+  // POST /api/admin/session route: exchange the admin token for a short-lived session token.
+  // Rate limited per IP like the public write routes, so the token can't be guessed at speed.
+  router.post('/session', rateLimit, (req, res) => {
+    if (!matchesAdminToken(req.body?.token)) {
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    const ttlSeconds = ADMIN_SESSION_TTL_HOURS * 3600;
+    res.json({
+      session: signToken('admin', { key: SESSION_KEY }, ttlSeconds),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    });
+  });
+
+  router.use(requireAdmin);
+
+  // Validate shared filter params
+  router.use((req, res, next) => {
+    if (!isValidDate(req.query.from) || !isValidDate(req.query.to)) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+    next();
+  });
+
+  // GET /api/admin/stats route: totals, signups per day and abuse counters
+  router.get('/stats', async (_req, res) => {
+    try {
+      const entries = await waitlist.all({}, { columns: ['status', 'created_at'] });
+
+      const byStatus = {};
+      const perDay = new Map();
+      const since = new Date(Date.now() - (STATS_DAYS - 1) * 86400000);
+      for (let d = new Date(since); d <= new Date(); d.setUTCDate(d.getUTCDate() + 1)) {
+        perDay.set(d.toISOString().slice(0, 10), 0);
+      }
+
+      for (const entry of entries) {
+        const status = entry.status || 'confirmed'; // rows from before double opt-in
+        byStatus[status] = (byStatus[status] || 0) + 1;
+        const day = entry.created_at?.slice(0, 10);
+        if (perDay.has(day)) perDay.set(day, perDay.get(day) + 1);
+      }
+
+      res.json({
+        total: entries.length,
+        byStatus,
+        signupsPerDay: [...perDay].map(([date, count]) => ({ date, count })),
+        rejections: getRejectionStats()
+      });
+    } catch (error) {
+      console.error('Error in /api/admin/stats:', error);
+      res.status(500).json({ error: 'Failed to load stats.' });
+    }
+  });
+
+  // GET /api/admin/attribution route: signups and confirmation rate per channel and campaign
+  router.get('/attribution', async (req, res) => {
+    try {
+      const entries = await waitlist.all(listFilters(req.query), {
+        columns: ['status', 'utm_source', 'utm_campaign', 'referrer', 'referred_by']
+      });
+
+      res.json({ total: entries.length, channels: channelBreakdown(entries) });
+    } catch (error) {
+      console.error('Error in /api/admin/attribution:', error);
+      res.status(500).json({ error: 'Failed to load attribution.' });
+    }
+  });
+
+  // GET /api/admin/waitlist route: search, filter and paginate entries
+  router.get('/waitlist', async (req, res) => {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    try {
+      const { entries, total } = await waitlist.list(listFilters(req.query), { page, pageSize });
+
+      res.json({ entries, total, page, pageSize });
+    } catch (error) {
+      console.error('Error in /api/admin/waitlist:', error);
+      res.status(500).json({ error: 'Failed to load waitlist.' });
+    }
+  });
+
+  // GET /api/admin/waitlist.csv route: export (filtered) entries as CSV
+  router.get('/waitlist.csv', async (req, res) => {
+    try {
+      const entries = await waitlist.all(listFilters(req.query), { columns: WAITLIST_COLUMNS });
+
+      const rows = entries.map(entry => WAITLIST_COLUMNS.map(column => csvField(entry[column])).join(','));
+      res.attachment(`waitlist-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type('text/csv').send([WAITLIST_COLUMNS.join(','), ...rows].join('\n'));
+    } catch (error) {
+      console.error('Error in /api/admin/waitlist.csv:', error);
+      res.status(500).json({ error: 'Failed to export waitlist.' });
+    }
+  });
+
+  // GET /api/admin/client-errors route: grouped landing page errors, most recent first
+  router.get('/client-errors', async (req, res) => {
+    try {
+      const errors = await clientErrors.list({ release: req.query.release });
+
+      res.json({ errors });
+    } catch (error) {
+      console.error('Error in /api/admin/client-errors:', error);
+      res.status(500).json({ error: 'Failed to load client errors.' });
+    }
+  });
+
+  // GET /api/admin/webhooks/deliveries route: outbox entries, filter by ?status= (pending | delivered | dead) and ?event=
+  router.get('/webhooks/deliveries', async (req, res) => {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    try {
+      const { deliveries, total } = await webhookDeliveries.list(
+        { status: req.query.status, eventType: req.query.event },
+        { page, pageSize }
+      );
+
+      res.json({ deliveries, total, page, pageSize });
+    } catch (error) {
+      console.error('Error in /api/admin/webhooks/deliveries:', error);
+      res.status(500).json({ error: 'Failed to load webhook deliveries.' });
+    }
+  });
+
+  // POST /api/admin/webhooks/deliveries/:id/replay route: retry a dead-lettered or stuck pending delivery
+  router.post('/webhooks/deliveries/:id/replay', async (req, res) => {
+    try {
+      const { delivery, error } = await webhooks.replay(req.params.id);
+      if (error === 'not_found') {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      if (error) {
+        return res.status(409).json({ error: 'Delivery already succeeded' });
+      }
+
+      res.json({ message: 'Delivery queued for replay.', delivery });
+    } catch (error) {
+      console.error('Error in /api/admin/webhooks/deliveries/replay:', error);
+      res.status(500).json({ error: 'Failed to replay delivery.' });
+    }
+  });
+
+  // DELETE /api/admin/waitlist/:email route: erase an entry (see erasure.js)
+  router.delete('/waitlist/:email', async (req, res) => {
+    try {
+      if (!await erasure.erase(req.params.email)) {
+        return res.status(404).json({ error: 'Entry not found' });
+      }
+
+      res.json({ message: 'Entry deleted.' });
+    } catch (error) {
+      console.error('Error in DELETE /api/admin/waitlist:', error);
+      res.status(500).json({ error: 'Failed to delete entry.' });
+    }
+  });
+
+  return router;
+};
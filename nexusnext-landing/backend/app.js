@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import express from 'express';
+import cors from 'cors';
+import { config, describeConfig } from './config.js';
+import {
+  createCampaignRepository,
+  createClientErrorRepository,
+  createContentRepository,
+  createInviteRepository,
+  createVitalsRepository,
+  createWaitlistRepository,
+  createWebhookDeliveryRepository
+} from './storage/index.js';
+import { createWaitlistRouter } from './waitlist.js';
+import { createAdminRouter, requireAdmin } from './admin.js';
+import { createHealthRouter } from './health.js';
+import { createClientErrorsRouter } from './clientErrors.js';
+import { createVitalsRouter } from './vitals.js';
+import { createWebhooks } from './webhooks.js';
+import { createCampaigns, createCampaignsRouter } from './campaigns.js';
+import { createEmailPreviewRouter } from './emails/index.js';
+import { createInviteAdminRouter, createInvites, createInvitesRouter } from './invites.js';
+import { createContentAdminRouter, createContentRouter, createContentService } from './content.js';
+import { httpMetrics, instrumentMailer } from './metrics.js';
+import { createErasure } from './erasure.js';
+
+// Build the Express app without starting it, so it can be exercised in process.
+// storage: see storage/index.js, mailer: see mail.js
+export const createApp = ({ storage, mailer: transport }) => {
+  const waitlist = createWaitlistRepository(storage);
+  const clientErrors = createClientErrorRepository(storage);
+  const vitals = createVitalsRepository(storage);
+  // Count every email sent, whichever route sends it
+  const mailer = instrumentMailer(transport);
+  // Outbound webhooks (see webhooks.js); retries are polled in the background
+  const webhookDeliveries = createWebhookDeliveryRepository(storage);
+  const webhooks = createWebhooks({ deliveries: webhookDeliveries });
+  webhooks.start();
+  // Broadcast campaigns (see campaigns.js); pick up any that were sending before a restart
+  const campaigns = createCampaignRepository(storage);
+  const campaignSender = createCampaigns({ campaigns, waitlist, mailer });
+  campaignSender.resumeInterrupted();
+  // Batch admission with invite codes (see invites.js); unsent invite emails go out in the background
+  const invites = createInviteRepository(storage);
+  const admission = createInvites({ invites, waitlist, mailer });
+  admission.start();
+  // Editable landing page content (see content.js)
+  const content = createContentRepository(storage);
+  const contentService = createContentService({ content });
+  // Right to erasure, shared by the public and admin delete routes (see erasure.js)
+  const erasure = createErasure({ waitlist, webhookDeliveries, campaigns, invites });
+
+  const app = express();
+  // Behind Render/Vercel proxies req.ip must come from X-Forwarded-For for per-IP limits
+  app.set('trust proxy', config.TRUST_PROXY);
+  // Request ID for correlating logs and client error reports: keep a sane
+  // X-Request-Id from the caller or proxy, otherwise make one up
+  app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = /^[\w.-]{8,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  });
+  app.use(cors({
+    origin: config.CORS_ORIGINS, // CORS_ORIGINS, comma-separated (see config.js)
+    methods: ['POST', 'GET', 'PUT', 'DELETE'],
+    credentials: true
+  }));       // Allow cross-origin requests from the landing page
+  app.use(express.json()); // Parse JSON request bodies
+  app.use(httpMetrics);    // Request counts and latency for GET /metrics
+
+  // Liveness, readiness and metrics probes (see health.js)
+  app.use(createHealthRouter({ storage, mailer }));
+
+  // Public waitlist routes (signup, confirm, status, unsubscribe, export, erasure)
+  app.use('/api/waitlist', createWaitlistRouter({ waitlist, mailer, webhooks, contentService, erasure }));
+
+  // Invite code redemption (see invites.js)
+  app.use('/api/invites', createInvitesRouter({ admission }));
+
+  // Landing page content with draft preview links (see content.js)
+  app.use('/api/content', createContentRouter({ content, service: contentService }));
+
+  // Admin-only routes (token protected, see admin.js, campaigns.js, invites.js and content.js)
+  app.use('/api/admin/campaigns', createCampaignsRouter({ campaigns, sender: campaignSender }));
+  app.use('/api/admin/invites', createInviteAdminRouter({ invites, admission }));
+  app.use('/api/admin/content', createContentAdminRouter({ content, service: contentService }));
+  app.use('/api/admin', createAdminRouter({ waitlist, clientErrors, webhooks, webhookDeliveries, erasure }));
+
+  // Error reports from the landing page (see clientErrors.js)
+  app.use('/api/client-errors', createClientErrorsRouter({ clientErrors }));
+
+  // Real-user performance beacons and their percentile summary (see vitals.js)
+  app.use('/api/vitals', createVitalsRouter({ vitals }));
+
+  // Render email templates with sample data (see emails/); never exposed in production
+  if (config.NODE_ENV !== 'production') {
+    app.use('/api/emails/preview', createEmailPreviewRouter());
+  }
+
+  // GET /api/config/health route: redacted view of the running config for the frontend
+  // diagnostics page. Admin-only: even redacted, it maps out the deployment.
+  app.get('/api/config/health', requireAdmin, (_req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      ok: true,
+      ...describeConfig(config),
+      storage: storage.driver,
+      mailTransport: mailer.name
+    });
+  });
+
+  // Optional: test route for backend is up
+  app.get('/', (_req, res) => {
+    res.send('Nexusnext Waitlist API is running');
+  });
+
+  return app;
+};
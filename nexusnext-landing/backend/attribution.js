@@ -0,0 +1,121 @@
+// Campaign attribution sent with POST /api/waitlist (see frontend/src/attribution.js)
+// and the per-channel breakdown for the admin API.
+
+// Stored columns and their max lengths
+export const ATTRIBUTION_FIELDS = {
+  utm_source: 100,
+  utm_medium: 100,
+  utm_campaign: 100,
+  utm_term: 100,
+  utm_content: 100,
+  referrer: 500,
+  landing_path: 300,
+  locale: 35,
+  timezone: 64
+};
+
+const PATTERNS = {
+  utm_source: /^[\w .+~%:/-]+$/,
+  utm_medium: /^[\w .+~%:/-]+$/,
+  utm_campaign: /^[\w .+~%:/-]+$/,
+  utm_term: /^[^<>\p{Cc}]+$/u,
+  utm_content: /^[^<>\p{Cc}]+$/u,
+  landing_path: /^\/[^\s<>]*$/,
+  // BCP 47-ish: "en", "en-IN", "zh-Hant-TW"
+  locale: /^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*$/,
+  // IANA names: "Asia/Kolkata", "America/Argentina/Buenos_Aires", "UTC"
+  timezone: /^[A-Za-z][\w+-]*(\/[\w+-]+)*$/
+};
+
+// Grouped on in reports, so "LinkedIn" and "linkedin" count as one
+const LOWERCASE_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Keep only well-formed fields; anything else is dropped rather than failing the signup
+export const sanitizeAttribution = (input) => {
+  const attribution = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return attribution;
+
+  for (const [field, maxLength] of Object.entries(ATTRIBUTION_FIELDS)) {
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    if (!value || value.length > maxLength) continue;
+    const valid = field === 'referrer' ? isHttpUrl(value) : PATTERNS[field].test(value);
+    if (valid) attribution[field] = LOWERCASE_FIELDS.includes(field) ? value.toLowerCase() : value;
+  }
+  return attribution;
+};
+
+// The social accounts we run campaigns on (socialLinks in App.js), by utm_source alias and referrer host
+const CHANNELS = [
+  { channel: 'x', sources: ['x', 'twitter'], hosts: ['x.com', 'twitter.com', 't.co'] },
+  { channel: 'linkedin', sources: ['linkedin'], hosts: ['linkedin.com', 'lnkd.in'] },
+  { channel: 'instagram', sources: ['instagram', 'ig'], hosts: ['instagram.com', 'l.instagram.com'] },
+  { channel: 'discord', sources: ['discord'], hosts: ['discord.com', 'discord.gg', 'discordapp.com'] },
+  { channel: 'youtube', sources: ['youtube', 'yt'], hosts: ['youtube.com', 'youtu.be'] }
+];
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// Channel an entry came from: utm_source wins, then the referrer, then a friend's referral link
+export const channelFor = (entry) => {
+  if (entry.utm_source) {
+    const match = CHANNELS.find(({ sources }) => sources.includes(entry.utm_source.toLowerCase()));
+    return match ? match.channel : entry.utm_source.toLowerCase();
+  }
+  if (entry.referrer) {
+    let host = '';
+    try {
+      host = new URL(entry.referrer).hostname.toLowerCase();
+    } catch (error) {
+      return 'other';
+    }
+    const match = CHANNELS.find(({ hosts }) => hosts.some(domain => hostMatches(host, domain)));
+    return match ? match.channel : 'other';
+  }
+  if (entry.referred_by) return 'referral';
+  return 'direct';
+};
+
+// entries: [{ status, utm_source, utm_campaign, referrer, referred_by }]
+// Returns [{ channel, signups, confirmed, unsubscribed, conversionRate, campaigns }], biggest first.
+// conversionRate is confirmed / signups.
+export const channelBreakdown = (entries) => {
+  const channels = new Map();
+
+  for (const entry of entries) {
+    const channel = channelFor(entry);
+    if (!channels.has(channel)) {
+      channels.set(channel, { channel, signups: 0, confirmed: 0, unsubscribed: 0, campaigns: new Map() });
+    }
+    const row = channels.get(channel);
+    const status = entry.status || 'confirmed'; // rows from before double opt-in
+    row.signups += 1;
+    if (status === 'confirmed') row.confirmed += 1;
+    if (status === 'unsubscribed') row.unsubscribed += 1;
+
+    const campaign = entry.utm_campaign || '(none)';
+    const campaignRow = row.campaigns.get(campaign) || { campaign, signups: 0, confirmed: 0 };
+    campaignRow.signups += 1;
+    if (status === 'confirmed') campaignRow.confirmed += 1;
+    row.campaigns.set(campaign, campaignRow);
+  }
+
+  const rate = (confirmed, signups) => (signups ? Math.round((confirmed / signups) * 1000) / 1000 : 0);
+
+  return [...channels.values()]
+    .map(row => ({
+      ...row,
+      conversionRate: rate(row.confirmed, row.signups),
+      campaigns: [...row.campaigns.values()]
+        .map(campaign => ({ ...campaign, conversionRate: rate(campaign.confirmed, campaign.signups) }))
+        .sort((a, b) => b.signups - a.signups)
+    }))
+    .sort((a, b) => b.signups - a.signups);
+};
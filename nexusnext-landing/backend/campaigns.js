@@ -0,0 +1,427 @@
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { requireAdmin } from './admin.js';
+import { channelFor } from './attribution.js';
+import { shareUrl } from './links.js';
+import { composeEmail } from './emails/index.js';
+import { escapeHtml } from './emails/layout.js';
+
+// Broadcast campaigns (launch announcements etc.) to a segment of the waitlist,
+// mounted at /api/admin/campaigns.
+//
+// Lifecycle: draft -> sending -> completed, with sending <-> paused.
+// Starting a campaign snapshots its recipients into campaign_recipients, then
+// sends in batches at MAIL_SEND_RATE emails per second. Each recipient is
+// claimed ("sending") before its email goes out and marked sent/failed after,
+// so a restart picks up where it stopped. A recipient left in "sending" by a
+// crash is retried with the same Resend idempotency key, so it isn't emailed twice.
+
+const { CAMPAIGN_BATCH_SIZE, MAIL_SEND_RATE } = config;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_HTML_LENGTH = 100000;
+const PREVIEW_SAMPLE_SIZE = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isValidDate = (value) => !value || !Number.isNaN(new Date(value).getTime());
+
+// { confirmedOnly, from, to, channel, utmCampaign } from a request body -> { segment } or { error }.
+// confirmedOnly defaults to true; unsubscribed entries are never included.
+export const parseSegment = (input = {}) => {
+  if (typeof input !== 'object' || input === null) return { error: 'Invalid segment' };
+  const { confirmedOnly = true, from, to, channel, utmCampaign } = input;
+
+  if (typeof confirmedOnly !== 'boolean') return { error: 'segment.confirmedOnly must be true or false' };
+  if (!isValidDate(from) || !isValidDate(to)) return { error: 'Invalid date in segment' };
+  if ((channel && typeof channel !== 'string') || (utmCampaign && typeof utmCampaign !== 'string')) {
+    return { error: 'Invalid attribution filter in segment' };
+  }
+
+  const segment = { confirmedOnly };
+  if (from) segment.from = new Date(from).toISOString();
+  if (to) segment.to = new Date(to).toISOString();
+  if (channel) segment.channel = channel.trim().toLowerCase();
+  if (utmCampaign) segment.utmCampaign = utmCampaign.trim().toLowerCase();
+  return { segment };
+};
+
+// Does a waitlist entry belong to the segment? Also re-checked right before sending
+export const inSegment = (segment, entry) => {
+  const status = entry.status || 'confirmed'; // rows from before double opt-in
+  if (status === 'unsubscribed') return false;
+  if (segment.confirmedOnly && status !== 'confirmed') return false;
+  if (segment.from && entry.created_at < segment.from) return false;
+  if (segment.to && entry.created_at > segment.to) return false;
+  if (segment.channel && channelFor(entry) !== segment.channel) return false;
+  if (segment.utmCampaign && entry.utm_campaign !== segment.utmCampaign) return false;
+  return true;
+};
+
+// Fill {{email}}, {{referralCode}} and {{shareUrl}} for one recipient and wrap it
+// in the branded layout (see emails/), in the recipient's language for the footer.
+// Without custom HTML, each blank-line-separated block of the text becomes a paragraph.
+const composeCampaign = (campaign, entry) => {
+  const values = {
+    email: entry.email,
+    referralCode: entry.referral_code || '',
+    shareUrl: entry.referral_code ? shareUrl(entry.referral_code) : ''
+  };
+  const fill = (template, escape) =>
+    template.replace(/\{\{\s*(email|referralCode|shareUrl)\s*\}\}/g, (_match, name) => escape(values[name]));
+
+  const text = fill(campaign.text, String);
+  return composeEmail({
+    to: entry.email,
+    locale: entry.locale,
+    content: {
+      subject: fill(campaign.subject, String),
+      text,
+      ...(campaign.html
+        ? { html: fill(campaign.html, escapeHtml) }
+        : { paragraphs: text.split(/\n{2,}/) })
+    }
+  });
+};
+
+export const createCampaigns = ({
+  campaigns,
+  waitlist,
+  mailer,
+  batchSize = CAMPAIGN_BATCH_SIZE,
+  sendRate = MAIL_SEND_RATE
+}) => {
+  // campaign id -> promise of the running send loop
+  const running = new Map();
+
+  const audience = async (segment) => {
+    const entries = await waitlist.all(
+      { from: segment.from, to: segment.to },
+      { columns: ['email', 'status', 'created_at', 'locale', 'referral_code', 'utm_source', 'utm_campaign', 'referrer', 'referred_by'] }
+    );
+    return entries.filter(entry => inSegment(segment, entry));
+  };
+
+  // Send one recipient's email, or skip them if they left the segment since the snapshot
+  const sendTo = async (campaign, recipient) => {
+    const entry = await waitlist.findByEmail(recipient.email);
+    if (!entry || !inSegment(campaign.segment, entry)) {
+      return campaigns.updateRecipient(recipient.id, { status: 'skipped', last_error: 'No longer in segment' });
+    }
+
+    // Claim the row first; if that fails, someone else already handled it
+    const claimed = await campaigns.updateRecipient(
+      recipient.id,
+      { status: 'sending', attempts: recipient.attempts + 1 },
+      { onlyIfStatus: recipient.status }
+    );
+    if (!claimed) return null;
+
+    try {
+      const { id } = await mailer.send({ ...composeCampaign(campaign, entry), idempotencyKey: recipient.id });
+      return campaigns.updateRecipient(recipient.id, {
+        status: 'sent',
+        message_id: id || null,
+        last_error: null,
+        sent_at: new Date().toISOString()
+      });
+    } catch (error) {
+      return campaigns.updateRecipient(recipient.id, {
+        status: 'failed',
+        last_error: String(error.response?.data?.message || error.message).slice(0, 500)
+      });
+    }
+  };
+
+  const sendLoop = async (id) => {
+    const delayMs = 1000 / sendRate;
+
+    for (;;) {
+      // Re-read every batch so a pause takes effect between batches
+      const campaign = await campaigns.findById(id);
+      if (!campaign || campaign.status !== 'sending') return;
+
+      if (campaign.recipient_count === null || campaign.recipient_count === undefined) {
+        const entries = await audience(campaign.segment);
+        for (const entry of entries) {
+          await campaigns.addRecipient(id, entry.email);
+        }
+        await campaigns.update(id, { recipient_count: entries.length });
+        continue;
+      }
+
+      const batch = await campaigns.nextRecipients(id, batchSize);
+      if (!batch.length) {
+        await campaigns.update(id, { status: 'completed', completed_at: new Date().toISOString() }, { onlyIfStatus: 'sending' });
+        return;
+      }
+
+      for (const recipient of batch) {
+        const started = Date.now();
+        await sendTo(campaign, recipient);
+        await sleep(Math.max(delayMs - (Date.now() - started), 0));
+      }
+    }
+  };
+
+  // Run the send loop for a campaign unless it's already running in this process
+  const run = (id) => {
+    if (running.has(id)) return running.get(id);
+    const promise = sendLoop(id)
+      .catch(error => console.error(`Error sending campaign ${id}:`, error))
+      .finally(() => running.delete(id));
+    running.set(id, promise);
+    return promise;
+  };
+
+  return {
+    // Recipient count and a sample for a segment, without sending anything
+    async preview(segment, message) {
+      const entries = await audience(segment);
+      let rendered = null;
+      if (message && entries.length) {
+        const { subject, text, html } = composeCampaign(message, entries[0]);
+        rendered = { subject, text, html };
+      }
+      return {
+        recipients: entries.length,
+        sample: entries.slice(0, PREVIEW_SAMPLE_SIZE).map(entry => entry.email),
+        rendered
+      };
+    },
+
+    // Start (from draft) or resume (from paused). Returns the updated campaign or null if it can't start
+    async start(id) {
+      const campaign = await campaigns.update(
+        id,
+        { status: 'sending' },
+        { onlyIfStatus: ['draft', 'paused'] }
+      );
+      if (!campaign) return null;
+      if (!campaign.started_at) await campaigns.update(id, { started_at: new Date().toISOString() });
+      run(id);
+      return campaign;
+    },
+
+    // Stops after the current batch
+    pause: (id) => campaigns.update(id, { status: 'paused' }, { onlyIfStatus: 'sending' }),
+
+    // Queue failed recipients again and keep sending
+    async retryFailed(id) {
+      const campaign = await campaigns.findById(id);
+      if (!campaign || campaign.status === 'draft') return null;
+      const requeued = await campaigns.requeueFailed(id);
+      if (requeued) {
+        await campaigns.update(id, { status: 'sending', completed_at: null }, { onlyIfStatus: ['completed', 'sending'] });
+        run(id);
+      }
+      return { requeued };
+    },
+
+    // Resume campaigns that were sending when the process stopped
+    async resumeInterrupted() {
+      try {
+        for (const campaign of await campaigns.withStatus('sending')) {
+          run(campaign.id);
+        }
+      } catch (error) {
+        console.error('Error resuming campaigns:', error);
+      }
+    },
+
+    // Settles when the campaign's current send loop (if any) stops
+    settled: (id) => running.get(id) || Promise.resolve()
+  };
+};
+
+// { name, subject, text, html? } from a request body -> { message } or { error }
+const parseMessage = ({ name, subject, text, html } = {}, { requireName = true } = {}) => {
+  if (requireName && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+    return { error: 'Name is required' };
+  }
+  if (typeof subject !== 'string' || !subject.trim() || subject.length > MAX_SUBJECT_LENGTH) {
+    return { error: 'Subject is required' };
+  }
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+    return { error: 'Plain-text body is required' };
+  }
+  if (html !== undefined && html !== null && (typeof html !== 'string' || html.length > MAX_HTML_LENGTH)) {
+    return { error: 'Invalid HTML body' };
+  }
+  return { message: { name: name?.trim(), subject: subject.trim(), text, html: html || null } };
+};
+
+export const createCampaignsRouter = ({ campaigns, sender }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Campaign plus per-status recipient counts
+  const withProgress = async (campaign) => ({
+    ...campaign,
+    progress: await campaigns.recipientCounts(campaign.id)
+  });
+
+  // POST /api/admin/campaigns/preview route: dry run of an unsaved campaign (recipient count, sample, rendered email)
+  router.post('/preview', async (req, res) => {
+    const { segment, error } = parseSegment(req.body?.segment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { message } = parseMessage(req.body, { requireName: false });
+
+    try {
+      res.json(await sender.preview(segment, message));
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/preview:', error);
+      res.status(500).json({ error: 'Failed to preview campaign.' });
+    }
+  });
+
+  // POST /api/admin/campaigns route: save a draft campaign
+  router.post('/', async (req, res) => {
+    const { message, error: messageError } = parseMessage(req.body);
+    const { segment, error: segmentError } = parseSegment(req.body?.segment);
+    if (messageError || segmentError) {
+      return res.status(400).json({ error: messageError || segmentError });
+    }
+
+    try {
+      const campaign = await campaigns.create({ id: crypto.randomUUID(), ...message, segment });
+
+      res.status(201).json({ campaign });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns:', error);
+      res.status(500).json({ error: 'Failed to create campaign.' });
+    }
+  });
+
+  // GET /api/admin/campaigns route: every campaign with its send progress, newest first
+  router.get('/', async (_req, res) => {
+    try {
+      const list = await campaigns.list();
+
+      res.json({ campaigns: await Promise.all(list.map(withProgress)) });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns:', error);
+      res.status(500).json({ error: 'Failed to load campaigns.' });
+    }
+  });
+
+  // GET /api/admin/campaigns/:id route: one campaign with its send progress
+  router.get('/:id', async (req, res) => {
+    try {
+      const campaign = await campaigns.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      res.json({ campaign: await withProgress(campaign) });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id:', error);
+      res.status(500).json({ error: 'Failed to load campaign.' });
+    }
+  });
+
+  // GET /api/admin/campaigns/:id/preview route: dry run of a saved campaign
+  router.get('/:id/preview', async (req, res) => {
+    try {
+      const campaign = await campaigns.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      res.json(await sender.preview(campaign.segment, campaign));
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id/preview:', error);
+      res.status(500).json({ error: 'Failed to preview campaign.' });
+    }
+  });
+
+  // GET /api/admin/campaigns/:id/recipients route: per-recipient send log, filter by ?status=
+  router.get('/:id/recipients', async (req, res) => {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    try {
+      const { recipients, total } = await campaigns.listRecipients(
+        req.params.id,
+        { status: req.query.status },
+        { page, pageSize }
+      );
+
+      res.json({ recipients, total, page, pageSize });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id/recipients:', error);
+      res.status(500).json({ error: 'Failed to load recipients.' });
+    }
+  });
+
+  // POST /api/admin/campaigns/:id/send route: start a draft or resume a paused campaign
+  router.post('/:id/send', async (req, res) => {
+    try {
+      const campaign = await sender.start(req.params.id);
+      if (!campaign) {
+        return res.status(409).json({ error: 'Only draft or paused campaigns can be sent' });
+      }
+
+      res.status(202).json({ message: 'Campaign sending.', campaign });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id/send:', error);
+      res.status(500).json({ error: 'Failed to start campaign.' });
+    }
+  });
+
+  // POST /api/admin/campaigns/:id/pause route: stop after the current batch
+  router.post('/:id/pause', async (req, res) => {
+    try {
+      const campaign = await sender.pause(req.params.id);
+      if (!campaign) {
+        return res.status(409).json({ error: 'Campaign is not sending' });
+      }
+
+      res.json({ message: 'Campaign paused.', campaign });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id/pause:', error);
+      res.status(500).json({ error: 'Failed to pause campaign.' });
+    }
+  });
+
+  // POST /api/admin/campaigns/:id/retry-failed route: queue failed recipients again
+  router.post('/:id/retry-failed', async (req, res) => {
+    try {
+      const result = await sender.retryFailed(req.params.id);
+      if (!result) {
+        return res.status(409).json({ error: 'Campaign has not been sent' });
+      }
+
+      res.json({ message: `${result.requeued} recipient(s) queued again.`, ...result });
+    } catch (error) {
+      console.error('Error in /api/admin/campaigns/:id/retry-failed:', error);
+      res.status(500).json({ error: 'Failed to retry campaign.' });
+    }
+  });
+
+  // DELETE /api/admin/campaigns/:id route: delete a draft
+  router.delete('/:id', async (req, res) => {
+    try {
+      const campaign = await campaigns.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'draft') {
+        return res.status(409).json({ error: 'Only draft campaigns can be deleted' });
+      }
+
+      await campaigns.remove(campaign.id);
+      res.json({ message: 'Campaign deleted.' });
+    } catch (error) {
+      console.error('Error in DELETE /api/admin/campaigns:', error);
+      res.status(500).json({ error: 'Failed to delete campaign.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import express from 'express';
+import { createRateLimiter } from './abuse.js';
+
+// Error reports from the landing page (see frontend/src/errorReporting.js),
+// mounted at /api/client-errors. Reports arrive in batches, often via
+// navigator.sendBeacon, which posts text/plain to avoid a CORS preflight.
+
+const MAX_BATCH = 20;
+const MAX_OCCURRENCES = 100;
+const LIMITS = { message: 1000, stack: 8000, componentStack: 8000, url: 500, release: 64, userAgent: 500 };
+const SOURCES = ['boundary', 'error', 'unhandledrejection'];
+
+const reportLimiter = createRateLimiter({ windowSeconds: 60, max: 30 });
+
+const clip = (value, max) => (typeof value === 'string' && value.trim() ? value.slice(0, max) : null);
+
+// Page URL without its query string or fragment: emailed links put tokens there (?waitlist=erase&token=...)
+const pageUrl = (value) => clip(typeof value === 'string' ? value.split(/[?#]/)[0] : null, LIMITS.url);
+
+// First stack frame, minus query strings (cache busters) so the same line groups together
+const topFrame = (stack) =>
+  (stack || '').split('\n').map(line => line.trim()).find(line => /^at |@/.test(line))?.replace(/\?[^:)\s]*/g, '') || '';
+
+// Same release + source + message shape + top frame = same error.
+// Numbers in messages (ids, indexes) are masked so they don't split groups.
+export const fingerprintError = ({ release, source, message, stack }) =>
+  crypto.createHash('sha256')
+    .update([release, source, message.replace(/\d+/g, '?'), topFrame(stack)].join('\n'))
+    .digest('hex')
+    .slice(0, 32);
+
+// Validate one report; returns null for anything unusable
+const parseReport = (input, req) => {
+  if (!input || typeof input !== 'object') return null;
+  const message = clip(input.message, LIMITS.message);
+  if (!message || !SOURCES.includes(input.source)) return null;
+
+  const report = {
+    message,
+    source: input.source,
+    stack: clip(input.stack, LIMITS.stack),
+    component_stack: clip(input.componentStack, LIMITS.componentStack),
+    url: pageUrl(input.url),
+    release: clip(input.release, LIMITS.release) || 'unknown',
+    user_agent: clip(req.get('User-Agent'), LIMITS.userAgent),
+    request_id: req.id
+  };
+  report.fingerprint = fingerprintError(report);
+  const occurrences = Math.min(Math.max(Number.parseInt(input.count, 10) || 1, 1), MAX_OCCURRENCES);
+  return { report, occurrences };
+};
+
+export const createClientErrorsRouter = ({ clientErrors }) => {
+  const router = express.Router();
+
+  // POST /api/client-errors route: { errors: [{ message, source, stack, componentStack, url, release, count }] }
+  router.post('/', express.text({ type: 'text/plain', limit: '100kb' }), async (req, res) => {
+    const { allowed, retryAfter } = reportLimiter.hit(req.ip);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests. Please try again later.', retryAfter });
+    }
+
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON' });
+      }
+    }
+    if (!Array.isArray(body?.errors) || body.errors.length > MAX_BATCH) {
+      return res.status(400).json({ error: `Expected { errors: [...] } with at most ${MAX_BATCH} reports` });
+    }
+
+    // Merge repeats within the batch before touching storage
+    const batch = new Map();
+    for (const parsed of body.errors.map(input => parseReport(input, req)).filter(Boolean)) {
+      const seen = batch.get(parsed.report.fingerprint);
+      if (seen) seen.occurrences += parsed.occurrences;
+      else batch.set(parsed.report.fingerprint, parsed);
+    }
+
+    try {
+      for (const { report, occurrences } of batch.values()) {
+        await clientErrors.record(report, occurrences);
+      }
+
+      res.status(202).json({ accepted: batch.size });
+    } catch (error) {
+      console.error('Error in /api/client-errors:', error);
+      res.status(500).json({ error: 'Failed to record errors.' });
+    }
+  });
+
+  return router;
+};
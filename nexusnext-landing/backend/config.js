@@ -0,0 +1,260 @@
+// Runtime configuration: every environment variable the API reads is declared
+// here with its type, default and whether it's secret. Values are parsed and
+// checked once at startup; a bad or missing variable stops the process with a
+// list of everything that needs fixing, instead of failing on first use.
+//
+// Profiles (NODE_ENV = development | test | production) change defaults and
+// make some variables required. Entry points must load .env (dotenv) before
+// anything imports this module.
+
+const PRODUCTION_FRONTEND_URL = 'https://nexusnext-frontend-landing.vercel.app';
+
+// type: string | secret | integer | url | url-list | enum | json
+// default: value or (env) => value, applied before parsing
+// json values are checked with validate(value) -> error message or null; secret: true redacts them
+export const SCHEMA = {
+  NODE_ENV: { type: 'enum', values: ['development', 'test', 'production'], default: 'development', description: 'Config profile' },
+  PORT: { type: 'integer', min: 1, max: 65535, default: 3001, description: 'HTTP port' },
+  TRUST_PROXY: { type: 'integer', min: 0, default: 1, description: 'Proxy hops in front of the API (for req.ip)' },
+  FRONTEND_URL: { type: 'url', default: PRODUCTION_FRONTEND_URL, description: 'Landing page URL used in email links' },
+  PUBLIC_API_URL: { type: 'url', default: (env) => `http://localhost:${env.PORT || 3001}`, description: 'Public URL of this API used in email links' },
+  CORS_ORIGINS: { type: 'url-list', default: PRODUCTION_FRONTEND_URL, description: 'Comma-separated origins allowed to call the API' },
+
+  STORAGE_DRIVER: {
+    type: 'enum',
+    values: ['supabase', 'sqlite', 'memory'],
+    default: (env) => (env.SUPABASE_URL ? 'supabase' : 'sqlite'),
+    description: 'Where waitlist entries are stored'
+  },
+  SUPABASE_URL: { type: 'url', description: 'Supabase project URL' },
+  SUPABASE_SERVICE_ROLE_KEY: { type: 'secret', description: 'Supabase service role key (server only)' },
+  SQLITE_FILE: { type: 'string', default: 'data/nexusnext.db', description: 'SQLite database file' },
+
+  MAIL_TRANSPORT: {
+    type: 'enum',
+    values: ['resend', 'file', 'console'],
+    default: (env) => (env.RESEND_API_KEY ? 'resend' : 'console'),
+    description: 'How emails are delivered'
+  },
+  RESEND_API_KEY: { type: 'secret', description: 'Resend API key' },
+  RESEND_FROM: { type: 'string', description: 'Sender address for emails' },
+  MAIL_OUTBOX_DIR: { type: 'string', default: 'mail-outbox', description: 'Directory for the file mail transport' },
+  MAIL_SEND_RATE: { type: 'integer', min: 1, max: 100, default: 2, description: 'Bulk emails (campaigns, invites) sent per second (Resend allows 2 by default)' },
+
+  WAITLIST_TOKEN_SECRET: { type: 'secret', minLength: 32, description: 'HMAC secret for emailed links and sessions' },
+  ADMIN_TOKEN: { type: 'secret', minLength: 16, description: 'Admin API token (admin API disabled when unset)' },
+  ADMIN_SESSION_TTL_HOURS: { type: 'integer', min: 1, default: 12, description: 'Admin session lifetime' },
+  CONFIRM_TOKEN_TTL_HOURS: { type: 'integer', min: 1, default: 48, description: 'Confirmation link lifetime' },
+  UNSUBSCRIBE_TOKEN_TTL_DAYS: { type: 'integer', min: 1, default: 365, description: 'Unsubscribe link lifetime' },
+  DATA_REQUEST_TOKEN_TTL_MINUTES: { type: 'integer', min: 1, default: 60, description: 'Data export/erasure link lifetime' },
+
+  REFERRAL_BOOST: { type: 'integer', min: 0, default: 5, description: 'Places gained per confirmed referral' },
+  RATE_LIMIT_IP_WINDOW_SECONDS: { type: 'integer', min: 1, default: 3600, description: 'Per-IP rate limit window' },
+  RATE_LIMIT_IP_MAX: { type: 'integer', min: 1, default: 10, description: 'Requests per IP per window' },
+  RATE_LIMIT_EMAIL_WINDOW_SECONDS: { type: 'integer', min: 1, default: 3600, description: 'Per-email rate limit window' },
+  RATE_LIMIT_EMAIL_MAX: { type: 'integer', min: 1, default: 3, description: 'Requests per email per window' },
+  POW_DIFFICULTY: { type: 'integer', min: 0, max: 32, default: 0, description: 'Proof-of-work bits (0 disables)' },
+  VITALS_RETENTION_DAYS: { type: 'integer', min: 1, default: 90, description: 'How long real-user performance samples are kept' },
+
+  WEBHOOK_SUBSCRIPTIONS: {
+    type: 'json',
+    secret: true,
+    default: '[]',
+    validate: (value) => validateWebhookSubscriptions(value),
+    description: 'JSON list of { url, secret, events?, format? } webhook subscriptions'
+  },
+  WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 20, default: 8, description: 'Delivery attempts before a webhook is dead-lettered' },
+
+  CAMPAIGN_BATCH_SIZE: { type: 'integer', min: 1, max: 1000, default: 50, description: 'Recipients loaded per campaign send batch' },
+  INVITE_TTL_DAYS: { type: 'integer', min: 1, default: 14, description: 'How long an invite code stays redeemable' },
+  INVITE_URL: { type: 'url', default: (env) => env.FRONTEND_URL || PRODUCTION_FRONTEND_URL, description: 'Where invite emails link to; the code is added as ?invite=' },
+  CONTENT_MAX_AGE_SECONDS: { type: 'integer', min: 0, max: 86400, default: 60, description: 'How long GET /api/content may be cached (browsers, CDNs and each instance)' },
+
+  METRICS_TOKEN: { type: 'secret', minLength: 16, description: 'Bearer token for GET /metrics (public when unset)' }
+};
+
+// Per-profile defaults (override SCHEMA defaults) and extra required variables
+export const PROFILES = {
+  development: {
+    defaults: { CORS_ORIGINS: `${PRODUCTION_FRONTEND_URL},http://localhost:3000` },
+    required: []
+  },
+  test: {
+    defaults: {
+      CORS_ORIGINS: 'http://localhost:3000',
+      STORAGE_DRIVER: 'memory',
+      MAIL_TRANSPORT: 'console',
+      WAITLIST_TOKEN_SECRET: 'test-secret-not-for-production-use'
+    },
+    required: []
+  },
+  production: {
+    defaults: {},
+    required: ['WAITLIST_TOKEN_SECRET', 'PUBLIC_API_URL']
+  }
+};
+
+// Requirements that depend on other settings
+const RULES = [
+  {
+    when: (config) => config.STORAGE_DRIVER === 'supabase',
+    required: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+    reason: 'STORAGE_DRIVER=supabase'
+  },
+  {
+    when: (config) => config.MAIL_TRANSPORT === 'resend',
+    required: ['RESEND_API_KEY', 'RESEND_FROM'],
+    reason: 'MAIL_TRANSPORT=resend'
+  }
+];
+
+const isSecret = (spec) => spec.type === 'secret' || spec.secret === true;
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// WEBHOOK_SUBSCRIPTIONS entries (see webhooks.js)
+const validateWebhookSubscriptions = (subscriptions) => {
+  if (!Array.isArray(subscriptions)) return 'must be a JSON array';
+  for (const [i, subscription] of subscriptions.entries()) {
+    if (!subscription || typeof subscription.url !== 'string' || !isUrl(subscription.url)) {
+      return `entry ${i}: "url" must be an http(s) URL`;
+    }
+    if (typeof subscription.secret !== 'string' || subscription.secret.length < 16) {
+      return `entry ${i}: "secret" must be at least 16 characters`;
+    }
+    if (subscription.events !== undefined && !Array.isArray(subscription.events)) {
+      return `entry ${i}: "events" must be a list of event types`;
+    }
+    if (subscription.format !== undefined && !['json', 'discord', 'slack'].includes(subscription.format)) {
+      return `entry ${i}: "format" must be json, discord or slack`;
+    }
+  }
+  return null;
+};
+
+// Parse one raw string. Returns { value } or { error }
+const parseValue = (spec, raw) => {
+  switch (spec.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!/^-?\d+$/.test(String(raw).trim())) return { error: 'must be a whole number' };
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` };
+      return { value };
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+    case 'url':
+      // Stored without a trailing slash so links can be built with `${url}/path`
+      return isUrl(raw) ? { value: raw.replace(/\/+$/, '') } : { error: 'must be an http(s) URL' };
+    case 'url-list': {
+      const value = raw.split(',').map(item => item.trim().replace(/\/+$/, '')).filter(Boolean);
+      const bad = value.filter(item => !isUrl(item));
+      return bad.length ? { error: `contains invalid URLs: ${bad.join(', ')}` } : { value };
+    }
+    case 'json': {
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        return { error: 'must be valid JSON' };
+      }
+      const error = spec.validate?.(value);
+      return error ? { error } : { value };
+    }
+    case 'secret':
+    case 'string':
+      if (spec.minLength && raw.length < spec.minLength) return { error: `must be at least ${spec.minLength} characters` };
+      return { value: raw };
+    default:
+      throw new Error(`Unknown config type "${spec.type}"`);
+  }
+};
+
+// Parse and validate env. Returns a frozen { NAME: value } object (unset
+// optional variables are undefined); throws ConfigError listing every problem.
+export const loadConfig = (env = process.env) => {
+  const problems = [];
+  const profileName = SCHEMA.NODE_ENV.values.includes(env.NODE_ENV) ? env.NODE_ENV : 'development';
+  if (env.NODE_ENV && profileName !== env.NODE_ENV) {
+    problems.push(`NODE_ENV: must be one of ${SCHEMA.NODE_ENV.values.join(', ')}`);
+  }
+  const profile = PROFILES[profileName];
+
+  const config = { NODE_ENV: profileName };
+  const sources = { NODE_ENV: env.NODE_ENV ? 'env' : 'default' };
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    if (name === 'NODE_ENV') continue;
+
+    let raw = env[name]?.trim() || undefined;
+    sources[name] = raw === undefined ? 'default' : 'env';
+    if (raw === undefined) {
+      const fallback = name in profile.defaults ? profile.defaults[name] : spec.default;
+      raw = typeof fallback === 'function' ? fallback(env) : fallback;
+      if (raw === undefined) continue;
+      raw = String(raw);
+    }
+
+    const { value, error } = parseValue(spec, raw);
+    if (error) problems.push(`${name}: ${error} (got "${isSecret(spec) ? '[redacted]' : raw}")`);
+    else config[name] = value;
+  }
+
+  const requirements = [
+    ...profile.required.map(name => ({ name, reason: `NODE_ENV=${profileName}` })),
+    ...RULES.filter(rule => rule.when(config)).flatMap(rule => rule.required.map(name => ({ name, reason: rule.reason })))
+  ];
+  // Defaults don't count: production must set e.g. PUBLIC_API_URL explicitly
+  for (const { name, reason } of requirements) {
+    const reported = problems.some(problem => problem.startsWith(`${name}:`));
+    if (sources[name] !== 'env' && !reported) problems.push(`${name}: required when ${reason}`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  Object.defineProperty(config, 'sources', { value: Object.freeze(sources) });
+  return Object.freeze(config);
+};
+
+// Safe-to-share view for GET /api/config/health: secrets only say whether they're set
+export const describeConfig = (config) => ({
+  environment: config.NODE_ENV,
+  variables: Object.fromEntries(Object.entries(SCHEMA).map(([name, spec]) => {
+    const set = config[name] !== undefined;
+    const value = isSecret(spec) ? (set ? '[redacted]' : null) : (config[name] ?? null);
+    return [name, { set, source: config.sources?.[name] || 'default', value, description: spec.description }];
+  })),
+  warnings: [
+    !config.ADMIN_TOKEN && 'ADMIN_TOKEN is not set; the admin API is disabled.',
+    !config.WAITLIST_TOKEN_SECRET && 'WAITLIST_TOKEN_SECRET is not set; emailed links stop working after a restart.',
+    config.MAIL_TRANSPORT !== 'resend' && `MAIL_TRANSPORT is "${config.MAIL_TRANSPORT}"; no real emails are sent.`
+  ].filter(Boolean)
+});
+
+// The process-wide config. Startup fails here, listing every problem at once.
+const readConfig = () => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+export const config = readConfig();
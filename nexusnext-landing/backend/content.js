@@ -0,0 +1,166 @@
+import express from 'express';
+import { config } from './config.js';
+import { requireAdmin } from './admin.js';
+import { signToken, verifyToken } from './tokens.js';
+import { DEFAULT_CONTENT, validateContent } from '@nexusnext/shared/content.mjs';
+
+// Landing page content (hero text, feature cards, vision quote, social links,
+// footer tagline) as one validated document; the schema and the bundled default
+// live in shared/content.mjs.
+//
+// Admins edit a draft, preview it on the real page through a signed link, then
+// publish it. GET /api/content serves the published copy (or the bundled default
+// before the first publish) with Cache-Control + ETag; each instance keeps it in
+// memory for CONTENT_MAX_AGE_SECONDS, so a publish shows up everywhere within that.
+
+const { CONTENT_MAX_AGE_SECONDS, FRONTEND_URL } = config;
+
+const DOCUMENT_ID = 'landing';
+const PREVIEW_TTL_SECONDS = 3600;
+
+const publishedBody = (row) => ({
+  content: row?.published || DEFAULT_CONTENT,
+  version: row?.version || 0,
+  publishedAt: row?.published_at || null
+});
+
+const adminBody = (row) => ({
+  ...publishedBody(row),
+  // Nothing saved yet: start editing from what's live
+  draft: row?.draft || row?.published || DEFAULT_CONTENT,
+  hasDraft: Boolean(row?.draft),
+  draftUpdatedAt: row?.draft_updated_at || null
+});
+
+export const createContentService = ({ content }) => {
+  let cache = null; // { body, expiresAt }
+
+  return {
+    // { content, version, publishedAt } for GET /api/content
+    published: async () => {
+      if (cache && cache.expiresAt > Date.now()) return cache.body;
+      const body = publishedBody(await content.get(DOCUMENT_ID));
+      cache = { body, expiresAt: Date.now() + CONTENT_MAX_AGE_SECONDS * 1000 };
+      return body;
+    },
+
+    invalidate: () => {
+      cache = null;
+    }
+  };
+};
+
+// Public routes, mounted at /api/content
+export const createContentRouter = ({ content, service }) => {
+  const router = express.Router();
+
+  // GET /api/content route: the published content document
+  router.get('/', async (_req, res) => {
+    try {
+      const body = await service.published();
+      // Express answers If-None-Match with a 304 from the ETag res.json() sets
+      res.set('Cache-Control', `public, max-age=${CONTENT_MAX_AGE_SECONDS}, stale-while-revalidate=86400`);
+      res.json(body);
+    } catch (error) {
+      console.error('Error in /api/content:', error);
+      res.status(500).json({ error: 'Failed to load content.', code: 'server_error' });
+    }
+  });
+
+  // GET /api/content/preview?token= route: the current draft, for admins' preview links
+  router.get('/preview', async (req, res) => {
+    const { error: tokenError } = verifyToken(req.query.token, 'content-preview');
+    if (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired preview link', code: 'invalid_link' });
+    }
+
+    try {
+      const { draft, version } = adminBody(await content.get(DOCUMENT_ID));
+      res.set('Cache-Control', 'no-store');
+      res.json({ content: draft, version, preview: true });
+    } catch (error) {
+      console.error('Error in /api/content/preview:', error);
+      res.status(500).json({ error: 'Failed to load content preview.', code: 'server_error' });
+    }
+  });
+
+  return router;
+};
+
+// Admin routes, mounted at /api/admin/content
+export const createContentAdminRouter = ({ content, service }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // GET /api/admin/content route: draft and published documents
+  router.get('/', async (_req, res) => {
+    try {
+      res.json(adminBody(await content.get(DOCUMENT_ID)));
+    } catch (error) {
+      console.error('Error in /api/admin/content:', error);
+      res.status(500).json({ error: 'Failed to load content.' });
+    }
+  });
+
+  // PUT /api/admin/content/draft route: { content } replaces the draft after validation
+  router.put('/draft', async (req, res) => {
+    const document = req.body?.content;
+    const problems = validateContent(document);
+    if (problems.length) {
+      return res.status(400).json({ error: `Invalid content: ${problems.join('; ')}`, problems });
+    }
+
+    try {
+      res.json(adminBody(await content.saveDraft(DOCUMENT_ID, document)));
+    } catch (error) {
+      console.error('Error in /api/admin/content/draft:', error);
+      res.status(500).json({ error: 'Failed to save draft.' });
+    }
+  });
+
+  // DELETE /api/admin/content/draft route: throw away unpublished edits
+  router.delete('/draft', async (_req, res) => {
+    try {
+      await content.discardDraft(DOCUMENT_ID);
+      res.json(adminBody(await content.get(DOCUMENT_ID)));
+    } catch (error) {
+      console.error('Error in DELETE /api/admin/content/draft:', error);
+      res.status(500).json({ error: 'Failed to discard draft.' });
+    }
+  });
+
+  // POST /api/admin/content/preview route: signed link that shows the saved draft on the landing page
+  router.post('/preview', (_req, res) => {
+    const token = signToken('content-preview', {}, PREVIEW_TTL_SECONDS);
+    const url = new URL(FRONTEND_URL);
+    url.searchParams.set('contentPreview', token);
+    res.json({ url: url.toString(), expiresAt: new Date(Date.now() + PREVIEW_TTL_SECONDS * 1000).toISOString() });
+  });
+
+  // POST /api/admin/content/publish route: make the saved draft live
+  router.post('/publish', async (_req, res) => {
+    try {
+      const row = await content.get(DOCUMENT_ID);
+      if (!row?.draft) {
+        return res.status(409).json({ error: 'There is no draft to publish' });
+      }
+      // The schema may have tightened since the draft was saved
+      const problems = validateContent(row.draft);
+      if (problems.length) {
+        return res.status(400).json({ error: `Invalid content: ${problems.join('; ')}`, problems });
+      }
+
+      const published = await content.publish(DOCUMENT_ID, row.draft, row.version);
+      if (!published) {
+        return res.status(409).json({ error: 'Content was published by someone else; reload and try again' });
+      }
+      service.invalidate();
+      res.json(adminBody(published));
+    } catch (error) {
+      console.error('Error in /api/admin/content/publish:', error);
+      res.status(500).json({ error: 'Failed to publish content.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,124 @@
+import express from 'express';
+import { config } from '../config.js';
+import { unsubscribeUrl } from '../links.js';
+import { renderHtml, renderText } from './layout.js';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+
+// Transactional email templates. Copy lives in locales/<language>.js, the
+// branded HTML and plain-text wrappers in layout.js. The recipient's locale is
+// whatever the landing page recorded at signup (waitlist.locale, e.g. "hi-IN");
+// anything we don't have falls back to English.
+
+const {
+  FRONTEND_URL,
+  PUBLIC_API_URL,
+  INVITE_URL,
+  CONFIRM_TOKEN_TTL_HOURS,
+  DATA_REQUEST_TOKEN_TTL_MINUTES,
+  INVITE_TTL_DAYS
+} = config;
+
+export const LOCALES = { en, hi };
+export const DEFAULT_LOCALE = 'en';
+export const EMAIL_TEMPLATES = Object.keys(en.templates);
+
+// "hi-IN" -> "hi"; unknown or missing -> "en"
+export const resolveLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+};
+
+// Render content blocks (from a template, or a campaign's own copy) into { subject, html, text }
+const renderContent = (content, language, { unsubscribe } = {}) => {
+  const { dir, layout: strings } = LOCALES[language];
+  const options = { lang: language, dir, strings, unsubscribeUrl: unsubscribe };
+  return {
+    subject: content.subject,
+    html: renderHtml(content, options),
+    text: renderText(content, options)
+  };
+};
+
+// Render one template for a locale. Throws on an unknown template name.
+export const renderEmail = (template, { locale, variables = {}, unsubscribe } = {}) => {
+  const language = resolveLocale(locale);
+  const build = LOCALES[language].templates[template] || en.templates[template];
+  if (!build) throw new Error(`Unknown email template "${template}"`);
+
+  const numberFormat = new Intl.NumberFormat(language);
+  const content = build(variables, { number: (value) => numberFormat.format(value) });
+  return renderContent(content, language, { unsubscribe });
+};
+
+// Full message for mail.send(). Pass `template` + `variables`, or `content`
+// ({ subject, text, html? }) for copy written elsewhere (campaigns).
+// Waitlist emails carry the unsubscribe link and List-Unsubscribe headers (RFC 8058 one-click).
+export const composeEmail = ({ to, locale, template, variables, content, unsubscribe = true }) => {
+  const link = unsubscribe ? unsubscribeUrl(to) : null;
+  const rendered = template
+    ? renderEmail(template, { locale, variables, unsubscribe: link })
+    : renderContent(content, resolveLocale(locale), { unsubscribe: link });
+
+  return {
+    to,
+    ...rendered,
+    ...(link && {
+      headers: {
+        'List-Unsubscribe': `<${link}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    })
+  };
+};
+
+// Sample variables for the preview route
+const SAMPLE_VARIABLES = {
+  confirmation: {
+    confirmUrl: `${PUBLIC_API_URL}/api/waitlist/confirm?token=preview`,
+    expiresHours: CONFIRM_TOKEN_TTL_HOURS
+  },
+  welcome: { position: 128, total: 2048, referralCode: 'PREVIEW8', shareUrl: `${FRONTEND_URL}/?ref=PREVIEW8#join` },
+  'position-update': { position: 42, total: 2048, referralCount: 3, shareUrl: `${FRONTEND_URL}/?ref=PREVIEW8#join` },
+  invite: { code: 'NXTR-7K2M-Q9PA', inviteUrl: `${INVITE_URL}?invite=NXTR7K2MQ9PA`, expiresDays: INVITE_TTL_DAYS },
+  launch: { launchUrl: FRONTEND_URL },
+  'data-request': {
+    purpose: 'export',
+    actionUrl: `${PUBLIC_API_URL}/api/waitlist/export?token=preview`,
+    expiresMinutes: DATA_REQUEST_TOKEN_TTL_MINUTES
+  }
+};
+
+// Dev-only preview of every template with sample data, mounted at /api/emails/preview.
+// Query: ?locale=hi, ?format=text for the plain-text version, and any variable to override it.
+export const createEmailPreviewRouter = () => {
+  const router = express.Router();
+
+  // GET /api/emails/preview route: list templates and locales
+  router.get('/', (_req, res) => {
+    res.json({ templates: EMAIL_TEMPLATES, locales: Object.keys(LOCALES) });
+  });
+
+  // GET /api/emails/preview/:template route: render a template with sample data
+  router.get('/:template', (req, res) => {
+    const { template } = req.params;
+    if (!EMAIL_TEMPLATES.includes(template)) {
+      return res.status(404).json({ error: 'Unknown email template' });
+    }
+
+    const { locale, format, ...overrides } = req.query;
+    const email = renderEmail(template, {
+      locale,
+      variables: { ...SAMPLE_VARIABLES[template], ...overrides },
+      unsubscribe: `${PUBLIC_API_URL}/api/waitlist/unsubscribe?token=preview`
+    });
+
+    res.set('Cache-Control', 'no-store');
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    res.type('html').send(email.html);
+  });
+
+  return router;
+};
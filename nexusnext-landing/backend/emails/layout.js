@@ -0,0 +1,82 @@
+// Shared branded layout for every email: the landing page's dark navy with the
+// blue -> purple gradient on the header and buttons. Table-based with inline
+// styles, because that's what email clients render reliably. Clients without
+// gradient support get the solid blue fallback.
+
+const COLORS = {
+  page: '#0a1323',
+  card: '#10182f',
+  text: '#e5e7eb',
+  muted: '#9ca3af',
+  faint: '#6b7280',
+  blue: '#1d4ed8'
+};
+const GRADIENT = 'linear-gradient(90deg,#3b82f6,#1d4ed8,#9333ea)';
+const FONT = "-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif";
+
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const paragraph = (text, color = COLORS.text, size = 16) =>
+  `<p style="margin:0 0 16px;color:${color};font-size:${size}px;line-height:1.6">${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+const button = ({ label, url }) =>
+  `<table role="presentation" cellpadding="0" cellspacing="0" style="margin:8px 0 24px"><tr>` +
+  `<td style="border-radius:9999px;background:${COLORS.blue};background-image:${GRADIENT}">` +
+  `<a href="${escapeHtml(url)}" style="display:inline-block;padding:14px 32px;color:#ffffff;font-weight:600;font-size:16px;text-decoration:none;border-radius:9999px">${escapeHtml(label)}</a>` +
+  `</td></tr></table>`;
+
+// content: { subject, preheader?, heading?, paragraphs?, action?: { label, url }, note?, html? }
+// `html` replaces heading/paragraphs with trusted markup (admin-written campaigns).
+// strings: the locale's layout strings; unsubscribeUrl adds the footer link.
+export const renderHtml = (content, { lang, dir, strings, unsubscribeUrl }) => {
+  const body = content.html ?? [
+    content.heading ? `<h1 style="margin:0 0 16px;color:#ffffff;font-size:24px;line-height:1.3">${escapeHtml(content.heading)}</h1>` : '',
+    ...(content.paragraphs || []).map(text => paragraph(text)),
+    content.action ? button(content.action) : '',
+    content.note ? paragraph(content.note, COLORS.muted, 14) : ''
+  ].join('');
+
+  const footer = [
+    paragraph(strings.signOff, COLORS.muted, 14),
+    paragraph(strings.reason, COLORS.faint, 12),
+    unsubscribeUrl
+      ? `<p style="margin:0;font-size:12px"><a href="${escapeHtml(unsubscribeUrl)}" style="color:${COLORS.faint}">${escapeHtml(strings.unsubscribe)}</a></p>`
+      : ''
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="color-scheme" content="dark">
+<title>${escapeHtml(content.subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.page};font-family:${FONT}">
+<div style="display:none;max-height:0;overflow:hidden;opacity:0">${escapeHtml(content.preheader || '')}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${COLORS.page}"><tr><td align="center" style="padding:32px 16px">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:${COLORS.card};border-radius:16px;overflow:hidden">
+<tr><td style="padding:24px 32px;background:${COLORS.blue};background-image:${GRADIENT}">
+<span style="color:#ffffff;font-size:22px;font-weight:700;letter-spacing:0.5px">Nexusnext</span>
+</td></tr>
+<tr><td style="padding:32px;text-align:start">${body}</td></tr>
+<tr><td style="padding:0 32px 32px;text-align:start;border-top:1px solid rgba(255,255,255,0.1)"><div style="height:24px"></div>${footer}</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>`;
+};
+
+// Plain-text alternative with the same content
+export const renderText = (content, { strings, unsubscribeUrl }) => [
+  content.text ?? [
+    content.heading,
+    ...(content.paragraphs || []),
+    content.action ? `${content.action.label}: ${content.action.url}` : null,
+    content.note
+  ].filter(Boolean).join('\n\n'),
+  `— ${strings.signOff}`,
+  strings.reason,
+  unsubscribeUrl ? `${strings.unsubscribe}: ${unsubscribeUrl}` : null
+].filter(Boolean).join('\n\n');
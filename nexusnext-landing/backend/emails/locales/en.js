@@ -0,0 +1,86 @@
+// English email copy (the fallback for every other locale).
+// Each template takes its variables plus a number formatter and returns the
+// content blocks layout.js renders.
+
+export default {
+  dir: 'ltr',
+
+  layout: {
+    signOff: 'The Nexusnext team',
+    reason: "You're receiving this because you joined the Nexusnext waitlist.",
+    unsubscribe: 'Unsubscribe'
+  },
+
+  templates: {
+    confirmation: ({ confirmUrl, expiresHours }) => ({
+      subject: 'Confirm your spot on the Nexusnext waitlist',
+      preheader: 'One click to secure your place in line.',
+      heading: 'Thanks for joining Nexusnext!',
+      paragraphs: ['Confirm your email to secure your spot on the waitlist.'],
+      action: { label: 'Confirm your email', url: confirmUrl },
+      note: `This link expires in ${expiresHours} hours. If you didn't sign up, you can ignore this email.`
+    }),
+
+    welcome: ({ position, total, shareUrl, referralCode }, { number }) => ({
+      subject: `Welcome to Nexusnext — you're #${number(position)} on the waitlist`,
+      preheader: 'Invite friends to move up the line.',
+      heading: "You're on the list!",
+      paragraphs: [
+        `Your email is confirmed. You're currently #${number(position)} of ${number(total)} people waiting.`,
+        'Want to get in sooner? Every friend who joins and confirms with your link moves you up the line.'
+      ],
+      action: { label: 'Share your referral link', url: shareUrl },
+      note: `Your referral code: ${referralCode}`
+    }),
+
+    'position-update': ({ position, total, referralCount, shareUrl }, { number }) => ({
+      subject: `You moved up: you're now #${number(position)}`,
+      preheader: 'A friend you invited just confirmed.',
+      heading: 'A friend confirmed their spot!',
+      paragraphs: [
+        `Thanks to your referrals you're now #${number(position)} of ${number(total)}.`,
+        `Confirmed referrals so far: ${number(referralCount)}.`
+      ],
+      action: { label: 'Invite more friends', url: shareUrl }
+    }),
+
+    invite: ({ code, inviteUrl, expiresDays }) => ({
+      subject: "You're in: your Nexusnext invite",
+      preheader: 'Your spot on the waitlist came up.',
+      heading: "It's your turn!",
+      paragraphs: [
+        'Your spot on the Nexusnext waitlist came up, and we saved you a place.',
+        `Your invite code: ${code}`
+      ],
+      action: { label: 'Accept your invite', url: inviteUrl },
+      note: `The code works once and expires in ${expiresDays} days.`
+    }),
+
+    launch: ({ launchUrl }) => ({
+      subject: 'Nexusnext is live 🚀',
+      preheader: "The wait is over — you're among the first in.",
+      heading: 'The wait is over',
+      paragraphs: [
+        "Nexusnext is live, and as one of our waitlist members you're among the first to get access."
+      ],
+      action: { label: 'Open Nexusnext', url: launchUrl },
+      note: 'Thank you for being with us from the start.'
+    }),
+
+    'data-request': ({ purpose, actionUrl, expiresMinutes }) => ({
+      subject: purpose === 'export' ? 'Your Nexusnext data export' : 'Confirm deletion of your Nexusnext data',
+      preheader: purpose === 'export' ? 'Your download link is inside.' : 'Confirm to delete your data.',
+      heading: purpose === 'export' ? 'Your data export' : 'Delete your data',
+      paragraphs: [
+        purpose === 'export'
+          ? 'We received a request to download a copy of your data on the Nexusnext waitlist.'
+          : 'We received a request to permanently delete your data from the Nexusnext waitlist.'
+      ],
+      action: {
+        label: purpose === 'export' ? 'Download my data' : 'Delete my data',
+        url: actionUrl
+      },
+      note: `This link expires in ${expiresMinutes} minutes. If you didn't request this, you can ignore this email.`
+    })
+  }
+};
@@ -0,0 +1,84 @@
+// Hindi email copy. Templates missing here fall back to English (see ../index.js).
+
+export default {
+  dir: 'ltr',
+
+  layout: {
+    signOff: 'Nexusnext टीम',
+    reason: 'आपको यह ईमेल इसलिए मिला है क्योंकि आप Nexusnext वेटलिस्ट से जुड़े हैं।',
+    unsubscribe: 'अनसब्सक्राइब करें'
+  },
+
+  templates: {
+    confirmation: ({ confirmUrl, expiresHours }) => ({
+      subject: 'Nexusnext वेटलिस्ट पर अपनी जगह कन्फ़र्म करें',
+      preheader: 'लाइन में अपनी जगह पक्की करने के लिए बस एक क्लिक।',
+      heading: 'Nexusnext से जुड़ने के लिए धन्यवाद!',
+      paragraphs: ['वेटलिस्ट पर अपनी जगह पक्की करने के लिए अपना ईमेल कन्फ़र्म करें।'],
+      action: { label: 'ईमेल कन्फ़र्म करें', url: confirmUrl },
+      note: `यह लिंक ${expiresHours} घंटे में समाप्त हो जाएगा। अगर आपने साइन अप नहीं किया है, तो इस ईमेल को अनदेखा करें।`
+    }),
+
+    welcome: ({ position, total, shareUrl, referralCode }, { number }) => ({
+      subject: `Nexusnext में आपका स्वागत है — वेटलिस्ट पर आप #${number(position)} पर हैं`,
+      preheader: 'दोस्तों को आमंत्रित करें और लाइन में आगे बढ़ें।',
+      heading: 'आप लिस्ट में हैं!',
+      paragraphs: [
+        `आपका ईमेल कन्फ़र्म हो गया है। फ़िलहाल आप ${number(total)} लोगों में #${number(position)} पर हैं।`,
+        'जल्दी पहुँच चाहते हैं? आपके लिंक से जुड़कर कन्फ़र्म करने वाला हर दोस्त आपको लाइन में आगे ले जाता है।'
+      ],
+      action: { label: 'अपना रेफ़रल लिंक शेयर करें', url: shareUrl },
+      note: `आपका रेफ़रल कोड: ${referralCode}`
+    }),
+
+    'position-update': ({ position, total, referralCount, shareUrl }, { number }) => ({
+      subject: `आप आगे बढ़ गए हैं: अब आप #${number(position)} पर हैं`,
+      preheader: 'आपके आमंत्रित एक दोस्त ने अभी कन्फ़र्म किया है।',
+      heading: 'आपके एक दोस्त ने अपनी जगह कन्फ़र्म की!',
+      paragraphs: [
+        `आपके रेफ़रल की बदौलत अब आप ${number(total)} में से #${number(position)} पर हैं।`,
+        `अब तक कन्फ़र्म रेफ़रल: ${number(referralCount)}।`
+      ],
+      action: { label: 'और दोस्तों को आमंत्रित करें', url: shareUrl }
+    }),
+
+    invite: ({ code, inviteUrl, expiresDays }) => ({
+      subject: 'आपका Nexusnext इनवाइट आ गया है',
+      preheader: 'वेटलिस्ट पर आपकी बारी आ गई है।',
+      heading: 'आपकी बारी आ गई!',
+      paragraphs: [
+        'Nexusnext वेटलिस्ट पर आपकी बारी आ गई है, और हमने आपके लिए जगह रखी है।',
+        `आपका इनवाइट कोड: ${code}`
+      ],
+      action: { label: 'इनवाइट स्वीकार करें', url: inviteUrl },
+      note: `यह कोड सिर्फ़ एक बार काम करता है और ${expiresDays} दिन में समाप्त हो जाएगा।`
+    }),
+
+    launch: ({ launchUrl }) => ({
+      subject: 'Nexusnext लाइव है 🚀',
+      preheader: 'इंतज़ार ख़त्म — सबसे पहले पहुँचने वालों में आप हैं।',
+      heading: 'इंतज़ार ख़त्म हुआ',
+      paragraphs: [
+        'Nexusnext अब लाइव है, और वेटलिस्ट के सदस्य होने के नाते आपको सबसे पहले ऐक्सेस मिल रहा है।'
+      ],
+      action: { label: 'Nexusnext खोलें', url: launchUrl },
+      note: 'शुरुआत से हमारे साथ रहने के लिए धन्यवाद।'
+    }),
+
+    'data-request': ({ purpose, actionUrl, expiresMinutes }) => ({
+      subject: purpose === 'export' ? 'आपका Nexusnext डेटा एक्सपोर्ट' : 'अपना Nexusnext डेटा हटाने की पुष्टि करें',
+      preheader: purpose === 'export' ? 'डाउनलोड लिंक अंदर है।' : 'अपना डेटा हटाने के लिए पुष्टि करें।',
+      heading: purpose === 'export' ? 'आपका डेटा एक्सपोर्ट' : 'अपना डेटा हटाएँ',
+      paragraphs: [
+        purpose === 'export'
+          ? 'हमें Nexusnext वेटलिस्ट पर आपके डेटा की एक कॉपी डाउनलोड करने का अनुरोध मिला है।'
+          : 'हमें Nexusnext वेटलिस्ट से आपका डेटा स्थायी रूप से हटाने का अनुरोध मिला है।'
+      ],
+      action: {
+        label: purpose === 'export' ? 'मेरा डेटा डाउनलोड करें' : 'मेरा डेटा हटाएँ',
+        url: actionUrl
+      },
+      note: `यह लिंक ${expiresMinutes} मिनट में समाप्त हो जाएगा। अगर आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।`
+    })
+  }
+};
@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+// Right to erasure: deletes a member's waitlist entry and every row that copied
+// their address. Both the public DELETE /api/waitlist (emailed link) and the admin
+// DELETE /api/admin/waitlist/:email go through here, so every table is cleaned the same way.
+
+// Stable key for "rows about this member" in tables that can't be searched by
+// address (e.g. the JSON webhook payloads). Hashed so the key itself isn't the address.
+export const memberHash = (email) =>
+  crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+
+export const createErasure = ({ waitlist, webhookDeliveries, campaigns, invites }) => ({
+  // Returns true if the member was on the waitlist
+  async erase(email) {
+    // Outbox rows first: an undelivered event must not go out after the entry is gone
+    await webhookDeliveries.removeForMember(memberHash(email));
+    // Unsent campaign emails to them are dropped along with the send log
+    await campaigns.removeForMember(email);
+    // Their invites go too; batch stats then count one invite fewer
+    await invites.removeForMember(email);
+    return waitlist.remove(email);
+  }
+});
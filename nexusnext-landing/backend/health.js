@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { METRICS_CONTENT_TYPE, renderMetrics } from './metrics.js';
+
+// Probes for the hosting platform, mounted at the root:
+//   GET /healthz  liveness: the process is up and serving requests
+//   GET /readyz   readiness: storage is reachable; a failing mail transport is reported
+//                 as "degraded" without taking the API out of rotation (signups are still stored)
+//   GET /metrics  Prometheus metrics (Bearer METRICS_TOKEN when set)
+
+const CHECK_TIMEOUT_MS = 5000;
+// The mail check calls an external API, so reuse a recent result between probes
+const MAIL_CHECK_CACHE_MS = 60000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run a check, returning { ok, latencyMs, error? }
+const runCheck = async (check) => {
+  const start = Date.now();
+  try {
+    await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { ok: true, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - start, error: error.message };
+  }
+};
+
+const matchesMetricsToken = (header) => {
+  if (!config.METRICS_TOKEN) return true;
+  const [scheme, token] = (header || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(config.METRICS_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+export const createHealthRouter = ({ storage, mailer }) => {
+  const router = express.Router();
+  let mailCheck = null;
+
+  const checkMail = async () => {
+    if (!mailCheck || Date.now() - mailCheck.checkedAt > MAIL_CHECK_CACHE_MS) {
+      mailCheck = { result: await runCheck(() => mailer.check()), checkedAt: Date.now() };
+    }
+    return { ...mailCheck.result, transport: mailer.name };
+  };
+
+  // GET /healthz route: liveness, no dependencies checked
+  router.get('/healthz', (_req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // GET /readyz route: 503 until storage responds; "degraded" while mail doesn't
+  router.get('/readyz', async (_req, res) => {
+    const [storageResult, mailResult] = await Promise.all([
+      runCheck(() => storage.ping()).then(result => ({ ...result, driver: storage.driver })),
+      checkMail()
+    ]);
+    const ready = storageResult.ok;
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      status: !ready ? 'unavailable' : mailResult.ok ? 'ready' : 'degraded',
+      checks: { storage: storageResult, mail: mailResult }
+    });
+  });
+
+  // GET /metrics route: Prometheus text format
+  router.get('/metrics', (req, res) => {
+    if (!matchesMetricsToken(req.get('Authorization'))) {
+      return res.status(401).json({ error: 'Metrics authentication required' });
+    }
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics());
+  });
+
+  return router;
+};
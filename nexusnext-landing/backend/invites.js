@@ -0,0 +1,376 @@
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { createRateLimiter } from './abuse.js';
+import { requireAdmin } from './admin.js';
+import { parseSegment, inSegment } from './campaigns.js';
+import { composeEmail } from './emails/index.js';
+import { CODE_ALPHABET, computePositions } from './referrals.js';
+import { deriveSecret } from './tokens.js';
+import { canonicalizeEmail } from '@nexusnext/shared/emailValidation.mjs';
+
+// Batch admission: admins admit the next N people (by queue position, optionally
+// within a segment); each gets a single-use invite code that expires after
+// INVITE_TTL_DAYS. Public redemption is POST /api/invites/redeem, admin routes
+// are under /api/admin/invites.
+//
+// Waitlist entries track admission separately from their email status:
+//   waiting -> invited -> redeemed | expired
+//
+// Codes are derived from the invite id with the token secret and only their
+// hash is stored, so emails can be (re)sent after a restart without keeping
+// redeemable codes in the database.
+
+const { INVITE_TTL_DAYS, INVITE_URL, MAIL_SEND_RATE } = config;
+
+const MAX_ADMIT = 500;
+const EMAIL_BATCH_SIZE = 50;
+const CODE_LENGTH = 12;
+const EXPIRY_SWEEP_MS = 3600 * 1000;
+
+const redeemLimiter = createRateLimiter({ windowSeconds: 3600, max: 20 });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// "ABCD2345EFGH" (12 chars from the referral alphabet, ~59 bits)
+const inviteCode = (id) => {
+  const bytes = deriveSecret('invite', id);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+// Grouped for reading in an email: ABCD-2345-EFGH
+const formatCode = (code) => code.match(/.{1,4}/g).join('-');
+
+// Accept any case, spaces and dashes; null if it can't be a code
+export const normalizeInviteCode = (input) => {
+  if (typeof input !== 'string') return null;
+  const code = input.toUpperCase().replace(/[\s-]/g, '');
+  return code.length === CODE_LENGTH && [...code].every(char => CODE_ALPHABET.includes(char)) ? code : null;
+};
+
+const inviteUrl = (code) => {
+  const url = new URL(INVITE_URL);
+  url.searchParams.set('invite', code);
+  return url.toString();
+};
+
+export const createInvites = ({ invites, waitlist, mailer, ttlDays = INVITE_TTL_DAYS, sendRate = MAIL_SEND_RATE }) => {
+  let sending = null;
+  let timer = null;
+
+  // Expire overdue invites and move their entries to "expired"
+  const expireOverdue = async () => {
+    const expired = await invites.expireOverdue(new Date());
+    for (const invite of expired) {
+      await waitlist.update(invite.email, { admission: 'expired' }, { onlyIfAdmission: 'invited' });
+    }
+    return expired.length;
+  };
+
+  // Returns false if another dispatcher claimed the invite first
+  const sendInvite = async (invite) => {
+    // Claim first, so two dispatchers can't both send it
+    const claimed = await invites.updateEmail(invite.id, { email_status: 'sending' }, { onlyIfEmailStatus: invite.email_status });
+    if (!claimed) return false;
+
+    const entry = await waitlist.findByEmail(invite.email);
+    if (!entry || entry.status === 'unsubscribed' || invite.status !== 'active') {
+      await invites.updateEmail(invite.id, { email_status: 'skipped' });
+      return true;
+    }
+
+    const code = inviteCode(invite.id);
+    try {
+      await mailer.send({
+        ...composeEmail({
+          to: entry.email,
+          locale: entry.locale,
+          template: 'invite',
+          variables: { code: formatCode(code), inviteUrl: inviteUrl(code), expiresDays: ttlDays }
+        }),
+        idempotencyKey: `invite:${invite.id}`
+      });
+      await invites.updateEmail(invite.id, { email_status: 'sent', last_error: null, sent_at: new Date().toISOString() });
+    } catch (error) {
+      await invites.updateEmail(invite.id, {
+        email_status: 'failed',
+        last_error: String(error.response?.data?.message || error.message).slice(0, 500)
+      });
+    }
+    return true;
+  };
+
+  // Send every unsent invite email at MAIL_SEND_RATE. Overlapping calls share one run.
+  const dispatch = () => {
+    if (sending) return sending;
+    sending = (async () => {
+      try {
+        // Invites we couldn't claim stay unsent, so later batches page past them instead of refetching them
+        let skipped = 0;
+        let batch;
+        do {
+          batch = await invites.unsent(EMAIL_BATCH_SIZE, skipped);
+          for (const invite of batch) {
+            const started = Date.now();
+            if (!await sendInvite(invite)) {
+              skipped += 1;
+              continue;
+            }
+            await sleep(Math.max(1000 / sendRate - (Date.now() - started), 0));
+          }
+        } while (batch.length === EMAIL_BATCH_SIZE);
+      } catch (error) {
+        console.error('Error sending invites:', error);
+      } finally {
+        sending = null;
+      }
+    })();
+    return sending;
+  };
+
+  return {
+    // Pick the next `count` confirmed entries by queue position that are waiting
+    // (or expired, with includeExpired) and match the segment. With dryRun, only
+    // report who would be invited. Returns { batchId, invited: [{ email, position }] }
+    async admit({ count, segment, includeExpired = false, dryRun = false }) {
+      await expireOverdue();
+
+      const entries = await waitlist.all({}, {
+        columns: ['email', 'status', 'created_at', 'admission', 'referral_code', 'referred_by', 'utm_source', 'utm_campaign', 'referrer']
+      });
+      const { positions } = computePositions(entries);
+      const positionOf = (entry) => positions.get(entry.referral_code)?.position ?? Infinity;
+      const admissible = ['waiting', ...(includeExpired ? ['expired'] : [])];
+
+      const selected = entries
+        .filter(entry => admissible.includes(entry.admission || 'waiting') && inSegment(segment, entry))
+        .sort((a, b) => positionOf(a) - positionOf(b))
+        .slice(0, count);
+
+      const invited = selected.map(entry => ({ email: entry.email, position: positionOf(entry) }));
+      if (dryRun) return { batchId: null, invited };
+
+      const batchId = crypto.randomUUID();
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlDays * 86400000).toISOString();
+
+      for (const entry of selected) {
+        const id = crypto.randomUUID();
+        await invites.add({
+          id,
+          code_hash: hashCode(inviteCode(id)),
+          email: entry.email,
+          batch_id: batchId,
+          expires_at: expiresAt
+        });
+        await waitlist.update(entry.email, { admission: 'invited', invited_at: now.toISOString() });
+      }
+
+      dispatch();
+      return { batchId, invited };
+    },
+
+    // Validate and consume a code. Returns { invite } or { error: 'invalid' | 'redeemed' | 'expired' }.
+    // With `email`, the code must belong to that address (compared in canonical form).
+    async redeem(input, email) {
+      const code = normalizeInviteCode(input);
+      const invite = code && await invites.findByHash(hashCode(code));
+      if (!invite) return { error: 'invalid' };
+      if (email && canonicalizeEmail(email) !== canonicalizeEmail(invite.email)) return { error: 'invalid' };
+
+      if (invite.status === 'redeemed') return { error: 'redeemed' };
+      if (invite.status === 'expired' || new Date(invite.expires_at) < new Date()) {
+        await expireOverdue();
+        return { error: 'expired' };
+      }
+
+      const redeemedAt = new Date().toISOString();
+      const redeemed = await invites.update(invite.id, { status: 'redeemed', redeemed_at: redeemedAt }, { onlyIfStatus: 'active' });
+      if (!redeemed) return { error: 'redeemed' }; // lost a race with another redemption
+
+      await waitlist.update(invite.email, { admission: 'redeemed', redeemed_at: redeemedAt });
+      return { invite: redeemed };
+    },
+
+    // Funnel for the admin dashboard: entries per admission state, and per batch
+    // how many invites were redeemed or expired. conversionRate is redeemed / invited.
+    async stats() {
+      await expireOverdue();
+      const [entries, all] = await Promise.all([
+        waitlist.all({}, { columns: ['status', 'admission'] }),
+        invites.all({ columns: ['batch_id', 'status', 'created_at'] })
+      ]);
+
+      const admission = { waiting: 0, invited: 0, redeemed: 0, expired: 0 };
+      for (const entry of entries) {
+        if (entry.status === 'unsubscribed') continue;
+        const state = entry.admission || 'waiting';
+        admission[state] = (admission[state] || 0) + 1;
+      }
+
+      const rate = (redeemed, invited) => (invited ? Math.round((redeemed / invited) * 1000) / 1000 : 0);
+      const batches = new Map();
+      for (const invite of all) {
+        if (!batches.has(invite.batch_id)) {
+          batches.set(invite.batch_id, { batchId: invite.batch_id, createdAt: invite.created_at, invited: 0, active: 0, redeemed: 0, expired: 0 });
+        }
+        const batch = batches.get(invite.batch_id);
+        batch.invited += 1;
+        batch[invite.status] += 1;
+      }
+
+      const redeemed = all.filter(invite => invite.status === 'redeemed').length;
+      return {
+        admission,
+        invites: all.length,
+        redeemed,
+        conversionRate: rate(redeemed, all.length),
+        batches: [...batches.values()]
+          .map(batch => ({ ...batch, conversionRate: rate(batch.redeemed, batch.invited) }))
+          .reverse()
+      };
+    },
+
+    // Queue failed invite emails again
+    async retryFailed() {
+      const requeued = await invites.requeueFailed();
+      if (requeued) dispatch();
+      return requeued;
+    },
+
+    dispatch,
+
+    // Send anything left over from before a restart and sweep expiries hourly
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        expireOverdue().catch(error => console.error('Error expiring invites:', error));
+      }, EXPIRY_SWEEP_MS);
+      timer.unref();
+      dispatch();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+// POST /api/invites/redeem error responses
+// status, stable error code (for the landing page's translations), message
+const REDEEM_ERRORS = {
+  invalid: [404, 'invalid_invite', 'Invalid invite code'],
+  redeemed: [409, 'invite_used', 'This invite code has already been used'],
+  expired: [410, 'invite_expired', 'This invite code has expired']
+};
+
+// Public invite routes, mounted at /api/invites
+export const createInvitesRouter = ({ admission }) => {
+  const router = express.Router();
+
+  // POST /api/invites/redeem route: { code, email? } validates and consumes a code
+  router.post('/redeem', async (req, res) => {
+    const { allowed, retryAfter } = redeemLimiter.hit(req.ip);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'rate_limited', retryAfter });
+    }
+
+    const { code, email } = req.body || {};
+    if (typeof code !== 'string' || (email !== undefined && typeof email !== 'string')) {
+      return res.status(400).json({ error: 'Invite code is required', code: 'invalid_invite' });
+    }
+
+    try {
+      const { invite, error } = await admission.redeem(code, email);
+      if (error) {
+        const [status, code, message] = REDEEM_ERRORS[error];
+        return res.status(status).json({ error: message, code });
+      }
+
+      // Whoever holds the code learns only that it worked, not whose it was
+      res.json({ message: 'Invite redeemed. Welcome to Nexusnext!', redeemedAt: invite.redeemed_at });
+    } catch (error) {
+      console.error('Error in /api/invites/redeem:', error);
+      res.status(500).json({ error: 'Failed to redeem invite.', code: 'server_error' });
+    }
+  });
+
+  return router;
+};
+
+// Admin invite routes, mounted at /api/admin/invites
+export const createInviteAdminRouter = ({ invites, admission }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // POST /api/admin/invites/admit route: { count, segment?, includeExpired?, dryRun? }
+  router.post('/admit', async (req, res) => {
+    const { count, includeExpired = false, dryRun = false } = req.body || {};
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ADMIT) {
+      return res.status(400).json({ error: `count must be between 1 and ${MAX_ADMIT}` });
+    }
+    if (typeof includeExpired !== 'boolean' || typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'includeExpired and dryRun must be true or false' });
+    }
+    const { segment, error } = parseSegment(req.body.segment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const result = await admission.admit({ count, segment, includeExpired, dryRun });
+
+      res.status(dryRun ? 200 : 201).json({ ...result, count: result.invited.length, dryRun });
+    } catch (error) {
+      console.error('Error in /api/admin/invites/admit:', error);
+      res.status(500).json({ error: 'Failed to admit waitlist entries.' });
+    }
+  });
+
+  // GET /api/admin/invites/stats route: admission funnel and per-batch conversion
+  router.get('/stats', async (_req, res) => {
+    try {
+      res.json(await admission.stats());
+    } catch (error) {
+      console.error('Error in /api/admin/invites/stats:', error);
+      res.status(500).json({ error: 'Failed to load invite stats.' });
+    }
+  });
+
+  // GET /api/admin/invites route: invites, filter by ?status= (active | redeemed | expired) and ?batch=
+  router.get('/', async (req, res) => {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    try {
+      const { invites: list, total } = await invites.list({ status: req.query.status, batchId: req.query.batch }, { page, pageSize });
+
+      res.json({ invites: list, total, page, pageSize });
+    } catch (error) {
+      console.error('Error in /api/admin/invites:', error);
+      res.status(500).json({ error: 'Failed to load invites.' });
+    }
+  });
+
+  // POST /api/admin/invites/retry-failed route: resend invite emails that failed
+  router.post('/retry-failed', async (_req, res) => {
+    try {
+      const requeued = await admission.retryFailed();
+
+      res.json({ message: `${requeued} invite email(s) queued again.`, requeued });
+    } catch (error) {
+      console.error('Error in /api/admin/invites/retry-failed:', error);
+      res.status(500).json({ error: 'Failed to retry invite emails.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,21 @@
+import { config } from './config.js';
+import { signToken } from './tokens.js';
+
+// Links we put in emails, shared by the waitlist routes and broadcast campaigns
+
+const { FRONTEND_URL, PUBLIC_API_URL, UNSUBSCRIBE_TOKEN_TTL_DAYS } = config;
+
+// Build a link back to the landing page's waitlist section with query flags
+export const landingUrl = (status, params = {}) =>
+  `${FRONTEND_URL}/?${new URLSearchParams({ waitlist: status, ...params })}#join`;
+
+// Signed one-click unsubscribe link, included in every email we send
+export const unsubscribeUrl = (email) => {
+  const token = signToken('unsubscribe', { email }, UNSUBSCRIBE_TOKEN_TTL_DAYS * 86400);
+  return `${PUBLIC_API_URL}/api/waitlist/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+// Link visitors share to refer friends
+export const shareUrl = (referralCode) =>
+  `${FRONTEND_URL}/?ref=${encodeURIComponent(referralCode)}#join`;
+
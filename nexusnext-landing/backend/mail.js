@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { config } from './config.js';
+
+// Mail transports all expose the same shape:
+//   { name, send({ to, subject, html, text, headers, idempotencyKey }), check() }
+// idempotencyKey (optional) lets a retried send be deduplicated by the provider (Resend keeps keys for 24h).
+// check() resolves when the transport can deliver (reported by GET /readyz) and throws otherwise.
+// MAIL_TRANSPORT picks one: 'resend' (production), 'file' or 'console' (dev/tests).
+
+const createResendTransport = ({ apiKey, from }) => ({
+  name: 'resend',
+  async send({ to, subject, html, text, headers, idempotencyKey }) {
+    const { data } = await axios.post(
+      'https://api.resend.com/emails',
+      { from, to: [to], subject, html, text, headers },
+      {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+        },
+        timeout: 10000
+      }
+    );
+    return { id: data.id };
+  },
+  // Cheapest authenticated call: proves the API is reachable and the key works.
+  // Send-only keys may not list domains; Resend answers those with restricted_api_key,
+  // which still means the key is valid.
+  async check() {
+    try {
+      await axios.get('https://api.resend.com/domains', {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 5000
+      });
+    } catch (error) {
+      if (error.response?.data?.name !== 'restricted_api_key') throw error;
+    }
+  }
+});
+
+// Writes each message as a JSON file, handy for inspecting links locally
+const createFileTransport = ({ dir, from }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ from, ...message }, null, 2)
+    );
+    return { id };
+  },
+  async check() {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.access(dir, fs.constants.W_OK);
+  }
+});
+
+const createConsoleTransport = ({ from }) => ({
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`[mail] from=${from} to=${to} subject="${subject}"\n${text}`);
+    return { id: `console-${Date.now()}` };
+  },
+  async check() {}
+});
+
+export const createMailTransport = ({
+  transport = config.MAIL_TRANSPORT,
+  apiKey = config.RESEND_API_KEY,
+  from = config.RESEND_FROM,
+  dir = config.MAIL_OUTBOX_DIR
+} = {}) => {
+  // Default to Resend when a key is configured, otherwise log to the console
+  const name = transport || (apiKey ? 'resend' : 'console');
+
+  switch (name) {
+    case 'resend':
+      if (!apiKey || !from) {
+        throw new Error('Resend transport requires RESEND_API_KEY and RESEND_FROM');
+      }
+      return createResendTransport({ apiKey, from });
+    case 'file':
+      return createFileTransport({ dir, from });
+    case 'console':
+      return createConsoleTransport({ from });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+};
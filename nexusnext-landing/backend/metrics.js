@@ -0,0 +1,128 @@
+// In-process Prometheus metrics, exposed as text at GET /metrics.
+// Deliberately tiny (counters and histograms only) so we don't need prom-client.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelString = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their sorted label set
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export const createCounter = ({ name, help }) => {
+  const series = new Map();
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${labelString(labels)} ${value}`)
+      ];
+    }
+  };
+  metrics.push(counter);
+  return counter;
+};
+
+export const createHistogram = ({ name, help, buckets = LATENCY_BUCKETS }) => {
+  const series = new Map();
+  const histogram = {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+        lines.push(`${name}_count${labelString(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  metrics.push(histogram);
+  return histogram;
+};
+
+// Prometheus text exposition format (version 0.0.4)
+export const renderMetrics = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// --- Application metrics ---
+
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code.'
+});
+
+const httpDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route.'
+});
+
+// outcome: success (new entry) | duplicate (already on the list) | failure (server error)
+export const signups = createCounter({
+  name: 'waitlist_signups_total',
+  help: 'Waitlist signup attempts by outcome.'
+});
+
+// outcome: sent | failed
+export const emailsSent = createCounter({
+  name: 'emails_sent_total',
+  help: 'Outgoing emails by transport and outcome.'
+});
+
+// Middleware: count and time every request. Routes are labelled by their
+// pattern (/api/waitlist/status, not ?code=...) to keep label cardinality bounded.
+export const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/' : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+};
+
+// Wrap a mail transport (see mail.js) so every send is counted
+export const instrumentMailer = (mailer) => ({
+  ...mailer,
+  async send(message) {
+    try {
+      const result = await mailer.send(message);
+      emailsSent.inc({ transport: mailer.name, outcome: 'sent' });
+      return result;
+    } catch (error) {
+      emailsSent.inc({ transport: mailer.name, outcome: 'failed' });
+      throw error;
+    }
+  }
+});
@@ -0,0 +1,39 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage } from './storage/index.js';
+
+// Schema migrations, versioned by file name prefix (001_, 002_, ...).
+//   node migrate.js          apply (SQLite) or list pending (Supabase) migrations
+// SQLite applies migrations/sqlite automatically. Supabase DDL can't run through
+// the API, so pending migrations/postgres files are listed for `supabase db push`
+// or the SQL editor; each file records itself in schema_migrations.
+
+const POSTGRES_MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations', 'postgres');
+
+const storage = await createStorage();
+
+if (storage.driver === 'supabase') {
+  const { data, error } = await storage.client.from('schema_migrations').select('version');
+  // 42P01: schema_migrations doesn't exist yet, so nothing has been applied
+  if (error && error.code !== '42P01') throw error;
+
+  const applied = new Set((data || []).map(row => row.version));
+  const pending = fs.readdirSync(POSTGRES_MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file) && !applied.has(file.split('_')[0]))
+    .sort();
+
+  if (pending.length) {
+    console.log('Pending Supabase migrations (apply in order):');
+    pending.forEach(file => console.log(`  ${path.join(POSTGRES_MIGRATIONS_DIR, file)}`));
+    process.exitCode = 1;
+  } else {
+    console.log('Supabase schema is up to date.');
+  }
+} else {
+  // createStorage already ran pending SQLite migrations
+  console.log(`${storage.driver} storage is up to date.`);
+}
+
+await storage.close();
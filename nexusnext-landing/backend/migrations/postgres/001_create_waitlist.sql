@@ -0,0 +1,31 @@
+-- Waitlist signups (double opt-in, referrals, unsubscribe).
+-- The original table only had email/created_at, so everything is added idempotently.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version text PRIMARY KEY,
+  applied_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS waitlist (
+  email text PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_email_key ON waitlist (email);
+
+-- Signups from before double opt-in were explicit, so they count as confirmed
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS status text;  -- pending | confirmed | unsubscribed
+UPDATE waitlist SET status = 'confirmed' WHERE status IS NULL;
+ALTER TABLE waitlist ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE waitlist ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS referral_code text UNIQUE;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS referred_by text;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS confirmed_at timestamptz;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS unsubscribed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS waitlist_created_at_idx ON waitlist (created_at);
+CREATE INDEX IF NOT EXISTS waitlist_referred_by_idx ON waitlist (referred_by);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE waitlist ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('001') ON CONFLICT DO NOTHING;
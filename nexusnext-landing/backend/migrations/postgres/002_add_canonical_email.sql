@@ -0,0 +1,15 @@
+-- Canonical form of the address (see shared emailValidation canonicalizeEmail), used for dedupe.
+-- Not unique: older rows may already contain the same inbox twice.
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS canonical_email text;
+
+-- Backfill: lower-case everything, and fold Gmail dots/+tags like canonicalizeEmail does
+UPDATE waitlist SET canonical_email = CASE
+    WHEN split_part(lower(email), '@', 2) IN ('gmail.com', 'googlemail.com')
+      THEN replace(split_part(split_part(lower(email), '@', 1), '+', 1), '.', '') || '@gmail.com'
+    ELSE lower(email)
+  END
+WHERE canonical_email IS NULL;
+
+CREATE INDEX IF NOT EXISTS waitlist_canonical_email_idx ON waitlist (canonical_email);
+
+INSERT INTO schema_migrations (version) VALUES ('002') ON CONFLICT DO NOTHING;
@@ -0,0 +1,15 @@
+-- First-touch campaign attribution captured by the landing page (see attribution.js)
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS utm_source text,
+  ADD COLUMN IF NOT EXISTS utm_medium text,
+  ADD COLUMN IF NOT EXISTS utm_campaign text,
+  ADD COLUMN IF NOT EXISTS utm_term text,
+  ADD COLUMN IF NOT EXISTS utm_content text,
+  ADD COLUMN IF NOT EXISTS referrer text,
+  ADD COLUMN IF NOT EXISTS landing_path text,
+  ADD COLUMN IF NOT EXISTS locale text,
+  ADD COLUMN IF NOT EXISTS timezone text;
+
+CREATE INDEX IF NOT EXISTS waitlist_utm_source_idx ON waitlist (utm_source);
+
+INSERT INTO schema_migrations (version) VALUES ('003') ON CONFLICT DO NOTHING;
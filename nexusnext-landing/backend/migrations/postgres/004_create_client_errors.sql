@@ -0,0 +1,22 @@
+-- Errors reported by the landing page (POST /api/client-errors), one row per fingerprint
+CREATE TABLE IF NOT EXISTS client_errors (
+  fingerprint text PRIMARY KEY,
+  message text NOT NULL,
+  stack text,
+  component_stack text,
+  source text NOT NULL,          -- boundary | error | unhandledrejection
+  url text,
+  release text NOT NULL,
+  user_agent text,
+  request_id text,
+  count integer NOT NULL DEFAULT 1,
+  first_seen_at timestamptz NOT NULL DEFAULT now(),
+  last_seen_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS client_errors_last_seen_at_idx ON client_errors (last_seen_at);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE client_errors ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('004') ON CONFLICT DO NOTHING;
@@ -0,0 +1,18 @@
+-- Real-user performance samples from the landing page (POST /api/vitals)
+CREATE TABLE IF NOT EXISTS vitals (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  metric text NOT NULL,          -- LCP, INP, CLS, FCP, FID, TTFB, scene_init, first_3d_frame
+  value double precision NOT NULL, -- milliseconds (CLS: unitless score)
+  section text NOT NULL,         -- page | hero | dna
+  device_class text NOT NULL,    -- mobile | tablet | desktop
+  quality text,                  -- low | medium | high
+  release text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS vitals_created_at_idx ON vitals (created_at);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE vitals ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('005') ON CONFLICT DO NOTHING;
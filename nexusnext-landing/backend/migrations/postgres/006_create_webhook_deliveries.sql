@@ -0,0 +1,24 @@
+-- Outbound webhook outbox: one row per (event, subscription), see webhooks.js
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id text PRIMARY KEY,
+  event_id text NOT NULL,
+  event_type text NOT NULL,      -- waitlist.joined | waitlist.confirmed | waitlist.unsubscribed
+  payload jsonb NOT NULL,
+  subscription_id text NOT NULL,
+  url text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',  -- pending | delivered | dead
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_error text,
+  response_status integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  delivered_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_created_at_idx ON webhook_deliveries (created_at);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('006') ON CONFLICT DO NOTHING;
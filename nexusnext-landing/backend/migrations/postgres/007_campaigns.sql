@@ -0,0 +1,33 @@
+-- Broadcast campaigns to the waitlist and their per-recipient send log, see campaigns.js
+CREATE TABLE IF NOT EXISTS campaigns (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  subject text NOT NULL,
+  text text NOT NULL,
+  html text,
+  segment jsonb NOT NULL,          -- { confirmedOnly, from, to, channel, utmCampaign }
+  status text NOT NULL DEFAULT 'draft',  -- draft | sending | paused | completed
+  recipient_count integer,         -- set once recipients are snapshotted
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz,
+  completed_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id text PRIMARY KEY,             -- "<campaign id>:<email>", also the provider idempotency key
+  campaign_id text NOT NULL REFERENCES campaigns (id) ON DELETE CASCADE,
+  email text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',  -- pending | sending | sent | failed | skipped
+  attempts integer NOT NULL DEFAULT 0,
+  message_id text,
+  last_error text,
+  sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS campaign_recipients_campaign_status_idx ON campaign_recipients (campaign_id, status);
+
+-- Only the backend (service role) touches these tables
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('007') ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+-- Batch admission: where each entry is in waiting -> invited -> redeemed/expired, and the invite codes (see invites.js)
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS admission text NOT NULL DEFAULT 'waiting',
+  ADD COLUMN IF NOT EXISTS invited_at timestamptz,
+  ADD COLUMN IF NOT EXISTS redeemed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS waitlist_admission_idx ON waitlist (admission);
+
+CREATE TABLE IF NOT EXISTS invites (
+  id text PRIMARY KEY,
+  code_hash text NOT NULL UNIQUE,  -- SHA-256 of the code; the code itself is only in the email
+  email text NOT NULL,
+  batch_id text NOT NULL,
+  status text NOT NULL DEFAULT 'active',       -- active | redeemed | expired
+  email_status text NOT NULL DEFAULT 'pending', -- pending | sending | sent | failed | skipped
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  sent_at timestamptz,
+  redeemed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS invites_status_expires_idx ON invites (status, expires_at);
+CREATE INDEX IF NOT EXISTS invites_email_status_idx ON invites (email_status);
+CREATE INDEX IF NOT EXISTS invites_batch_id_idx ON invites (batch_id);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE invites ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('008') ON CONFLICT DO NOTHING;
@@ -0,0 +1,14 @@
+-- Landing page content documents (see content.js): the draft admins edit and the published copy
+CREATE TABLE IF NOT EXISTS content (
+  id text PRIMARY KEY,             -- 'landing'
+  draft jsonb,                     -- null when there are no unpublished edits
+  published jsonb,                 -- null until the first publish (the page uses its bundled copy)
+  version integer NOT NULL DEFAULT 0,  -- number of publishes
+  draft_updated_at timestamptz,
+  published_at timestamptz
+);
+
+-- Only the backend (service role) touches the table
+ALTER TABLE content ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO schema_migrations (version) VALUES ('009') ON CONFLICT DO NOTHING;
@@ -0,0 +1,5 @@
+-- Products a signup said they're interested in (product pages' waitlist form), list of content feature ids
+ALTER TABLE waitlist
+  ADD COLUMN IF NOT EXISTS products jsonb;
+
+INSERT INTO schema_migrations (version) VALUES ('010') ON CONFLICT DO NOTHING;
@@ -0,0 +1,11 @@
+-- Which member a delivery is about (memberHash in erasure.js), so erasing them can delete it
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS member_hash text;
+
+UPDATE webhook_deliveries
+SET member_hash = encode(sha256(convert_to(lower(trim(payload->'data'->>'email')), 'UTF8')), 'hex')
+WHERE member_hash IS NULL AND payload->'data'->>'email' IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_member_hash_idx ON webhook_deliveries (member_hash);
+
+INSERT INTO schema_migrations (version) VALUES ('011') ON CONFLICT DO NOTHING;
@@ -0,0 +1,28 @@
+-- One row per inbox: canonical_email becomes unique, so two concurrent signups for
+-- "J.Doe@gmail.com" and "jdoe+news@gmail.com" can't both be stored.
+
+-- Rows 002 only lower-cased get the full canonicalizeEmail form (Gmail dots and
+-- +tags, +tags at the other providers it knows), same as the SQLite migration
+UPDATE waitlist SET canonical_email = CASE
+    WHEN split_part(lower(email), '@', 2) IN ('gmail.com', 'googlemail.com')
+      THEN replace(split_part(split_part(lower(email), '@', 1), '+', 1), '.', '') || '@gmail.com'
+    WHEN split_part(lower(email), '@', 2) IN ('outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+                                              'protonmail.com', 'proton.me', 'fastmail.com', 'zoho.com')
+      THEN split_part(split_part(lower(email), '@', 1), '+', 1) || '@' || split_part(lower(email), '@', 2)
+    ELSE lower(email)
+  END
+WHERE canonical_email IS NULL OR canonical_email = lower(email);
+
+-- Older rows may hold the same inbox twice. Dedupe already resolves to the oldest,
+-- so later copies keep their row but drop out of it (NULLs don't collide).
+UPDATE waitlist SET canonical_email = NULL
+WHERE EXISTS (
+  SELECT 1 FROM waitlist AS older
+  WHERE older.canonical_email = waitlist.canonical_email
+    AND (older.created_at, older.email) < (waitlist.created_at, waitlist.email)
+);
+
+DROP INDEX IF EXISTS waitlist_canonical_email_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_canonical_email_key ON waitlist (canonical_email);
+
+INSERT INTO schema_migrations (version) VALUES ('012') ON CONFLICT DO NOTHING;
@@ -0,0 +1,13 @@
+-- Waitlist signups (double opt-in, referrals, unsubscribe)
+CREATE TABLE IF NOT EXISTS waitlist (
+  email TEXT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | confirmed | unsubscribed
+  referral_code TEXT UNIQUE,
+  referred_by TEXT,
+  created_at TEXT NOT NULL,
+  confirmed_at TEXT,
+  unsubscribed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_created_at_idx ON waitlist (created_at);
+CREATE INDEX IF NOT EXISTS waitlist_referred_by_idx ON waitlist (referred_by);
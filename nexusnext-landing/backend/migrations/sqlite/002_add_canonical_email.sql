@@ -0,0 +1,21 @@
+-- Canonical form of the address (see shared emailValidation canonicalizeEmail), used for dedupe
+ALTER TABLE waitlist ADD COLUMN canonical_email TEXT;
+
+-- Backfill: lower-case everything, and fold Gmail dots/+tags like canonicalizeEmail does
+-- (same as the Postgres migration)
+WITH parts AS (
+  SELECT email,
+    substr(lower(email), 1, instr(lower(email), '@') - 1) AS local,
+    substr(lower(email), instr(lower(email), '@') + 1) AS domain
+  FROM waitlist
+  WHERE canonical_email IS NULL
+)
+UPDATE waitlist SET canonical_email = CASE
+    WHEN parts.domain IN ('gmail.com', 'googlemail.com')
+      THEN replace(CASE WHEN instr(parts.local, '+') > 0 THEN substr(parts.local, 1, instr(parts.local, '+') - 1) ELSE parts.local END, '.', '') || '@gmail.com'
+    ELSE lower(waitlist.email)
+  END
+FROM parts
+WHERE parts.email = waitlist.email;
+
+CREATE INDEX IF NOT EXISTS waitlist_canonical_email_idx ON waitlist (canonical_email);
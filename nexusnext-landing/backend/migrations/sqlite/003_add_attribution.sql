@@ -0,0 +1,11 @@
+-- First-touch campaign attribution captured by the landing page (see attribution.js)
+ALTER TABLE waitlist ADD COLUMN utm_source TEXT;
+ALTER TABLE waitlist ADD COLUMN utm_medium TEXT;
+ALTER TABLE waitlist ADD COLUMN utm_campaign TEXT;
+ALTER TABLE waitlist ADD COLUMN utm_term TEXT;
+ALTER TABLE waitlist ADD COLUMN utm_content TEXT;
+ALTER TABLE waitlist ADD COLUMN referrer TEXT;
+ALTER TABLE waitlist ADD COLUMN landing_path TEXT;
+ALTER TABLE waitlist ADD COLUMN locale TEXT;
+ALTER TABLE waitlist ADD COLUMN timezone TEXT;
+CREATE INDEX IF NOT EXISTS waitlist_utm_source_idx ON waitlist (utm_source);
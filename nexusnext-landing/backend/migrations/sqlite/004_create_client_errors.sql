@@ -0,0 +1,17 @@
+-- Errors reported by the landing page (POST /api/client-errors), one row per fingerprint
+CREATE TABLE IF NOT EXISTS client_errors (
+  fingerprint TEXT PRIMARY KEY,
+  message TEXT NOT NULL,
+  stack TEXT,
+  component_stack TEXT,
+  source TEXT NOT NULL,          -- boundary | error | unhandledrejection
+  url TEXT,
+  release TEXT NOT NULL,
+  user_agent TEXT,
+  request_id TEXT,
+  count INTEGER NOT NULL DEFAULT 1,
+  first_seen_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS client_errors_last_seen_at_idx ON client_errors (last_seen_at);
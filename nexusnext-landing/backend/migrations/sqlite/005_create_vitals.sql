@@ -0,0 +1,12 @@
+-- Real-user performance samples from the landing page (POST /api/vitals)
+CREATE TABLE IF NOT EXISTS vitals (
+  metric TEXT NOT NULL,          -- LCP, INP, CLS, FCP, FID, TTFB, scene_init, first_3d_frame
+  value REAL NOT NULL,           -- milliseconds (CLS: unitless score)
+  section TEXT NOT NULL,         -- page | hero | dna
+  device_class TEXT NOT NULL,    -- mobile | tablet | desktop
+  quality TEXT,                  -- low | medium | high
+  release TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS vitals_created_at_idx ON vitals (created_at);
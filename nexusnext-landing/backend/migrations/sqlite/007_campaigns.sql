@@ -0,0 +1,27 @@
+-- Broadcast campaigns to the waitlist and their per-recipient send log, see campaigns.js
+CREATE TABLE IF NOT EXISTS campaigns (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text TEXT NOT NULL,
+  html TEXT,
+  segment TEXT NOT NULL,           -- JSON { confirmedOnly, from, to, channel, utmCampaign }
+  status TEXT NOT NULL DEFAULT 'draft',  -- draft | sending | paused | completed
+  recipient_count INTEGER,         -- set once recipients are snapshotted
+  created_at TEXT NOT NULL,
+  started_at TEXT,
+  completed_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id TEXT PRIMARY KEY,             -- "<campaign id>:<email>", also the provider idempotency key
+  campaign_id TEXT NOT NULL REFERENCES campaigns (id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | sending | sent | failed | skipped
+  attempts INTEGER NOT NULL DEFAULT 0,
+  message_id TEXT,
+  last_error TEXT,
+  sent_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS campaign_recipients_campaign_status_idx ON campaign_recipients (campaign_id, status);
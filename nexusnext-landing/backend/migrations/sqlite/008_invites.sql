@@ -0,0 +1,23 @@
+-- Batch admission: where each entry is in waiting -> invited -> redeemed/expired, and the invite codes (see invites.js)
+ALTER TABLE waitlist ADD COLUMN admission TEXT NOT NULL DEFAULT 'waiting';
+ALTER TABLE waitlist ADD COLUMN invited_at TEXT;
+ALTER TABLE waitlist ADD COLUMN redeemed_at TEXT;
+CREATE INDEX IF NOT EXISTS waitlist_admission_idx ON waitlist (admission);
+
+CREATE TABLE IF NOT EXISTS invites (
+  id TEXT PRIMARY KEY,
+  code_hash TEXT NOT NULL UNIQUE,  -- SHA-256 of the code; the code itself is only in the email
+  email TEXT NOT NULL,
+  batch_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',       -- active | redeemed | expired
+  email_status TEXT NOT NULL DEFAULT 'pending', -- pending | sending | sent | failed | skipped
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  sent_at TEXT,
+  redeemed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS invites_status_expires_idx ON invites (status, expires_at);
+CREATE INDEX IF NOT EXISTS invites_email_status_idx ON invites (email_status);
+CREATE INDEX IF NOT EXISTS invites_batch_id_idx ON invites (batch_id);
@@ -0,0 +1,9 @@
+-- Landing page content documents (see content.js): the draft admins edit and the published copy
+CREATE TABLE IF NOT EXISTS content (
+  id TEXT PRIMARY KEY,             -- 'landing'
+  draft TEXT,                      -- JSON; null when there are no unpublished edits
+  published TEXT,                  -- JSON; null until the first publish (the page uses its bundled copy)
+  version INTEGER NOT NULL DEFAULT 0,  -- number of publishes
+  draft_updated_at TEXT,
+  published_at TEXT
+);
@@ -0,0 +1,2 @@
+-- Products a signup said they're interested in (product pages' waitlist form), JSON list of content feature ids
+ALTER TABLE waitlist ADD COLUMN products TEXT;
@@ -0,0 +1,6 @@
+-- Which member a delivery is about (memberHash in erasure.js), so erasing them can delete it.
+-- sha256() is registered by the SQLite driver, see runSqliteMigrations
+ALTER TABLE webhook_deliveries ADD COLUMN member_hash TEXT;
+UPDATE webhook_deliveries SET member_hash = sha256(lower(trim(json_extract(payload, '$.data.email'))))
+WHERE member_hash IS NULL AND json_extract(payload, '$.data.email') IS NOT NULL;
+CREATE INDEX IF NOT EXISTS webhook_deliveries_member_hash_idx ON webhook_deliveries (member_hash);
@@ -0,0 +1,39 @@
+-- One row per inbox: canonical_email becomes unique, so two concurrent signups for
+-- "J.Doe@gmail.com" and "jdoe+news@gmail.com" can't both be stored.
+
+-- Rows 002 only lower-cased get the full canonicalizeEmail form (Gmail dots and
+-- +tags, +tags at the other providers it knows), same as the Postgres migration
+WITH parts AS (
+  SELECT email,
+    substr(lower(email), 1, instr(lower(email), '@') - 1) AS local,
+    substr(lower(email), instr(lower(email), '@') + 1) AS domain
+  FROM waitlist
+  WHERE canonical_email IS NULL OR canonical_email = lower(email)
+), untagged AS (
+  SELECT email, domain,
+    CASE WHEN instr(local, '+') > 0 THEN substr(local, 1, instr(local, '+') - 1) ELSE local END AS local
+  FROM parts
+)
+UPDATE waitlist SET canonical_email = CASE
+    WHEN untagged.domain IN ('gmail.com', 'googlemail.com')
+      THEN replace(untagged.local, '.', '') || '@gmail.com'
+    WHEN untagged.domain IN ('outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+                             'protonmail.com', 'proton.me', 'fastmail.com', 'zoho.com')
+      THEN untagged.local || '@' || untagged.domain
+    ELSE lower(waitlist.email)
+  END
+FROM untagged
+WHERE untagged.email = waitlist.email;
+
+-- Older rows may hold the same inbox twice. Dedupe already resolves to the oldest,
+-- so later copies keep their row but drop out of it (NULLs don't collide).
+UPDATE waitlist SET canonical_email = NULL
+WHERE EXISTS (
+  SELECT 1 FROM waitlist AS older
+  WHERE older.canonical_email = waitlist.canonical_email
+    AND (older.created_at < waitlist.created_at
+      OR (older.created_at = waitlist.created_at AND older.email < waitlist.email))
+);
+
+DROP INDEX IF EXISTS waitlist_canonical_email_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_canonical_email_key ON waitlist (canonical_email);
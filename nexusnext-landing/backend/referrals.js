@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// Every confirmed referral moves the referrer this many places up the queue
+const { REFERRAL_BOOST } = config;
+
+// Unambiguous alphabet (no 0/O, 1/I/L) so codes survive being read aloud
+export const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+export const generateReferralCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+export const isReferralCode = (code) =>
+  typeof code === 'string' && /^[A-Za-z0-9]{6,16}$/.test(code);
+
+// Compute queue positions for waitlist entries.
+// entries: [{ email, status, created_at, referral_code, referred_by }]
+// Returns { positions: Map of referral_code -> { position, referralCount }, total }.
+export const computePositions = (entries, { boost = REFERRAL_BOOST } = {}) => {
+  const active = entries
+    .filter(entry => entry.status !== 'unsubscribed')
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  // Only confirmed referrals count, so fake signups can't jump the queue
+  const referralCounts = new Map();
+  for (const entry of active) {
+    if (entry.referred_by && entry.status === 'confirmed') {
+      referralCounts.set(entry.referred_by, (referralCounts.get(entry.referred_by) || 0) + 1);
+    }
+  }
+
+  // Score = signup order minus the referral boost; ties keep signup order
+  const ranked = active
+    .map((entry, index) => {
+      const referralCount = referralCounts.get(entry.referral_code) || 0;
+      return { entry, referralCount, score: index - referralCount * boost, index };
+    })
+    .sort((a, b) => a.score - b.score || a.index - b.index);
+
+  const positions = new Map();
+  ranked.forEach(({ entry, referralCount }, i) => {
+    if (entry.referral_code) {
+      positions.set(entry.referral_code, { position: i + 1, referralCount });
+    }
+  });
+  return { positions, total: active.length };
+};
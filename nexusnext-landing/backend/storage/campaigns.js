@@ -0,0 +1,91 @@
+import { isDuplicateError } from './schema.js';
+import { memberHash } from '../erasure.js';
+
+// Campaign repository: broadcast campaigns and their per-recipient send log (see campaigns.js)
+
+export const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+export const createCampaignRepository = (storage) => {
+  const campaigns = storage.table('campaigns');
+  const recipients = storage.table('campaign_recipients');
+
+  return {
+    create: (campaign) => campaigns.insert({ status: 'draft', created_at: new Date().toISOString(), ...campaign }),
+
+    findById: (id) => campaigns.findOne({ id }),
+
+    // Pass `onlyIfStatus` (one status or a list) to make the change conditional. Returns the updated row or null
+    update: async (id, changes, { onlyIfStatus } = {}) => {
+      const where = { id };
+      if (onlyIfStatus) where.status = Array.isArray(onlyIfStatus) ? { in: onlyIfStatus } : onlyIfStatus;
+      const [row] = await campaigns.update(where, changes);
+      return row || null;
+    },
+
+    // Returns true if the campaign was deleted (its recipients go with it)
+    remove: async (id) => {
+      await recipients.delete({ campaign_id: id });
+      return (await campaigns.delete({ id })).length > 0;
+    },
+
+    list: () => campaigns.find({}, { orderBy: 'created_at', ascending: false }),
+
+    withStatus: (status) => campaigns.find({ status }, { orderBy: 'created_at', ascending: true }),
+
+    // Snapshot one recipient; re-adding the same email is a no-op, so an interrupted snapshot can be redone.
+    // The id (also the provider idempotency key) uses the member's hash, not their address
+    addRecipient: async (campaignId, email) => {
+      try {
+        await recipients.insert({
+          id: `${campaignId}:${memberHash(email)}`,
+          campaign_id: campaignId,
+          email,
+          status: 'pending',
+          attempts: 0
+        });
+      } catch (error) {
+        if (!isDuplicateError(error)) throw error;
+      }
+    },
+
+    // Recipients still to send. "sending" rows were claimed when the process stopped mid-send
+    nextRecipients: (campaignId, limit) =>
+      recipients.find(
+        { campaign_id: campaignId, status: { in: ['pending', 'sending'] } },
+        { orderBy: 'id', ascending: true, limit }
+      ),
+
+    // Same contract as update()
+    updateRecipient: async (id, changes, { onlyIfStatus } = {}) => {
+      const where = onlyIfStatus ? { id, status: onlyIfStatus } : { id };
+      const [row] = await recipients.update(where, changes);
+      return row || null;
+    },
+
+    // Drop a member from every campaign's send log (erasure); returns how many rows
+    removeForMember: async (email) => (await recipients.delete({ email })).length,
+
+    // Put failed recipients back in the queue; returns how many
+    requeueFailed: async (campaignId) =>
+      (await recipients.update({ campaign_id: campaignId, status: 'failed' }, { status: 'pending', last_error: null })).length,
+
+    // { pending, sending, sent, failed, skipped }
+    recipientCounts: async (campaignId) => {
+      const counts = await Promise.all(
+        RECIPIENT_STATUSES.map(status => recipients.count({ campaign_id: campaignId, status }))
+      );
+      return Object.fromEntries(RECIPIENT_STATUSES.map((status, i) => [status, counts[i]]));
+    },
+
+    // Paginated send log for the admin API
+    listRecipients: async (campaignId, { status } = {}, { page = 1, pageSize = 50 } = {}) => {
+      const where = { campaign_id: campaignId };
+      if (status) where.status = String(status);
+      const [rows, total] = await Promise.all([
+        recipients.find(where, { orderBy: 'id', ascending: true, limit: pageSize, offset: (page - 1) * pageSize }),
+        recipients.count(where)
+      ]);
+      return { recipients: rows, total };
+    }
+  };
+};
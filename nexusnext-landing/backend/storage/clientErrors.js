@@ -0,0 +1,40 @@
+import { isDuplicateError } from './schema.js';
+
+// Client error repository: reports from the landing page, grouped by fingerprint
+// so a crash seen by a thousand visitors is one row with count = 1000.
+
+export const createClientErrorRepository = (storage) => {
+  const table = storage.table('client_errors');
+
+  // Bump an existing row. Read-then-write, so counts are approximate under heavy concurrency
+  const bump = async (existing, report, occurrences, now) => {
+    await table.update({ fingerprint: report.fingerprint }, {
+      count: existing.count + occurrences,
+      last_seen_at: now,
+      url: report.url,
+      user_agent: report.user_agent,
+      request_id: report.request_id
+    });
+  };
+
+  return {
+    // Insert a new fingerprint or count more occurrences of a known one
+    record: async (report, occurrences = 1) => {
+      const now = new Date().toISOString();
+      const existing = await table.findOne({ fingerprint: report.fingerprint });
+      if (existing) return bump(existing, report, occurrences, now);
+
+      try {
+        await table.insert({ ...report, count: occurrences, first_seen_at: now, last_seen_at: now });
+      } catch (error) {
+        // Another request inserted the same fingerprint first
+        if (!isDuplicateError(error)) throw error;
+        await bump(await table.findOne({ fingerprint: report.fingerprint }), report, occurrences, now);
+      }
+    },
+
+    // Most recently seen first, optionally for one release
+    list: ({ release } = {}, { limit = 100 } = {}) =>
+      table.find(release ? { release } : {}, { orderBy: 'last_seen_at', ascending: false, limit })
+  };
+};
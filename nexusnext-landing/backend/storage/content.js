@@ -0,0 +1,45 @@
+import { isDuplicateError } from './schema.js';
+
+// Content repository: landing page content documents (see content.js). One row
+// per document id with the draft admins edit and the published copy the page
+// serves; `version` counts publishes.
+
+export const createContentRepository = (storage) => {
+  const table = storage.table('content');
+
+  return {
+    get: (id) => table.findOne({ id }),
+
+    // Create or replace the draft; returns the row
+    saveDraft: async (id, draft) => {
+      const changes = { draft, draft_updated_at: new Date().toISOString() };
+      const [row] = await table.update({ id }, changes);
+      if (row) return row;
+      try {
+        return await table.insert({ id, version: 0, ...changes });
+      } catch (error) {
+        // Lost a race with another first save
+        if (!isDuplicateError(error)) throw error;
+        return (await table.update({ id }, changes))[0];
+      }
+    },
+
+    discardDraft: async (id) => {
+      const [row] = await table.update({ id }, { draft: null, draft_updated_at: null });
+      return row || null;
+    },
+
+    // Promote `draft` to published, but only if nobody published since `version`
+    // was read. Returns the updated row or null
+    publish: async (id, draft, version) => {
+      const [row] = await table.update({ id, version }, {
+        published: draft,
+        draft: null,
+        draft_updated_at: null,
+        version: version + 1,
+        published_at: new Date().toISOString()
+      });
+      return row || null;
+    }
+  };
+};
@@ -0,0 +1,35 @@
+import { config } from '../config.js';
+import { createMemoryStorage } from './memory.js';
+import { createSupabaseStorage } from './supabase.js';
+import { createSqliteStorage } from './sqlite.js';
+
+export { isDuplicateError } from './schema.js';
+export { createWaitlistRepository } from './waitlist.js';
+export { createClientErrorRepository } from './clientErrors.js';
+export { createVitalsRepository } from './vitals.js';
+export { createWebhookDeliveryRepository } from './webhooks.js';
+export { createCampaignRepository } from './campaigns.js';
+export { createInviteRepository } from './invites.js';
+export { createContentRepository } from './content.js';
+
+// Pick a storage driver. STORAGE_DRIVER = supabase | sqlite | memory;
+// defaults to Supabase when it is configured, otherwise a local SQLite file (see config.js).
+export const createStorage = async ({
+  driver = config.STORAGE_DRIVER,
+  supabaseUrl = config.SUPABASE_URL,
+  supabaseServiceRoleKey = config.SUPABASE_SERVICE_ROLE_KEY,
+  sqliteFile = config.SQLITE_FILE
+} = {}) => {
+  const name = driver || (supabaseUrl ? 'supabase' : 'sqlite');
+
+  switch (name) {
+    case 'supabase':
+      return createSupabaseStorage({ url: supabaseUrl, serviceRoleKey: supabaseServiceRoleKey });
+    case 'sqlite':
+      return createSqliteStorage({ file: sqliteFile });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+};
@@ -0,0 +1,63 @@
+// Invite repository: single-use admission codes (see invites.js). Codes are
+// stored as SHA-256 hashes, so a database leak doesn't hand out invites.
+
+export const createInviteRepository = (storage) => {
+  const table = storage.table('invites');
+
+  return {
+    add: (invite) => table.insert({ status: 'active', email_status: 'pending', created_at: new Date().toISOString(), ...invite }),
+
+    findByHash: (codeHash) => table.findOne({ code_hash: codeHash }),
+
+    // Pass `onlyIfStatus` to make the change conditional. Returns the updated row or null
+    update: async (id, changes, { onlyIfStatus } = {}) => {
+      const where = onlyIfStatus ? { id, status: onlyIfStatus } : { id };
+      const [row] = await table.update(where, changes);
+      return row || null;
+    },
+
+    // Same contract, keyed on the email send state instead
+    updateEmail: async (id, changes, { onlyIfEmailStatus } = {}) => {
+      const where = { id };
+      if (onlyIfEmailStatus) where.email_status = onlyIfEmailStatus;
+      const [row] = await table.update(where, changes);
+      return row || null;
+    },
+
+    // Invites whose email still has to go out ("sending" ones were interrupted), oldest first
+    unsent: (limit, offset = 0) =>
+      table.find({ email_status: { in: ['pending', 'sending'] } }, { orderBy: 'created_at', ascending: true, limit, offset }),
+
+    // Mark active invites past their expiry as expired; returns the expired rows
+    expireOverdue: (now) =>
+      table.update({ status: 'active', expires_at: { lt: now.toISOString() } }, { status: 'expired' }),
+
+    // Delete a member's invites (erasure); returns how many
+    removeForMember: async (email) => (await table.delete({ email })).length,
+
+    // Put failed invite emails back in the queue; returns how many
+    requeueFailed: async () =>
+      (await table.update({ email_status: 'failed' }, { email_status: 'pending', last_error: null })).length,
+
+    // Every invite, oldest first (conversion stats)
+    all: ({ columns } = {}) => table.find({}, { columns, orderBy: 'created_at', ascending: true }),
+
+    // Paginated list for the admin API, newest first
+    list: async ({ status, batchId } = {}, { page = 1, pageSize = 50 } = {}) => {
+      const where = {};
+      if (status) where.status = String(status);
+      if (batchId) where.batch_id = String(batchId);
+      const [invites, total] = await Promise.all([
+        table.find(where, {
+          columns: ['id', 'email', 'batch_id', 'status', 'email_status', 'last_error', 'created_at', 'expires_at', 'sent_at', 'redeemed_at'],
+          orderBy: 'created_at',
+          ascending: false,
+          limit: pageSize,
+          offset: (page - 1) * pageSize
+        }),
+        table.count(where)
+      ]);
+      return { invites, total };
+    }
+  };
+};
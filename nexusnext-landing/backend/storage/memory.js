@@ -0,0 +1,111 @@
+import { duplicateError, isCondition, tableInfo } from './schema.js';
+
+// In-memory driver for tests and throwaway local runs. Nothing is persisted.
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const matchesCondition = (value, condition) =>
+  Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case 'eq': return value === expected;
+      case 'neq': return value !== expected;
+      case 'in': return expected.includes(value);
+      case 'gt': return value !== null && value !== undefined && compare(value, expected) > 0;
+      case 'gte': return value !== null && value !== undefined && compare(value, expected) >= 0;
+      case 'lt': return value !== null && value !== undefined && compare(value, expected) < 0;
+      case 'lte': return value !== null && value !== undefined && compare(value, expected) <= 0;
+      case 'ilike': return typeof value === 'string' && value.toLowerCase().includes(String(expected).toLowerCase());
+      default: return false;
+    }
+  });
+
+const matches = (row, where) =>
+  Object.entries(where).every(([column, condition]) => {
+    const value = row[column] ?? null;
+    if (condition === null) return value === null;
+    if (isCondition(condition)) return matchesCondition(value, condition);
+    return value === condition;
+  });
+
+const pick = (row, columns) =>
+  columns ? Object.fromEntries(columns.map(column => [column, row[column] ?? null])) : { ...row };
+
+const createTable = (name, rows) => {
+  const { unique } = tableInfo(name);
+
+  const assertUnique = (candidate, ignore) => {
+    for (const column of unique) {
+      if (candidate[column] === null || candidate[column] === undefined) continue;
+      if (rows.some(row => row !== ignore && row[column] === candidate[column])) {
+        throw duplicateError(name);
+      }
+    }
+  };
+
+  return {
+    async find(where = {}, { columns, orderBy, ascending = true, limit, offset = 0 } = {}) {
+      let result = rows.filter(row => matches(row, where));
+      if (orderBy) {
+        result = [...result].sort((a, b) => compare(a[orderBy], b[orderBy]) * (ascending ? 1 : -1));
+      }
+      if (limit !== undefined) result = result.slice(offset, offset + limit);
+      else if (offset) result = result.slice(offset);
+      return result.map(row => pick(row, columns));
+    },
+
+    async findOne(where, options = {}) {
+      const [row] = await this.find(where, { ...options, limit: 1 });
+      return row || null;
+    },
+
+    async count(where = {}) {
+      return rows.filter(row => matches(row, where)).length;
+    },
+
+    async insert(values) {
+      const row = { ...values };
+      assertUnique(row);
+      rows.push(row);
+      return { ...row };
+    },
+
+    async update(where, changes) {
+      const updated = [];
+      for (const row of rows.filter(r => matches(r, where))) {
+        assertUnique({ ...row, ...changes }, row);
+        Object.assign(row, changes);
+        updated.push({ ...row });
+      }
+      return updated;
+    },
+
+    async delete(where) {
+      const deleted = [];
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (matches(rows[i], where)) deleted.unshift(...rows.splice(i, 1));
+      }
+      return deleted;
+    }
+  };
+};
+
+export const createMemoryStorage = () => {
+  const tables = new Map();
+
+  return {
+    driver: 'memory',
+    table(name) {
+      if (!tables.has(name)) tables.set(name, createTable(name, []));
+      return tables.get(name);
+    },
+    async ping() {
+      return true;
+    },
+    async close() {}
+  };
+};
@@ -0,0 +1,65 @@
+// Table metadata the drivers need beyond what SQL enforces:
+//   unique - columns the in-memory driver checks for duplicates
+//   json   - columns the SQLite driver stores as JSON text
+// The actual schema lives in migrations/ (one directory per SQL dialect).
+export const TABLES = {
+  waitlist: {
+    unique: ['email', 'canonical_email', 'referral_code'],
+    json: ['products']
+  },
+  client_errors: {
+    unique: ['fingerprint'],
+    json: []
+  },
+  vitals: {
+    unique: [],
+    json: []
+  },
+  webhook_deliveries: {
+    unique: ['id'],
+    json: ['payload']
+  },
+  campaigns: {
+    unique: ['id'],
+    json: ['segment']
+  },
+  campaign_recipients: {
+    unique: ['id'],
+    json: []
+  },
+  invites: {
+    unique: ['id', 'code_hash'],
+    json: []
+  },
+  content: {
+    unique: ['id'],
+    json: ['draft', 'published']
+  }
+};
+
+export const tableInfo = (name) => {
+  const info = TABLES[name];
+  if (!info) throw new Error(`Unknown table "${name}"`);
+  return info;
+};
+
+// Thrown by every driver when an insert hits a unique constraint
+export const duplicateError = (table, cause) => {
+  const error = new Error(`Duplicate row in ${table}`);
+  error.code = 'DUPLICATE';
+  error.cause = cause;
+  return error;
+};
+
+export const isDuplicateError = (error) => error?.code === 'DUPLICATE';
+
+// Where clauses are { column: value | null | { eq, neq, in, gt, gte, lt, lte, ilike } }.
+// `ilike` is a case-insensitive substring match (no wildcards needed).
+export const OPERATORS = ['eq', 'neq', 'in', 'gt', 'gte', 'lt', 'lte', 'ilike'];
+
+export const isCondition = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => OPERATORS.includes(key));
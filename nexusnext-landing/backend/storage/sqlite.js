@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { duplicateError, isCondition, tableInfo } from './schema.js';
+
+// SQLite driver (better-sqlite3) for running the API locally without Supabase.
+// Pending migrations from migrations/sqlite are applied when the database opens.
+
+export const SQLITE_MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations', 'sqlite');
+
+const SQL_OPERATORS = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Identifiers are interpolated into SQL, so only allow plain column names
+const identifier = (name) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw new Error(`Invalid column name "${name}"`);
+  return `"${name}"`;
+};
+
+const buildWhere = (where = {}) => {
+  const clauses = [];
+  const params = [];
+
+  for (const [column, condition] of Object.entries(where)) {
+    const col = identifier(column);
+    if (condition === null) {
+      clauses.push(`${col} IS NULL`);
+    } else if (isCondition(condition)) {
+      for (const [op, value] of Object.entries(condition)) {
+        if (op === 'in') {
+          clauses.push(value.length ? `${col} IN (${value.map(() => '?').join(', ')})` : '0');
+          params.push(...value);
+        } else if (op === 'ilike') {
+          clauses.push(`${col} LIKE ? ESCAPE '\\'`);
+          params.push(`%${String(value).replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+        } else {
+          clauses.push(`${col} ${SQL_OPERATORS[op]} ?`);
+          params.push(value);
+        }
+      }
+    } else {
+      clauses.push(`${col} = ?`);
+      params.push(condition);
+    }
+  }
+
+  return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+const isUniqueViolation = (error) =>
+  error?.code === 'SQLITE_CONSTRAINT_UNIQUE' || error?.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+
+const createTable = (db, name) => {
+  const { json } = tableInfo(name);
+  const table = identifier(name);
+
+  const toRow = (values) => Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => [column, json.includes(column) && value !== null ? JSON.stringify(value) : value])
+  );
+
+  const fromRow = (row) => {
+    for (const column of json) {
+      if (typeof row[column] === 'string') row[column] = JSON.parse(row[column]);
+    }
+    return row;
+  };
+
+  const run = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      throw isUniqueViolation(error) ? duplicateError(name, error) : error;
+    }
+  };
+
+  return {
+    async find(where = {}, { columns, orderBy, ascending = true, limit, offset = 0 } = {}) {
+      const { sql, params } = buildWhere(where);
+      const select = columns ? columns.map(identifier).join(', ') : '*';
+      let query = `SELECT ${select} FROM ${table}${sql}`;
+      if (orderBy) query += ` ORDER BY ${identifier(orderBy)} ${ascending ? 'ASC' : 'DESC'}`;
+      if (limit !== undefined) query += ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+      return db.prepare(query).all(params).map(fromRow);
+    },
+
+    async findOne(where, options = {}) {
+      const [row] = await this.find(where, { ...options, limit: 1 });
+      return row || null;
+    },
+
+    async count(where = {}) {
+      const { sql, params } = buildWhere(where);
+      return db.prepare(`SELECT COUNT(*) AS count FROM ${table}${sql}`).get(params).count;
+    },
+
+    async insert(values) {
+      const row = toRow(values);
+      const columns = Object.keys(row);
+      const query = `INSERT INTO ${table} (${columns.map(identifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`;
+      return fromRow(run(() => db.prepare(query).get(Object.values(row))));
+    },
+
+    async update(where, changes) {
+      const row = toRow(changes);
+      const { sql, params } = buildWhere(where);
+      const set = Object.keys(row).map(column => `${identifier(column)} = ?`).join(', ');
+      const query = `UPDATE ${table} SET ${set}${sql} RETURNING *`;
+      return run(() => db.prepare(query).all([...Object.values(row), ...params])).map(fromRow);
+    },
+
+    async delete(where) {
+      const { sql, params } = buildWhere(where);
+      return db.prepare(`DELETE FROM ${table}${sql} RETURNING *`).all(params).map(fromRow);
+    }
+  };
+};
+
+// Apply migrations/sqlite/NNN_name.sql files that haven't run yet, in order
+export const runSqliteMigrations = (db, dir = SQLITE_MIGRATIONS_DIR) => {
+  // Hex SHA-256 for backfills that hash like the app does (e.g. member_hash, see erasure.js)
+  db.function('sha256', { deterministic: true }, (value) =>
+    (value === null ? null : crypto.createHash('sha256').update(String(value)).digest('hex')));
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+
+  const pending = fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .filter(file => !applied.has(file.split('_')[0]));
+
+  for (const file of pending) {
+    const version = file.split('_')[0];
+    db.transaction(() => {
+      db.exec(fs.readFileSync(path.join(dir, file), 'utf8'));
+      db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)').run(version, new Date().toISOString());
+    })();
+    console.log(`Applied migration ${file}`);
+  }
+
+  return pending;
+};
+
+export const createSqliteStorage = async ({ file }) => {
+  // Loaded lazily so Supabase deployments don't need the native module
+  const { default: Database } = await import('better-sqlite3');
+
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  runSqliteMigrations(db);
+
+  const tables = new Map();
+
+  return {
+    driver: 'sqlite',
+    db,
+    table(name) {
+      if (!tables.has(name)) tables.set(name, createTable(db, name));
+      return tables.get(name);
+    },
+    async ping() {
+      db.prepare('SELECT 1').get();
+      return true;
+    },
+    async close() {
+      db.close();
+    }
+  };
+};
@@ -0,0 +1,107 @@
+import { createClient } from '@supabase/supabase-js';
+import { duplicateError, isCondition, tableInfo } from './schema.js';
+
+// Supabase (Postgres) driver. Schema is applied from migrations/postgres
+// with the Supabase CLI or SQL editor (see migrate.js).
+
+const UNIQUE_VIOLATION = '23505';
+// PostgREST returns at most max-rows rows per request (1000 unless configured
+// otherwise), so reads without a limit are fetched a page at a time
+const PAGE = 1000;
+
+// Escape user input for a PostgREST ilike pattern
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (c) => `\\${c}`);
+
+const applyWhere = (query, where = {}) => {
+  for (const [column, condition] of Object.entries(where)) {
+    if (condition === null) {
+      query = query.is(column, null);
+    } else if (isCondition(condition)) {
+      for (const [op, value] of Object.entries(condition)) {
+        query = op === 'ilike'
+          ? query.ilike(column, `%${escapeLike(value)}%`)
+          : query[op](column, value);
+      }
+    } else {
+      query = query.eq(column, condition);
+    }
+  }
+  return query;
+};
+
+// supabase-js resolves to { data, error }; turn errors into exceptions
+const unwrap = (table, { data, count, error }) => {
+  if (error) {
+    throw error.code === UNIQUE_VIOLATION ? duplicateError(table, error) : error;
+  }
+  return count ?? data;
+};
+
+const createTable = (client, name) => {
+  tableInfo(name);
+
+  return {
+    async find(where = {}, { columns, orderBy, ascending = true, limit, offset = 0 } = {}) {
+      const select = async (from, to) => {
+        let query = applyWhere(client.from(name).select(columns ? columns.join(', ') : '*'), where);
+        if (orderBy) query = query.order(orderBy, { ascending });
+        return unwrap(name, await query.range(from, to));
+      };
+      if (limit !== undefined) return select(offset, offset + limit - 1);
+
+      const rows = [];
+      for (let from = offset; ; from += PAGE) {
+        const page = await select(from, from + PAGE - 1);
+        rows.push(...page);
+        if (page.length < PAGE) return rows;
+      }
+    },
+
+    async findOne(where, options = {}) {
+      const [row] = await this.find(where, { ...options, limit: 1 });
+      return row || null;
+    },
+
+    async count(where = {}) {
+      const query = applyWhere(client.from(name).select('*', { count: 'exact', head: true }), where);
+      return unwrap(name, await query);
+    },
+
+    async insert(values) {
+      return unwrap(name, await client.from(name).insert([values]).select().single());
+    },
+
+    async update(where, changes) {
+      return unwrap(name, await applyWhere(client.from(name).update(changes), where).select());
+    },
+
+    async delete(where) {
+      return unwrap(name, await applyWhere(client.from(name).delete(), where).select());
+    }
+  };
+};
+
+// `client` replaces the supabase-js client built from url and serviceRoleKey (tests)
+export const createSupabaseStorage = ({ url, serviceRoleKey, client: givenClient }) => {
+  if (!givenClient && (!url || !serviceRoleKey)) {
+    throw new Error('Supabase storage requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  // Service role key: backend secret, bypasses row level security
+  const client = givenClient || createClient(url, serviceRoleKey);
+  const tables = new Map();
+
+  return {
+    driver: 'supabase',
+    client,
+    table(name) {
+      if (!tables.has(name)) tables.set(name, createTable(client, name));
+      return tables.get(name);
+    },
+    async ping() {
+      unwrap('waitlist', await client.from('waitlist').select('email', { count: 'exact', head: true }));
+      return true;
+    },
+    async close() {}
+  };
+};
@@ -0,0 +1,22 @@
+// Vitals repository: raw real-user performance samples (see ../vitals.js).
+// Kept raw so percentiles can be recomputed for any window; old rows are pruned.
+
+export const createVitalsRepository = (storage) => {
+  const table = storage.table('vitals');
+
+  return {
+    add: async (samples) => {
+      for (const sample of samples) {
+        await table.insert(sample);
+      }
+    },
+
+    since: (date) =>
+      table.find({ created_at: { gte: date.toISOString() } }, {
+        columns: ['metric', 'value', 'section', 'device_class', 'quality']
+      }),
+
+    // Returns the number of samples deleted
+    prune: async (before) => (await table.delete({ created_at: { lt: before.toISOString() } })).length
+  };
+};
@@ -0,0 +1,66 @@
+// Waitlist repository: every read/write of the `waitlist` table goes through here,
+// so routes don't care which storage driver is behind it.
+
+// Columns the admin CSV export and data export include
+export const WAITLIST_COLUMNS = [
+  'email', 'status', 'created_at', 'confirmed_at', 'unsubscribed_at', 'referral_code', 'referred_by',
+  'admission', 'invited_at', 'redeemed_at', 'products',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'referrer', 'landing_path', 'locale', 'timezone'
+];
+
+// Admin list filters: { search, status, admission, from, to } -> where clause
+const filterWhere = ({ search, status, admission, from, to } = {}) => {
+  const where = {};
+  if (search) where.email = { ilike: String(search) };
+  if (status) where.status = String(status);
+  if (admission) where.admission = String(admission);
+  if (from || to) {
+    where.created_at = {};
+    if (from) where.created_at.gte = new Date(from).toISOString();
+    if (to) where.created_at.lte = new Date(to).toISOString();
+  }
+  return where;
+};
+
+export const createWaitlistRepository = (storage) => {
+  const table = storage.table('waitlist');
+
+  return {
+    findByEmail: (email) => table.findOne({ email }),
+
+    // Entry for the same inbox (see canonicalizeEmail; canonical_email is unique), used for dedupe
+    findByCanonicalEmail: (canonicalEmail) => table.findOne({ canonical_email: canonicalEmail }),
+
+    findByReferralCode: (referralCode) => table.findOne({ referral_code: referralCode }),
+
+    // Throws a duplicate error (see isDuplicateError) when the email already exists
+    create: (entry) => table.insert({ status: 'pending', admission: 'waiting', created_at: new Date().toISOString(), ...entry }),
+
+    // Update one entry; pass `onlyIfStatus` / `onlyIfAdmission` to make the change conditional.
+    // Returns the updated row or null
+    update: async (email, changes, { onlyIfStatus, onlyIfAdmission } = {}) => {
+      const where = { email };
+      if (onlyIfStatus) where.status = onlyIfStatus;
+      if (onlyIfAdmission) where.admission = onlyIfAdmission;
+      const [row] = await table.update(where, changes);
+      return row || null;
+    },
+
+    // Returns true if an entry was deleted
+    remove: async (email) => (await table.delete({ email })).length > 0,
+
+    // Paginated, filtered list for the admin API
+    list: async (filters, { page = 1, pageSize = 50 } = {}) => {
+      const where = filterWhere(filters);
+      const [entries, total] = await Promise.all([
+        table.find(where, { orderBy: 'created_at', ascending: false, limit: pageSize, offset: (page - 1) * pageSize }),
+        table.count(where)
+      ]);
+      return { entries, total };
+    },
+
+    // Every matching entry, oldest first (positions, stats, CSV export)
+    all: (filters, { columns } = {}) =>
+      table.find(filterWhere(filters), { columns, orderBy: 'created_at', ascending: true })
+  };
+};
@@ -0,0 +1,41 @@
+// Webhook delivery repository: the durable outbox behind webhooks.js
+
+export const createWebhookDeliveryRepository = (storage) => {
+  const table = storage.table('webhook_deliveries');
+
+  return {
+    add: (delivery) => table.insert(delivery),
+
+    findById: (id) => table.findOne({ id }),
+
+    // Pending deliveries whose next attempt is due, oldest first
+    due: (now, limit) =>
+      table.find(
+        { status: 'pending', next_attempt_at: { lte: now.toISOString() } },
+        { orderBy: 'next_attempt_at', ascending: true, limit }
+      ),
+
+    // Pass `onlyIfStatus` (one status or a list) to make the change conditional. Returns the updated row or null
+    update: async (id, changes, { onlyIfStatus } = {}) => {
+      const where = { id };
+      if (onlyIfStatus) where.status = Array.isArray(onlyIfStatus) ? { in: onlyIfStatus } : onlyIfStatus;
+      const [row] = await table.update(where, changes);
+      return row || null;
+    },
+
+    // Delete every delivery about one member (see memberHash in erasure.js); returns how many
+    removeForMember: async (memberHash) => (await table.delete({ member_hash: memberHash })).length,
+
+    // Paginated list for the admin API, newest first
+    list: async ({ status, eventType } = {}, { page = 1, pageSize = 50 } = {}) => {
+      const where = {};
+      if (status) where.status = String(status);
+      if (eventType) where.event_type = String(eventType);
+      const [deliveries, total] = await Promise.all([
+        table.find(where, { orderBy: 'created_at', ascending: false, limit: pageSize, offset: (page - 1) * pageSize }),
+        table.count(where)
+      ]);
+      return { deliveries, total };
+    }
+  };
+};
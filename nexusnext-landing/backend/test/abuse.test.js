@@ -0,0 +1,87 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+// Proof-of-work is off by default; config is read once, on first import, so turn it on first
+process.env.POW_DIFFICULTY = '8';
+const { startApp } = await import('./helpers.js');
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+};
+
+// Brute-force a solution the way the landing page does
+const solve = (challenge, difficulty) => {
+  for (let i = 0; ; i += 1) {
+    if (leadingZeroBits(crypto.createHash('sha256').update(challenge + i).digest()) >= difficulty) return String(i);
+  }
+};
+
+describe('abuse protection', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const challenge = async () => (await app.request('GET', '/api/waitlist/challenge')).body;
+  const join = async (body, options = {}) => {
+    const { challenge: token, difficulty } = await challenge();
+    return app.request('POST', '/api/waitlist', { body: { challenge: token, solution: solve(token, difficulty), ...body }, ...options });
+  };
+
+  test('signups need a solved, unused proof-of-work challenge', async () => {
+    const issued = await challenge();
+    assert.equal(issued.difficulty, 8);
+
+    const missing = await app.request('POST', '/api/waitlist', { body: { email: 'pow@example.com' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'verification_failed');
+
+    const solution = solve(issued.challenge, issued.difficulty);
+    const body = { email: 'pow@example.com', challenge: issued.challenge, solution };
+    assert.equal((await app.request('POST', '/api/waitlist', { body })).status, 200);
+    assert.equal((await app.request('POST', '/api/waitlist', { body })).body.code, 'verification_failed');
+  });
+
+  test('a filled honeypot gets a fake success and stores nothing', async () => {
+    const { status, body } = await join({ email: 'bot@example.com', website: 'http://spam.example' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'pending');
+    assert.equal(await app.storage.table('waitlist').count({ email: 'bot@example.com' }), 0);
+  });
+
+  test('per-IP rate limit', async () => {
+    const ip = '192.0.2.10';
+    for (let i = 0; i < 10; i += 1) {
+      assert.notEqual((await join({ email: `ip${i}@example.com` }, { ip })).status, 429);
+    }
+    const limited = await join({ email: 'ip10@example.com' }, { ip });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    // Other addresses aren't affected
+    assert.equal((await join({ email: 'ip11@example.com' }, { ip: '192.0.2.11' })).status, 200);
+  });
+
+  test('per-email rate limit covers +tag variants', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await join({ email: `same+${i}@gmail.com` }, { ip: `198.51.100.${i}` })).status, 200);
+    }
+    const limited = await join({ email: 'Same@gmail.com' }, { ip: '198.51.100.99' });
+    assert.equal(limited.status, 429);
+  });
+
+  test('rejections are counted for the admin stats', async () => {
+    const { body } = await app.request('GET', '/api/admin/stats', { admin: true });
+    const today = body.rejections[new Date().toISOString().slice(0, 10)];
+    for (const reason of ['pow_missing', 'pow_invalid', 'honeypot', 'rate_limit_ip', 'rate_limit_email']) {
+      assert.ok(today[reason] >= 1, reason);
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { WAITLIST_COLUMNS } from '../storage/waitlist.js';
+import { deriveSecret, signToken } from '../tokens.js';
+import { ADMIN_TOKEN, DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`admin API (${driver})`, () => {
+    let app;
+    const address = (name) => `${name}@${driver}.example.com`;
+    before(async () => {
+      app = await startApp({ driver });
+      await app.confirmedSignup(address('alice'));
+      await app.request('POST', '/api/waitlist', {
+        body: { email: address('bob'), attribution: { utm_source: 'LinkedIn', utm_term: '=HYPERLINK("http://evil.example")' } }
+      });
+    });
+    after(() => app.close());
+
+    const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    test('needs the admin token or a session from it', async () => {
+      assert.equal((await app.request('GET', '/api/admin/waitlist')).status, 401);
+      assert.equal((await app.request('GET', '/api/admin/waitlist', bearer('wrong-token'))).status, 401);
+      assert.equal((await app.request('GET', '/api/admin/waitlist', bearer(ADMIN_TOKEN))).status, 200);
+
+      assert.equal((await app.request('POST', '/api/admin/session', { body: { token: 'wrong-token' } })).status, 401);
+      const { status, body } = await app.request('POST', '/api/admin/session', { body: { token: ADMIN_TOKEN } });
+      assert.equal(status, 200);
+      assert.ok(new Date(body.expiresAt) > new Date());
+      assert.equal((await app.request('GET', '/api/admin/stats', bearer(body.session))).status, 200);
+    });
+
+    test('session requests are rate limited per IP', async () => {
+      const ip = `203.0.113.${DRIVERS.indexOf(driver) + 1}`;
+      for (let i = 0; i < 10; i += 1) {
+        assert.equal((await app.request('POST', '/api/admin/session', { body: { token: `guess-${i}` }, ip })).status, 401);
+      }
+      const limited = await app.request('POST', '/api/admin/session', { body: { token: ADMIN_TOKEN }, ip });
+      assert.equal(limited.status, 429);
+      assert.equal(limited.body.code, 'rate_limited');
+    });
+
+    test('sessions from before an ADMIN_TOKEN rotation are rejected', async () => {
+      // Signed with the server's secret, but for a different (previous) admin token
+      const rotated = signToken('admin', { key: deriveSecret('admin-session', 'previous-admin-token').toString('base64url') }, 3600);
+      assert.equal((await app.request('GET', '/api/admin/stats', bearer(rotated))).status, 401);
+      // Sessions issued before they carried a key
+      assert.equal((await app.request('GET', '/api/admin/stats', bearer(signToken('admin', {}, 3600)))).status, 401);
+    });
+
+    test('lists, searches, filters and paginates entries', async () => {
+      const all = await app.request('GET', '/api/admin/waitlist', { admin: true });
+      assert.equal(all.body.total, 2);
+
+      const search = await app.request('GET', '/api/admin/waitlist?search=ALICE', { admin: true });
+      assert.deepEqual(search.body.entries.map(entry => entry.email), [address('alice')]);
+
+      const pending = await app.request('GET', '/api/admin/waitlist?status=pending', { admin: true });
+      assert.deepEqual(pending.body.entries.map(entry => entry.email), [address('bob')]);
+
+      const page = await app.request('GET', '/api/admin/waitlist?page=2&pageSize=1', { admin: true });
+      assert.deepEqual({ total: page.body.total, count: page.body.entries.length, page: page.body.page }, { total: 2, count: 1, page: 2 });
+
+      const future = await app.request('GET', `/api/admin/waitlist?from=${new Date(Date.now() + 86400000).toISOString()}`, { admin: true });
+      assert.equal(future.body.total, 0);
+
+      assert.equal((await app.request('GET', '/api/admin/waitlist?from=yesterday-ish', { admin: true })).status, 400);
+    });
+
+    test('exports CSV with formulas neutralised', async () => {
+      const { status, headers, text } = await app.request('GET', '/api/admin/waitlist.csv?status=pending', { admin: true });
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/csv/);
+      assert.match(headers.get('content-disposition'), /attachment; filename="waitlist-\d{4}-\d{2}-\d{2}\.csv"/);
+
+      const [header, row, ...rest] = text.split('\n');
+      assert.equal(header, WAITLIST_COLUMNS.join(','));
+      assert.equal(rest.length, 0);
+      assert.ok(row.startsWith(`${address('bob')},pending,`));
+      assert.ok(row.includes('"\'=HYPERLINK(""http://evil.example"")"'));
+    });
+
+    test('reports totals per status', async () => {
+      const { body } = await app.request('GET', '/api/admin/stats', { admin: true });
+      assert.equal(body.total, 2);
+      assert.deepEqual(body.byStatus, { confirmed: 1, pending: 1 });
+      assert.equal(body.signupsPerDay.at(-1).count, 2);
+    });
+  });
+}
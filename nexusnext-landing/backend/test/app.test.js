@@ -0,0 +1,127 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { runSqliteMigrations, SQLITE_MIGRATIONS_DIR } from '../storage/sqlite.js';
+import { TABLES } from '../storage/schema.js';
+import { isDuplicateError } from '../storage/index.js';
+import { DRIVERS, startApp } from './helpers.js';
+
+const POSTGRES_MIGRATIONS_DIR = path.join(SQLITE_MIGRATIONS_DIR, '..', 'postgres');
+
+describe('migrations', () => {
+  test('apply in order on a fresh SQLite database, once', () => {
+    const db = new Database(':memory:');
+    const applied = runSqliteMigrations(db);
+    assert.deepEqual(applied, fs.readdirSync(SQLITE_MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort());
+    assert.deepEqual(runSqliteMigrations(db), []);
+
+    const versions = db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(row => row.version);
+    assert.deepEqual(versions, applied.map(file => file.split('_')[0]));
+    db.close();
+  });
+
+  test('create every table the storage layer uses', () => {
+    const db = new Database(':memory:');
+    runSqliteMigrations(db);
+    for (const name of Object.keys(TABLES)) {
+      assert.ok(db.prepare('SELECT name FROM sqlite_master WHERE type = ? AND name = ?').get('table', name), name);
+    }
+    db.close();
+  });
+
+  test('012 folds existing canonical emails and makes them unique', () => {
+    // Database as it was before 012, with rows 002 only lower-cased
+    const before = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    for (const file of fs.readdirSync(SQLITE_MIGRATIONS_DIR).filter(file => file < '012')) {
+      fs.copyFileSync(path.join(SQLITE_MIGRATIONS_DIR, file), path.join(before, file));
+    }
+    const db = new Database(':memory:');
+    runSqliteMigrations(db, before);
+    fs.rmSync(before, { recursive: true });
+
+    const insert = db.prepare('INSERT INTO waitlist (email, canonical_email, created_at) VALUES (?, ?, ?)');
+    insert.run('J.Doe@gmail.com', 'j.doe@gmail.com', '2024-01-01T00:00:00.000Z');
+    insert.run('jdoe+news@googlemail.com', 'jdoe+news@googlemail.com', '2024-02-01T00:00:00.000Z');
+    insert.run('ann+work@outlook.com', 'ann+work@outlook.com', '2024-03-01T00:00:00.000Z');
+    insert.run('bob+x@example.com', 'bob+x@example.com', '2024-04-01T00:00:00.000Z');
+
+    assert.deepEqual(runSqliteMigrations(db), ['012_unique_canonical_email.sql']);
+    const rows = db.prepare('SELECT email, canonical_email FROM waitlist ORDER BY created_at').all();
+    assert.deepEqual(rows.map(row => row.canonical_email), [
+      'jdoe@gmail.com',
+      null, // same inbox as the older row
+      'ann@outlook.com',
+      'bob+x@example.com'
+    ]);
+    assert.throws(
+      () => insert.run('j.d.o.e@gmail.com', 'jdoe@gmail.com', '2024-05-01T00:00:00.000Z'),
+      { code: 'SQLITE_CONSTRAINT_UNIQUE' }
+    );
+    db.close();
+  });
+
+  test('exist for both SQLite and Postgres', () => {
+    assert.deepEqual(fs.readdirSync(POSTGRES_MIGRATIONS_DIR).sort(), fs.readdirSync(SQLITE_MIGRATIONS_DIR).sort());
+  });
+});
+
+for (const driver of DRIVERS) {
+  describe(`createApp (${driver})`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ driver });
+    });
+    after(() => app.close());
+
+    test('GET /healthz and /readyz', async () => {
+      assert.equal((await app.request('GET', '/healthz')).status, 200);
+
+      const { status, body } = await app.request('GET', '/readyz');
+      assert.equal(status, 200);
+      assert.equal(body.checks.storage.driver, driver);
+      assert.equal(body.checks.mail.transport, 'stub');
+    });
+
+    test('signup is stored and confirmed', async () => {
+      const email = `ada@${driver}.example.com`;
+      const { status, body } = await app.request('POST', '/api/waitlist', { body: { email } });
+      assert.equal(status, 200);
+      assert.equal(body.status, 'pending');
+      assert.equal(body.position, 1);
+
+      const row = await app.storage.table('waitlist').findOne({ email });
+      assert.equal(row.status, 'pending');
+      assert.equal(row.referral_code, body.referralCode);
+
+      assert.equal((await app.confirm(email)).status, 303);
+      assert.equal((await app.storage.table('waitlist').findOne({ email })).status, 'confirmed');
+    });
+
+    test('one row per inbox, even for concurrent signups', async () => {
+      const [first, second] = await Promise.all([
+        app.request('POST', '/api/waitlist', { body: { email: `Race.${driver}@gmail.com` } }),
+        app.request('POST', '/api/waitlist', { body: { email: `race${driver}+news@gmail.com` } })
+      ]);
+      assert.equal(first.status, 200);
+      assert.equal(second.status, 200);
+      assert.equal(first.body.referralCode, second.body.referralCode);
+      assert.equal(await app.storage.table('waitlist').count({ canonical_email: `race${driver}@gmail.com` }), 1);
+
+      await assert.rejects(
+        app.storage.table('waitlist').insert({
+          email: `r.a.c.e${driver}@gmail.com`,
+          canonical_email: `race${driver}@gmail.com`,
+          created_at: new Date().toISOString()
+        }),
+        isDuplicateError
+      );
+    });
+
+    test('unknown routes are 404', async () => {
+      assert.equal((await app.request('GET', '/api/nope')).status, 404);
+    });
+  });
+}
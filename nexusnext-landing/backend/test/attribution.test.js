@@ -0,0 +1,65 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`signup attribution (${driver})`, () => {
+    let app;
+    const address = (name) => `${name}@${driver}.example.com`;
+    before(async () => {
+      app = await startApp({ driver });
+    });
+    after(() => app.close());
+
+    test('stores well-formed fields and drops the rest', async () => {
+      const email = address('tweet');
+      const { status } = await app.request('POST', '/api/waitlist', {
+        body: {
+          email,
+          attribution: {
+            utm_source: 'Twitter',
+            utm_medium: '<script>',
+            utm_campaign: 'Launch-Week',
+            referrer: 'javascript:alert(1)',
+            landing_path: '/products/nexus',
+            locale: 'hi-IN',
+            timezone: 'Asia/Kolkata'
+          }
+        }
+      });
+      assert.equal(status, 200);
+
+      const entry = await app.storage.table('waitlist').findOne({ email });
+      assert.deepEqual(
+        ['utm_source', 'utm_medium', 'utm_campaign', 'referrer', 'landing_path', 'locale', 'timezone'].map(field => entry[field] ?? null),
+        ['twitter', null, 'launch-week', null, '/products/nexus', 'hi-IN', 'Asia/Kolkata']
+      );
+    });
+
+    test('keeps the first touch when someone signs up again', async () => {
+      const email = address('tweet');
+      await app.request('POST', '/api/waitlist', { body: { email, attribution: { utm_source: 'youtube' } } });
+      assert.equal((await app.storage.table('waitlist').findOne({ email })).utm_source, 'twitter');
+    });
+
+    test('GET /api/admin/attribution breaks signups down by channel and campaign', async () => {
+      await app.confirmedSignup(address('linked'), { attribution: { referrer: 'https://www.linkedin.com/feed/' } });
+      await app.confirmedSignup(address('direct'));
+      await app.confirm(address('tweet'));
+      await app.request('POST', '/api/waitlist', { body: { email: address('x-pending'), attribution: { utm_source: 'x', utm_campaign: 'launch-week' } } });
+
+      assert.equal((await app.request('GET', '/api/admin/attribution')).status, 401);
+      const { body } = await app.request('GET', '/api/admin/attribution', { admin: true });
+      assert.equal(body.total, 4);
+
+      const byChannel = Object.fromEntries(body.channels.map(row => [row.channel, row]));
+      assert.deepEqual(Object.keys(byChannel), ['x', 'linkedin', 'direct']);
+      assert.deepEqual(
+        { signups: byChannel.x.signups, confirmed: byChannel.x.confirmed, conversionRate: byChannel.x.conversionRate },
+        { signups: 2, confirmed: 1, conversionRate: 0.5 }
+      );
+      assert.deepEqual(byChannel.x.campaigns.map(row => [row.campaign, row.signups]), [['launch-week', 2]]);
+      assert.equal(byChannel.linkedin.confirmed, 1);
+    });
+  });
+}
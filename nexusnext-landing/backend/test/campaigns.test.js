@@ -0,0 +1,46 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`campaigns (${driver})`, () => {
+    let app;
+    const email = `reader@${driver}.example.com`;
+    before(async () => {
+      app = await startApp({ driver });
+      await app.confirmedSignup(email);
+    });
+    after(() => app.close());
+
+    test('sends to the segment and logs recipients without their address in the id', async () => {
+      const created = await app.request('POST', '/api/admin/campaigns', {
+        admin: true,
+        body: { name: 'Launch', subject: 'We are live', text: 'Hello {{email}}', segment: { confirmedOnly: true } }
+      });
+      assert.equal(created.status, 201);
+      const { id } = created.body.campaign;
+
+      assert.equal((await app.request('POST', `/api/admin/campaigns/${id}/send`, { admin: true })).status, 202);
+      let campaign;
+      for (let i = 0; i < 50 && campaign?.status !== 'completed'; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        campaign = (await app.request('GET', `/api/admin/campaigns/${id}`, { admin: true })).body.campaign;
+      }
+      assert.equal(campaign.status, 'completed');
+      assert.equal(campaign.progress.sent, 1);
+
+      const { body } = await app.request('GET', `/api/admin/campaigns/${id}/recipients`, { admin: true });
+      assert.equal(body.recipients[0].email, email);
+      assert.ok(!body.recipients[0].id.includes(email));
+
+      const sent = app.mailer.sent.at(-1);
+      assert.equal(sent.to, email);
+      assert.equal(sent.idempotencyKey, body.recipients[0].id);
+      assert.ok(sent.text.includes(`Hello ${email}`));
+    });
+
+    test('requires admin auth', async () => {
+      assert.equal((await app.request('GET', '/api/admin/campaigns')).status, 401);
+    });
+  });
+}
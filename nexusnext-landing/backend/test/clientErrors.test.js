@@ -0,0 +1,38 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`POST /api/client-errors (${driver})`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ driver });
+    });
+    after(() => app.close());
+
+    test('stores the page URL without its query string or fragment', async () => {
+      const { status, body } = await app.request('POST', '/api/client-errors', {
+        body: JSON.stringify({
+          errors: [{
+            source: 'error',
+            message: 'TypeError: x is undefined',
+            url: 'https://nexusnext.example/?waitlist=erase&token=secret.token#join',
+            release: 'abc123'
+          }]
+        }),
+        headers: { 'Content-Type': 'text/plain' }
+      });
+      assert.equal(status, 202);
+      assert.equal(body.accepted, 1);
+
+      const { body: listed } = await app.request('GET', '/api/admin/client-errors', { admin: true });
+      assert.equal(listed.errors.length, 1);
+      assert.equal(listed.errors[0].url, 'https://nexusnext.example/');
+      assert.ok(!JSON.stringify(await app.storage.table('client_errors').find({})).includes('secret.token'));
+    });
+
+    test('rejects anything but a batch of reports', async () => {
+      assert.equal((await app.request('POST', '/api/client-errors', { body: { errors: 'nope' } })).status, 400);
+    });
+  });
+}
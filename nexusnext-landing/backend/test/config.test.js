@@ -0,0 +1,103 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigError, describeConfig, loadConfig } from '../config.js';
+import { ADMIN_TOKEN, startApp } from './helpers.js';
+
+const SECRET = 'a-production-secret-that-is-long-enough';
+const PRODUCTION = { NODE_ENV: 'production', WAITLIST_TOKEN_SECRET: SECRET, PUBLIC_API_URL: 'https://api.nexusnext.example/' };
+
+// Problems loadConfig reports for env, or [] when it loads
+const problemsFor = (env) => {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+};
+
+describe('loadConfig', () => {
+  test('applies profile defaults', () => {
+    const development = loadConfig({});
+    assert.equal(development.NODE_ENV, 'development');
+    assert.ok(development.CORS_ORIGINS.includes('http://localhost:3000'));
+    assert.equal(development.STORAGE_DRIVER, 'sqlite');
+
+    const testing = loadConfig({ NODE_ENV: 'test' });
+    assert.equal(testing.STORAGE_DRIVER, 'memory');
+    assert.equal(testing.MAIL_TRANSPORT, 'console');
+    assert.equal(testing.sources.STORAGE_DRIVER, 'default');
+  });
+
+  test('parses values and records where they came from', () => {
+    const config = loadConfig({ ...PRODUCTION, PORT: '8080', CORS_ORIGINS: 'https://a.example/, https://b.example' });
+    assert.equal(config.PORT, 8080);
+    assert.equal(config.PUBLIC_API_URL, 'https://api.nexusnext.example');
+    assert.deepEqual(config.CORS_ORIGINS, ['https://a.example', 'https://b.example']);
+    assert.equal(config.sources.PORT, 'env');
+    assert.ok(Object.isFrozen(config));
+  });
+
+  test('names every problem at once', () => {
+    const problems = problemsFor({ NODE_ENV: 'production', PORT: 'eighty', CORS_ORIGINS: 'https://ok.example,not a url' });
+    assert.deepEqual(problems.map(problem => problem.split(':')[0]).sort(), ['CORS_ORIGINS', 'PORT', 'PUBLIC_API_URL', 'WAITLIST_TOKEN_SECRET']);
+    assert.ok(problems.includes('WAITLIST_TOKEN_SECRET: required when NODE_ENV=production'));
+  });
+
+  test('production needs its required variables set explicitly', () => {
+    assert.deepEqual(problemsFor(PRODUCTION), []);
+    assert.deepEqual(problemsFor({ ...PRODUCTION, PUBLIC_API_URL: '' }), ['PUBLIC_API_URL: required when NODE_ENV=production']);
+  });
+
+  test('drivers and transports bring their own requirements', () => {
+    assert.deepEqual(problemsFor({ STORAGE_DRIVER: 'supabase' }), [
+      'SUPABASE_URL: required when STORAGE_DRIVER=supabase',
+      'SUPABASE_SERVICE_ROLE_KEY: required when STORAGE_DRIVER=supabase'
+    ]);
+    assert.deepEqual(problemsFor({ RESEND_API_KEY: 're_123' }), ['RESEND_FROM: required when MAIL_TRANSPORT=resend']);
+  });
+
+  test('never echoes secrets in errors', () => {
+    const [problem] = problemsFor({ WAITLIST_TOKEN_SECRET: 'too-short' });
+    assert.equal(problem, 'WAITLIST_TOKEN_SECRET: must be at least 32 characters (got "[redacted]")');
+    assert.match(problemsFor({ WEBHOOK_SUBSCRIPTIONS: '[{"url":"ftp://x","secret":"s"}]' })[0], /^WEBHOOK_SUBSCRIPTIONS: entry 0: "url"/);
+  });
+
+  test('rejects an unknown profile', () => {
+    assert.deepEqual(problemsFor({ NODE_ENV: 'staging' }), ['NODE_ENV: must be one of development, test, production']);
+  });
+});
+
+test('describeConfig redacts secrets and warns about risky settings', () => {
+  const described = describeConfig(loadConfig(PRODUCTION));
+  assert.equal(described.environment, 'production');
+  assert.deepEqual(
+    { set: described.variables.WAITLIST_TOKEN_SECRET.set, value: described.variables.WAITLIST_TOKEN_SECRET.value },
+    { set: true, value: '[redacted]' }
+  );
+  assert.equal(described.variables.ADMIN_TOKEN.value, null);
+  assert.ok(!JSON.stringify(described).includes(SECRET));
+  assert.ok(described.warnings.some(warning => warning.startsWith('ADMIN_TOKEN is not set')));
+});
+
+describe('GET /api/config/health', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  test('is admin-only', async () => {
+    assert.equal((await app.request('GET', '/api/config/health')).status, 401);
+  });
+
+  test('describes the running config without secrets', async () => {
+    const { status, body, text } = await app.request('GET', '/api/config/health', { admin: true });
+    assert.equal(status, 200);
+    assert.equal(body.environment, 'test');
+    assert.equal(body.storage, 'memory');
+    assert.equal(body.variables.ADMIN_TOKEN.value, '[redacted]');
+    assert.ok(!text.includes(ADMIN_TOKEN));
+  });
+});
@@ -0,0 +1,71 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { signToken } from '../tokens.js';
+import { DRIVERS, startApp, tokenFromMail } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`double opt-in (${driver})`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ driver });
+    });
+    after(() => app.close());
+
+    const confirmWith = (token) => app.request('GET', `/api/waitlist/confirm?token=${encodeURIComponent(token)}`);
+    const landingStatus = (response) => new URL(response.headers.get('location')).searchParams.get('waitlist');
+
+    test('a signup is stored as pending and gets a confirmation link', async () => {
+      const email = `pending@${driver}.example.com`;
+      const { status, body } = await app.request('POST', '/api/waitlist', { body: { email } });
+      assert.equal(status, 200);
+      assert.equal(body.status, 'pending');
+      assert.equal((await app.storage.table('waitlist').findOne({ email })).status, 'pending');
+
+      const [message] = app.mailer.sent.filter(sent => sent.to === email);
+      assert.match(message.text, /\/api\/waitlist\/confirm\?token=/);
+      assert.ok(message.html.includes('/api/waitlist/confirm?token='));
+    });
+
+    test('the link confirms once and redirects to the landing page', async () => {
+      const email = `confirm@${driver}.example.com`;
+      await app.request('POST', '/api/waitlist', { body: { email } });
+      const token = tokenFromMail(app.mailer, email);
+
+      const response = await confirmWith(token);
+      assert.equal(response.status, 303);
+      assert.equal(landingStatus(response), 'confirmed');
+      const entry = await app.storage.table('waitlist').findOne({ email });
+      assert.equal(entry.status, 'confirmed');
+      assert.ok(entry.confirmed_at);
+      // Welcome email with their position
+      assert.match(app.mailer.sent.at(-1).subject, /^Welcome to Nexusnext — you're #\d+ on the waitlist$/);
+      assert.equal(app.mailer.sent.at(-1).to, email);
+
+      const sentBefore = app.mailer.sent.length;
+      assert.equal(landingStatus(await confirmWith(token)), 'confirmed');
+      assert.equal(app.mailer.sent.length, sentBefore);
+    });
+
+    test('signing up again once confirmed sends nothing', async () => {
+      const email = `again@${driver}.example.com`;
+      await app.confirmedSignup(email);
+      const sentBefore = app.mailer.sent.length;
+
+      const { body } = await app.request('POST', '/api/waitlist', { body: { email } });
+      assert.equal(body.status, 'confirmed');
+      assert.equal(app.mailer.sent.length, sentBefore);
+    });
+
+    test('bad and expired links redirect with the reason', async () => {
+      assert.equal(landingStatus(await confirmWith('not-a-token')), 'invalid');
+      assert.equal(landingStatus(await confirmWith(signToken('confirm', { email: 'late@example.com' }, -10))), 'expired');
+      assert.equal(landingStatus(await confirmWith(signToken('unsubscribe', { email: 'late@example.com' }, 60))), 'invalid');
+    });
+
+    test('invalid addresses are rejected with a stable code', async () => {
+      const { status, body } = await app.request('POST', '/api/waitlist', { body: { email: 'not-an-email' } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'invalid_email');
+    });
+  });
+}
@@ -0,0 +1,77 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMAIL_TEMPLATES, composeEmail, renderEmail } from '../emails/index.js';
+import { startApp } from './helpers.js';
+
+describe('GET /api/emails/preview', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  test('lists templates and locales', async () => {
+    const { body } = await app.request('GET', '/api/emails/preview');
+    assert.deepEqual(body.templates, EMAIL_TEMPLATES);
+    assert.deepEqual(body.locales, ['en', 'hi']);
+  });
+
+  test('renders every template as HTML and plain text', async () => {
+    for (const template of EMAIL_TEMPLATES) {
+      const html = await app.request('GET', `/api/emails/preview/${template}`);
+      assert.equal(html.status, 200, template);
+      assert.match(html.headers.get('content-type'), /^text\/html/);
+      assert.match(html.text, /^<!DOCTYPE html>/i, template);
+
+      const text = await app.request('GET', `/api/emails/preview/${template}?format=text`);
+      assert.match(text.text, /^Subject: .+\n\n/, template);
+      assert.ok(!text.text.includes('<'), template);
+    }
+  });
+
+  test('takes a locale and variable overrides, escaped in HTML', async () => {
+    const { text } = await app.request('GET', '/api/emails/preview/welcome?locale=hi-IN&format=text&position=7');
+    assert.match(text, /^Subject: Nexusnext में आपका स्वागत है — वेटलिस्ट पर आप #7 पर हैं/);
+
+    const html = await app.request('GET', `/api/emails/preview/welcome?referralCode=${encodeURIComponent('<b>x</b>')}`);
+    assert.ok(html.text.includes('&lt;b&gt;x&lt;/b&gt;'));
+    assert.ok(!html.text.includes('<b>x</b>'));
+  });
+
+  test('404s for an unknown template', async () => {
+    assert.equal((await app.request('GET', '/api/emails/preview/nope')).status, 404);
+  });
+});
+
+describe('composeEmail', () => {
+  test('adds the one-click unsubscribe link and headers', () => {
+    const email = composeEmail({ to: 'reader@example.com', template: 'launch', variables: { launchUrl: 'https://nexusnext.example' } });
+    assert.equal(email.to, 'reader@example.com');
+    assert.match(email.headers['List-Unsubscribe'], /^<http.+\/api\/waitlist\/unsubscribe\?token=.+>$/);
+    assert.equal(email.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    assert.ok(email.text.includes('/api/waitlist/unsubscribe?token='));
+  });
+
+  test('leaves it out of replies to data requests', () => {
+    const email = composeEmail({
+      to: 'reader@example.com',
+      template: 'data-request',
+      unsubscribe: false,
+      variables: { purpose: 'export', actionUrl: 'https://api.example/export', expiresMinutes: 60 }
+    });
+    assert.equal(email.headers, undefined);
+    assert.ok(!email.text.includes('unsubscribe?token='));
+  });
+
+  test('falls back to English for unknown locales and throws for unknown templates', () => {
+    assert.equal(renderEmail('launch', { locale: 'fr-FR', variables: { launchUrl: 'https://x.example' } }).subject, 'Nexusnext is live 🚀');
+    assert.throws(() => renderEmail('nope'), /Unknown email template "nope"/);
+  });
+});
+
+test('signup emails go out in the locale the landing page recorded', async () => {
+  const app = await startApp();
+  await app.request('POST', '/api/waitlist', { body: { email: 'hindi@example.com', attribution: { locale: 'hi-IN' } } });
+  assert.equal(app.mailer.sent.at(-1).subject, 'Nexusnext वेटलिस्ट पर अपनी जगह कन्फ़र्म करें');
+  await app.close();
+});
@@ -0,0 +1,107 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { TABLES } from '../storage/schema.js';
+import { createCampaignRepository, createInviteRepository, createWebhookDeliveryRepository } from '../storage/index.js';
+import { createWebhooks } from '../webhooks.js';
+import { DRIVERS, startApp, startReceiver, tokenFromMail } from './helpers.js';
+
+// Tables with a row that still mentions the address (in any column, JSON included)
+const leftovers = async (storage, email) => {
+  const found = [];
+  for (const name of Object.keys(TABLES)) {
+    const rows = await storage.table(name).find({});
+    if (rows.some(row => JSON.stringify(row).toLowerCase().includes(email))) found.push(name);
+  }
+  return found;
+};
+
+// One delivered and one dead-lettered webhook event about `email`
+const recordWebhooks = async (storage, receiver, email) => {
+  const deliveries = createWebhookDeliveryRepository(storage);
+  const webhooks = createWebhooks({
+    deliveries,
+    subscriptions: [{ url: receiver.url, secret: 'receiver-secret-0123' }],
+    maxAttempts: 1
+  });
+  await webhooks.emit('waitlist.joined', { email, referralCode: 'ABCD2345' });
+  await webhooks.dispatch();
+  receiver.status = 500;
+  await webhooks.emit('waitlist.confirmed', { email, referralCode: 'ABCD2345' });
+  await webhooks.dispatch();
+  receiver.status = 204;
+  const { total } = await deliveries.list();
+  assert.equal(total, 2);
+};
+
+// A campaign with `email` in its send log
+const recordCampaign = async (storage, email) => {
+  const campaigns = createCampaignRepository(storage);
+  const campaign = await campaigns.create({ id: crypto.randomUUID(), name: 'Launch', subject: 'Hi', text: 'Hello', segment: {} });
+  await campaigns.addRecipient(campaign.id, email);
+};
+
+// An unsent invite for `email`
+const recordInvite = async (storage, email) => {
+  const id = crypto.randomUUID();
+  await createInviteRepository(storage).add({
+    id,
+    code_hash: id,
+    email,
+    batch_id: crypto.randomUUID(),
+    expires_at: new Date(Date.now() + 86400000).toISOString()
+  });
+};
+
+for (const driver of DRIVERS) {
+  describe(`erasure (${driver})`, () => {
+    let app;
+    let receiver;
+    before(async () => {
+      app = await startApp({ driver });
+      receiver = await startReceiver();
+    });
+    after(async () => {
+      await app.close();
+      await receiver.close();
+    });
+
+    test('the emailed link erases the member from every table', async () => {
+      const email = `erase.me@${driver}.example.com`;
+      await app.confirmedSignup(email);
+      await recordWebhooks(app.storage, receiver, email);
+      await recordCampaign(app.storage, email);
+      await recordInvite(app.storage, email);
+      assert.deepEqual(await leftovers(app.storage, email), ['waitlist', 'webhook_deliveries', 'campaign_recipients', 'invites']);
+
+      const requested = await app.request('DELETE', '/api/waitlist', { body: { email } });
+      assert.equal(requested.status, 202);
+      const token = tokenFromMail(app.mailer, email);
+      assert.ok(token);
+
+      const { status, body } = await app.request('DELETE', '/api/waitlist', { body: { token } });
+      assert.equal(status, 200);
+      assert.equal(body.message, 'Your data has been deleted.');
+      assert.deepEqual(await leftovers(app.storage, email), []);
+    });
+
+    test('a bad link is rejected', async () => {
+      const { status, body } = await app.request('DELETE', '/api/waitlist', { body: { token: 'nope.nope' } });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'invalid_link');
+    });
+
+    test('admins erase through the same service', async () => {
+      const email = `admin.erase@${driver}.example.com`;
+      await app.confirmedSignup(email);
+      await recordWebhooks(app.storage, receiver, email);
+      await recordCampaign(app.storage, email);
+      await recordInvite(app.storage, email);
+
+      assert.equal((await app.request('DELETE', `/api/admin/waitlist/${email}`)).status, 401);
+      assert.equal((await app.request('DELETE', `/api/admin/waitlist/${email}`, { admin: true })).status, 200);
+      assert.deepEqual(await leftovers(app.storage, email), []);
+      assert.equal((await app.request('DELETE', `/api/admin/waitlist/${email}`, { admin: true })).status, 404);
+    });
+  });
+}
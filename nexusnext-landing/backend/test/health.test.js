@@ -0,0 +1,58 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { createMailTransport } from '../mail.js';
+import { createMemoryStorage } from '../storage/memory.js';
+import { createStubMailer, startApp } from './helpers.js';
+
+describe('GET /readyz', () => {
+  const apps = [];
+  after(() => Promise.all(apps.map(app => app.close())));
+
+  const start = async (options) => {
+    const app = await startApp(options);
+    apps.push(app);
+    return app;
+  };
+
+  test('reports a failing mail transport as degraded, still ready', async () => {
+    const mailer = { ...createStubMailer(), check: async () => { throw new Error('mail down'); } };
+    const app = await start({ mailer });
+    const { status, body } = await app.request('GET', '/readyz');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.mail.error, 'mail down');
+  });
+
+  test('is unavailable when storage is down', async () => {
+    const storage = { ...createMemoryStorage(), ping: async () => { throw new Error('db down'); } };
+    const app = await start({ storage });
+    const { status, body } = await app.request('GET', '/readyz');
+    assert.equal(status, 503);
+    assert.equal(body.status, 'unavailable');
+  });
+});
+
+describe('Resend transport check', () => {
+  const { get } = axios;
+  after(() => {
+    axios.get = get;
+  });
+
+  const resend = createMailTransport({ transport: 'resend', apiKey: 're_test', from: 'hello@example.com' });
+  const rejectWith = (status, data) => {
+    axios.get = async () => {
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+    };
+  };
+
+  test('accepts a send-only key', async () => {
+    rejectWith(401, { statusCode: 401, name: 'restricted_api_key', message: 'This API key is restricted to only send emails' });
+    await resend.check();
+  });
+
+  test('fails for an invalid key', async () => {
+    rejectWith(400, { statusCode: 400, name: 'validation_error', message: 'API key is invalid' });
+    await assert.rejects(resend.check(), /status code 400/);
+  });
+});
@@ -0,0 +1,117 @@
+import http from 'http';
+import { createApp } from '../app.js';
+import { createMemoryStorage } from '../storage/memory.js';
+import { createSqliteStorage } from '../storage/sqlite.js';
+
+// In-process test harness: createApp() on a random port with a fresh store and a
+// mailer that records what it sends.
+
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+export const DRIVERS = ['memory', 'sqlite'];
+
+export const createStore = (driver = 'memory') =>
+  (driver === 'sqlite' ? createSqliteStorage({ file: ':memory:' }) : createMemoryStorage());
+
+// Same shape as the transports in mail.js; `sent` holds every message
+export const createStubMailer = () => {
+  const sent = [];
+  return {
+    name: 'stub',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `stub-${sent.length}` };
+    },
+    async check() {}
+  };
+};
+
+// Signed link token from the last email sent to `to`, e.g. the confirmation link
+export const tokenFromMail = (mailer, to) => {
+  const message = mailer.sent.filter(sent => sent.to === to).at(-1);
+  const match = message?.text.match(/[?&]token=([^&#\s]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+let clients = 0;
+
+// Start an app. request() gives each app its own client address (X-Forwarded-For)
+// so the per-IP rate limits, which live for the whole test file, don't carry over.
+export const startApp = async ({ driver = 'memory', storage, mailer = createStubMailer() } = {}) => {
+  const store = storage || await createStore(driver);
+  const app = createApp({ storage: store, mailer });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  clients += 1;
+  const clientIp = `10.0.${Math.floor(clients / 250)}.${(clients % 250) + 1}`;
+
+  // { status, headers, body (parsed JSON or null), text }
+  const request = async (method, path, { body, headers = {}, admin = false, ip = clientIp } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'X-Forwarded-For': ip,
+        ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+        ...(admin && { Authorization: `Bearer ${ADMIN_TOKEN}` }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // not JSON (CSV, plain text)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  // Click the confirmation link last emailed to `email`
+  const confirm = (email) =>
+    request('GET', `/api/waitlist/confirm?token=${encodeURIComponent(tokenFromMail(mailer, email))}`);
+
+  // Sign up and confirm; returns the signup response body
+  const confirmedSignup = async (email, extra = {}) => {
+    const joined = await request('POST', '/api/waitlist', { body: { email, ...extra } });
+    await confirm(email);
+    return joined.body;
+  };
+
+  return {
+    baseUrl,
+    storage: store,
+    mailer,
+    request,
+    confirm,
+    confirmedSignup,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await store.close();
+    }
+  };
+};
+
+// Webhook endpoint that answers `status` (changeable) and keeps every request in `received`
+export const startReceiver = async () => {
+  const receiver = { status: 204, received: [] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.received.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return receiver;
+};
@@ -0,0 +1,84 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createInvites } from '../invites.js';
+import { createInviteRepository, createWaitlistRepository } from '../storage/index.js';
+import { createMemoryStorage } from '../storage/memory.js';
+import { DRIVERS, createStubMailer, startApp } from './helpers.js';
+
+// Poll until `check` returns something truthy
+const eventually = async (check) => {
+  for (let i = 0; i < 100; i += 1) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting');
+};
+
+for (const driver of DRIVERS) {
+  describe(`invites (${driver})`, () => {
+    let app;
+    let code;
+    const email = `guest@${driver}.example.com`;
+    before(async () => {
+      app = await startApp({ driver });
+      await app.confirmedSignup(email);
+    });
+    after(() => app.close());
+
+    test('admitting emails a code to the next person in the queue', async () => {
+      const { status, body } = await app.request('POST', '/api/admin/invites/admit', { admin: true, body: { count: 1 } });
+      assert.equal(status, 201);
+      assert.deepEqual(body.invited.map(invite => invite.email), [email]);
+
+      const sent = await eventually(() => app.mailer.sent.find(message => /invite code: /.test(message.text)));
+      code = sent.text.match(/invite code: ([A-Z0-9-]+)/)[1];
+    });
+
+    test('redeeming returns no address and consumes the code', async () => {
+      const wrongEmail = await app.request('POST', '/api/invites/redeem', { body: { code, email: 'someone@else.com' } });
+      assert.equal(wrongEmail.status, 404);
+
+      const { status, body } = await app.request('POST', '/api/invites/redeem', { body: { code: code.toLowerCase() } });
+      assert.equal(status, 200);
+      assert.ok(body.redeemedAt);
+      assert.ok(!JSON.stringify(body).includes(email));
+      assert.equal((await app.storage.table('waitlist').findOne({ email })).admission, 'redeemed');
+
+      const again = await app.request('POST', '/api/invites/redeem', { body: { code } });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, 'invite_used');
+    });
+
+    test('unknown and malformed codes', async () => {
+      assert.equal((await app.request('POST', '/api/invites/redeem', { body: { code: 'AAAA-AAAA-AAAA' } })).body.code, 'invalid_invite');
+      assert.equal((await app.request('POST', '/api/invites/redeem', { body: {} })).status, 400);
+    });
+  });
+}
+
+test('invite emails another dispatcher claimed are skipped, not refetched', async () => {
+  const storage = createMemoryStorage();
+  const repository = createInviteRepository(storage);
+  for (let i = 0; i < 60; i += 1) {
+    await repository.add({ id: crypto.randomUUID(), code_hash: String(i), email: `${i}@example.com`, batch_id: 'b', expires_at: new Date().toISOString() });
+  }
+
+  let fetches = 0;
+  const invites = {
+    ...repository,
+    unsent: (...args) => {
+      fetches += 1;
+      if (fetches > 5) throw new Error('dispatch keeps refetching the same invites');
+      return repository.unsent(...args);
+    },
+    // Every claim loses to someone else
+    updateEmail: async (id, changes, options) => (options?.onlyIfEmailStatus ? null : repository.updateEmail(id, changes, options))
+  };
+  const mailer = createStubMailer();
+  await createInvites({ invites, waitlist: createWaitlistRepository(storage), mailer }).dispatch();
+
+  assert.equal(fetches, 2);
+  assert.equal(mailer.sent.length, 0);
+});
@@ -0,0 +1,62 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`referrals and queue position (${driver})`, () => {
+    let app;
+    const codes = [];
+    const address = (name) => `${name}@${driver}.example.com`;
+    before(async () => {
+      app = await startApp({ driver });
+      for (const name of ['first', 'second', 'third', 'fourth']) {
+        codes.push((await app.confirmedSignup(address(name))).referralCode);
+      }
+    });
+    after(() => app.close());
+
+    const status = (code) => app.request('GET', `/api/waitlist/status?code=${code}`);
+
+    test('GET /api/waitlist/status returns position, referrals and share link', async () => {
+      const { status: code, body } = await status(codes[1]);
+      assert.equal(code, 200);
+      assert.deepEqual(
+        { position: body.position, total: body.total, referralCount: body.referralCount, referralCode: body.referralCode },
+        { position: 2, total: 4, referralCount: 0, referralCode: codes[1] }
+      );
+      assert.ok(body.shareUrl.includes(`ref=${codes[1]}`));
+    });
+
+    test('a confirmed referral moves the referrer up and tells them', async () => {
+      const referrer = codes[3];
+      const joined = await app.request('POST', '/api/waitlist', { body: { email: address('friend'), ref: referrer.toLowerCase() } });
+      assert.equal(joined.body.position, 5);
+      // Pending referrals don't count yet
+      assert.equal((await status(referrer)).body.position, 4);
+
+      await app.confirm(address('friend'));
+      const { body } = await status(referrer);
+      assert.equal(body.referralCount, 1);
+      assert.equal(body.position, 1);
+
+      const update = app.mailer.sent.at(-1);
+      assert.equal(update.to, address('fourth'));
+      assert.match(update.subject, /you're now #1/);
+    });
+
+    test('unknown referral codes are ignored', async () => {
+      await app.request('POST', '/api/waitlist', { body: { email: address('stranger'), ref: 'ZZZZZZZZ' } });
+      assert.equal((await app.storage.table('waitlist').findOne({ email: address('stranger') })).referred_by, null);
+    });
+
+    test('invalid and unknown codes', async () => {
+      const invalid = await status('no!');
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.code, 'invalid_referral_code');
+
+      const unknown = await status('ZZZZZZZZ');
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.code, 'not_found');
+    });
+  });
+}
@@ -0,0 +1,5 @@
+// Loaded with `node --import` (see the test script in package.json) so it runs
+// before config.js reads the environment: the test profile, plus an admin token
+// so the admin routes are enabled.
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_TOKEN ||= 'test-admin-token-0123456789';
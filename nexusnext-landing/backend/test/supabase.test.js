@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSupabaseStorage } from '../storage/supabase.js';
+
+// Stand-in for the supabase-js client over one table's rows. Like PostgREST, it
+// answers with at most `maxRows` rows however large the requested range.
+const createStubClient = (rows, { maxRows = 1000 } = {}) => {
+  const ranges = [];
+  const client = {
+    ranges,
+    from: () => {
+      const filters = [];
+      let range = [0, Infinity];
+      const query = {
+        select: () => query,
+        order: () => query,
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          return query;
+        },
+        range: (from, to) => {
+          range = [from, to];
+          ranges.push(range);
+          return query;
+        },
+        then: (resolve, reject) => {
+          const [from, to] = range;
+          const matching = rows.filter(row => filters.every(filter => filter(row)));
+          const data = matching.slice(from, Math.min(to + 1, from + maxRows));
+          return Promise.resolve({ data, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+  return client;
+};
+
+const signups = (count) =>
+  Array.from({ length: count }, (_, i) => ({ id: i + 1, email: `user${i + 1}@example.com`, status: i % 2 ? 'confirmed' : 'pending' }));
+
+describe('Supabase driver find()', () => {
+  test('reads past the server\'s row cap a page at a time when no limit is given', async () => {
+    const client = createStubClient(signups(2500));
+    const waitlist = createSupabaseStorage({ client }).table('waitlist');
+
+    const rows = await waitlist.find({});
+    assert.equal(rows.length, 2500);
+    assert.deepEqual(rows.map(row => row.id), signups(2500).map(row => row.id));
+    assert.deepEqual(client.ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  test('pages filtered reads, stopping at the first short page', async () => {
+    const client = createStubClient(signups(4000));
+    const waitlist = createSupabaseStorage({ client }).table('waitlist');
+
+    assert.equal((await waitlist.find({ status: 'confirmed' })).length, 2000);
+    assert.deepEqual(client.ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  test('a single request for a limited read', async () => {
+    const client = createStubClient(signups(2500));
+    const waitlist = createSupabaseStorage({ client }).table('waitlist');
+
+    const rows = await waitlist.find({}, { limit: 10, offset: 20 });
+    assert.deepEqual(rows.map(row => row.id), [21, 22, 23, 24, 25, 26, 27, 28, 29, 30]);
+    assert.deepEqual(client.ranges, [[20, 29]]);
+  });
+});
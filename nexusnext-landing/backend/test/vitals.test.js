@@ -0,0 +1,44 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DRIVERS, startApp } from './helpers.js';
+
+for (const driver of DRIVERS) {
+  describe(`POST /api/vitals (${driver})`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ driver });
+    });
+    after(() => app.close());
+
+    const beacon = (body) => app.request('POST', '/api/vitals', {
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'text/plain' }
+    });
+
+    test('records plausible samples sent as a text/plain beacon', async () => {
+      const { status, body } = await beacon({
+        deviceClass: 'desktop',
+        quality: 'high',
+        samples: [{ name: 'LCP', value: 1200, section: 'page' }, { name: 'LCP', value: -1, section: 'page' }]
+      });
+      assert.equal(status, 202);
+      assert.equal(body.accepted, 1);
+      assert.equal(await app.storage.table('vitals').count({ metric: 'LCP' }), 1);
+    });
+
+    test('rejects a payload without a device class or samples list', async () => {
+      assert.equal((await beacon({ samples: [null] })).status, 400);
+      assert.equal((await beacon({ deviceClass: 'mobile', samples: null })).status, 400);
+      assert.equal((await beacon(null)).status, 400);
+    });
+
+    test('skips samples that are not objects', async () => {
+      const { status, body } = await beacon({
+        deviceClass: 'mobile',
+        samples: [null, 5, 'LCP', [], { name: 'toString', value: 1, section: 'page' }]
+      });
+      assert.equal(status, 202);
+      assert.equal(body.accepted, 0);
+    });
+  });
+}
@@ -0,0 +1,83 @@
+import { test, describe, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { memberHash } from '../erasure.js';
+import { runSqliteMigrations, SQLITE_MIGRATIONS_DIR } from '../storage/sqlite.js';
+import { createWebhookDeliveryRepository } from '../storage/index.js';
+import { DRIVERS, startApp } from './helpers.js';
+
+const delivery = (id, status, email) => ({
+  id,
+  event_id: `event-${id}`,
+  event_type: 'waitlist.joined',
+  payload: { id: `event-${id}`, type: 'waitlist.joined', createdAt: new Date().toISOString(), data: { email } },
+  member_hash: memberHash(email),
+  subscription_id: 'gone',
+  url: 'http://127.0.0.1:9/hook',
+  status,
+  attempts: 3,
+  next_attempt_at: new Date().toISOString(),
+  created_at: new Date().toISOString()
+});
+
+for (const driver of DRIVERS) {
+  describe(`POST /api/admin/webhooks/deliveries/:id/replay (${driver})`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ driver });
+      const deliveries = createWebhookDeliveryRepository(app.storage);
+      await deliveries.add(delivery('dead-1', 'dead', 'a@example.com'));
+      await deliveries.add(delivery('delivered-1', 'delivered', 'b@example.com'));
+    });
+    after(() => app.close());
+
+    const replay = (id, options = { admin: true }) =>
+      app.request('POST', `/api/admin/webhooks/deliveries/${id}/replay`, options);
+
+    test('requires admin auth', async () => {
+      assert.equal((await replay('dead-1', {})).status, 401);
+    });
+
+    test('queues a dead delivery again with a fresh attempt budget', async () => {
+      const { status, body } = await replay('dead-1');
+      assert.equal(status, 200);
+      assert.equal(body.delivery.status, 'pending');
+      assert.equal(body.delivery.attempts, 0);
+    });
+
+    test('never resends a delivered event', async () => {
+      const { status } = await replay('delivered-1');
+      assert.equal(status, 409);
+      const row = await app.storage.table('webhook_deliveries').findOne({ id: 'delivered-1' });
+      assert.equal(row.status, 'delivered');
+      assert.equal(row.attempts, 3);
+    });
+
+    test('404s for an unknown delivery', async () => {
+      assert.equal((await replay('missing')).status, 404);
+    });
+  });
+}
+
+test('migration 011 backfills member_hash for existing SQLite deliveries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  const files = fs.readdirSync(SQLITE_MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+  files.filter(file => file < '011').forEach(file => fs.copyFileSync(path.join(SQLITE_MIGRATIONS_DIR, file), path.join(dir, file)));
+
+  const db = new Database(':memory:');
+  runSqliteMigrations(db, dir);
+  const row = delivery('old-1', 'delivered', 'Old.Member@Example.com');
+  delete row.member_hash;
+  db.prepare(`INSERT INTO webhook_deliveries (${Object.keys(row).join(', ')}) VALUES (${Object.keys(row).map(() => '?').join(', ')})`)
+    .run(Object.values(row).map(value => (typeof value === 'object' ? JSON.stringify(value) : value)));
+
+  runSqliteMigrations(db);
+  const { member_hash: hash } = db.prepare('SELECT member_hash FROM webhook_deliveries WHERE id = ?').get('old-1');
+  assert.equal(hash, memberHash('Old.Member@Example.com'));
+
+  db.close();
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// Signed, expiring tokens used in links we email out (confirmation etc.).
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+// (config.js requires WAITLIST_TOKEN_SECRET in production)
+const TOKEN_SECRET = config.WAITLIST_TOKEN_SECRET;
+
+if (!TOKEN_SECRET) {
+  console.warn('WAITLIST_TOKEN_SECRET is not set; using a random secret (links break on restart).');
+}
+
+const secret = TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+const sign = (data) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Create a token for `purpose` (e.g. 'confirm') that expires after ttlSeconds
+export const signToken = (purpose, data, ttlSeconds) => {
+  const payload = {
+    ...data,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+};
+
+// Verify a token for `purpose`. Returns { payload } or { error: 'invalid' | 'expired' }
+export const verifyToken = (token, purpose) => {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { error: 'invalid' };
+  }
+
+  const [body, signature] = token.split('.');
+  const expected = sign(body);
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { error: 'invalid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'invalid' };
+  }
+
+  if (payload.purpose !== purpose) {
+    return { error: 'invalid' };
+  }
+  if (typeof payload.exp !== 'number' || payload.exp < Math.floor(Date.now() / 1000)) {
+    return { error: 'expired' };
+  }
+
+  return { payload };
+};
+
+// Secret derived from `purpose` and an id, e.g. invite codes: the server can
+// recreate them to (re)send an email while the database only keeps a hash
+export const deriveSecret = (purpose, id) => crypto.createHmac('sha256', secret).update(`${purpose}:${id}`).digest();
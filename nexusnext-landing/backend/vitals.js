@@ -0,0 +1,134 @@
+import express from 'express';
+import { config } from './config.js';
+import { createRateLimiter } from './abuse.js';
+import { requireAdmin } from './admin.js';
+
+// Real-user performance data from the landing page (see frontend/src/vitals.js),
+// mounted at /api/vitals. One beacon per page view with every sample for it.
+
+const METRICS = {
+  // name: max plausible value (ms, CLS is a unitless score)
+  LCP: 60000,
+  FCP: 60000,
+  TTFB: 60000,
+  FID: 60000,
+  INP: 60000,
+  CLS: 10,
+  scene_init: 60000,
+  first_3d_frame: 120000,
+  // A scene rendered its static fallback instead of WebGL (value: ms since navigation start)
+  scene_fallback: 120000,
+  // GPU context lost (ms since navigation start) and restored (ms after the loss)
+  scene_context_lost: 86400000,
+  scene_context_restored: 60000
+};
+const SECTIONS = ['page', 'hero', 'dna'];
+const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop'];
+const QUALITY_TIERS = ['low', 'medium', 'high'];
+const MAX_SAMPLES = 30;
+const PERCENTILES = [50, 75, 95];
+const MAX_SUMMARY_DAYS = 90;
+
+const beaconLimiter = createRateLimiter({ windowSeconds: 60, max: 20 });
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+
+// samples: [{ metric, value, section, device_class, quality }]
+// Returns [{ metric, section, deviceClass, quality, count, p50, p75, p95 }]
+export const summarizeVitals = (samples) => {
+  const groups = new Map();
+  for (const sample of samples) {
+    const key = [sample.metric, sample.section, sample.device_class, sample.quality || 'unknown'].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(Number(sample.value));
+  }
+
+  return [...groups].map(([key, values]) => {
+    const [metric, section, deviceClass, quality] = key.split('|');
+    values.sort((a, b) => a - b);
+    const summary = { metric, section, deviceClass, quality, count: values.length };
+    for (const p of PERCENTILES) summary[`p${p}`] = percentile(values, p);
+    return summary;
+  }).sort((a, b) => a.metric.localeCompare(b.metric) || a.section.localeCompare(b.section) ||
+    a.deviceClass.localeCompare(b.deviceClass) || a.quality.localeCompare(b.quality));
+};
+
+export const createVitalsRouter = ({ vitals }) => {
+  const router = express.Router();
+  let lastPrune = 0;
+
+  // Drop samples past the retention window, at most once an hour
+  const pruneOldSamples = () => {
+    if (Date.now() - lastPrune < 3600000) return;
+    lastPrune = Date.now();
+    vitals.prune(new Date(Date.now() - config.VITALS_RETENTION_DAYS * 86400000))
+      .catch(error => console.error('Error pruning vitals:', error));
+  };
+
+  // POST /api/vitals route: { deviceClass, quality, release, samples: [{ name, value, section }] }
+  // Sent with navigator.sendBeacon, so the body arrives as text/plain
+  router.post('/', express.text({ type: 'text/plain', limit: '16kb' }), async (req, res) => {
+    if (!beaconLimiter.hit(req.ip).allowed) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    }
+
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON' });
+      }
+    }
+    if (!DEVICE_CLASSES.includes(body?.deviceClass) || !Array.isArray(body.samples) || body.samples.length > MAX_SAMPLES) {
+      return res.status(400).json({ error: 'Invalid vitals payload' });
+    }
+
+    try {
+      const createdAt = new Date().toISOString();
+      const quality = QUALITY_TIERS.includes(body.quality) ? body.quality : null;
+      const release = typeof body.release === 'string' ? body.release.slice(0, 64) : null;
+      // Drop anything implausible (including entries that aren't objects) rather than rejecting the whole beacon
+      const samples = body.samples
+        .filter(sample => isPlainObject(sample) &&
+          Object.hasOwn(METRICS, sample.name) && SECTIONS.includes(sample.section) &&
+          typeof sample.value === 'number' && sample.value >= 0 && sample.value <= METRICS[sample.name])
+        .map(({ name, value, section }) => ({
+          metric: name,
+          value,
+          section,
+          device_class: body.deviceClass,
+          quality,
+          release,
+          created_at: createdAt
+        }));
+
+      await vitals.add(samples);
+      pruneOldSamples();
+
+      res.status(202).json({ accepted: samples.length });
+    } catch (error) {
+      console.error('Error in /api/vitals:', error);
+      res.status(500).json({ error: 'Failed to record vitals.' });
+    }
+  });
+
+  // GET /api/vitals/summary?days=7 route (admin): p50/p75/p95 by metric, section, device class and quality tier
+  router.get('/summary', requireAdmin, async (req, res) => {
+    const days = Math.min(Math.max(Number.parseInt(req.query.days, 10) || 7, 1), MAX_SUMMARY_DAYS);
+
+    try {
+      const samples = await vitals.since(new Date(Date.now() - days * 86400000));
+
+      res.json({ days, samples: samples.length, groups: summarizeVitals(samples) });
+    } catch (error) {
+      console.error('Error in /api/vitals/summary:', error);
+      res.status(500).json({ error: 'Failed to load vitals.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,390 @@
+import express from 'express';
+import { config } from './config.js';
+import { signToken, verifyToken } from './tokens.js';
+import { computePositions, generateReferralCode, isReferralCode } from './referrals.js';
+import { createChallenge, rateLimit, recordRejection, signupGuard } from './abuse.js';
+import { channelFor, sanitizeAttribution } from './attribution.js';
+import { signups } from './metrics.js';
+import { landingUrl, shareUrl } from './links.js';
+import { composeEmail } from './emails/index.js';
+import { isDuplicateError } from './storage/index.js';
+import { validateEmail } from '@nexusnext/shared/emailValidation.mjs';
+
+// Public waitlist API, mounted at /api/waitlist
+//
+// Error responses are { error, code }: `error` is an English message for logs and
+// API users, `code` is stable so the landing page can show its own translation.
+// Codes: invalid_email, disposable_email, invalid_referral_code, invalid_link,
+// not_found, rate_limited, verification_failed, server_error.
+
+const { PUBLIC_API_URL, CONFIRM_TOKEN_TTL_HOURS, DATA_REQUEST_TOKEN_TTL_MINUTES } = config;
+
+// Error code and message for validateEmail() rejection reasons
+const EMAIL_ERRORS = {
+  invalid_format: { code: 'invalid_email', error: 'Invalid email address' },
+  disposable_domain: { code: 'disposable_email', error: 'Please use a permanent email address, not a disposable one' }
+};
+
+export const createWaitlistRouter = ({ waitlist, mailer, webhooks, contentService, erasure }) => {
+  const router = express.Router();
+
+  // A product id from a product page's signup form, if the published content has that product.
+  // Anything else is dropped rather than failing the signup (e.g. a page cached before a product was removed)
+  const resolveProduct = async (product) => {
+    if (typeof product !== 'string' || !product) return null;
+    const { content } = await contentService.published();
+    return content.features.some(feature => feature.id === product) ? product : null;
+  };
+
+  // Send the double opt-in email with a signed, expiring confirmation link
+  const sendConfirmationEmail = async (email, locale) => {
+    const token = signToken('confirm', { email }, CONFIRM_TOKEN_TTL_HOURS * 3600);
+
+    await mailer.send(composeEmail({
+      to: email,
+      locale,
+      template: 'confirmation',
+      variables: {
+        confirmUrl: `${PUBLIC_API_URL}/api/waitlist/confirm?token=${encodeURIComponent(token)}`,
+        expiresHours: CONFIRM_TOKEN_TTL_HOURS
+      }
+    }));
+  };
+
+  // Email a short-lived link proving the requester owns the address (export / erasure).
+  // No unsubscribe link: this is a reply to something they just asked for.
+  const sendDataRequestEmail = async (entry, purpose) => {
+    const token = signToken(purpose, { email: entry.email }, DATA_REQUEST_TOKEN_TTL_MINUTES * 60);
+
+    await mailer.send(composeEmail({
+      to: entry.email,
+      locale: entry.locale,
+      template: 'data-request',
+      unsubscribe: false,
+      variables: {
+        purpose,
+        actionUrl: purpose === 'export'
+          ? `${PUBLIC_API_URL}/api/waitlist/export?token=${encodeURIComponent(token)}`
+          : landingUrl('erase', { token }),
+        expiresMinutes: DATA_REQUEST_TOKEN_TTL_MINUTES
+      }
+    }));
+  };
+
+  // Turn a ?ref= code into the referrer's code, ignoring unknown codes and self-referrals
+  const resolveReferrer = async (ref, canonicalEmail) => {
+    if (!isReferralCode(ref)) return null;
+
+    const referrer = await waitlist.findByReferralCode(ref.toUpperCase());
+    if (!referrer || referrer.canonical_email === canonicalEmail) return null;
+    return referrer.referral_code;
+  };
+
+  // Queue position, referral count and share link for a referral code (null if unknown)
+  const statusFor = ({ positions, total }, referralCode) => {
+    const entry = positions.get(referralCode);
+    if (!entry) return null;
+
+    return {
+      position: entry.position,
+      total,
+      referralCount: entry.referralCount,
+      referralCode,
+      shareUrl: shareUrl(referralCode)
+    };
+  };
+
+  const loadQueue = () => waitlist.all({}, { columns: ['status', 'created_at', 'referral_code', 'referred_by'] });
+
+  const getWaitlistStatus = async (referralCode) => statusFor(computePositions(await loadQueue()), referralCode);
+
+  // After a confirmation: welcome the new member with their position, and tell
+  // whoever referred them if it moved them up. Best effort; the confirmation stands either way.
+  const sendConfirmedEmails = async (confirmed) => {
+    try {
+      const entries = await loadQueue();
+      const queue = computePositions(entries);
+
+      const status = statusFor(queue, confirmed.referral_code);
+      if (status) {
+        await mailer.send(composeEmail({ to: confirmed.email, locale: confirmed.locale, template: 'welcome', variables: status }));
+      }
+
+      const referrer = confirmed.referred_by && await waitlist.findByReferralCode(confirmed.referred_by);
+      if (referrer && referrer.status === 'confirmed') {
+        // The queue as it was a moment ago, before this referral counted
+        const before = computePositions(entries.map(entry =>
+          (entry.referral_code === confirmed.referral_code ? { ...entry, status: 'pending' } : entry)
+        ));
+        const referrerStatus = statusFor(queue, referrer.referral_code);
+        const previous = statusFor(before, referrer.referral_code);
+        if (referrerStatus && previous && referrerStatus.position < previous.position) {
+          await mailer.send(composeEmail({
+            to: referrer.email,
+            locale: referrer.locale,
+            template: 'position-update',
+            variables: referrerStatus
+          }));
+        }
+      }
+    } catch (error) {
+      console.error('Error sending post-confirmation emails:', error);
+    }
+  };
+
+  // Mark an address as unsubscribed (shared by the GET link and the one-click POST).
+  // Link clicks get redirected to the landing page, mail clients get JSON.
+  const unsubscribe = async (req, res) => {
+    const isLinkClick = req.method === 'GET';
+    const token = req.query.token || req.body?.token;
+
+    const { payload, error: tokenError } = verifyToken(token, 'unsubscribe');
+    if (tokenError) {
+      if (isLinkClick) return res.redirect(303, landingUrl(tokenError));
+      return res.status(400).json({ error: 'Invalid or expired unsubscribe link', code: 'invalid_link' });
+    }
+
+    try {
+      const entry = await waitlist.findByEmail(payload.email);
+      if (entry && entry.status !== 'unsubscribed') {
+        await waitlist.update(payload.email, { status: 'unsubscribed', unsubscribed_at: new Date().toISOString() });
+        await webhooks.emit('waitlist.unsubscribed', { email: entry.email, referralCode: entry.referral_code });
+      }
+
+      if (isLinkClick) return res.redirect(303, landingUrl('unsubscribed'));
+      res.json({ message: 'You have been unsubscribed.' });
+    } catch (error) {
+      console.error('Error in /api/waitlist/unsubscribe:', error);
+      if (isLinkClick) return res.redirect(303, landingUrl('error'));
+      res.status(500).json({ error: 'Failed to unsubscribe.', code: 'server_error' });
+    }
+  };
+
+  // POST /api/waitlist route to add email (pending) and send confirmation
+  router.post('/', rateLimit, signupGuard, async (req, res) => {
+    const { ref, attribution } = req.body;
+    const check = validateEmail(req.body.email);
+    if (!check.valid) {
+      recordRejection(check.reason, req);
+      return res.status(400).json(EMAIL_ERRORS[check.reason]);
+    }
+    const { canonical } = check;
+    let { email } = check;
+
+    try {
+      // Dedupe on the canonical form, so "J.Doe+x@gmail.com" finds "jdoe@gmail.com"
+      let existing = await waitlist.findByCanonicalEmail(canonical);
+      let referralCode = existing?.referral_code;
+      const fields = sanitizeAttribution(attribution);
+      const product = await resolveProduct(req.body.product);
+
+      if (!existing) {
+        // New signup: store as pending until the link is clicked.
+        // Attribution is first-touch, so only new entries record it.
+        referralCode = generateReferralCode();
+        const referredBy = await resolveReferrer(ref, canonical);
+        try {
+          await waitlist.create({
+            email,
+            canonical_email: canonical,
+            referral_code: referralCode,
+            referred_by: referredBy,
+            ...(product && { products: [product] }),
+            ...fields
+          });
+          await webhooks.emit('waitlist.joined', {
+            email,
+            referralCode,
+            referredBy,
+            channel: channelFor({ ...fields, referred_by: referredBy }),
+            campaign: fields.utm_campaign || null,
+            product
+          });
+        } catch (error) {
+          // Lost a race with a concurrent signup for the same address
+          if (!isDuplicateError(error)) throw error;
+          existing = await waitlist.findByCanonicalEmail(canonical);
+          if (!existing) throw error;
+          referralCode = existing.referral_code;
+        }
+      }
+
+      if (existing) {
+        // Keep using the address they first signed up with
+        email = existing.email;
+
+        // Coming back after unsubscribing: opt in again from scratch.
+        // Rows from before referrals existed get their code now.
+        const changes = {};
+        if (existing.status === 'unsubscribed') Object.assign(changes, { status: 'pending', unsubscribed_at: null });
+        if (!referralCode) changes.referral_code = referralCode = generateReferralCode();
+        // Signing up again from another product page adds that product to their interests
+        const products = existing.products || [];
+        if (product && !products.includes(product)) changes.products = [...products, product];
+
+        if (Object.keys(changes).length) {
+          await waitlist.update(email, changes);
+        }
+        if (changes.status === 'pending') {
+          await webhooks.emit('waitlist.joined', { email, referralCode, referredBy: existing.referred_by, rejoined: true });
+        }
+      }
+
+      const status = await getWaitlistStatus(referralCode);
+
+      signups.inc({ outcome: existing ? 'duplicate' : 'success' });
+
+      // Already confirmed: nothing to send
+      if (existing && existing.status === 'confirmed') {
+        return res.json({ message: "You're already on the waitlist.", status: 'confirmed', ...status });
+      }
+
+      // New or still pending: (re)send the confirmation email
+      await sendConfirmationEmail(email, existing ? existing.locale : fields.locale);
+
+      res.json({ message: 'Almost there! Check your inbox to confirm your email.', status: 'pending', ...status });
+    } catch (error) {
+      console.error('Error in /api/waitlist:', error);
+      signups.inc({ outcome: 'failure' });
+      res.status(500).json({ error: 'Failed to add to waitlist.', code: 'server_error' });
+    }
+  });
+
+  // GET /api/waitlist/challenge route: proof-of-work challenge the browser solves before signing up
+  router.get('/challenge', (_req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(createChallenge());
+  });
+
+  // GET /api/waitlist/status?code= route for queue position, referral count and share link
+  router.get('/status', async (req, res) => {
+    const { code } = req.query;
+    if (!isReferralCode(code)) {
+      return res.status(400).json({ error: 'Invalid referral code', code: 'invalid_referral_code' });
+    }
+
+    try {
+      const status = await getWaitlistStatus(code.toUpperCase());
+      if (!status) {
+        return res.status(404).json({ error: 'Referral code not found', code: 'not_found' });
+      }
+      res.json(status);
+    } catch (error) {
+      console.error('Error in /api/waitlist/status:', error);
+      res.status(500).json({ error: 'Failed to load waitlist status.', code: 'server_error' });
+    }
+  });
+
+  // GET /api/waitlist/confirm?token= route to confirm a pending signup
+  router.get('/confirm', async (req, res) => {
+    const { payload, error: tokenError } = verifyToken(req.query.token, 'confirm');
+    if (tokenError) {
+      return res.redirect(303, landingUrl(tokenError));
+    }
+
+    try {
+      const confirmed = await waitlist.update(
+        payload.email,
+        { status: 'confirmed', confirmed_at: new Date().toISOString() },
+        { onlyIfStatus: 'pending' }
+      );
+      if (confirmed) {
+        await webhooks.emit('waitlist.confirmed', {
+          email: confirmed.email,
+          referralCode: confirmed.referral_code,
+          confirmedAt: confirmed.confirmed_at
+        });
+        await sendConfirmedEmails(confirmed);
+      }
+
+      res.redirect(303, landingUrl('confirmed'));
+    } catch (error) {
+      console.error('Error in /api/waitlist/confirm:', error);
+      res.redirect(303, landingUrl('error'));
+    }
+  });
+
+  // GET/POST /api/waitlist/unsubscribe?token= routes: one-click unsubscribe from email links
+  router.get('/unsubscribe', unsubscribe);
+  router.post('/unsubscribe', express.urlencoded({ extended: false }), unsubscribe);
+
+  // POST /api/waitlist/export route to request a data export link by email
+  router.post('/export', rateLimit, async (req, res) => {
+    const check = validateEmail(req.body.email);
+    if (!check.valid) {
+      return res.status(400).json(EMAIL_ERRORS[check.reason]);
+    }
+
+    try {
+      const existing = await waitlist.findByCanonicalEmail(check.canonical);
+
+      // Same response either way so this can't be used to probe the list
+      if (existing) await sendDataRequestEmail(existing, 'export');
+
+      res.status(202).json({ message: 'If that address is on the waitlist, we have emailed you a download link.' });
+    } catch (error) {
+      console.error('Error in POST /api/waitlist/export:', error);
+      res.status(500).json({ error: 'Failed to request data export.', code: 'server_error' });
+    }
+  });
+
+  // GET /api/waitlist/export?token= route to download the stored record as JSON
+  router.get('/export', async (req, res) => {
+    const { payload, error: tokenError } = verifyToken(req.query.token, 'export');
+    if (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired export link', code: 'invalid_link' });
+    }
+
+    try {
+      const record = await waitlist.findByEmail(payload.email);
+      if (!record) {
+        return res.status(404).json({ error: 'No waitlist record found', code: 'not_found' });
+      }
+
+      res.attachment('nexusnext-waitlist-data.json');
+      res.json({ exportedAt: new Date().toISOString(), record });
+    } catch (error) {
+      console.error('Error in GET /api/waitlist/export:', error);
+      res.status(500).json({ error: 'Failed to export data.', code: 'server_error' });
+    }
+  });
+
+  // DELETE /api/waitlist route for right-to-erasure
+  // { email } emails a verification link; { token } from that link deletes the record
+  router.delete('/', rateLimit, async (req, res) => {
+    const { email, token } = req.body || {};
+
+    if (token) {
+      const { payload, error: tokenError } = verifyToken(token, 'erase');
+      if (tokenError) {
+        return res.status(401).json({ error: 'Invalid or expired deletion link', code: 'invalid_link' });
+      }
+
+      try {
+        await erasure.erase(payload.email);
+        return res.json({ message: 'Your data has been deleted.' });
+      } catch (error) {
+        console.error('Error in DELETE /api/waitlist:', error);
+        return res.status(500).json({ error: 'Failed to delete data.', code: 'server_error' });
+      }
+    }
+
+    const check = validateEmail(email);
+    if (!check.valid) {
+      return res.status(400).json(EMAIL_ERRORS[check.reason]);
+    }
+
+    try {
+      const existing = await waitlist.findByCanonicalEmail(check.canonical);
+
+      if (existing) await sendDataRequestEmail(existing, 'erase');
+
+      res.status(202).json({ message: 'If that address is on the waitlist, we have emailed you a link to confirm deletion.' });
+    } catch (error) {
+      console.error('Error in DELETE /api/waitlist:', error);
+      res.status(500).json({ error: 'Failed to request deletion.', code: 'server_error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from './config.js';
+import { memberHash } from './erasure.js';
+
+// Outbound webhooks for waitlist events (Discord, Slack-style chat, CRM...).
+//
+// emit() writes one row per matching subscription to the webhook_deliveries
+// outbox, then a dispatcher POSTs due rows. Failures are retried with
+// exponential backoff; after WEBHOOK_MAX_ATTEMPTS a delivery is dead-lettered
+// ("dead") until an admin replays it. Each row records which member it's about
+// (member_hash), so erasing the member deletes their undelivered and delivered events.
+//
+// Subscriptions come from WEBHOOK_SUBSCRIPTIONS (see config.js):
+//   [{ "url": "...", "secret": "...", "events": ["waitlist.joined"], "format": "json" | "discord" | "slack" }]
+// `events` defaults to all events, `format` to "json".
+//
+// Every request is signed like Stripe's:
+//   X-Nexusnext-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+
+export const WEBHOOK_EVENTS = ['waitlist.joined', 'waitlist.confirmed', 'waitlist.unsubscribed'];
+
+const POLL_INTERVAL_MS = 15000;
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 3600;
+
+// Stable id so deliveries still point at the right subscription after the list is edited
+const subscriptionId = (subscription) =>
+  crypto.createHash('sha256').update(subscription.url).digest('hex').slice(0, 12);
+
+const subscribedTo = (subscription, type) => !subscription.events || subscription.events.includes(type);
+
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 30s, 1m, 2m, 4m ... capped at 6h, with +-20% jitter so retries don't stampede
+export const retryDelaySeconds = (attempts) => {
+  const base = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+// Chat webhooks want their own body shape, and no email addresses in a shared channel
+const CHAT_MESSAGES = {
+  'waitlist.joined': (data) => `🎉 New waitlist signup${data.product ? ` for ${data.product}` : ''}${data.referredBy ? ' (referred by a friend)' : ''}${data.channel ? ` via ${data.channel}` : ''}`,
+  'waitlist.confirmed': () => '✅ A waitlist signup confirmed their email',
+  'waitlist.unsubscribed': () => '👋 Someone left the waitlist'
+};
+
+const formatBody = (subscription, event) => {
+  const text = CHAT_MESSAGES[event.type]?.(event.data) || event.type;
+  switch (subscription.format) {
+    case 'discord':
+      return { content: text };
+    case 'slack':
+      return { text };
+    default:
+      return event;
+  }
+};
+
+export const createWebhooks = ({ deliveries, subscriptions = config.WEBHOOK_SUBSCRIPTIONS, maxAttempts = config.WEBHOOK_MAX_ATTEMPTS }) => {
+  const byId = new Map(subscriptions.map(subscription => [subscriptionId(subscription), subscription]));
+  let timer = null;
+  let running = null;
+
+  const deliver = async (delivery) => {
+    const subscription = byId.get(delivery.subscription_id);
+    const attempts = delivery.attempts + 1;
+
+    if (!subscription) {
+      return deliveries.update(delivery.id, {
+        status: 'dead',
+        attempts,
+        last_error: 'Subscription no longer configured'
+      });
+    }
+
+    const body = JSON.stringify(formatBody(subscription, delivery.payload));
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Nexusnext-Webhooks/1.0',
+          'X-Nexusnext-Event': delivery.event_type,
+          'X-Nexusnext-Delivery': delivery.id,
+          'X-Nexusnext-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        // Treat every status as a response; we decide what counts as success
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return deliveries.update(delivery.id, {
+          status: 'delivered',
+          attempts,
+          response_status: response.status,
+          last_error: null,
+          delivered_at: new Date().toISOString()
+        });
+      }
+      return fail(delivery, attempts, `HTTP ${response.status}`, response.status);
+    } catch (error) {
+      return fail(delivery, attempts, error.message, null);
+    }
+  };
+
+  const fail = (delivery, attempts, message, responseStatus) => {
+    const dead = attempts >= maxAttempts;
+    return deliveries.update(delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      response_status: responseStatus,
+      last_error: String(message).slice(0, 500),
+      next_attempt_at: new Date(Date.now() + (dead ? 0 : retryDelaySeconds(attempts) * 1000)).toISOString()
+    });
+  };
+
+  // Deliver everything that's due. Overlapping calls share one run.
+  const dispatch = () => {
+    if (running) return running;
+    running = (async () => {
+      try {
+        let batch;
+        do {
+          batch = await deliveries.due(new Date(), BATCH_SIZE);
+          for (const delivery of batch) {
+            await deliver(delivery);
+          }
+        } while (batch.length === BATCH_SIZE);
+      } catch (error) {
+        console.error('Error dispatching webhooks:', error);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+
+  return {
+    // Record an event for every subscription that wants it, then try to deliver right away.
+    // Never throws: a webhook problem must not fail the request that caused the event.
+    async emit(type, data) {
+      const targets = subscriptions.filter(subscription => subscribedTo(subscription, type));
+      if (!targets.length) return;
+
+      const now = new Date().toISOString();
+      const event = { id: crypto.randomUUID(), type, createdAt: now, data };
+      try {
+        for (const subscription of targets) {
+          await deliveries.add({
+            id: crypto.randomUUID(),
+            event_id: event.id,
+            event_type: type,
+            payload: event,
+            member_hash: data.email ? memberHash(data.email) : null,
+            subscription_id: subscriptionId(subscription),
+            url: subscription.url,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now,
+            created_at: now
+          });
+        }
+      } catch (error) {
+        console.error(`Error recording webhook event ${type}:`, error);
+        return;
+      }
+      dispatch();
+    },
+
+    // Put a dead (or stuck pending) delivery back in the queue with a fresh attempt budget.
+    // Delivered ones are never sent twice. Returns { delivery } or { error: 'not_found' | 'delivered' }
+    async replay(id) {
+      const delivery = await deliveries.findById(id);
+      if (!delivery) return { error: 'not_found' };
+      const updated = await deliveries.update(
+        id,
+        { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() },
+        { onlyIfStatus: ['dead', 'pending'] }
+      );
+      if (!updated) return { error: 'delivered' };
+      dispatch();
+      return { delivery: updated };
+    },
+
+    dispatch,
+
+    // Poll for retries and anything left over from before a restart
+    start() {
+      if (timer || !subscriptions.length) return;
+      timer = setInterval(dispatch, POLL_INTERVAL_MS);
+      timer.unref();
+      dispatch();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
@@ -0,0 +1,187 @@
+// scripts/prerender.js
+// Runs after `react-scripts build` (the "postbuild" script). Renders the landing
+// page and each product page (/products/<id>) to static HTML so crawlers and link
+// unfurlers see the real content, plus build/404.html for static hosts, then
+// writes each page's <head> tags (title, description, canonical, OpenGraph,
+// Twitter card, JSON-LD Organization), build/sitemap.xml and the Sitemap line
+// in build/robots.txt. index.js hydrates over the markup in the browser.
+//
+// Content is the published document from GET /api/content when the backend
+// answers, otherwise the bundled default (@nexusnext/shared/content.mjs). It is embedded
+// in the page as #landing-content so the first client render matches.
+//
+// The app's source is compiled on the fly with the same Babel preset CRA uses.
+// Effects never run in renderToString, so the Three.js scenes are not loaded.
+
+process.env.NODE_ENV = 'production';
+process.env.BABEL_ENV = 'test'; // babel-preset-react-app's Node target (CommonJS modules)
+
+// Same .env files the build read, so REACT_APP_SITE_URL etc. match the bundle
+require('react-scripts/config/env');
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const babel = require('@babel/core');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+// Where react-scripts built to: BUILD_PATH, as in react-scripts itself
+const BUILD = path.resolve(ROOT, process.env.BUILD_PATH || 'build');
+
+// --- require hook for src/ ---
+const compile = (module, filename) => {
+  const { code } = babel.transformSync(fs.readFileSync(filename, 'utf8'), {
+    filename,
+    presets: [require.resolve('babel-preset-react-app')],
+    babelrc: false,
+    configFile: false,
+  });
+  module._compile(code, filename);
+};
+const nodeJs = Module._extensions['.js'];
+Module._extensions['.js'] = (module, filename) =>
+  (filename.startsWith(SRC) ? compile : nodeJs)(module, filename);
+Module._extensions['.mjs'] = compile;
+// Stylesheets are already in the bundle; images resolve to their file name
+Module._extensions['.css'] = () => {};
+['.png', '.jpg', '.svg'].forEach((extension) => {
+  Module._extensions[extension] = (module, filename) => {
+    module.exports = path.basename(filename);
+  };
+});
+
+const React = require('react');
+const { renderToString } = require('react-dom/server');
+const { default: App } = require(path.join(SRC, 'App'));
+const { default: ErrorBoundary } = require(path.join(SRC, 'ErrorBoundary'));
+const { HOME_PAGE, SITE_NAME, absoluteUrl, organizationJsonLd, pagesFor } = require(path.join(SRC, 'site'));
+const { config } = require(path.join(SRC, 'config'));
+const { EMBEDDED_CONTENT_ID } = require(path.join(SRC, 'content'));
+const { DEFAULT_CONTENT, validateContent } = require('@nexusnext/shared/content.mjs');
+
+const CONTENT_TIMEOUT_MS = 10000;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Keep "</script>" and friends out of the inline JSON
+const inlineJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Published content, or the bundled default if the backend is down or returns something invalid
+const loadContent = async () => {
+  try {
+    const response = await fetch(`${config.backendUrl}/api/content`, { signal: AbortSignal.timeout(CONTENT_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    const data = await response.json();
+    const problems = validateContent(data.content);
+    if (problems.length) throw new Error(problems.join('; '));
+    console.log(`Using published content v${data.version}`);
+    return { content: data.content, version: data.version };
+  } catch (error) {
+    console.warn(`Could not load published content (${error.message}); using the bundled default`);
+    return { content: DEFAULT_CONTENT, version: 0 };
+  }
+};
+
+// Not in the sitemap and not indexed; rendered from a path no route matches
+const NOT_FOUND_PAGE = {
+  path: '/404',
+  title: `Page not found — ${SITE_NAME}`,
+  description: HOME_PAGE.description,
+  image: '/logo512.png',
+};
+
+const headTags = (page, content) => {
+  const url = absoluteUrl(page.path);
+  const image = absoluteUrl(page.image);
+  const meta = [
+    ...(page === NOT_FOUND_PAGE ? [['name', 'robots', 'noindex']] : []),
+    ['name', 'description', page.description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', page.title],
+    ['property', 'og:description', page.description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', page.title],
+    ['name', 'twitter:description', page.description],
+    ['name', 'twitter:image', image],
+  ];
+  return [
+    `<title>${escapeHtml(page.title)}</title>`,
+    ...meta.map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}"/>`),
+    `<link rel="canonical" href="${escapeHtml(url)}"/>`,
+    `<script type="application/ld+json">${inlineJson(organizationJsonLd(content.social))}</script>`,
+  ].join('');
+};
+
+// Same tree as index.js, so hydration lines up (minus React.lazy, which only splits the bundle)
+const renderPage = (initialContent, location) =>
+  renderToString(
+    React.createElement(
+      React.StrictMode,
+      null,
+      React.createElement(
+        ErrorBoundary,
+        { name: 'app' },
+        React.createElement(React.Suspense, { fallback: null }, React.createElement(App, { initialContent, location }))
+      )
+    )
+  );
+
+const sitemap = (pages) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...pages.map((page) => [
+    '  <url>',
+    `    <loc>${escapeHtml(absoluteUrl(page.path))}</loc>`,
+    `    <changefreq>${page.changefreq}</changefreq>`,
+    `    <priority>${page.priority.toFixed(1)}</priority>`,
+    '  </url>',
+  ].join('\n')),
+  '</urlset>',
+  '',
+].join('\n');
+
+const main = async () => {
+  const initialContent = await loadContent();
+
+  const template = fs.readFileSync(path.join(BUILD, 'index.html'), 'utf8');
+  if (!template.includes('<div id="root"></div>')) {
+    throw new Error('build/index.html has no empty #root (already prerendered?)');
+  }
+  // public/index.html's own title/description are the dev-server defaults
+  const base = template
+    .replace(/<title>[\s\S]*?<\/title>/, '')
+    .replace(/<meta name="description"[^>]*>/, '');
+
+  const embedded = `<script id="${EMBEDDED_CONTENT_ID}" type="application/json">${inlineJson(initialContent)}</script>`;
+  // data-prerendered tells index.js which path the markup is for (nothing to hydrate on the 404 page)
+  const prerender = (page, file) => {
+    const root = page === NOT_FOUND_PAGE ? '<div id="root">' : `<div id="root" data-prerendered="${escapeHtml(page.path)}">`;
+    const html = base
+      .replace('</head>', `${headTags(page, initialContent.content)}${embedded}</head>`)
+      .replace('<div id="root"></div>', `${root}${renderPage(initialContent, page.path)}</div>`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+    console.log(`Prerendered ${page.path} -> ${path.relative(ROOT, file)}`);
+  };
+
+  const pages = pagesFor(initialContent.content);
+  pages.forEach(page => prerender(page, path.join(BUILD, page.path, 'index.html')));
+  prerender(NOT_FOUND_PAGE, path.join(BUILD, '404.html'));
+
+  fs.writeFileSync(path.join(BUILD, 'sitemap.xml'), sitemap(pages));
+
+  const robotsFile = path.join(BUILD, 'robots.txt');
+  const robots = fs.readFileSync(robotsFile, 'utf8').replace(/^Sitemap:.*\n?/m, '');
+  fs.writeFileSync(robotsFile, `${robots.trimEnd()}\n\nSitemap: ${absoluteUrl('/sitemap.xml')}\n`);
+  console.log(`Wrote sitemap.xml (${pages.length} page${pages.length === 1 ? '' : 's'}) and robots.txt`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,758 @@
+// src/AdminDashboard.js
+// Waitlist admin view served at /admin. Kept separate from App.js so the
+// Three.js scenes are never loaded here.
+import React, { useCallback, useEffect, useState } from 'react';
+import { config } from './config';
+import { validateContent } from '@nexusnext/shared/content.mjs';
+
+const BACKEND_URL = config.backendUrl;
+const SESSION_KEY = 'nexusnext-admin-session';
+const PAGE_SIZE = 50;
+const STATUSES = ['', 'pending', 'confirmed', 'unsubscribed'];
+const ADMISSIONS = ['', 'waiting', 'invited', 'redeemed', 'expired'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const AdminLogin = ({ onLogin }) => {
+  const [token, setToken] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/admin/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Login failed');
+        return;
+      }
+      sessionStorage.setItem(SESSION_KEY, data.session);
+      onLogin(data.session);
+    } catch (err) {
+      setError('Network error. Please try again later.');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto mt-32 flex flex-col gap-4">
+      <h1 className="text-2xl font-bold">Nexusnext Admin</h1>
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        placeholder="Admin token"
+        aria-label="Admin token"
+        className="rounded-lg bg-white/10 px-4 py-2 border border-white/20"
+      />
+      <button type="submit" className="rounded-lg bg-gradient-to-r from-blue-700 to-purple-700 px-4 py-2 font-semibold">
+        Sign in
+      </button>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </form>
+  );
+};
+
+const SignupsChart = ({ days }) => {
+  const max = Math.max(1, ...days.map(d => d.count));
+  return (
+    <div className="flex items-end gap-1 h-32" aria-label="Signups per day">
+      {days.map(({ date, count }) => (
+        <div
+          key={date}
+          title={`${date}: ${count}`}
+          className="flex-1 bg-gradient-to-t from-blue-700 to-purple-600 rounded-t"
+          style={{ height: `${(count / max) * 100}%`, minHeight: count ? 2 : 0 }}
+        />
+      ))}
+    </div>
+  );
+};
+
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Signups and confirmation rate per channel (utm_source / referrer), with campaigns underneath
+const ChannelTable = ({ channels }) => (
+  <table className="w-full text-left text-sm">
+    <thead className="text-gray-400">
+      <tr>
+        <th className="py-1">Channel / campaign</th>
+        <th className="py-1 text-right">Signups</th>
+        <th className="py-1 text-right">Confirmed</th>
+        <th className="py-1 text-right">Conversion</th>
+      </tr>
+    </thead>
+    <tbody>
+      {channels.map(channel => (
+        <React.Fragment key={channel.channel}>
+          <tr className="border-t border-white/10 font-semibold">
+            <td className="py-1 capitalize">{channel.channel}</td>
+            <td className="py-1 text-right">{channel.signups}</td>
+            <td className="py-1 text-right">{channel.confirmed}</td>
+            <td className="py-1 text-right">{formatPercent(channel.conversionRate)}</td>
+          </tr>
+          {channel.campaigns.filter(c => c.campaign !== '(none)' || channel.campaigns.length > 1).map(campaign => (
+            <tr key={campaign.campaign} className="text-gray-400">
+              <td className="py-1 pl-4">{campaign.campaign}</td>
+              <td className="py-1 text-right">{campaign.signups}</td>
+              <td className="py-1 text-right">{campaign.confirmed}</td>
+              <td className="py-1 text-right">{formatPercent(campaign.conversionRate)}</td>
+            </tr>
+          ))}
+        </React.Fragment>
+      ))}
+      {!channels.length && (
+        <tr>
+          <td colSpan={4} className="py-4 text-center text-gray-400">No signups yet</td>
+        </tr>
+      )}
+    </tbody>
+  </table>
+);
+
+// Admit the next people in line with invite codes (backend/invites.js)
+const InvitesPanel = ({ adminFetch, onError, onAdmitted }) => {
+  const [stats, setStats] = useState(null);
+  const [form, setForm] = useState({ count: 25, channel: '', includeExpired: false });
+  const [preview, setPreview] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const response = await adminFetch('/invites/stats');
+      setStats(await response.json());
+    } catch (err) {
+      onError(err.message);
+    }
+  }, [adminFetch, onError]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const updateForm = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setPreview(null);
+  };
+
+  const admit = async (dryRun) => {
+    if (!dryRun && !window.confirm(`Invite the next ${form.count} people?`)) return;
+    try {
+      const response = await adminFetch('/invites/admit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          count: Number(form.count),
+          includeExpired: form.includeExpired,
+          dryRun,
+          segment: form.channel ? { channel: form.channel } : {},
+        }),
+      });
+      const data = await response.json();
+      setPreview(dryRun ? data : null);
+      if (!dryRun) {
+        loadStats();
+        onAdmitted();
+      }
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const inputClass = 'rounded-lg bg-white/10 px-3 py-2 border border-white/20';
+
+  return (
+    <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4 mb-8">
+      <p className="text-gray-400 text-sm mb-4">Admission</p>
+
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+          {['waiting', 'invited', 'redeemed', 'expired'].map(state => (
+            <div key={state}>
+              <p className="text-gray-400 text-sm capitalize">{state}</p>
+              <p className="text-2xl font-bold">{stats.admission[state] || 0}</p>
+            </div>
+          ))}
+          <div>
+            <p className="text-gray-400 text-sm">Invite conversion</p>
+            <p className="text-2xl font-bold">{formatPercent(stats.conversionRate)}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <input
+          type="number"
+          min={1}
+          max={500}
+          aria-label="Number of people to invite"
+          value={form.count}
+          onChange={(e) => updateForm('count', e.target.value)}
+          className={`${inputClass} w-24`}
+        />
+        <input placeholder="Channel (optional)" aria-label="Only invite from channel" value={form.channel} onChange={(e) => updateForm('channel', e.target.value)} className={inputClass} />
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.includeExpired} onChange={(e) => updateForm('includeExpired', e.target.checked)} />
+          Re-invite expired
+        </label>
+        <button onClick={() => admit(true)} className="rounded-lg border border-white/20 px-4 py-2">Preview</button>
+        <button onClick={() => admit(false)} className="rounded-lg bg-gradient-to-r from-blue-700 to-purple-700 px-4 py-2 font-semibold">Send invites</button>
+      </div>
+
+      {preview && (
+        <p className="rounded-lg bg-black/20 p-3 mb-4 text-sm">
+          {preview.count} would be invited
+          {preview.invited.length > 0 && `: ${preview.invited.slice(0, 10).map(entry => `#${entry.position} ${entry.email}`).join(', ')}${preview.count > 10 ? ', …' : ''}`}
+        </p>
+      )}
+
+      {stats?.batches.length > 0 && (
+        <table className="w-full text-left text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="py-1">Batch</th>
+              <th className="py-1 text-right">Invited</th>
+              <th className="py-1 text-right">Redeemed</th>
+              <th className="py-1 text-right">Expired</th>
+              <th className="py-1 text-right">Conversion</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.batches.map(batch => (
+              <tr key={batch.batchId} className="border-t border-white/10">
+                <td className="py-1">{formatDate(batch.createdAt)}</td>
+                <td className="py-1 text-right">{batch.invited}</td>
+                <td className="py-1 text-right">{batch.redeemed}</td>
+                <td className="py-1 text-right">{batch.expired}</td>
+                <td className="py-1 text-right">{formatPercent(batch.conversionRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_CAMPAIGN = { name: '', subject: '', text: '', confirmedOnly: true, from: '', to: '', channel: '' };
+
+// Compose, dry-run and send broadcast campaigns (backend/campaigns.js)
+const CampaignsPanel = ({ adminFetch, onError }) => {
+  const [draft, setDraft] = useState(EMPTY_CAMPAIGN);
+  const [preview, setPreview] = useState(null);
+  const [campaigns, setCampaigns] = useState([]);
+
+  const loadCampaigns = useCallback(async () => {
+    try {
+      const response = await adminFetch('/campaigns');
+      setCampaigns((await response.json()).campaigns);
+    } catch (err) {
+      onError(err.message);
+    }
+  }, [adminFetch, onError]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [loadCampaigns]);
+
+  // Poll while something is sending so progress stays current
+  const sending = campaigns.some(campaign => campaign.status === 'sending');
+  useEffect(() => {
+    if (!sending) return undefined;
+    const timer = setInterval(loadCampaigns, 5000);
+    return () => clearInterval(timer);
+  }, [sending, loadCampaigns]);
+
+  const updateDraft = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setPreview(null);
+  };
+
+  const requestBody = () => JSON.stringify({
+    name: draft.name,
+    subject: draft.subject,
+    text: draft.text,
+    segment: {
+      confirmedOnly: draft.confirmedOnly,
+      ...(draft.from && { from: draft.from }),
+      ...(draft.to && { to: draft.to }),
+      ...(draft.channel && { channel: draft.channel }),
+    },
+  });
+
+  const post = (path, body) =>
+    adminFetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+  const handlePreview = async () => {
+    try {
+      const response = await post('/campaigns/preview', requestBody());
+      setPreview(await response.json());
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await post('/campaigns', requestBody());
+      setDraft(EMPTY_CAMPAIGN);
+      setPreview(null);
+      loadCampaigns();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleAction = async (campaign, action) => {
+    if (action === 'send' && !window.confirm(`Send "${campaign.name}" now?`)) return;
+    try {
+      await post(`/campaigns/${campaign.id}/${action}`);
+      loadCampaigns();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const inputClass = 'rounded-lg bg-white/10 px-3 py-2 border border-white/20';
+
+  return (
+    <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4 mt-8">
+      <p className="text-gray-400 text-sm mb-4">Campaigns</p>
+
+      <div className="grid gap-3 mb-4">
+        <input placeholder="Internal name" aria-label="Campaign name" value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} className={inputClass} />
+        <input placeholder="Subject" aria-label="Subject" value={draft.subject} onChange={(e) => updateDraft('subject', e.target.value)} className={inputClass} />
+        <textarea
+          rows={6}
+          placeholder="Message (plain text; {{email}}, {{shareUrl}} and {{referralCode}} are filled in per recipient)"
+          aria-label="Message"
+          value={draft.text}
+          onChange={(e) => updateDraft('text', e.target.value)}
+          className={inputClass}
+        />
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={draft.confirmedOnly} onChange={(e) => updateDraft('confirmedOnly', e.target.checked)} />
+            Confirmed only
+          </label>
+          <input type="date" aria-label="Segment signed up from" value={draft.from} onChange={(e) => updateDraft('from', e.target.value)} className={inputClass} />
+          <input type="date" aria-label="Segment signed up until" value={draft.to} onChange={(e) => updateDraft('to', e.target.value)} className={inputClass} />
+          <input placeholder="Channel (e.g. linkedin)" aria-label="Segment channel" value={draft.channel} onChange={(e) => updateDraft('channel', e.target.value)} className={inputClass} />
+          <button onClick={handlePreview} className="rounded-lg border border-white/20 px-4 py-2">Preview</button>
+          <button onClick={handleSave} className="rounded-lg bg-gradient-to-r from-blue-700 to-purple-700 px-4 py-2 font-semibold">Save draft</button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="rounded-lg bg-black/20 p-3 mb-4 text-sm">
+          <p className="font-semibold">{preview.recipients} recipient{preview.recipients === 1 ? '' : 's'}</p>
+          {preview.sample.length > 0 && <p className="text-gray-400">{preview.sample.join(', ')}{preview.recipients > preview.sample.length ? ', …' : ''}</p>}
+          {preview.rendered && (
+            <div className="mt-2">
+              <p className="font-semibold">{preview.rendered.subject}</p>
+              <pre className="whitespace-pre-wrap font-sans text-gray-300">{preview.rendered.text}</pre>
+            </div>
+          )}
+        </div>
+      )}
+
+      <table className="w-full text-left text-sm">
+        <thead className="text-gray-400">
+          <tr>
+            <th className="py-1">Name</th>
+            <th className="py-1">Status</th>
+            <th className="py-1 text-right">Sent</th>
+            <th className="py-1 text-right">Failed</th>
+            <th className="py-1 text-right">Skipped</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {campaigns.map(campaign => (
+            <tr key={campaign.id} className="border-t border-white/10">
+              <td className="py-1">{campaign.name}</td>
+              <td className="py-1">{campaign.status}</td>
+              <td className="py-1 text-right">{campaign.progress.sent}{campaign.recipient_count != null ? ` / ${campaign.recipient_count}` : ''}</td>
+              <td className="py-1 text-right">{campaign.progress.failed}</td>
+              <td className="py-1 text-right">{campaign.progress.skipped}</td>
+              <td className="py-1 text-right space-x-3">
+                {campaign.status === 'draft' && <button onClick={() => handleAction(campaign, 'send')} className="text-blue-300 hover:text-white">Send</button>}
+                {campaign.status === 'sending' && <button onClick={() => handleAction(campaign, 'pause')} className="text-blue-300 hover:text-white">Pause</button>}
+                {campaign.status === 'paused' && <button onClick={() => handleAction(campaign, 'send')} className="text-blue-300 hover:text-white">Resume</button>}
+                {campaign.progress.failed > 0 && <button onClick={() => handleAction(campaign, 'retry-failed')} className="text-blue-300 hover:text-white">Retry failed</button>}
+              </td>
+            </tr>
+          ))}
+          {!campaigns.length && (
+            <tr>
+              <td colSpan={6} className="py-4 text-center text-gray-400">No campaigns yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Edit, preview and publish the landing page content document (backend/content.js).
+// The draft is edited as JSON; the same validation as the backend runs as you type.
+const ContentPanel = ({ adminFetch, onError }) => {
+  const [state, setState] = useState(null);
+  const [text, setText] = useState('');
+
+  const apply = (data) => {
+    setState(data);
+    setText(JSON.stringify(data.draft, null, 2));
+  };
+
+  useEffect(() => {
+    adminFetch('/content')
+      .then(response => response.json())
+      .then(apply)
+      .catch(err => onError(err.message));
+  }, [adminFetch, onError]);
+
+  let problems;
+  try {
+    problems = validateContent(JSON.parse(text));
+  } catch (err) {
+    problems = [`Not valid JSON: ${err.message}`];
+  }
+  const saved = state && text === JSON.stringify(state.draft, null, 2);
+
+  const request = async (path, options) => {
+    try {
+      apply(await (await adminFetch(path, options)).json());
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleSave = () => request('/content/draft', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content: JSON.parse(text) }),
+  });
+
+  const handlePreview = async () => {
+    try {
+      const { url } = await (await adminFetch('/content/preview', { method: 'POST' })).json();
+      window.open(url, '_blank', 'noopener');
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handlePublish = () => {
+    if (!window.confirm('Publish this draft to the live landing page?')) return;
+    request('/content/publish', { method: 'POST' });
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm('Discard the unpublished draft?')) return;
+    request('/content/draft', { method: 'DELETE' });
+  };
+
+  if (!state) return null;
+
+  return (
+    <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4 mt-8">
+      <p className="text-gray-400 text-sm mb-1">Landing page content</p>
+      <p className="text-gray-400 text-xs mb-4">
+        Published v{state.version}{state.publishedAt ? ` on ${formatDate(state.publishedAt)}` : ' (bundled default)'}
+        {state.hasDraft ? ` · draft saved ${formatDate(state.draftUpdatedAt)}` : ' · no unpublished draft'}
+      </p>
+      <textarea
+        rows={20}
+        spellCheck={false}
+        aria-label="Content draft (JSON)"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="w-full rounded-lg bg-black/30 px-3 py-2 border border-white/20 font-mono text-xs"
+      />
+      {problems.length > 0 && (
+        <ul className="mt-2 text-sm text-red-400 list-disc pl-5">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-3 mt-3 text-sm">
+        <button onClick={handleSave} disabled={saved || problems.length > 0} className="rounded-lg bg-gradient-to-r from-blue-700 to-purple-700 px-4 py-2 font-semibold disabled:opacity-40">Save draft</button>
+        <button onClick={handlePreview} disabled={!state.hasDraft || !saved} className="rounded-lg border border-white/20 px-4 py-2 disabled:opacity-40">Preview on site</button>
+        <button onClick={handlePublish} disabled={!state.hasDraft || !saved} className="rounded-lg border border-white/20 px-4 py-2 disabled:opacity-40">Publish</button>
+        <button onClick={handleDiscard} disabled={!state.hasDraft} className="rounded-lg border border-white/20 px-4 py-2 disabled:opacity-40">Discard draft</button>
+      </div>
+    </div>
+  );
+};
+
+const AdminDashboard = () => {
+  const [session, setSession] = useState(() => sessionStorage.getItem(SESSION_KEY));
+  const [stats, setStats] = useState(null);
+  const [attribution, setAttribution] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ search: '', status: '', admission: '', from: '', to: '' });
+  const [error, setError] = useState('');
+
+  // Authenticated fetch; an expired session drops back to the login form
+  const adminFetch = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${BACKEND_URL}/api/admin${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${session}` },
+    });
+    if (response.status === 401) {
+      sessionStorage.removeItem(SESSION_KEY);
+      setSession(null);
+      throw new Error('Session expired');
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Request failed');
+    }
+    return response;
+  }, [session]);
+
+  const queryString = useCallback((extra = {}) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return params.toString();
+  }, [filters]);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const response = await adminFetch(`/waitlist?${queryString({ page, pageSize: PAGE_SIZE })}`);
+      const data = await response.json();
+      setEntries(data.entries);
+      setTotal(data.total);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch, queryString, page]);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const response = await adminFetch('/stats');
+      setStats(await response.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch]);
+
+  // Follows the date filters only, so conversion rates stay meaningful
+  const loadAttribution = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.from) params.set('from', filters.from);
+      if (filters.to) params.set('to', filters.to);
+      const response = await adminFetch(`/attribution?${params}`);
+      setAttribution(await response.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch, filters.from, filters.to]);
+
+  useEffect(() => {
+    if (session) loadAttribution();
+  }, [session, loadAttribution]);
+
+  useEffect(() => {
+    if (session) loadStats();
+  }, [session, loadStats]);
+
+  useEffect(() => {
+    if (session) loadEntries();
+  }, [session, loadEntries]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleDelete = async (email) => {
+    if (!window.confirm(`Delete ${email} from the waitlist?`)) return;
+    try {
+      await adminFetch(`/waitlist/${encodeURIComponent(email)}`, { method: 'DELETE' });
+      loadEntries();
+      loadStats();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // CSV needs the auth header, so download through a blob URL
+  const handleExport = async () => {
+    try {
+      const response = await adminFetch(`/waitlist.csv?${queryString()}`);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `waitlist-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogout = () => {
+    sessionStorage.removeItem(SESSION_KEY);
+    setSession(null);
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="min-h-screen bg-[#10182f] text-white font-sans px-4 py-8">
+      {!session ? (
+        <AdminLogin onLogin={setSession} />
+      ) : (
+        <div className="max-w-6xl mx-auto">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-3xl font-bold">Waitlist</h1>
+            <button onClick={handleLogout} className="text-sm text-gray-400 hover:text-white">Sign out</button>
+          </div>
+
+          {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+          {stats && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+              <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4">
+                <p className="text-gray-400 text-sm">Total</p>
+                <p className="text-3xl font-bold">{stats.total}</p>
+              </div>
+              {['confirmed', 'pending', 'unsubscribed'].map(status => (
+                <div key={status} className="rounded-2xl border border-blue-400/30 bg-white/5 p-4">
+                  <p className="text-gray-400 text-sm capitalize">{status}</p>
+                  <p className="text-3xl font-bold">{stats.byStatus[status] || 0}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {stats && (
+            <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4 mb-8">
+              <p className="text-gray-400 text-sm mb-2">Signups per day (last {stats.signupsPerDay.length} days)</p>
+              <SignupsChart days={stats.signupsPerDay} />
+            </div>
+          )}
+
+          {attribution && (
+            <div className="rounded-2xl border border-blue-400/30 bg-white/5 p-4 mb-8">
+              <p className="text-gray-400 text-sm mb-2">Signups by channel</p>
+              <ChannelTable channels={attribution.channels} />
+            </div>
+          )}
+
+          <InvitesPanel adminFetch={adminFetch} onError={setError} onAdmitted={loadEntries} />
+
+          <div className="flex flex-wrap gap-3 mb-4">
+            <input
+              type="search"
+              placeholder="Search email"
+              aria-label="Search email"
+              value={filters.search}
+              onChange={(e) => updateFilter('search', e.target.value)}
+              className="rounded-lg bg-white/10 px-3 py-2 border border-white/20 flex-1 min-w-[12rem]"
+            />
+            <select
+              value={filters.status}
+              aria-label="Filter by status"
+              onChange={(e) => updateFilter('status', e.target.value)}
+              className="rounded-lg bg-[#151a31] px-3 py-2 border border-white/20"
+            >
+              {STATUSES.map(status => (
+                <option key={status} value={status}>{status || 'All statuses'}</option>
+              ))}
+            </select>
+            <select
+              value={filters.admission}
+              aria-label="Filter by admission"
+              onChange={(e) => updateFilter('admission', e.target.value)}
+              className="rounded-lg bg-[#151a31] px-3 py-2 border border-white/20"
+            >
+              {ADMISSIONS.map(admission => (
+                <option key={admission} value={admission}>{admission || 'Any admission'}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              aria-label="Signed up from"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="rounded-lg bg-white/10 px-3 py-2 border border-white/20"
+            />
+            <input
+              type="date"
+              aria-label="Signed up until"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="rounded-lg bg-white/10 px-3 py-2 border border-white/20"
+            />
+            <button onClick={handleExport} className="rounded-lg bg-gradient-to-r from-blue-700 to-purple-700 px-4 py-2 font-semibold">
+              Export CSV
+            </button>
+          </div>
+
+          <div className="overflow-x-auto rounded-2xl border border-white/10">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-white/5 text-gray-400">
+                <tr>
+                  <th className="px-4 py-2">Email</th>
+                  <th className="px-4 py-2">Status</th>
+                  <th className="px-4 py-2">Admission</th>
+                  <th className="px-4 py-2">Signed up</th>
+                  <th className="px-4 py-2">Confirmed</th>
+                  <th className="px-4 py-2">Referral code</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.email} className="border-t border-white/10">
+                    <td className="px-4 py-2">{entry.email}</td>
+                    <td className="px-4 py-2">{entry.status || 'confirmed'}</td>
+                    <td className="px-4 py-2">{entry.admission || 'waiting'}</td>
+                    <td className="px-4 py-2">{formatDate(entry.created_at)}</td>
+                    <td className="px-4 py-2">{formatDate(entry.confirmed_at)}</td>
+                    <td className="px-4 py-2 font-mono">{entry.referral_code || '—'}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button onClick={() => handleDelete(entry.email)} className="text-red-400 hover:text-red-300">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {!entries.length && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-400">No entries</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-400">
+            <span>{total} entries</span>
+            <div className="flex items-center gap-3">
+              <button disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="disabled:opacity-40">Previous</button>
+              <span>Page {page} of {pageCount}</span>
+              <button disabled={page >= pageCount} onClick={() => setPage(p => p + 1)} className="disabled:opacity-40">Next</button>
+            </div>
+          </div>
+
+          <CampaignsPanel adminFetch={adminFetch} onError={setError} />
+          <ContentPanel adminFetch={adminFetch} onError={setError} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
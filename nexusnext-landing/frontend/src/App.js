@@ -1,324 +1,54 @@
 import React, { useEffect, useRef, useState, useMemo, Suspense, useCallback } from "react";
 import { FaXTwitter, FaLinkedin, FaInstagram, FaDiscord, FaYoutube } from "react-icons/fa6";
-import * as THREE from 'three';
-
-// --- PERFORMANCE HOOKS (Optimized) ---
-const usePerformanceMonitor = () => {
-  const [quality, setQuality] = useState(() => {
-    const mobile = window.innerWidth < 768;
-    const lowEnd = navigator.hardwareConcurrency < 4;
-    const slowConnection = navigator.connection?.effectiveType === 'slow-2g' || navigator.connection?.effectiveType === '2g';
-    if (mobile || lowEnd || slowConnection) return "low";
-    if (window.innerWidth < 1024) return "medium";
-    return "high";
-  });
-  useEffect(() => {
-    let timeoutId;
-    const update = () => {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        const mobile = window.innerWidth < 768;
-        const lowEnd = navigator.hardwareConcurrency < 4;
-        const slowConnection = navigator.connection?.effectiveType === 'slow-2g' || navigator.connection?.effectiveType === '2g';
-        if (mobile || lowEnd || slowConnection) setQuality("low");
-        else if (window.innerWidth < 1024) setQuality("medium");
-        else setQuality("high");
-      }, 100);
-    };
-    window.addEventListener("resize", update, { passive: true });
-    return () => {
-      window.removeEventListener("resize", update);
-      clearTimeout(timeoutId);
-    };
-  }, []);
-  return quality;
-};
-
-const useScrollProgress = () => {
-  const [scrollProgress, setScrollProgress] = useState(0);
-  const rafId = useRef();
-  const updateScroll = useCallback(() => {
-    if (rafId.current) return;
-    rafId.current = requestAnimationFrame(() => {
-      const progress = Math.min(Math.max(window.scrollY / 800, 0), 1);
-      setScrollProgress(progress);
-      rafId.current = null;
-    });
-  }, []);
-  useEffect(() => {
-    window.addEventListener("scroll", updateScroll, { passive: true });
-    updateScroll();
-    return () => {
-      window.removeEventListener("scroll", updateScroll);
-      if (rafId.current) cancelAnimationFrame(rafId.current);
-    };
-  }, [updateScroll]);
-  return scrollProgress;
-};
-
-// Quality settings helper
-const getQualitySettings = (quality) => ({
-  sphereSegments: quality === "high" ? 32 : quality === "medium" ? 24 : 16,
-  particleCount: quality === "high" ? 800 : quality === "medium" ? 400 : 200,
-  particleSize: quality === "high" ? 0.12 : 0.08,
-  antialias: quality === "high",
-  powerPreference: quality === "high" ? "high-performance" : "low-power"
-});
+import { config } from './config';
+import ErrorBoundary from './ErrorBoundary';
+import { getProofOfWork } from './proofOfWork';
+import { captureAttribution, getAttribution } from './attribution';
+import { setQualityTier, startVitals } from './vitals';
+import { validateEmail } from '@nexusnext/shared/emailValidation.mjs';
+import { I18nProvider, LanguageSwitcher, useI18n } from './i18n';
+import { ContentProvider, useContent } from './content';
+import { Link, Router, matchPath, useRouter } from './router';
+import { MotionAttribute, MotionToggle, useReducedMotion } from './motion';
+import { QualityPicker, useQuality } from './quality';
+import { useManagedScene } from './sceneManager';
+import { TiltButton, useSceneInput } from './sceneInput';
+import { dnaScene, heroScene } from './scenes';
+import { DnaFallback, SphereFallback } from './SceneFallbacks';
+import { HOME_PAGE, productPath } from './site';
 
 // Loading fallback
-const SceneLoadingFallback = () => (
-  <div className="absolute inset-0 w-full h-full flex items-center justify-center"
-       style={{ background: "radial-gradient(circle, #0a1323 0%, #040811 100%)" }}>
-    <div className="text-white text-xl">Loading 3D Scene...</div>
-  </div>
-);
+const SceneLoadingFallback = () => {
+  const { t } = useI18n();
+  return (
+    <div className="absolute inset-0 w-full h-full flex items-center justify-center"
+         style={{ background: "radial-gradient(circle, #0a1323 0%, #040811 100%)" }}>
+      <div className="text-white text-xl">{t("scene.loading")}</div>
+    </div>
+  );
+};
 
 // ============================================
 // FIXED SPHERE COMPONENT
 // ============================================
-const SphereGridScene = React.memo(({ quality = "medium", scrollProgress = 0 }) => {
+// reducedMotion: draw a single still frame instead of animating (and ignore the pointer)
+const SphereGridScene = React.memo(({ reducedMotion = false }) => {
   const mountRef = useRef(null);
-  const sceneDataRef = useRef(null);
-  const [isLoaded, setIsLoaded] = useState(false);
-
-  const qualitySettings = useMemo(() => getQualitySettings(quality), [quality]);
-
-  useEffect(() => {
-    let isMounted = true;
-    let animationId = null;
-
-    const initScene = async () => {
-      if (!mountRef.current) return;
-
-      try {
-        const THREE = await import('three');
-        if (!isMounted || !mountRef.current) return;
-
-        const container = mountRef.current;
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-
-        // Scene setup
-        const scene = new THREE.Scene();
-        const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
-        camera.position.z = 7;
-
-        const renderer = new THREE.WebGLRenderer({
-          antialias: qualitySettings.antialias,
-          alpha: true,
-          powerPreference: qualitySettings.powerPreference,
-        });
-        renderer.setSize(width, height);
-        renderer.setClearColor(0x0a1323, 1);
-        renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality === "high" ? 2 : 1.5));
-        
-        container.appendChild(renderer.domElement);
-
-        // Create sphere
-        const geometry = new THREE.SphereGeometry(
-          2.8, 
-          qualitySettings.sphereSegments, 
-          qualitySettings.sphereSegments
-        );
-        
-        const material = new THREE.MeshPhysicalMaterial({
-          color: 0x83cafe,
-          emissive: 0x0ff1ff,
-          emissiveIntensity: 0.7,
-          roughness: 0.15,
-          metalness: 0.6,
-          transparent: true,
-          opacity: 0.7,
-          wireframe: true,
-        });
-        
-        const sphere = new THREE.Mesh(geometry, material);
-        scene.add(sphere);
-
-        // Add wireframe edges
-        const edgesGeometry = new THREE.EdgesGeometry(geometry);
-        const edgesMaterial = new THREE.LineBasicMaterial({
-          color: 0x00fff9,
-          opacity: 0.38,
-          transparent: true,
-        });
-        const wireframe = new THREE.LineSegments(edgesGeometry, edgesMaterial);
-        sphere.add(wireframe);
-
-        // Create particles
-        const particlesGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(qualitySettings.particleCount * 3);
-        const colors = new Float32Array(qualitySettings.particleCount * 3);
-
-        for (let i = 0; i < qualitySettings.particleCount; i++) {
-          const i3 = i * 3;
-          const radius = 5 + Math.random() * 13;
-          const theta = Math.random() * Math.PI * 2;
-          const phi = Math.acos(2 * Math.random() - 1);
-          
-          positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-          positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-          positions[i3 + 2] = radius * Math.cos(phi);
-          
-          const intensity = 0.7 + Math.random() * 0.3;
-          colors[i3] = 0.1 * intensity;
-          colors[i3 + 1] = 0.6 + Math.random() * 0.2;
-          colors[i3 + 2] = intensity;
-        }
-
-        particlesGeometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-        particlesGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-        
-        const particlesMaterial = new THREE.PointsMaterial({
-          size: qualitySettings.particleSize,
-          transparent: true,
-          opacity: 0.45,
-          vertexColors: true,
-          blending: THREE.AdditiveBlending,
-        });
-        
-        const particles = new THREE.Points(particlesGeometry, particlesMaterial);
-        scene.add(particles);
-
-        // Lighting
-        scene.add(new THREE.AmbientLight(0xffffff, 0.8));
-
-        // Store refs
-        sceneDataRef.current = {
-          scene,
-          camera,
-          renderer,
-          sphere,
-          particles,
-          material,
-          edgesMaterial,
-          particlesMaterial,
-          geometry,
-          edgesGeometry,
-          particlesGeometry
-        };
-
-        // Animation loop
-        let time = 0;
-        let lastTime = performance.now();
-
-        const animate = (currentTime) => {
-          if (!isMounted || !sceneDataRef.current) return;
-          
-          animationId = requestAnimationFrame(animate);
-
-          const deltaTime = currentTime - lastTime;
-          if (deltaTime < 16) return; // ~60fps throttle
-          
-          lastTime = currentTime;
-          time += 0.009;
-
-          const { sphere, particles, material, edgesMaterial, particlesMaterial, renderer, scene, camera } = sceneDataRef.current;
-
-          // Rotation
-          sphere.rotation.y += 0.004 + scrollProgress * 0.01;
-          sphere.rotation.x += 0.002 + scrollProgress * 0.003;
-          particles.rotation.y -= 0.001 + scrollProgress * 0.003;
-          particles.rotation.x += Math.sin(time * 0.5) * 0.0008;
-
-          // Opacity based on scroll
-          const sOpacity = Math.max(0.2, 1 - scrollProgress * 0.8);
-          material.opacity = sOpacity;
-          edgesMaterial.opacity = sOpacity * 0.6;
-          particlesMaterial.opacity = sOpacity * 0.45;
-
-          // Pulsing scale
-          const scale = 1 + Math.sin(time * 2) * 0.05 * (1 - scrollProgress * 0.5);
-          sphere.scale.setScalar(scale);
-
-          renderer.render(scene, camera);
-        };
-
-        // Resize handler
-        const handleResize = () => {
-          if (!isMounted || !sceneDataRef.current || !mountRef.current) return;
-          
-          const w = mountRef.current.clientWidth;
-          const h = mountRef.current.clientHeight;
-          
-          sceneDataRef.current.camera.aspect = w / h;
-          sceneDataRef.current.camera.updateProjectionMatrix();
-          sceneDataRef.current.renderer.setSize(w, h);
-        };
-
-        window.addEventListener("resize", handleResize, { passive: true });
-
-        // Start animation
-        animationId = requestAnimationFrame(animate);
-        setIsLoaded(true);
-
-        // Cleanup function
-        return () => {
-          isMounted = false;
-          window.removeEventListener("resize", handleResize);
-          
-          if (animationId) {
-            cancelAnimationFrame(animationId);
-          }
-
-          if (sceneDataRef.current) {
-            const { 
-              renderer, 
-              geometry, 
-              edgesGeometry, 
-              particlesGeometry, 
-              material, 
-              edgesMaterial, 
-              particlesMaterial 
-            } = sceneDataRef.current;
-
-            // Dispose geometries
-            geometry?.dispose();
-            edgesGeometry?.dispose();
-            particlesGeometry?.dispose();
-
-            // Dispose materials
-            material?.dispose();
-            edgesMaterial?.dispose();
-            particlesMaterial?.dispose();
-
-            // Dispose renderer
-            if (renderer) {
-              renderer.dispose();
-              if (container && container.contains(renderer.domElement)) {
-                container.removeChild(renderer.domElement);
-              }
-            }
-
-            sceneDataRef.current = null;
-          }
-        };
-      } catch (error) {
-        console.error('Sphere scene error:', error);
-        setIsLoaded(true);
-      }
-    };
-
-    const cleanup = initScene();
-
-    return () => {
-      isMounted = false;
-      if (cleanup && typeof cleanup.then === 'function') {
-        cleanup.then(cleanupFn => cleanupFn && cleanupFn());
-      }
-    };
-  }, [quality, qualitySettings, scrollProgress]);
+  const input = useSceneInput(mountRef, !reducedMotion);
+  // status: 'webgl', 'lost' (context gone, waiting for it back) or 'fallback' (see webgl.js)
+  const { status, isLoaded } = useManagedScene(heroScene, reducedMotion, { mountRef, input });
 
   return (
     <div
       ref={mountRef}
+      aria-hidden="true"
       className="absolute inset-0 w-full h-full"
       style={{ 
         background: "radial-gradient(circle, #0a1323 0%, #040811 100%)",
         zIndex: 1
       }}
     >
-      {!isLoaded && <SceneLoadingFallback />}
+      {status !== "webgl" ? <SphereFallback /> : !isLoaded && <SceneLoadingFallback />}
     </div>
   );
 });
@@ -326,302 +56,13 @@ const SphereGridScene = React.memo(({ quality = "medium", scrollProgress = 0 })
 // ============================================
 // FIXED DNA COMPONENT
 // ============================================
-const DnaSceneComponent = React.memo(({ scrollProgress = 0 }) => {
-  const mountRef = useRef(null);
-  const sceneDataRef = useRef(null);
-  const [isLoaded, setIsLoaded] = useState(false);
-
-  useEffect(() => {
-    let isMounted = true;
-    let animationId = null;
-
-    const initScene = async () => {
-      if (!mountRef.current) return;
-
-      try {
-        const THREE = await import("three");
-        if (!isMounted || !mountRef.current) return;
-
-        const container = mountRef.current;
-        const width = container.clientWidth;
-        const height = 600;
-
-        // Scene setup
-        const scene = new THREE.Scene();
-        const camera = new THREE.PerspectiveCamera(65, width / height, 0.1, 1000);
-        camera.position.z = 8;
-
-        const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-        renderer.setSize(width, height);
-        renderer.setClearColor(0x0a1323, 0);
-        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-        
-        container.appendChild(renderer.domElement);
-
-        // DNA helix parameters
-        const helixGroup = new THREE.Group();
-        const segments = 120;
-        const radius = 2.6;
-        const verticalHeight = 7.6;
-
-        // Create strand points
-        const strand1Points = [];
-        const strand2Points = [];
-        
-        for (let i = 0; i < segments; i++) {
-          const t = i / (segments - 1);
-          const angle = t * Math.PI * 10;
-          const y = (t - 0.5) * verticalHeight;
-          
-          strand1Points.push(
-            new THREE.Vector3(
-              Math.cos(angle) * radius, 
-              y, 
-              Math.sin(angle) * radius
-            )
-          );
-          
-          strand2Points.push(
-            new THREE.Vector3(
-              Math.cos(angle + Math.PI) * radius, 
-              y, 
-              Math.sin(angle + Math.PI) * radius
-            )
-          );
-        }
-
-        // Create curves and tubes
-        const curve1 = new THREE.CatmullRomCurve3(strand1Points);
-        const curve2 = new THREE.CatmullRomCurve3(strand2Points);
-        
-        const geo1 = new THREE.TubeGeometry(curve1, segments, 0.08, 6, false);
-        const geo2 = new THREE.TubeGeometry(curve2, segments, 0.08, 6, false);
-
-        const mat1 = new THREE.MeshBasicMaterial({
-          color: 0x2fd3f7,
-          transparent: true,
-          opacity: 0.7
-        });
-        
-        const mat2 = new THREE.MeshBasicMaterial({
-          color: 0xc084fc,
-          transparent: true,
-          opacity: 0.65
-        });
-
-        const strand1 = new THREE.Mesh(geo1, mat1);
-        const strand2 = new THREE.Mesh(geo2, mat2);
-        helixGroup.add(strand1, strand2);
-
-        // Add rungs
-        const rungs = [];
-        for (let i = 0; i < segments; i += 20) {
-          const t = i / (segments - 1);
-          const angle = t * Math.PI * 10;
-          const y = (t - 0.5) * verticalHeight;
-          
-          const rungGeo = new THREE.CylinderGeometry(0.03, 0.03, radius * 2, 4);
-          const rungMat = new THREE.MeshBasicMaterial({
-            color: 0xffe084,
-            transparent: true,
-            opacity: 0.5,
-          });
-          
-          const rung = new THREE.Mesh(rungGeo, rungMat);
-          rung.position.y = y;
-          rung.rotation.y = angle;
-          rung.rotation.z = Math.PI / 2;
-          
-          helixGroup.add(rung);
-          rungs.push({ mesh: rung, material: rungMat, geometry: rungGeo });
-        }
-
-        scene.add(helixGroup);
-
-        // Create particles
-        const particleCount = 150;
-        const particlesGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
-
-        for (let i = 0; i < particleCount; i++) {
-          const i3 = i * 3;
-          const rad = 6.5 + Math.random() * 4;
-          const phi = Math.random() * Math.PI;
-          const theta = Math.random() * 2 * Math.PI;
-          
-          positions[i3] = Math.sin(phi) * Math.cos(theta) * rad;
-          positions[i3 + 1] = (Math.random() - 0.5) * verticalHeight;
-          positions[i3 + 2] = Math.sin(phi) * Math.sin(theta) * rad;
-          
-          colors[i3 + 0] = 0.3 + 0.7 * Math.random();
-          colors[i3 + 1] = 0.7 + 0.3 * Math.random();
-          colors[i3 + 2] = 1.0;
-        }
-
-        particlesGeometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-        particlesGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-
-        const particlesMaterial = new THREE.PointsMaterial({
-          size: 0.11,
-          transparent: true,
-          opacity: 0.4,
-          vertexColors: true,
-          blending: THREE.AdditiveBlending,
-        });
-
-        const particles = new THREE.Points(particlesGeometry, particlesMaterial);
-        scene.add(particles);
-        
-        // Lighting
-        scene.add(new THREE.AmbientLight(0xffffff, 0.54));
-
-        // Store refs
-        sceneDataRef.current = {
-          scene,
-          camera,
-          renderer,
-          helixGroup,
-          particles,
-          mat1,
-          mat2,
-          particlesMaterial,
-          geo1,
-          geo2,
-          particlesGeometry,
-          rungs
-        };
-
-        // Animation loop
-        let time = 0;
-        let lastScrollProgress = scrollProgress;
-
-        const animate = () => {
-          if (!isMounted || !sceneDataRef.current) return;
-          
-          animationId = requestAnimationFrame(animate);
-
-          time += 0.011;
-
-          const { 
-            helixGroup, 
-            particles, 
-            mat1, 
-            mat2, 
-            particlesMaterial,
-            renderer,
-            scene,
-            camera
-          } = sceneDataRef.current;
-
-          // Rotate helix
-          helixGroup.rotation.y = time * 0.35;
-          helixGroup.rotation.x = 0.32 * Math.sin(time * 0.32);
-
-          // Pulsing effect
-          const pulse = 1.0 + 0.08 * Math.sin(time * 2.5);
-          helixGroup.scale.set(pulse, pulse, pulse);
-
-          // Rotate particles
-          particles.rotation.y += 0.003;
-
-          // Update opacity based on scroll
-          if (Math.abs(lastScrollProgress - scrollProgress) > 0.01) {
-            mat1.opacity = 0.65 + 0.25 * scrollProgress;
-            mat2.opacity = 0.62 + 0.28 * scrollProgress;
-            particlesMaterial.opacity = 0.3 + 0.4 * scrollProgress;
-            lastScrollProgress = scrollProgress;
-          }
-
-          renderer.render(scene, camera);
-        };
-
-        // Resize handler
-        const handleResize = () => {
-          if (!isMounted || !sceneDataRef.current || !mountRef.current) return;
-          
-          const w = mountRef.current.clientWidth;
-          const h = mountRef.current.clientHeight;
-          
-          sceneDataRef.current.camera.aspect = w / h;
-          sceneDataRef.current.camera.updateProjectionMatrix();
-          sceneDataRef.current.renderer.setSize(w, h);
-        };
-
-        window.addEventListener("resize", handleResize, { passive: true });
-
-        // Start animation
-        animationId = requestAnimationFrame(animate);
-        setIsLoaded(true);
-
-        // Cleanup function
-        return () => {
-          isMounted = false;
-          window.removeEventListener("resize", handleResize);
-          
-          if (animationId) {
-            cancelAnimationFrame(animationId);
-          }
-
-          if (sceneDataRef.current) {
-            const { 
-              renderer, 
-              geo1, 
-              geo2, 
-              particlesGeometry,
-              mat1, 
-              mat2, 
-              particlesMaterial,
-              rungs
-            } = sceneDataRef.current;
-
-            // Dispose geometries
-            geo1?.dispose();
-            geo2?.dispose();
-            particlesGeometry?.dispose();
-
-            // Dispose materials
-            mat1?.dispose();
-            mat2?.dispose();
-            particlesMaterial?.dispose();
-            
-            // Dispose rung materials and geometries
-            rungs?.forEach(rung => {
-              rung.geometry?.dispose();
-              rung.material?.dispose();
-            });
-
-            // Dispose renderer
-            if (renderer) {
-              renderer.dispose();
-              if (container && container.contains(renderer.domElement)) {
-                container.removeChild(renderer.domElement);
-              }
-            }
-
-            sceneDataRef.current = null;
-          }
-        };
-      } catch (error) {
-        console.error("DNA scene error:", error);
-        setIsLoaded(true);
-      }
-    };
-
-    // THIS WAS MISSING - Call initScene and handle cleanup
-    const cleanup = initScene();
-
-    return () => {
-      isMounted = false;
-      if (cleanup && typeof cleanup.then === 'function') {
-        cleanup.then(cleanupFn => cleanupFn && cleanupFn());
-      }
-    };
-  }, [scrollProgress]);
+const DnaSceneComponent = React.memo(({ reducedMotion = false }) => {
+  const { mountRef, status, isLoaded } = useManagedScene(dnaScene, reducedMotion);
 
   return (
     <div
       ref={mountRef}
+      aria-hidden="true"
       style={{
         width: "100%",
         height: "600px",
@@ -632,7 +73,7 @@ const DnaSceneComponent = React.memo(({ scrollProgress = 0 }) => {
         overflow: "hidden",
       }}
     >
-      {!isLoaded && <SceneLoadingFallback />}
+      {status !== "webgl" ? <DnaFallback /> : !isLoaded && <SceneLoadingFallback />}
     </div>
   );
 });
@@ -640,9 +81,15 @@ const DnaSceneComponent = React.memo(({ scrollProgress = 0 }) => {
   const AnimatedText = React.memo(({ children, className = "", delay = 0 }) => {
   const [isVisible, setVisible] = useState(false);
   const elementRef = useRef(null);
+  const reducedMotion = useReducedMotion();
   useEffect(() => {
     const element = elementRef.current;
     if (!element) return;
+    // No fade-in: show it straight away
+    if (reducedMotion) {
+      setVisible(true);
+      return;
+    }
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
@@ -654,7 +101,7 @@ const DnaSceneComponent = React.memo(({ scrollProgress = 0 }) => {
     );
     observer.observe(element);
     return () => observer.disconnect();
-  }, [delay]);
+  }, [delay, reducedMotion]);
   return (
     <div
       ref={elementRef}
@@ -668,41 +115,42 @@ const DnaSceneComponent = React.memo(({ scrollProgress = 0 }) => {
 });
 
 const FeatureCards = React.memo(() => {
+  const { t, localized } = useI18n();
+  const { features } = useContent();
+  const reducedMotion = useReducedMotion();
   const [shiningIdx, setShiningIdx] = useState(null);
-  const cards = useMemo(() => [
-    { icon: "🔗", title: "Nexus Connect", desc: "Connecting people, ideas, and technology — transforming how we learn,innovate & collaborate" },
-    { icon: "🤖", title: "Nexus AGI", desc: "Advanced general intelligence evolving with you." },
-    { icon: "🌐", title: "Nexus Sphere", desc: "Immersive digital worlds unlock limitless possibilities." },
-    { icon: "🏪", title: "Nexus Store", desc: "Marketplace for next-gen assets and collaboration." },
-  ], []);
   const doShine = useCallback((index) => {
+    if (reducedMotion) return;
     setShiningIdx(index);
     setTimeout(() => setShiningIdx(null), 550);
-  }, []);
+  }, [reducedMotion]);
   return (
-    <section className="py-24 bg-gradient-to-b from-[#151829] to-[#101024] text-white max-w-7xl mx-auto px-4 select-none">
-      <h2 className="text-center text-4xl md:text-5xl font-bold mb-16 tracking-tight">
-        Experience The Future
+    <section aria-labelledby="features-title" className="py-24 bg-gradient-to-b from-[#151829] to-[#101024] text-white max-w-7xl mx-auto px-4">
+      <h2 id="features-title" className="text-center text-4xl md:text-5xl font-bold mb-16 tracking-tight">
+        {t("features.title")}
       </h2>
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8">
-        {cards.map(({ icon, title, desc }, i) => (
-          <div
-            key={i}
-            onClick={() => doShine(i)}
-            onMouseEnter={() => doShine(i)}
-            className="feature-card relative p-8 rounded-2xl border border-blue-400/30 bg-gradient-to-br from-white/5 to-indigo-900/10 backdrop-blur-sm cursor-pointer shadow-xl transition-all duration-300 hover:scale-105 hover:-translate-y-2 overflow-hidden text-center"
-          >
-            <div className="text-5xl mb-3">{icon}</div>
-            <h3 className="font-bold text-xl mb-2">{title}</h3>
-            <p className="text-gray-200 text-base leading-relaxed">{desc}</p>
-            <span
-              className={`shine-overlay absolute top-0 left-[-70%] w-36 h-full bg-gradient-to-r from-transparent via-white/60 to-transparent rotate-12 pointer-events-none rounded-2xl transition ${
-                shiningIdx === i ? "opacity-70 shine-animate" : "opacity-0"
-              }`}
-            />
-          </div>
+      <ul className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8">
+        {features.map((feature, i) => (
+          <li key={feature.id}>
+            <Link
+              to={productPath(feature)}
+              onMouseEnter={() => doShine(i)}
+              onFocus={() => doShine(i)}
+              className="feature-card relative block h-full p-8 rounded-2xl border border-blue-400/30 bg-gradient-to-br from-white/5 to-indigo-900/10 backdrop-blur-sm cursor-pointer shadow-xl transition-all duration-300 hover:scale-105 hover:-translate-y-2 focus-visible:scale-105 focus-visible:-translate-y-2 overflow-hidden text-center"
+            >
+              <div className="text-5xl mb-3" aria-hidden="true">{feature.icon}</div>
+              <h3 className="font-bold text-xl mb-2">{localized(feature.title)}</h3>
+              <p className="text-gray-200 text-base leading-relaxed">{localized(feature.description)}</p>
+              <p className="mt-4 text-sm font-semibold text-[#47cffa]">{t("features.learnMore")} <span aria-hidden="true">→</span></p>
+              <span
+                className={`shine-overlay absolute top-0 left-[-70%] w-36 h-full bg-gradient-to-r from-transparent via-white/60 to-transparent rotate-12 pointer-events-none rounded-2xl transition ${
+                  shiningIdx === i ? "opacity-70 shine-animate" : "opacity-0"
+                }`}
+              />
+            </Link>
+          </li>
         ))}
-      </div>
+      </ul>
       <style>{`
         @keyframes shine {
           0% { left: -70%; opacity: 0; }
@@ -718,132 +166,300 @@ const FeatureCards = React.memo(() => {
   );
 });
 
-const socialLinks = [
-  {
-    url: "https://x.com/NEXUSNEXT001?t=TaGToS6fZdczKvwS_a8T9A&s=09",
-    icon: <FaXTwitter />,
-    name: "X (Twitter)"
-  },
-  {
-    url: "https://www.linkedin.com/company/104148942/admin/dashboard/",
-    icon: <FaLinkedin />,
-    name: "LinkedIn"
-  },
-  {
-    url: "https://www.instagram.com/nexusnext1?igsh=M2ZmZHBmMjBuOGx0",
-    icon: <FaInstagram />,
-    name: "Instagram"
-  },
-  {
-    url: "https://discord.gg/EasCrBYW",
-    icon: <FaDiscord />,
-    name: "Discord"
-  },
-  {
-    url: "https://youtube.com/@vlsuniverse?si=m4tDMzNyGSCXYkNK",
-    icon: <FaYoutube />,
-    name: "YouTube"
-  }
-];
-const SocialBar = React.memo(() => (
-  <div className="flex justify-center gap-6 py-8 bg-gradient-to-r from-[#10182f] to-[#1b1b34] select-none">
-    {socialLinks.map(social => (
-      <a
-        key={social.name}
-        href={social.url}
-        target="_blank"
-        rel="noopener noreferrer"
-        aria-label={`Follow us on ${social.name}`}
-        className="text-white hover:text-blue-400 hover:scale-125 transition-transform duration-200 text-2xl"
-      >
-        {social.icon}
-      </a>
-    ))}
-  </div>
-));
-const VisionSection = React.memo(() => (
-  <section className="flex justify-center items-center bg-gradient-to-br from-black to-[#1a1a3a] py-16 px-4 relative select-none">
-    <blockquote className="text-white text-center font-light italic max-w-xl text-2xl md:text-3xl mx-auto">
-      <span className="font-bold text-blue-200">"</span>
-      The future belongs to those who create it.
-      <span className="font-bold text-blue-200">"</span>
-    </blockquote>
-  </section>
-));
-const CtaSection = () => {
+// Icon per content.social[].network (SOCIAL_NETWORKS in @nexusnext/shared/content.mjs)
+const socialIcons = {
+  x: <FaXTwitter />,
+  linkedin: <FaLinkedin />,
+  instagram: <FaInstagram />,
+  discord: <FaDiscord />,
+  youtube: <FaYoutube />,
+};
+const SocialBar = React.memo(() => {
+  const { t } = useI18n();
+  const { social } = useContent();
+  return (
+    <nav aria-label={t("social.label")} className="flex justify-center gap-6 py-8 bg-gradient-to-r from-[#10182f] to-[#1b1b34]">
+      {social.map(link => (
+        <a
+          key={link.url}
+          href={link.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          aria-label={t("social.follow", { name: link.name })}
+          className="text-white hover:text-blue-400 hover:scale-125 transition-transform duration-200 text-2xl"
+        >
+          {socialIcons[link.network]}
+        </a>
+      ))}
+    </nav>
+  );
+});
+const VisionSection = React.memo(() => {
+  const { localized } = useI18n();
+  const { vision } = useContent();
+  return (
+    <section className="flex justify-center items-center bg-gradient-to-br from-black to-[#1a1a3a] py-16 px-4 relative">
+      <blockquote className="text-white text-center font-light italic max-w-xl text-2xl md:text-3xl mx-auto">
+        <span className="font-bold text-blue-200">"</span>
+        {localized(vision.quote)}
+        <span className="font-bold text-blue-200">"</span>
+      </blockquote>
+    </section>
+  );
+});
+const BACKEND_URL = config.backendUrl;
+
+// Message type for the ?waitlist= flag the backend sets when redirecting back from an email link
+// (the text is links.<flag> in the catalogs)
+const waitlistLinkTypes = {
+  confirmed: "success",
+  unsubscribed: "success",
+  expired: "error",
+  invalid: "error",
+  error: "error",
+};
+
+// `product` (a content feature) makes this a product page's signup: its own heading, and the
+// backend records which product the visitor asked about
+const CtaSection = ({ product }) => {
+  const { locale, t, hasMessage, localized, formatNumber } = useI18n();
   const [email, setEmail] = useState("");
   const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [eraseToken, setEraseToken] = useState(null);
+  const [queueStatus, setQueueStatus] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const honeypotRef = useRef(null);
+  const linkHandledRef = useRef(false);
+
+  // Same validation the backend runs (shared module), re-checked as the visitor types
+  const emailCheck = useMemo(() => validateEmail(email), [email]);
+
+  // Backend errors carry a stable code we translate; unknown codes show the server's own message
+  const errorMessage = (data) =>
+    data.code && hasMessage(`errors.${data.code}`) ? t(`errors.${data.code}`) : data.error || t("errors.server_error");
+
+  // Remember where this visitor came from (UTM params, referrer...) for the rest of the session
+  useEffect(() => {
+    captureAttribution();
+  }, []);
 
-  const isEmail = (email) => {
-    return /\S+@\S+\.\S+/.test(email);
+  // Show the result of an email link click (or the erase prompt), then drop the flags from the URL.
+  // Once per page load: the ref keeps a language switch (a new `t`) from running it again.
+  useEffect(() => {
+    if (linkHandledRef.current) return;
+    linkHandledRef.current = true;
+    const params = new URLSearchParams(window.location.search);
+    const status = params.get("waitlist");
+    if (status === "erase" && params.get("token")) {
+      setEraseToken(params.get("token"));
+    } else if (waitlistLinkTypes[status]) {
+      setMessageType(waitlistLinkTypes[status]);
+      setMessage(t(`links.${status}`));
+    } else {
+      return;
+    }
+    params.delete("waitlist");
+    params.delete("token");
+    const query = params.toString();
+    window.history.replaceState(window.history.state, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+  }, [t]);
+
+  // Final step of the right-to-erasure flow: the token comes from the emailed link
+  const handleErase = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/waitlist`, {
+        method: "DELETE",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token: eraseToken }),
+      });
+      const data = await response.json();
+      setMessageType(response.ok ? "success" : "error");
+      setMessage(response.ok ? t("cta.erased") : errorMessage(data));
+      setEraseToken(null);
+    } catch (error) {
+      setMessageType("error");
+      setMessage(t("errors.network"));
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
 const handleSubmit = async (e) => {
   e.preventDefault();
-  if (!email || !isEmail(email) || isSubmitting) return;
+  if (!email || !emailCheck.valid || isSubmitting) return;
 
   setIsSubmitting(true);
   setMessage("");
+  setQueueStatus(null);
 
   try {
-    const backendUrl = process.env.REACT_APP_BACKEND_URL || 'https://nexusnext-landing.onrender.com';
+    // Credit whoever shared the link this visitor arrived on
+    const ref = new URLSearchParams(window.location.search).get("ref") || undefined;
+    // Anti-bot checks: solved proof-of-work (if the backend asks for one) and the honeypot field
+    const proofOfWork = await getProofOfWork(BACKEND_URL);
 
-    const response = await fetch(`${backendUrl}/api/waitlist`, {
+    const response = await fetch(`${BACKEND_URL}/api/waitlist`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ email }),
+      body: JSON.stringify({
+        email,
+        ref,
+        product: product?.id,
+        // Emails follow the language picked on the page
+        attribution: { ...getAttribution(), locale },
+        website: honeypotRef.current?.value,
+        ...proofOfWork,
+      }),
     });
 
     const data = await response.json();
 
     if (response.ok) {
-      setMessage("Thanks! You've joined the waitlist.");
+      setMessageType("success");
+      setMessage(t(data.status === "confirmed" ? "cta.alreadyConfirmed" : "cta.pending"));
+      if (data.position) setQueueStatus(data);
       setEmail("");
     } else {
-      setMessage(data.error || "Failed to submit. Please try again.");
+      setMessageType("error");
+      setMessage(errorMessage(data));
     }
   } catch (error) {
-    setMessage("Network error. Please try again later.");
+    setMessageType("error");
+    setMessage(t("errors.network"));
   } finally {
     setIsSubmitting(false);
   }
 };
 
   return (
-    <section className="bg-[#151a31] text-center py-20 px-4 select-none">
-      <h2 className="text-white text-3xl md:text-4xl font-bold mb-6">
-        Join The Future · Join Nexusnext
+    <section id="join" aria-labelledby="join-title" className="bg-[#151a31] text-center py-20 px-4">
+      <h2 id="join-title" className="text-white text-3xl md:text-4xl font-bold mb-6">
+        {product ? t("product.joinTitle", { product: localized(product.title) }) : t("cta.title")}
       </h2>
       <p className="text-gray-400 text-lg mb-8 max-w-lg mx-auto">
-        Be part of the movement where humanity and AI co-create a global future.
+        {product ? t("product.joinSubtitle", { product: localized(product.title) }) : t("cta.subtitle")}
       </p>
       <form
         onSubmit={handleSubmit}
-        className="flex flex-col sm:flex-row max-w-md mx-auto gap-4"
+        className="relative flex flex-col sm:flex-row max-w-md mx-auto gap-4"
       >
+        {/* Honeypot: hidden from people, bots that fill it in are rejected server-side */}
+        <input
+          ref={honeypotRef}
+          type="text"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          aria-hidden="true"
+          className="absolute top-0 w-px h-px opacity-0 pointer-events-none"
+        />
         <input
           type="email"
-          placeholder="Enter your email"
+          placeholder={t("cta.placeholder")}
           value={email}
           onChange={(e) => setEmail(e.target.value)}
           disabled={isSubmitting}
           required
-          aria-label="Enter your email to join the waitlist"
+          aria-label={t("cta.emailLabel")}
           className="rounded-full bg-white/10 placeholder-white/60 text-white px-6 py-3 focus:bg-white/20 focus:outline-none border border-white/20 flex-1 disabled:opacity-50"
         />
         <button
           type="submit"
-          disabled={isSubmitting || !email || !isEmail(email)}
+          disabled={isSubmitting || !email || !emailCheck.valid}
           className="rounded-full bg-gradient-to-r from-blue-700 to-purple-700 text-white font-semibold px-8 py-3 hover:scale-105 active:scale-95 shadow-lg transition-transform disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          {isSubmitting ? "Joining..." : "Join Waitlist"}
+          {isSubmitting ? t("cta.joining") : t("cta.join")}
         </button>
       </form>
+      {email && emailCheck.suggestion && (
+        <p className="mt-3 text-sm text-gray-300">
+          {t("cta.suggestion", {
+            suggestion: (
+              <button
+                type="button"
+                onClick={() => setEmail(emailCheck.suggestion)}
+                className="text-[#47cffa] underline hover:text-white"
+              >
+                <bdi>{emailCheck.suggestion}</bdi>
+              </button>
+            ),
+          })}
+        </p>
+      )}
+      {email && emailCheck.reason === "disposable_domain" && (
+        <p className="mt-3 text-sm text-yellow-300">
+          {t("cta.disposable")}
+        </p>
+      )}
+      {queueStatus && (
+        <div className="mt-6 max-w-md mx-auto rounded-2xl border border-blue-400/30 bg-white/5 p-6 text-white">
+          <p className="text-2xl font-bold">
+            {t("cta.position", {
+              position: <span className="text-[#47cffa]">#{formatNumber(queueStatus.position)}</span>,
+              total: queueStatus.total,
+            })}
+          </p>
+          <p className="text-gray-400 text-sm mt-1 mb-4">
+            {queueStatus.referralCount > 0 && `${t("cta.referrals", { count: queueStatus.referralCount })} `}
+            {t("cta.share")}
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={queueStatus.shareUrl}
+              aria-label={t("cta.shareLabel")}
+              dir="ltr"
+              onFocus={(e) => e.target.select()}
+              className="rounded-full bg-white/10 text-white text-sm px-4 py-2 border border-white/20 flex-1 min-w-0"
+            />
+            <button
+              type="button"
+              onClick={() => {
+                navigator.clipboard?.writeText(queueStatus.shareUrl).then(() => {
+                  setCopied(true);
+                  setTimeout(() => setCopied(false), 2000);
+                });
+              }}
+              className="rounded-full bg-gradient-to-r from-blue-700 to-purple-700 text-white text-sm font-semibold px-4 py-2"
+            >
+              {copied ? t("cta.copied") : t("cta.copy")}
+            </button>
+          </div>
+        </div>
+      )}
+      {eraseToken && (
+        <div className="mt-6 max-w-md mx-auto rounded-2xl border border-red-400/30 bg-white/5 p-6">
+          <p className="text-gray-200 mb-4">{t("cta.erasePrompt")}</p>
+          <div className="flex justify-center gap-4">
+            <button
+              type="button"
+              onClick={handleErase}
+              disabled={isSubmitting}
+              className="rounded-full bg-red-600 text-white font-semibold px-6 py-2 disabled:opacity-50"
+            >
+              {isSubmitting ? t("cta.erasing") : t("cta.erase")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEraseToken(null)}
+              disabled={isSubmitting}
+              className="rounded-full border border-white/20 text-white px-6 py-2 disabled:opacity-50"
+            >
+              {t("cta.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
       {message && (
-        <p className={`mt-4 text-sm ${message.includes('Thanks') ? 'text-green-400' : 'text-red-400'}`}>
+        <p className={`mt-4 text-sm ${messageType === 'success' ? 'text-green-400' : 'text-red-400'}`}>
           {message}
         </p>
       )}
@@ -851,79 +467,289 @@ const handleSubmit = async (e) => {
   );
 };
 
+// Social links and copyright. The year is baked in when the page is prerendered; let the client correct it quietly
+const Footer = () => {
+  const { t, localized, formatDate } = useI18n();
+  const { footer } = useContent();
+  return (
+    <footer>
+      <SocialBar />
+      <p className="py-12 text-center text-gray-400 border-t border-gray-900" suppressHydrationWarning>
+        {t("footer", { year: formatDate(new Date(), { year: "numeric" }), tagline: localized(footer.tagline) })}
+      </p>
+    </footer>
+  );
+};
+
+// First thing keyboard users reach: jumps past the header to <main id="main">
+const SkipLink = () => {
+  const { t } = useI18n();
+  return (
+    <a
+      href="#main"
+      className="sr-only focus:not-sr-only focus:absolute focus:top-4 focus:z-50 focus:rounded-full focus:bg-white focus:px-4 focus:py-2 focus:text-black"
+      style={{ insetInlineStart: "1rem" }}
+    >
+      {t("skipLink")}
+    </a>
+  );
+};
+
+// Language and motion preferences, shown on every public page
+const PageControls = () => (
+  <div className="flex items-center gap-2">
+    <MotionToggle />
+    <LanguageSwitcher />
+  </div>
+);
+
+// Prerendered pages ship their (English) <title>; keep it in step with client-side navigation
+const useDocumentTitle = (title) => {
+  useEffect(() => {
+    document.title = title;
+  }, [title]);
+};
+
 // --- MAIN APP ---
-export default function App() {
-  const quality = usePerformanceMonitor();
-  const scrollProgress = useScrollProgress();
+const LandingPage = () => {
+  const { t, localized } = useI18n();
+  const { hero } = useContent();
+  const { tier: quality } = useQuality();
+  const reducedMotion = useReducedMotion();
+
+  useDocumentTitle(HOME_PAGE.title);
+
+  // Field performance data (Web Vitals + scene timings), tagged with the quality tier
+  useEffect(() => {
+    startVitals();
+  }, []);
+
+  useEffect(() => {
+    setQualityTier(quality);
+  }, [quality]);
 
   return (
-    <div className="bg-[#10182f] min-h-screen overflow-x-hidden font-sans">
-      {/* Hero Section */}
-      <section className="relative h-screen w-full overflow-hidden flex items-center justify-center px-4">
-        <Suspense fallback={<SceneLoadingFallback />}>
-          <SphereGridScene quality={quality} scrollProgress={scrollProgress} />
-        </Suspense>
-        <div className="absolute inset-0 bg-gradient-to-br from-[#0c1321cc] to-[#232e4fcc] z-10 pointer-events-none" />
-        <div className="relative z-20 flex flex-col items-center justify-center w-full h-full max-w-4xl mx-auto text-center">
+    <div className="relative bg-[#10182f] min-h-screen overflow-x-hidden font-sans">
+      <SkipLink />
+      {/* Over the hero; inset-inline-end keeps it in the trailing corner for right-to-left languages too */}
+      <header className="absolute top-4 z-30 flex items-center gap-2" style={{ insetInlineEnd: "1rem" }}>
+        <TiltButton />
+        <QualityPicker />
+        <PageControls />
+      </header>
+      <main id="main" tabIndex={-1} className="focus:outline-none">
+        {/* Hero Section */}
+        {/* Horizontal drags orbit the sphere; vertical ones still scroll the page */}
+        <section aria-labelledby="hero-title" className="relative h-screen w-full overflow-hidden flex items-center justify-center px-4" style={{ touchAction: "pan-y" }}>
+          <ErrorBoundary name="sphere-scene" fallback={<SphereFallback />}>
+            <Suspense fallback={<SceneLoadingFallback />}>
+              <SphereGridScene reducedMotion={reducedMotion} />
+            </Suspense>
+          </ErrorBoundary>
+          <div className="absolute inset-0 bg-gradient-to-br from-[#0c1321cc] to-[#232e4fcc] z-10 pointer-events-none" />
+          <div className="relative z-20 flex flex-col items-center justify-center w-full h-full max-w-4xl mx-auto text-center">
+            <AnimatedText delay={0.2}>
+              <h1
+                id="hero-title"
+                className="text-white text-4xl md:text-6xl font-extrabold tracking-tight leading-tight mb-3"
+                style={{
+                  background: "linear-gradient(90deg,#fff 70%,#47cffa 100%)",
+                  WebkitBackgroundClip: "text",
+                  WebkitTextFillColor: "transparent",
+                  backgroundClip: "text",
+                  letterSpacing: "-0.02em",
+                }}
+              >
+                {localized(hero.title, { brand: <span className="text-[#2b70ff] font-black">Nexusnext</span> })}
+              </h1>
+            </AnimatedText>
+            <AnimatedText delay={0.4}>
+              <p
+                className="text-xl md:text-2xl font-semibold mb-3"
+                style={{
+                  background: "linear-gradient(90deg,#8fe7f8 10%, #b18bfa 80%)",
+                  WebkitBackgroundClip: "text",
+                  WebkitTextFillColor: "transparent",
+                  backgroundClip: "text",
+                  fontWeight: 600,
+                }}
+              >
+                {localized(hero.subtitle, {
+                  potential: <span className="text-[#a33afc] font-black">{localized(hero.potential)}</span>,
+                  ai: <span className="text-[#13c8f5] font-black">{localized(hero.ai)}</span>,
+                })}
+              </p>
+            </AnimatedText>
+            <AnimatedText delay={0.6}>
+              <a
+                href="#dna"
+                className="mt-8 px-10 py-3 bg-gradient-to-r from-blue-500 via-blue-700 to-purple-600 rounded-full text-white font-semibold text-lg hover:scale-105 active:scale-95 shadow-xl inline-block transition-transform"
+              >
+                {localized(hero.cta)}
+              </a>
+            </AnimatedText>
+          </div>
+        </section>
+        {/* DNA Section */}
+        <section id="dna" aria-labelledby="dna-title" className="relative bg-[#10182f] pt-12">
+          <ErrorBoundary name="dna-scene" fallback={<div className="relative h-[600px] max-h-[90vh]"><DnaFallback /></div>}>
+            <Suspense fallback={<SceneLoadingFallback />}>
+              <DnaSceneComponent reducedMotion={reducedMotion} />
+            </Suspense>
+          </ErrorBoundary>
           <AnimatedText delay={0.2}>
-            <h1
-              className="text-white text-4xl md:text-6xl font-extrabold tracking-tight leading-tight mb-3"
-              style={{
-                background: "linear-gradient(90deg,#fff 70%,#47cffa 100%)",
-                WebkitBackgroundClip: "text",
-                WebkitTextFillColor: "transparent",
-                backgroundClip: "text",
-                letterSpacing: "-0.02em",
-              }}
-            >
-              Welcome to <span className="text-[#2b70ff] font-black">Nexusnext</span>
-            </h1>
+            <h2 id="dna-title" className="text-center text-3xl md:text-4xl font-bold text-blue-200 pt-8">{t("dna.title")}</h2>
           </AnimatedText>
           <AnimatedText delay={0.4}>
-            <h2
-              className="text-xl md:text-2xl font-semibold mb-3"
+            <p className="text-center text-gray-300 max-w-2xl mx-auto pt-4 pb-10 text-lg font-medium">
+              {t("dna.body")}
+            </p>
+          </AnimatedText>
+        </section>
+        <FeatureCards />
+        <VisionSection />
+        <CtaSection />
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+// Header for the pages below the landing page: home link and preferences
+const PageHeader = () => {
+  const { t } = useI18n();
+  return (
+    <header className="bg-[#0c1321]">
+      <div className="flex flex-wrap items-center justify-between gap-4 max-w-7xl mx-auto px-4 py-4">
+        <Link to="/" className="text-white font-black text-xl hover:text-[#47cffa] transition-colors">
+          <span aria-hidden="true">← </span>{t("product.back")}
+        </Link>
+        <PageControls />
+      </div>
+    </header>
+  );
+};
+
+// Links to every product except `exclude`
+const ProductLinks = ({ exclude }) => {
+  const { localized } = useI18n();
+  const { features } = useContent();
+  return (
+    <ul className="flex flex-wrap justify-center gap-4">
+      {features.filter(feature => feature.id !== exclude).map(feature => (
+        <li key={feature.id}>
+          <Link
+            to={productPath(feature)}
+            className="inline-flex items-center gap-2 rounded-full border border-blue-400/30 bg-white/5 px-5 py-2 text-white hover:bg-white/10 transition-colors"
+          >
+            <span aria-hidden="true">{feature.icon}</span>
+            {localized(feature.title)}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// /products/<id>: one product (content feature) with its own hero and waitlist signup
+const ProductPage = ({ product }) => {
+  const { t, localized } = useI18n();
+  const name = localized(product.title);
+
+  useDocumentTitle(t("product.pageTitle", { product: name }));
+
+  return (
+    <div className="bg-[#10182f] min-h-screen overflow-x-hidden font-sans">
+      <SkipLink />
+      <PageHeader />
+      <main id="main" tabIndex={-1} className="focus:outline-none">
+        <section aria-labelledby="product-title" className="relative overflow-hidden bg-gradient-to-br from-[#0c1321] via-[#1b1b4a] to-[#232e4f] py-24">
+          <div className="relative z-20 max-w-3xl mx-auto px-4 text-center">
+            <div className="text-7xl mb-6" aria-hidden="true">{product.icon}</div>
+            <h1
+              id="product-title"
+              className="text-4xl md:text-6xl font-extrabold tracking-tight leading-tight mb-4"
               style={{
-                background: "linear-gradient(90deg,#8fe7f8 10%, #b18bfa 80%)",
+                background: "linear-gradient(90deg,#fff 60%,#47cffa 100%)",
                 WebkitBackgroundClip: "text",
                 WebkitTextFillColor: "transparent",
                 backgroundClip: "text",
-                fontWeight: 600,
               }}
             >
-              The new era where <span className="text-[#a33afc] font-black">human potential</span> meets <span className="text-[#13c8f5] font-black">AI innovation</span>.
-            </h2>
-          </AnimatedText>
-          <AnimatedText delay={0.6}>
-            <a
-              href="#dna"
-              className="mt-8 px-10 py-3 bg-gradient-to-r from-blue-500 via-blue-700 to-purple-600 rounded-full text-white font-semibold text-lg hover:scale-105 active:scale-95 shadow-xl inline-block transition-transform"
+              {name}
+            </h1>
+            <p className="text-xl md:text-2xl font-semibold text-blue-200 mb-10">
+              {localized(product.tagline || product.description)}
+            </p>
+            <Link
+              to="#join"
+              className="px-10 py-3 bg-gradient-to-r from-blue-500 via-blue-700 to-purple-600 rounded-full text-white font-semibold text-lg hover:scale-105 active:scale-95 shadow-xl inline-block transition-transform"
             >
-              Step Into The Future
-            </a>
-          </AnimatedText>
-        </div>
-      </section>
-      {/* DNA Section */}
-      <section id="dna" className="relative bg-[#10182f] pt-12">
-        <Suspense fallback={<SceneLoadingFallback />}>
-          <DnaSceneComponent scrollProgress={scrollProgress} />
-        </Suspense>
-        <AnimatedText delay={0.2}>
-          <h2 className="text-center text-3xl md:text-4xl font-bold text-blue-200 pt-8">Evolution in Action</h2>
-        </AnimatedText>
-        <AnimatedText delay={0.4}>
-          <p className="text-center text-gray-300 max-w-2xl mx-auto pt-4 pb-10 text-lg font-medium">
-            Witness intelligent collaboration — DNA meets AI to solve India's defining challenges. Join the upward spiral.
-          </p>
-        </AnimatedText>
-      </section>
-      <FeatureCards />
-      <VisionSection />
-      <CtaSection />
-      <SocialBar />
-      <footer className="py-12 text-center text-gray-400 border-t border-gray-900 select-none">
-        &copy; {new Date().getFullYear()} Nexusnext. Shaping tomorrow, today.
-      </footer>
+              {t("product.cta")}
+            </Link>
+          </div>
+        </section>
+        <section className="max-w-3xl mx-auto px-4 py-16 text-center">
+          <p className="text-gray-200 text-lg leading-relaxed">{localized(product.body || product.description)}</p>
+        </section>
+        <CtaSection product={product} />
+        <nav aria-labelledby="more-title" className="py-16 px-4 text-center">
+          <h2 id="more-title" className="text-white text-2xl font-bold mb-6">{t("product.more")}</h2>
+          <ProductLinks exclude={product.id} />
+        </nav>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+const NotFoundPage = () => {
+  const { t } = useI18n();
+
+  useDocumentTitle(t("notFound.pageTitle"));
+
+  return (
+    <div className="bg-[#10182f] min-h-screen overflow-x-hidden font-sans flex flex-col">
+      <SkipLink />
+      <PageHeader />
+      <main id="main" tabIndex={-1} className="flex-1 flex flex-col items-center justify-center text-center px-4 py-24 focus:outline-none">
+        <p className="text-7xl font-black text-[#2b70ff] mb-4" aria-hidden="true">404</p>
+        <h1 className="text-white text-3xl md:text-4xl font-bold mb-4">{t("notFound.title")}</h1>
+        <p className="text-gray-300 text-lg max-w-lg mb-8">{t("notFound.body")}</p>
+        <Link
+          to="/"
+          className="px-8 py-3 bg-gradient-to-r from-blue-500 via-blue-700 to-purple-600 rounded-full text-white font-semibold hover:scale-105 active:scale-95 shadow-xl inline-block transition-transform mb-12"
+        >
+          {t("notFound.home")}
+        </Link>
+        <h2 className="text-gray-400 text-lg mb-4">{t("notFound.products")}</h2>
+        <ProductLinks />
+      </main>
+      <Footer />
     </div>
   );
+};
+
+// "/" is the landing page, "/products/<id>" a product in the content document; anything else is a 404
+const Routes = () => {
+  const { pathname } = useRouter();
+  const { features } = useContent();
+  if (pathname === "/") return <LandingPage />;
+  const params = matchPath("/products/:id", pathname);
+  const product = params && features.find(feature => feature.id === params.id);
+  return product ? <ProductPage key={product.id} product={product} /> : <NotFoundPage />;
+};
+
+// initialContent and location: the content document and path the prerender script renders with
+export default function App({ initialContent, location }) {
+  return (
+    <I18nProvider>
+      <MotionAttribute />
+      <ContentProvider initial={initialContent}>
+        <Router location={location}>
+          <Routes />
+        </Router>
+      </ContentProvider>
+    </I18nProvider>
+  );
 }
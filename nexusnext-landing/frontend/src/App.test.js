@@ -1,8 +1,35 @@
-import { render, screen } from '@testing-library/react';
+import React from 'react';
+import { DEFAULT_CONTENT } from '@nexusnext/shared/content.mjs';
 import App from './App';
+import { cleanup, mount } from './testing';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('./vitals');
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+  // The content API never answers, so the bundled content stays
+  global.fetch = jest.fn(() => new Promise(() => {}));
+  window.scrollTo = jest.fn();
+  // jsdom has neither; without WebGL 2 the scenes show their static fallback
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  delete global.fetch;
+  delete window.IntersectionObserver;
+  jest.restoreAllMocks();
+});
+
+test('renders the landing page with its features and the waitlist form', async () => {
+  const { container } = await mount(<App />);
+  expect(container.querySelector('h1').textContent).toBe('Welcome to Nexusnext');
+  expect(container.querySelector('form input[type="email"]')).not.toBeNull();
+  DEFAULT_CONTENT.features.forEach(feature => expect(container.textContent).toContain(feature.title.en));
 });
@@ -1,23 +1,111 @@
-import React from 'react';
+// src/EnvChecker.js
+// Configuration diagnostics served at /diagnostics: this build's REACT_APP_*
+// settings plus the backend's redacted GET /api/config/health report, which needs
+// the admin session from signing in at /admin.
+import React, { useEffect, useState } from 'react';
+import { config, configProblems, CONFIG_SCHEMA } from './config';
+
+// Where AdminDashboard keeps its session
+const ADMIN_SESSION_KEY = 'nexusnext-admin-session';
+const SIGN_IN = 'Sign in at /admin in this tab to see the backend configuration.';
+
+const StatusRow = ({ name, ok, value, description }) => (
+  <tr className="border-t border-white/10">
+    <td className="px-3 py-2">{ok ? '✅' : '❌'}</td>
+    <td className="px-3 py-2 font-mono">{name}</td>
+    <td className="px-3 py-2 font-mono break-all">{value ?? '—'}</td>
+    <td className="px-3 py-2 text-gray-400">{description}</td>
+  </tr>
+);
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') : value);
 
 const EnvChecker = () => {
+  const [health, setHealth] = useState(null);
+  const [healthError, setHealthError] = useState('');
+
+  useEffect(() => {
+    const session = sessionStorage.getItem(ADMIN_SESSION_KEY);
+    if (!session) {
+      setHealthError(SIGN_IN);
+      return;
+    }
+    fetch(`${config.backendUrl}/api/config/health`, {
+      cache: 'no-store',
+      headers: { Authorization: `Bearer ${session}` },
+    })
+      .then(response => {
+        if (response.status === 401) return setHealthError(`Your admin session has expired. ${SIGN_IN}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json().then(setHealth);
+      })
+      .catch(err => setHealthError(`Could not reach ${config.backendUrl}: ${err.message}`));
+  }, []);
+
   return (
-    <div style={{ padding: '20px', background: '#1a1a1a', color: 'white', minHeight: '100vh' }}>
-      <h2>Environment Variables Check</h2>
-      <p>REACT_APP_SUPABASE_URL: {process.env.REACT_APP_SUPABASE_URL ? '✅ Set' : '❌ Not set'}</p>
-      <p>REACT_APP_SUPABASE_ANON_KEY: {process.env.REACT_APP_SUPABASE_ANON_KEY ? '✅ Set' : '❌ Not set'}</p>
-      
-      {process.env.REACT_APP_SUPABASE_URL && process.env.REACT_APP_SUPABASE_ANON_KEY ? (
-        <div style={{ marginTop: '20px', padding: '10px', background: 'green' }}>
-          Environment variables are properly set! Your app should work now.
-        </div>
-      ) : (
-        <div style={{ marginTop: '20px', padding: '10px', background: 'red' }}>
-          Environment variables are missing. Please check your .env file.
+    <div className="min-h-screen bg-[#10182f] text-white font-sans px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <h1 className="text-3xl font-bold mb-8">Configuration diagnostics</h1>
+
+        <h2 className="text-xl font-semibold mb-2">Frontend ({config.environment})</h2>
+        {configProblems.length ? (
+          <ul className="mb-4 rounded-lg bg-red-900/40 p-3 text-sm">
+            {configProblems.map(problem => <li key={problem}>{problem}</li>)}
+          </ul>
+        ) : (
+          <p className="mb-4 rounded-lg bg-green-900/40 p-3 text-sm">Frontend configuration is valid.</p>
+        )}
+        <div className="overflow-x-auto rounded-2xl border border-white/10 mb-10">
+          <table className="w-full text-left text-sm">
+            <tbody>
+              {Object.entries(CONFIG_SCHEMA).map(([name, spec]) => (
+                <StatusRow
+                  key={name}
+                  name={name}
+                  ok={Boolean(spec.value || spec.default) && !configProblems.some(p => p.includes(name))}
+                  value={spec.secret ? (spec.value ? '[redacted]' : null) : (spec.value || (spec.default && `${spec.default} (default)`))}
+                  description={spec.description}
+                />
+              ))}
+            </tbody>
+          </table>
         </div>
-      )}
+
+        <h2 className="text-xl font-semibold mb-2">Backend</h2>
+        {healthError && <p className="mb-4 rounded-lg bg-red-900/40 p-3 text-sm">{healthError}</p>}
+        {!health && !healthError && <p className="text-gray-400 text-sm">Checking {config.backendUrl}…</p>}
+        {health && (
+          <>
+            <p className="mb-2 text-sm text-gray-400">
+              {health.environment} · storage: {health.storage} · mail: {health.mailTransport}
+            </p>
+            {health.warnings.length > 0 && (
+              <ul className="mb-4 rounded-lg bg-yellow-900/40 p-3 text-sm">
+                {health.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+            <div className="overflow-x-auto rounded-2xl border border-white/10">
+              <table className="w-full text-left text-sm">
+                <tbody>
+                  {Object.entries(health.variables).map(([name, variable]) => (
+                    <StatusRow
+                      key={name}
+                      name={name}
+                      ok={variable.set}
+                      value={variable.set
+                        ? `${formatValue(variable.value)}${variable.source === 'default' ? ' (default)' : ''}`
+                        : null}
+                      description={variable.description}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
-export default EnvChecker;
\ No newline at end of file
+export default EnvChecker;
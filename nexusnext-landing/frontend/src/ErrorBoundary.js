@@ -1,46 +1,49 @@
 // src/ErrorBoundary.js
+// Catches render errors below it, reports them (see errorReporting.js) and shows
+// `fallback` instead. The default fallback is a full-page "something went wrong";
+// pass a smaller one for sections (e.g. a Three.js scene) so the rest of the page survives.
 import React from 'react';
+import { reportError } from './errorReporting';
+
+const PageFallback = () => (
+  <div className="min-h-screen flex flex-col items-center justify-center gap-6 bg-[#0a1323] text-white px-4 text-center">
+    <h1 className="text-3xl font-bold">Something went wrong.</h1>
+    <p className="text-gray-300 max-w-md">
+      We've been notified and are looking into it. Reloading the page usually helps.
+    </p>
+    <button
+      onClick={() => window.location.reload()}
+      className="rounded-full bg-gradient-to-r from-blue-500 via-blue-700 to-purple-600 px-8 py-3 font-semibold"
+    >
+      Reload Page
+    </button>
+  </div>
+);
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { hasError: false, error: null, errorInfo: null };
+    this.state = { hasError: false };
   }
-  
-  static getDerivedStateFromError(error) {
+
+  static getDerivedStateFromError() {
     return { hasError: true };
   }
-  
+
   componentDidCatch(error, errorInfo) {
-    this.setState({
-      error: error,
-      errorInfo: errorInfo
-    });
-    console.error("Error caught by boundary:", error, errorInfo);
+    reportError(error, { source: 'boundary', componentStack: errorInfo.componentStack });
+    if (process.env.NODE_ENV !== 'production') {
+      console.error(`Error caught by boundary${this.props.name ? ` "${this.props.name}"` : ''}:`, error, errorInfo);
+    }
   }
-  
+
   render() {
     if (this.state.hasError) {
-      return (
-        <div style={{ padding: '20px', color: 'white', background: '#0a1323', minHeight: '100vh' }}>
-          <h2>Something went wrong.</h2>
-          <details style={{ whiteSpace: 'pre-wrap', color: 'red' }}>
-            {this.state.error && this.state.error.toString()}
-            <br />
-            {this.state.errorInfo && this.state.errorInfo.componentStack}
-          </details>
-          <button 
-            style={{ marginTop: '20px', padding: '10px', background: '#2b70ff', color: 'white', border: 'none' }}
-            onClick={() => window.location.reload()}
-          >
-            Reload Page
-          </button>
-        </div>
-      );
+      return this.props.fallback !== undefined ? this.props.fallback : <PageFallback />;
     }
-    
+
     return this.props.children;
   }
 }
 
-export default ErrorBoundary;
\ No newline at end of file
+export default ErrorBoundary;
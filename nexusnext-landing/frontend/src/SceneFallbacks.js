@@ -0,0 +1,134 @@
+// src/SceneFallbacks.js
+// Static stand-ins for the Three.js scenes, shown when WebGL isn't available, the
+// scene fails, or the GPU context is lost (see webgl.js). Plain SVG in the scenes'
+// colours with a slow CSS animation, which the reduced-motion styles in index.css
+// stop like any other.
+import React from 'react';
+
+// Deterministic scatter so every render draws the same stars
+const scatter = (count, seed) =>
+  Array.from({ length: count }, (_, i) => {
+    const a = Math.sin((i + 1) * 12.9898 + seed) * 43758.5453;
+    const b = Math.sin((i + 1) * 78.233 + seed) * 12345.6789;
+    return [Math.round((a - Math.floor(a)) * 1000) / 1000, Math.round((b - Math.floor(b)) * 1000) / 1000];
+  });
+
+const SPHERE_RADIUS = 80;
+const LATITUDES = [-60, -30, 0, 30, 60];
+const MERIDIANS = [0, 30, 60, 90, 120, 150];
+const SPHERE_STARS = scatter(48, 1);
+
+export const SphereFallback = () => (
+  <div
+    className="absolute inset-0 w-full h-full flex items-center justify-center overflow-hidden"
+    style={{ background: "radial-gradient(circle, #0a1323 0%, #040811 100%)" }}
+  >
+    <svg viewBox="-200 -200 400 400" className="w-full h-full" preserveAspectRatio="xMidYMid slice">
+      <g className="fallback-stars">
+        {SPHERE_STARS.map(([x, y], i) => (
+          <circle
+            key={i}
+            cx={(x - 0.5) * 400}
+            cy={(y - 0.5) * 400}
+            r={0.6 + (i % 3) * 0.4}
+            fill={i % 2 ? "#47cffa" : "#83cafe"}
+            style={{ animationDelay: `${(i % 8) * 0.5}s` }}
+          />
+        ))}
+      </g>
+      <g className="fallback-sphere" fill="none" stroke="#00fff9" strokeWidth="0.8">
+        <circle r={SPHERE_RADIUS} stroke="#83cafe" strokeOpacity="0.9" />
+        {LATITUDES.map(latitude => {
+          const radians = (latitude * Math.PI) / 180;
+          return (
+            <ellipse
+              key={`lat${latitude}`}
+              cy={SPHERE_RADIUS * Math.sin(radians)}
+              rx={SPHERE_RADIUS * Math.cos(radians)}
+              ry={SPHERE_RADIUS * Math.cos(radians) * 0.22}
+              strokeOpacity="0.45"
+            />
+          );
+        })}
+        {MERIDIANS.map(longitude => (
+          <ellipse
+            key={`lon${longitude}`}
+            rx={SPHERE_RADIUS * Math.abs(Math.cos((longitude * Math.PI) / 180))}
+            ry={SPHERE_RADIUS}
+            strokeOpacity="0.45"
+          />
+        ))}
+      </g>
+    </svg>
+    <style>{`
+      @keyframes fallback-spin {
+        from { transform: rotate(0deg) scale(1); }
+        50% { transform: rotate(180deg) scale(1.05); }
+        to { transform: rotate(360deg) scale(1); }
+      }
+      @keyframes fallback-twinkle {
+        0%, 100% { opacity: 0.25; }
+        50% { opacity: 0.8; }
+      }
+      .fallback-sphere {
+        animation: fallback-spin 60s linear infinite;
+        filter: drop-shadow(0 0 6px #0ff1ff);
+      }
+      .fallback-stars circle {
+        animation: fallback-twinkle 4s ease-in-out infinite;
+      }
+    `}</style>
+  </div>
+);
+
+// One full turn of the helix is PERIOD units tall; two are drawn so it can scroll by one and loop
+const HELIX_WIDTH = 400;
+const HELIX_HEIGHT = 600;
+const HELIX_RADIUS = 90;
+const PERIOD = 240;
+const RUNG_SPACING = 30;
+
+const strandPath = (phase) => {
+  const points = [];
+  for (let y = -PERIOD; y <= HELIX_HEIGHT + PERIOD; y += 6) {
+    const x = HELIX_WIDTH / 2 + HELIX_RADIUS * Math.sin((y / PERIOD) * 2 * Math.PI + phase);
+    points.push(`${x.toFixed(1)},${y}`);
+  }
+  return `M${points.join(' L')}`;
+};
+
+const RUNGS = Array.from({ length: Math.floor((HELIX_HEIGHT + 2 * PERIOD) / RUNG_SPACING) }, (_, i) => {
+  const y = -PERIOD + i * RUNG_SPACING;
+  const offset = HELIX_RADIUS * Math.sin((y / PERIOD) * 2 * Math.PI);
+  return { y, x1: HELIX_WIDTH / 2 + offset, x2: HELIX_WIDTH / 2 - offset };
+});
+const DNA_STARS = scatter(30, 7);
+
+export const DnaFallback = () => (
+  <div
+    className="absolute inset-0 w-full h-full overflow-hidden"
+    style={{ background: "radial-gradient(circle at center, #181b2e 0%, #0a1323 100%)" }}
+  >
+    <svg viewBox={`0 0 ${HELIX_WIDTH} ${HELIX_HEIGHT}`} className="w-full h-full" preserveAspectRatio="xMidYMid meet">
+      {DNA_STARS.map(([x, y], i) => (
+        <circle key={i} cx={x * HELIX_WIDTH} cy={y * HELIX_HEIGHT} r="1" fill="#9be7ff" opacity="0.4" />
+      ))}
+      <g className="fallback-helix">
+        {RUNGS.map(rung => (
+          <line key={rung.y} x1={rung.x1} x2={rung.x2} y1={rung.y} y2={rung.y} stroke="#ffe084" strokeOpacity="0.5" strokeWidth="1.5" />
+        ))}
+        <path d={strandPath(0)} fill="none" stroke="#2fd3f7" strokeOpacity="0.8" strokeWidth="4" strokeLinecap="round" />
+        <path d={strandPath(Math.PI)} fill="none" stroke="#c084fc" strokeOpacity="0.75" strokeWidth="4" strokeLinecap="round" />
+      </g>
+    </svg>
+    <style>{`
+      @keyframes fallback-helix-scroll {
+        from { transform: translateY(0); }
+        to { transform: translateY(-${PERIOD}px); }
+      }
+      .fallback-helix {
+        animation: fallback-helix-scroll 12s linear infinite;
+      }
+    `}</style>
+  </div>
+);
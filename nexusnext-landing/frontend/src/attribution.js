@@ -0,0 +1,45 @@
+// First-touch campaign attribution for waitlist signups.
+// Captured once per browser session (UTM params, referrer, landing path, locale,
+// timezone) and sent along with POST /api/waitlist.
+
+const STORAGE_KEY = 'nexusnext-attribution';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const readStored = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Call on page load; later navigations in the same session keep the first capture
+export const captureAttribution = () => {
+  if (readStored()) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const attribution = {};
+  UTM_PARAMS.forEach((name) => {
+    if (params.get(name)) attribution[name] = params.get(name);
+  });
+
+  // Only keep external referrers; internal ones just mean a reload
+  if (document.referrer && !document.referrer.startsWith(window.location.origin)) {
+    attribution.referrer = document.referrer;
+  }
+  attribution.landing_path = window.location.pathname;
+  attribution.locale = navigator.language;
+  try {
+    attribution.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch (error) {
+    // Very old browsers: no timezone
+  }
+
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(attribution));
+  } catch (error) {
+    // Storage disabled (private mode); attribution is best effort
+  }
+};
+
+export const getAttribution = () => readStored() || {};
@@ -0,0 +1,88 @@
+// src/config.js
+// Build-time configuration for the landing page. CRA only exposes REACT_APP_*
+// variables, inlined when the bundle is built, so each one is referenced
+// explicitly below. Problems are logged and shown on /diagnostics (EnvChecker)
+// rather than breaking the page.
+
+const DEFAULT_BACKEND_URL = 'https://nexusnext-landing.onrender.com';
+const DEFAULT_SITE_URL = 'https://nexusnext-frontend-landing.vercel.app';
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// name -> { value, type, secret?, default?, description }
+export const CONFIG_SCHEMA = {
+  REACT_APP_BACKEND_URL: {
+    value: process.env.REACT_APP_BACKEND_URL,
+    type: 'url',
+    default: DEFAULT_BACKEND_URL,
+    description: 'Waitlist API base URL',
+  },
+  REACT_APP_SITE_URL: {
+    value: process.env.REACT_APP_SITE_URL,
+    type: 'url',
+    default: DEFAULT_SITE_URL,
+    description: 'Public URL of the landing page (canonical links, OpenGraph tags, sitemap.xml)',
+  },
+  REACT_APP_RELEASE: {
+    value: process.env.REACT_APP_RELEASE,
+    type: 'string',
+    default: 'dev',
+    description: 'Release tag attached to error reports (e.g. the git SHA)',
+  },
+  REACT_APP_SUPABASE_URL: {
+    value: process.env.REACT_APP_SUPABASE_URL,
+    type: 'url',
+    description: 'Supabase project URL (optional, public)',
+  },
+  REACT_APP_SUPABASE_ANON_KEY: {
+    value: process.env.REACT_APP_SUPABASE_ANON_KEY,
+    type: 'string',
+    secret: true,
+    description: 'Supabase anon key (optional, public but not shown)',
+  },
+};
+
+const validate = () => {
+  const problems = [];
+  const values = {};
+
+  Object.entries(CONFIG_SCHEMA).forEach(([name, spec]) => {
+    const raw = spec.value?.trim() || spec.default;
+    if (!raw) return;
+    if (spec.type === 'url' && !isUrl(raw)) {
+      problems.push(`${name}: must be an http(s) URL`);
+      return;
+    }
+    values[name] = spec.type === 'url' ? raw.replace(/\/+$/, '') : raw;
+  });
+
+  if (Boolean(values.REACT_APP_SUPABASE_URL) !== Boolean(values.REACT_APP_SUPABASE_ANON_KEY)) {
+    problems.push('REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_ANON_KEY must be set together');
+  }
+
+  return { values, problems };
+};
+
+const { values, problems } = validate();
+
+if (problems.length) {
+  console.error(`Invalid frontend configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+}
+
+export const configProblems = problems;
+
+export const config = {
+  environment: process.env.NODE_ENV,
+  // A malformed backend URL falls back to the default so signups keep working
+  backendUrl: values.REACT_APP_BACKEND_URL || DEFAULT_BACKEND_URL,
+  siteUrl: values.REACT_APP_SITE_URL || DEFAULT_SITE_URL,
+  release: values.REACT_APP_RELEASE,
+  supabaseUrl: values.REACT_APP_SUPABASE_URL || null,
+  supabaseAnonKey: values.REACT_APP_SUPABASE_ANON_KEY || null,
+};
@@ -0,0 +1,96 @@
+// src/content.js
+// Landing page content from GET /api/content (backend/content.js), with the
+// bundled DEFAULT_CONTENT as the fallback. The first render uses what the page
+// was prerendered with (embedded as #landing-content by scripts/prerender.js) so
+// hydration matches; after that the last fetched copy from localStorage, then a
+// fresh fetch (the API's Cache-Control/ETag keep that cheap). Anything that fails
+// validation or doesn't arrive is ignored and the page keeps what it has.
+//
+// ?contentPreview=<token> (from the admin dashboard) shows the unpublished draft
+// instead, without touching the cache.
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { config } from './config';
+import { DEFAULT_CONTENT, validateContent } from '@nexusnext/shared/content.mjs';
+
+export const EMBEDDED_CONTENT_ID = 'landing-content';
+
+const STORAGE_KEY = 'nexusnext-content';
+
+const isValid = (content) => validateContent(content).length === 0;
+
+// What the prerendered page was built with; null in development or if it's malformed
+const readEmbedded = () => {
+  if (typeof document === 'undefined') return null;
+  try {
+    const data = JSON.parse(document.getElementById(EMBEDDED_CONTENT_ID)?.textContent || 'null');
+    return data && isValid(data.content) ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const readCached = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return data && isValid(data.content) ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeCached = (data) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ content: data.content, version: data.version }));
+  } catch (error) {
+    // Storage full or disabled; the HTTP cache still helps
+  }
+};
+
+const fetchContent = async (path) => {
+  const response = await fetch(`${config.backendUrl}${path}`);
+  if (!response.ok) throw new Error(`GET ${path} failed with ${response.status}`);
+  const data = await response.json();
+  if (!isValid(data.content)) throw new Error(`GET ${path} returned invalid content`);
+  return data;
+};
+
+const ContentContext = createContext(DEFAULT_CONTENT);
+
+// `initial` ({ content, version }) is passed by the prerender script
+export const ContentProvider = ({ initial, children }) => {
+  const [state, setState] = useState(() => initial || readEmbedded() || { content: DEFAULT_CONTENT, version: 0 });
+
+  useEffect(() => {
+    let cancelled = false;
+    const previewToken = new URLSearchParams(window.location.search).get('contentPreview');
+
+    if (previewToken) {
+      fetchContent(`/api/content/preview?token=${encodeURIComponent(previewToken)}`)
+        .then(data => !cancelled && setState(data))
+        .catch(error => console.warn('Content preview unavailable:', error.message));
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    // Newer than what we rendered with? Swap it in while the fetch runs
+    const cached = readCached();
+    if (cached) setState(current => (cached.version > current.version ? cached : current));
+
+    fetchContent('/api/content')
+      .then((data) => {
+        if (cancelled) return;
+        writeCached(data);
+        setState(data);
+      })
+      .catch(error => console.warn('Using bundled landing page content:', error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return <ContentContext.Provider value={state.content}>{children}</ContentContext.Provider>;
+};
+
+export const useContent = () => useContext(ContentContext);
@@ -0,0 +1,88 @@
+import React from 'react';
+import { DEFAULT_CONTENT } from '@nexusnext/shared/content.mjs';
+import { config } from './config';
+import { ContentProvider, EMBEDDED_CONTENT_ID, useContent } from './content';
+import { cleanup, mount, settle } from './testing';
+
+// A valid document told apart by its footer tagline
+const contentWith = (tagline) => ({ ...DEFAULT_CONTENT, footer: { tagline: { en: tagline } } });
+
+const respond = (status, body) => Promise.resolve({ ok: status === 200, status, json: async () => body });
+
+const Tagline = () => <p>{useContent().footer.tagline.en}</p>;
+
+// The element showing the tagline
+const mountTagline = async (props = {}) => {
+  const { container } = await mount(
+    <ContentProvider {...props}>
+      <Tagline />
+    </ContentProvider>
+  );
+  return container;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  delete global.fetch;
+});
+
+test('renders the embedded content first, then swaps in and caches the published copy', async () => {
+  const embedded = document.createElement('script');
+  embedded.id = EMBEDDED_CONTENT_ID;
+  embedded.type = 'application/json';
+  embedded.textContent = JSON.stringify({ content: contentWith('Embedded'), version: 3 });
+  document.body.appendChild(embedded);
+
+  let publish;
+  global.fetch = jest.fn(() => new Promise((resolve) => { publish = resolve; }));
+  const page = await mountTagline();
+  expect(page.textContent).toBe('Embedded');
+  expect(global.fetch).toHaveBeenCalledWith(`${config.backendUrl}/api/content`);
+
+  await settle(() => publish(respond(200, { content: contentWith('Published'), version: 4 })));
+  expect(page.textContent).toBe('Published');
+  expect(JSON.parse(localStorage.getItem('nexusnext-content'))).toEqual({ content: contentWith('Published'), version: 4 });
+});
+
+test('uses a newer cached copy when the API is down', async () => {
+  localStorage.setItem('nexusnext-content', JSON.stringify({ content: contentWith('Cached'), version: 2 }));
+  global.fetch = jest.fn(() => respond(503, {}));
+  expect((await mountTagline()).textContent).toBe('Cached');
+});
+
+test('ignores published content that fails validation', async () => {
+  global.fetch = jest.fn(() => respond(200, { content: { ...DEFAULT_CONTENT, features: [] }, version: 5 }));
+  expect((await mountTagline()).textContent).toBe(DEFAULT_CONTENT.footer.tagline.en);
+  expect(localStorage.getItem('nexusnext-content')).toBeNull();
+});
+
+test('prefers the prerender\'s content over an older cached copy', async () => {
+  localStorage.setItem('nexusnext-content', JSON.stringify({ content: contentWith('Cached'), version: 1 }));
+  global.fetch = jest.fn(() => new Promise(() => {}));
+  const page = await mountTagline({ initial: { content: contentWith('Prerendered'), version: 2 } });
+  expect(page.textContent).toBe('Prerendered');
+});
+
+test('?contentPreview shows the draft without touching the cache', async () => {
+  window.history.replaceState(null, '', '/?contentPreview=draft%2Btoken');
+  global.fetch = jest.fn(() => respond(200, { content: contentWith('Draft'), version: 7 }));
+
+  expect((await mountTagline()).textContent).toBe('Draft');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch).toHaveBeenCalledWith(`${config.backendUrl}/api/content/preview?token=draft%2Btoken`);
+  expect(localStorage.getItem('nexusnext-content')).toBeNull();
+});
+
+test('keeps the published content when the preview link is invalid', async () => {
+  window.history.replaceState(null, '', '/?contentPreview=expired');
+  global.fetch = jest.fn(() => respond(401, { error: 'Invalid or expired preview link' }));
+
+  expect((await mountTagline()).textContent).toBe(DEFAULT_CONTENT.footer.tagline.en);
+  expect(console.warn).toHaveBeenCalledWith('Content preview unavailable:', expect.stringContaining('401'));
+});
@@ -0,0 +1,19 @@
+import { canonicalizeEmail, suggestDomain, validateEmail } from '@nexusnext/shared/emailValidation.mjs';
+
+test('canonicalizes Gmail dots, +tags and googlemail.com', () => {
+  expect(canonicalizeEmail('J.Doe+news@GoogleMail.com')).toBe('jdoe@gmail.com');
+  expect(canonicalizeEmail('j.doe+news@example.com')).toBe('j.doe+news@example.com');
+});
+
+test('rejects malformed and disposable addresses', () => {
+  expect(validateEmail('a..b@example.com')).toEqual({ valid: false, reason: 'invalid_format' });
+  expect(validateEmail('someone@')).toEqual({ valid: false, reason: 'invalid_format' });
+  expect(validateEmail('bot@sub.mailinator.com')).toEqual({ valid: false, reason: 'disposable_domain' });
+});
+
+test('suggests fixes for common domain typos', () => {
+  expect(suggestDomain('gmial.com')).toBe('gmail.com');
+  expect(suggestDomain('example.con')).toBe('example.com');
+  expect(suggestDomain('gmail.com')).toBeNull();
+  expect(validateEmail('Priya@Gmial.com').suggestion).toBe('Priya@gmail.com');
+});
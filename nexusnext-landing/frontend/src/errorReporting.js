@@ -0,0 +1,78 @@
+// src/errorReporting.js
+// Collects client-side errors (ErrorBoundary, window "error" and
+// "unhandledrejection") and sends them in batches to POST /api/client-errors.
+// Repeats of the same error are merged into one report with a count.
+import { config } from './config';
+
+const ENDPOINT = `${config.backendUrl}/api/client-errors`;
+const FLUSH_DELAY_MS = 5000;
+const MAX_BATCH = 20;
+// Stop reporting after this many distinct errors per page view (runaway loops)
+const MAX_REPORTS_PER_PAGE = 50;
+
+const queue = new Map();
+let reportedCount = 0;
+let flushTimer = null;
+
+// Cheap client-side key for merging repeats; the backend computes the real fingerprint
+const localKey = ({ source, message, stack }) => `${source}|${message}|${(stack || '').split('\n')[1] || ''}`;
+
+export const flushErrors = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!queue.size) return;
+
+  const errors = [...queue.values()].slice(0, MAX_BATCH);
+  queue.clear();
+  // text/plain keeps this a "simple" request, so sendBeacon works cross-origin without a preflight
+  const body = JSON.stringify({ errors });
+
+  if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'text/plain' }))) return;
+  fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body, keepalive: true })
+    .catch(() => {}); // Reporting must never cause more errors
+};
+
+// Queue one error. source: 'boundary' | 'error' | 'unhandledrejection'
+export const reportError = (error, { source = 'error', componentStack } = {}) => {
+  const message = error instanceof Error
+    ? `${error.name}: ${error.message}`
+    : typeof error === 'string' ? error : JSON.stringify(error) ?? String(error);
+  const report = {
+    source,
+    message: String(message).slice(0, 1000),
+    stack: error instanceof Error ? error.stack : undefined,
+    componentStack,
+    url: window.location.origin + window.location.pathname,
+    release: config.release,
+  };
+
+  const key = localKey(report);
+  const existing = queue.get(key);
+  if (existing) {
+    existing.count += 1;
+  } else {
+    if (reportedCount >= MAX_REPORTS_PER_PAGE) return;
+    reportedCount += 1;
+    queue.set(key, { ...report, count: 1 });
+  }
+
+  if (queue.size >= MAX_BATCH) flushErrors();
+  else if (!flushTimer) flushTimer = setTimeout(flushErrors, FLUSH_DELAY_MS);
+};
+
+// Global handlers for errors no boundary sees (event handlers, timers, promises)
+export const installErrorHandlers = () => {
+  window.addEventListener('error', (event) => {
+    // Resource load failures (img/script) have no error object; they aren't code errors
+    if (!event.error && !event.message) return;
+    reportError(event.error || event.message, { source: 'error' });
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    reportError(event.reason ?? 'Unhandled promise rejection', { source: 'unhandledrejection' });
+  });
+  // Send whatever is queued before the page goes away
+  window.addEventListener('pagehide', flushErrors);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushErrors();
+  });
+};
@@ -0,0 +1,128 @@
+// src/i18n.js
+// Translations for the landing page. Copy lives in locales/<language>.js under
+// dot-path keys ("cta.join"); t() fills {name} placeholders (numbers are
+// formatted for the locale, React elements are spliced in as-is) and picks the
+// plural form from `count`. Keys a locale is missing fall back to English.
+//
+// The language comes from ?lang=, then the switcher's saved choice, then the
+// browser's preferred languages. <html lang dir> follow it, so a right-to-left
+// locale only needs `dir: 'rtl'` in its catalog.
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { localize } from '@nexusnext/shared/content.mjs';
+import en from './locales/en';
+import hi from './locales/hi';
+
+export const LOCALES = { en, hi };
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'nexusnext-locale';
+
+// "hi-IN" -> "hi"; null for languages we don't ship
+export const matchLocale = (tag) => {
+  const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : null;
+};
+
+const readStored = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Best supported locale for this visitor (always the default while prerendering)
+export const detectLocale = () => {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  const candidates = [
+    new URLSearchParams(window.location.search).get('lang'),
+    readStored(),
+    ...(navigator.languages || [navigator.language]),
+  ];
+  return candidates.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+export const hasMessage = (locale, key) =>
+  lookup(LOCALES[locale].messages, key) !== undefined || lookup(en.messages, key) !== undefined;
+
+// Fill a message's placeholders. Plain string, or an array of fragments when a value is a React element
+export const formatMessage = (locale, message, values = {}) => {
+  const numberFormat = new Intl.NumberFormat(locale);
+  // split() with a capture group: odd indexes are placeholder names
+  const parts = message.split(/\{(\w+)\}/).map((part, i) => {
+    if (i % 2 === 0 || !(part in values)) return i % 2 === 0 ? part : `{${part}}`;
+    const value = values[part];
+    return typeof value === 'number' ? numberFormat.format(value) : value;
+  });
+  if (!parts.some(React.isValidElement)) return parts.join('');
+  return parts.map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>);
+};
+
+export const translate = (locale, key, values = {}) => {
+  let message = lookup(LOCALES[locale].messages, key) ?? lookup(en.messages, key);
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(values.count)] ?? message.other;
+  }
+  return formatMessage(locale, message, values);
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(detectLocale);
+  const { dir } = LOCALES[locale];
+
+  // The switcher's choice sticks for later visits
+  const setLocale = useCallback((next) => {
+    if (!LOCALES[next]) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      // Storage disabled (private mode); the choice lasts for this page view
+    }
+    setLocaleState(next);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const value = useMemo(() => ({
+    locale,
+    dir,
+    setLocale,
+    t: (key, values) => translate(locale, key, values),
+    hasMessage: (key) => hasMessage(locale, key),
+    // Localized text from the content document ({ en, hi, ... }), placeholders filled like t()
+    localized: (text, values) => formatMessage(locale, localize(text, locale), values),
+    formatNumber: (number, options) => new Intl.NumberFormat(locale, options).format(number),
+    formatDate: (date, options) => new Intl.DateTimeFormat(locale, options).format(date),
+  }), [locale, dir, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
+
+// Visible language picker; options are shown in their own language
+export const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language')}
+      className={`rounded-full bg-white/10 text-white text-sm px-4 py-2 border border-white/20 focus:outline-none focus:bg-white/20 ${className}`}
+    >
+      {Object.entries(LOCALES).map(([code, catalog]) => (
+        <option key={code} value={code} lang={code} className="text-black">
+          {catalog.name}
+        </option>
+      ))}
+    </select>
+  );
+};
@@ -0,0 +1,27 @@
+import React from 'react';
+import { matchLocale, translate } from './i18n';
+
+test('matches browser language tags to shipped locales', () => {
+  expect(matchLocale('hi-IN')).toBe('hi');
+  expect(matchLocale('EN_gb')).toBe('en');
+  expect(matchLocale('fr-FR')).toBeNull();
+  expect(matchLocale(undefined)).toBeNull();
+});
+
+test('fills placeholders, formats numbers and picks plurals', () => {
+  expect(translate('en', 'social.follow', { name: 'Discord' })).toBe('Follow us on Discord');
+  expect(translate('en', 'cta.referrals', { count: 1 })).toBe('1 confirmed referral so far.');
+  expect(translate('en', 'cta.referrals', { count: 1200 })).toBe('1,200 confirmed referrals so far.');
+  expect(translate('hi', 'cta.referrals', { count: 123456 })).toBe('अब तक 1,23,456 कन्फ़र्म रेफ़रल।');
+});
+
+test('falls back to English, then to the key itself', () => {
+  expect(translate('hi', 'errors.no_such_code')).toBe('errors.no_such_code');
+  expect(translate('hi', 'cta.join')).toBe('वेटलिस्ट से जुड़ें');
+});
+
+test('splices React elements into the message', () => {
+  const parts = translate('hi', 'cta.suggestion', { suggestion: <button>a@gmail.com</button> });
+  expect(Array.isArray(parts)).toBe(true);
+  expect(parts).toHaveLength(3);
+});
@@ -1,12 +1,40 @@
-import React from 'react';
+import React, { Suspense } from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import './output.css'; // Add this line
-import App from './App';
+import ErrorBoundary from './ErrorBoundary';
+import { installErrorHandlers } from './errorReporting';
+import { DEFAULT_LOCALE, detectLocale } from './i18n';
+import { normalizePath } from './router';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+// Report uncaught errors and promise rejections to the backend
+installErrorHandlers();
+
+// Split by path so /admin and /diagnostics never download the Three.js landing page (and vice versa)
+const { pathname } = window.location;
+const Page = pathname.startsWith('/admin')
+  ? React.lazy(() => import('./AdminDashboard'))
+  : pathname.startsWith('/diagnostics')
+    ? React.lazy(() => import('./EnvChecker'))
+    : React.lazy(() => import('./App'));
+
+const app = (
   <React.StrictMode>
-    <App />
+    <ErrorBoundary name="app">
+      <Suspense fallback={null}>
+        <Page />
+      </Suspense>
+    </ErrorBoundary>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Public pages ship prerendered in English (scripts/prerender.js), with #root's
+// data-prerendered naming the path: hydrate over that markup when it is this page's.
+// Anything else (another language, an unknown path served the landing page's HTML,
+// the 404 page) gets a fresh render.
+const container = document.getElementById('root');
+if (container.dataset.prerendered === normalizePath(pathname) && detectLocale() === DEFAULT_LOCALE) {
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
@@ -0,0 +1,107 @@
+// src/locales/en.js
+// English landing page copy, also the fallback for keys a locale is missing.
+// {name} placeholders are filled in by t(); a { one, other } message is a plural
+// picked with `count`. Backend error codes live under `errors`.
+
+const en = {
+  name: 'English',
+  dir: 'ltr',
+
+  messages: {
+    language: 'Language',
+    skipLink: 'Skip to main content',
+    motion: {
+      reduce: 'Reduce motion',
+    },
+    quality: {
+      label: 'Graphics quality',
+      auto: 'Graphics: Auto',
+      low: 'Graphics: Low',
+      medium: 'Graphics: Medium',
+      high: 'Graphics: High',
+    },
+    tilt: {
+      enable: 'Enable tilt',
+    },
+    scene: {
+      loading: 'Loading 3D Scene...',
+    },
+    dna: {
+      title: 'Evolution in Action',
+      body: "Witness intelligent collaboration — DNA meets AI to solve India's defining challenges. Join the upward spiral.",
+    },
+    features: {
+      title: 'Experience The Future',
+      learnMore: 'Learn more',
+    },
+    // Product pages (/products/<id>); {product} is the product's name from the content document
+    product: {
+      pageTitle: '{product} — Nexusnext',
+      back: 'Back to Nexusnext',
+      cta: 'Get early access',
+      joinTitle: 'Get early access to {product}',
+      joinSubtitle: "Join the waitlist and we'll let you know as soon as {product} opens up.",
+      more: 'More from Nexusnext',
+    },
+    notFound: {
+      pageTitle: 'Page not found — Nexusnext',
+      title: 'Page not found',
+      body: "We couldn't find that page. The link may be mistyped, or the page may have moved.",
+      home: 'Go to the home page',
+      products: 'Or explore our products',
+    },
+    cta: {
+      title: 'Join The Future · Join Nexusnext',
+      subtitle: 'Be part of the movement where humanity and AI co-create a global future.',
+      placeholder: 'Enter your email',
+      emailLabel: 'Enter your email to join the waitlist',
+      join: 'Join Waitlist',
+      joining: 'Joining...',
+      suggestion: 'Did you mean {suggestion}?',
+      disposable: 'Please use a permanent email address, not a disposable one.',
+      pending: 'Almost there! Check your inbox to confirm your email.',
+      alreadyConfirmed: "You're already on the waitlist.",
+      position: "You're {position} of {total}",
+      referrals: {
+        one: '{count} confirmed referral so far.',
+        other: '{count} confirmed referrals so far.',
+      },
+      share: 'Share your link — every friend who confirms moves you up the line.',
+      shareLabel: 'Your referral link',
+      copy: 'Copy',
+      copied: 'Copied!',
+      erasePrompt: 'Permanently delete your Nexusnext waitlist data?',
+      erase: 'Delete my data',
+      erasing: 'Deleting...',
+      erased: 'Your data has been deleted.',
+      cancel: 'Cancel',
+    },
+    // ?waitlist= flags the backend sets when redirecting back from an email link
+    links: {
+      confirmed: "You're confirmed! Welcome to the Nexusnext waitlist.",
+      unsubscribed: "You've been unsubscribed. We won't email you again.",
+      expired: 'That link has expired. Please request a new one.',
+      invalid: 'That link is invalid. Please request a new one.',
+      error: 'Something went wrong. Please try again later.',
+    },
+    // Stable `code`s from the backend's error responses
+    errors: {
+      invalid_email: 'Please enter a valid email address.',
+      disposable_email: 'Please use a permanent email address, not a disposable one.',
+      invalid_referral_code: 'That referral code is invalid.',
+      invalid_link: 'That link is invalid or has expired. Please request a new one.',
+      not_found: "We couldn't find that on the waitlist.",
+      rate_limited: 'Too many requests. Please try again later.',
+      verification_failed: 'Verification failed. Please refresh the page and try again.',
+      server_error: 'Something went wrong on our side. Please try again later.',
+      network: 'Network error. Please try again later.',
+    },
+    social: {
+      label: 'Social media',
+      follow: 'Follow us on {name}',
+    },
+    footer: '© {year} Nexusnext. {tagline}',
+  },
+};
+
+export default en;
@@ -0,0 +1,102 @@
+// src/locales/hi.js
+// Hindi landing page copy. Keys missing here fall back to English (see ../i18n.js).
+
+const hi = {
+  name: 'हिन्दी',
+  dir: 'ltr',
+
+  messages: {
+    language: 'भाषा',
+    skipLink: 'मुख्य सामग्री पर जाएँ',
+    motion: {
+      reduce: 'एनिमेशन कम करें',
+    },
+    quality: {
+      label: 'ग्राफ़िक्स गुणवत्ता',
+      auto: 'ग्राफ़िक्स: स्वचालित',
+      low: 'ग्राफ़िक्स: कम',
+      medium: 'ग्राफ़िक्स: मध्यम',
+      high: 'ग्राफ़िक्स: उच्च',
+    },
+    tilt: {
+      enable: 'झुकाव चालू करें',
+    },
+    scene: {
+      loading: '3D दृश्य लोड हो रहा है...',
+    },
+    dna: {
+      title: 'विकास की प्रक्रिया',
+      body: 'बुद्धिमान सहयोग को देखिए — DNA और AI मिलकर भारत की सबसे बड़ी चुनौतियों का समाधान करते हैं। ऊपर उठते इस सफ़र से जुड़िए।',
+    },
+    features: {
+      title: 'भविष्य का अनुभव करें',
+      learnMore: 'और जानें',
+    },
+    product: {
+      pageTitle: '{product} — Nexusnext',
+      back: 'Nexusnext पर वापस जाएँ',
+      cta: 'जल्दी पहुँच पाएँ',
+      joinTitle: '{product} तक जल्दी पहुँच पाएँ',
+      joinSubtitle: 'वेटलिस्ट से जुड़िए, {product} खुलते ही हम आपको बताएँगे।',
+      more: 'Nexusnext से और',
+    },
+    notFound: {
+      pageTitle: 'पेज नहीं मिला — Nexusnext',
+      title: 'पेज नहीं मिला',
+      body: 'हमें यह पेज नहीं मिला। हो सकता है लिंक गलत लिखा हो या पेज कहीं और चला गया हो।',
+      home: 'होम पेज पर जाएँ',
+      products: 'या हमारे प्रोडक्ट देखें',
+    },
+    cta: {
+      title: 'भविष्य से जुड़ें · Nexusnext से जुड़ें',
+      subtitle: 'उस आंदोलन का हिस्सा बनें जहाँ मानवता और AI मिलकर एक वैश्विक भविष्य रचते हैं।',
+      placeholder: 'अपना ईमेल दर्ज करें',
+      emailLabel: 'वेटलिस्ट से जुड़ने के लिए अपना ईमेल दर्ज करें',
+      join: 'वेटलिस्ट से जुड़ें',
+      joining: 'जोड़ा जा रहा है...',
+      suggestion: 'क्या आपका मतलब {suggestion} था?',
+      disposable: 'कृपया अस्थायी नहीं, स्थायी ईमेल पता इस्तेमाल करें।',
+      pending: 'बस एक कदम बाकी! अपना ईमेल कन्फ़र्म करने के लिए इनबॉक्स देखें।',
+      alreadyConfirmed: 'आप पहले से वेटलिस्ट पर हैं।',
+      position: 'आप {total} में से {position} पर हैं',
+      referrals: {
+        one: 'अब तक {count} कन्फ़र्म रेफ़रल।',
+        other: 'अब तक {count} कन्फ़र्म रेफ़रल।',
+      },
+      share: 'अपना लिंक शेयर करें — कन्फ़र्म करने वाला हर दोस्त आपको लाइन में आगे ले जाता है।',
+      shareLabel: 'आपका रेफ़रल लिंक',
+      copy: 'कॉपी करें',
+      copied: 'कॉपी हो गया!',
+      erasePrompt: 'क्या आप अपना Nexusnext वेटलिस्ट डेटा स्थायी रूप से हटाना चाहते हैं?',
+      erase: 'मेरा डेटा हटाएँ',
+      erasing: 'हटाया जा रहा है...',
+      erased: 'आपका डेटा हटा दिया गया है।',
+      cancel: 'रद्द करें',
+    },
+    links: {
+      confirmed: 'आप कन्फ़र्म हो गए हैं! Nexusnext वेटलिस्ट में आपका स्वागत है।',
+      unsubscribed: 'आप अनसब्सक्राइब हो गए हैं। हम आपको दोबारा ईमेल नहीं करेंगे।',
+      expired: 'यह लिंक समाप्त हो चुका है। कृपया नया लिंक मँगाएँ।',
+      invalid: 'यह लिंक अमान्य है। कृपया नया लिंक मँगाएँ।',
+      error: 'कुछ गड़बड़ हो गई। कृपया बाद में फिर कोशिश करें।',
+    },
+    errors: {
+      invalid_email: 'कृपया एक मान्य ईमेल पता दर्ज करें।',
+      disposable_email: 'कृपया अस्थायी नहीं, स्थायी ईमेल पता इस्तेमाल करें।',
+      invalid_referral_code: 'यह रेफ़रल कोड अमान्य है।',
+      invalid_link: 'यह लिंक अमान्य है या समाप्त हो चुका है। कृपया नया लिंक मँगाएँ।',
+      not_found: 'हमें यह वेटलिस्ट पर नहीं मिला।',
+      rate_limited: 'बहुत ज़्यादा अनुरोध। कृपया थोड़ी देर बाद फिर कोशिश करें।',
+      verification_failed: 'सत्यापन विफल रहा। कृपया पेज रीफ़्रेश करके फिर कोशिश करें।',
+      server_error: 'हमारी तरफ़ से कुछ गड़बड़ हो गई। कृपया बाद में फिर कोशिश करें।',
+      network: 'नेटवर्क त्रुटि। कृपया बाद में फिर कोशिश करें।',
+    },
+    social: {
+      label: 'सोशल मीडिया',
+      follow: '{name} पर हमें फ़ॉलो करें',
+    },
+    footer: '© {year} Nexusnext. {tagline}',
+  },
+};
+
+export default hi;
@@ -0,0 +1,79 @@
+// src/motion.js
+// Reduced-motion preference for the public pages. Follows the system's
+// prefers-reduced-motion until the visitor uses the toggle, whose choice is saved.
+// Reduced means: 3D scenes draw one still frame, text appears without fading in,
+// and CSS transitions/animations are cut to nothing (index.css keys off the
+// data-motion attribute set on <html>, and off the media query before the app loads).
+//
+// Server rendering and hydration always see "full motion", so the prerendered
+// markup matches; the real value is applied right after.
+import React, { useEffect, useSyncExternalStore } from 'react';
+import { useI18n } from './i18n';
+
+const STORAGE_KEY = 'nexusnext-motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const mediaQuery = () => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null);
+
+const readStored = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return value === 'reduce' || value === 'full' ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 'reduce' | 'full' once the visitor has chosen; null follows the system
+let preference = typeof window === 'undefined' ? null : readStored();
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  const query = mediaQuery();
+  listeners.add(listener);
+  query?.addEventListener('change', listener);
+  return () => {
+    listeners.delete(listener);
+    query?.removeEventListener('change', listener);
+  };
+};
+
+const getSnapshot = () => (preference ? preference === 'reduce' : Boolean(mediaQuery()?.matches));
+
+export const setReducedMotion = (reduced) => {
+  preference = reduced ? 'reduce' : 'full';
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch (error) {
+    // Storage disabled (private mode); the choice lasts for this page view
+  }
+  listeners.forEach(listener => listener());
+};
+
+export const useReducedMotion = () => useSyncExternalStore(subscribe, getSnapshot, () => false);
+
+// Mirrors the preference onto <html data-motion> for the stylesheet; rendered once by App
+export const MotionAttribute = () => {
+  const reduced = useReducedMotion();
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+  }, [reduced]);
+  return null;
+};
+
+// Visible on/off switch next to the language picker
+export const MotionToggle = ({ className = '' }) => {
+  const { t } = useI18n();
+  const reduced = useReducedMotion();
+  return (
+    <button
+      type="button"
+      aria-pressed={reduced}
+      onClick={() => setReducedMotion(!reduced)}
+      className={`rounded-full text-white text-sm px-4 py-2 border border-white/20 ${reduced ? 'bg-white/30' : 'bg-white/10 hover:bg-white/20'} ${className}`}
+    >
+      <span aria-hidden="true">{reduced ? '⏸ ' : '▶ '}</span>
+      {t('motion.reduce')}
+    </button>
+  );
+};
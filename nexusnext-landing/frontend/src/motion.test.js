@@ -0,0 +1,100 @@
+import React from 'react';
+
+// Stand-in for matchMedia('(prefers-reduced-motion: reduce)')
+const systemSetting = { matches: false, listeners: new Set() };
+const setSystemReduced = (matches) => {
+  systemSetting.matches = matches;
+  systemSetting.listeners.forEach(listener => listener());
+};
+
+// A fresh copy of the module, as on a page load (it reads the saved choice once).
+// React and the helpers come along so its hooks share one React.
+let loaded = [];
+const load = () => {
+  let modules;
+  jest.isolateModules(() => {
+    modules = { ...require('./motion'), ...require('./i18n'), ...require('./testing') };
+  });
+  loaded.push(modules);
+  return modules;
+};
+
+// Mounts the attribute and the toggle; returns the toggle
+const mountMotion = async ({ mount, I18nProvider, MotionAttribute, MotionToggle }) => {
+  const { container } = await mount(
+    <I18nProvider>
+      <MotionAttribute />
+      <MotionToggle />
+    </I18nProvider>
+  );
+  return container.querySelector('button');
+};
+
+const motionAttribute = () => document.documentElement.dataset.motion;
+
+beforeEach(() => {
+  localStorage.clear();
+  systemSetting.matches = false;
+  systemSetting.listeners.clear();
+  window.matchMedia = () => ({
+    get matches() {
+      return systemSetting.matches;
+    },
+    addEventListener: (type, listener) => systemSetting.listeners.add(listener),
+    removeEventListener: (type, listener) => systemSetting.listeners.delete(listener),
+  });
+});
+
+afterEach(() => {
+  loaded.forEach(modules => modules.cleanup());
+  loaded = [];
+  delete window.matchMedia;
+  jest.restoreAllMocks();
+});
+
+test('follows the system setting until the visitor chooses', async () => {
+  systemSetting.matches = true;
+  const motion = load();
+  const toggle = await mountMotion(motion);
+  expect(motionAttribute()).toBe('reduce');
+  expect(toggle.getAttribute('aria-pressed')).toBe('true');
+
+  await motion.settle(() => setSystemReduced(false));
+  expect(motionAttribute()).toBe('full');
+  expect(toggle.getAttribute('aria-pressed')).toBe('false');
+});
+
+test('saves the visitor\'s choice, which outlasts the system setting and a reload', async () => {
+  const motion = load();
+  const toggle = await mountMotion(motion);
+  expect(motionAttribute()).toBe('full');
+
+  await motion.settle(() => toggle.click());
+  expect(motionAttribute()).toBe('reduce');
+  expect(localStorage.getItem('nexusnext-motion')).toBe('reduce');
+
+  await motion.settle(() => setSystemReduced(false));
+  expect(motionAttribute()).toBe('reduce');
+
+  motion.cleanup();
+  delete document.documentElement.dataset.motion;
+  await mountMotion(load());
+  expect(motionAttribute()).toBe('reduce');
+});
+
+test('ignores a saved value it doesn\'t know', async () => {
+  localStorage.setItem('nexusnext-motion', 'sometimes');
+  systemSetting.matches = true;
+  await mountMotion(load());
+  expect(motionAttribute()).toBe('reduce');
+});
+
+test('still switches when storage is unavailable', async () => {
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+  const motion = load();
+  const toggle = await mountMotion(motion);
+  await motion.settle(() => toggle.click());
+  expect(motionAttribute()).toBe('reduce');
+});
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_CONTENT } from '@nexusnext/shared/content.mjs';
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = 'https://nexusnext.example';
+
+// public/ as a stand-in for a fresh build, prerendered with the backend unreachable
+let build;
+const read = (file) => fs.readFileSync(path.join(build, file), 'utf8');
+
+beforeAll(() => {
+  build = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+  fs.copyFileSync(path.join(ROOT, 'public', 'index.html'), path.join(build, 'index.html'));
+  fs.copyFileSync(path.join(ROOT, 'public', 'robots.txt'), path.join(build, 'robots.txt'));
+  execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'prerender.js')], {
+    cwd: ROOT,
+    env: { ...process.env, BUILD_PATH: build, REACT_APP_BACKEND_URL: 'http://127.0.0.1:9', REACT_APP_SITE_URL: SITE_URL },
+    stdio: 'pipe',
+  });
+}, 60000);
+
+afterAll(() => {
+  fs.rmSync(build, { recursive: true, force: true });
+});
+
+test('renders the landing page with its head tags and the content it used', () => {
+  const html = read('index.html');
+  expect(html).toContain('<div id="root" data-prerendered="/">');
+  expect(html).toContain('<title>Nexusnext — where human potential meets AI innovation</title>');
+  expect(html).toContain(`<link rel="canonical" href="${SITE_URL}/"/>`);
+  expect(html).toContain('"@type":"Organization"');
+
+  const embedded = html.match(/<script id="landing-content" type="application\/json">(.*?)<\/script>/);
+  expect(JSON.parse(embedded[1])).toEqual({ content: DEFAULT_CONTENT, version: 0 });
+});
+
+test('renders a page per product', () => {
+  for (const feature of DEFAULT_CONTENT.features) {
+    const html = read(path.join('products', feature.id, 'index.html'));
+    expect(html).toContain(`data-prerendered="/products/${feature.id}"`);
+    expect(html).toContain(`<title>${feature.title.en} — Nexusnext</title>`);
+    expect(html).toMatch(new RegExp(`<h1 id="product-title"[^>]*>${feature.title.en}</h1>`));
+  }
+});
+
+test('renders a 404 page that is not indexed or hydrated', () => {
+  const html = read('404.html');
+  expect(html).toContain('<div id="root"><');
+  expect(html).toContain('<meta name="robots" content="noindex"/>');
+  expect(html).toContain('404');
+});
+
+test('lists every page but the 404 in the sitemap, and points robots.txt at it', () => {
+  const locations = [...read('sitemap.xml').matchAll(/<loc>(.*?)<\/loc>/g)].map(match => match[1]);
+  expect(locations).toEqual([`${SITE_URL}/`, ...DEFAULT_CONTENT.features.map(feature => `${SITE_URL}/products/${feature.id}`)]);
+
+  const robots = read('robots.txt');
+  expect(robots).toContain('User-agent: *');
+  expect(robots.match(/^Sitemap: .*$/gm)).toEqual([`Sitemap: ${SITE_URL}/sitemap.xml`]);
+});
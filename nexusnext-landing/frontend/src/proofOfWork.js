@@ -0,0 +1,39 @@
+// Solves the waitlist proof-of-work challenge from GET /api/waitlist/challenge:
+// find a solution so sha256(challenge + solution) starts with `difficulty` zero bits.
+
+const BATCH_SIZE = 256;
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const sha256 = async (text) =>
+  new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+
+export const solveChallenge = async (challenge, difficulty) => {
+  // Hash in batches so the digests run concurrently without blocking the page
+  for (let start = 0; ; start += BATCH_SIZE) {
+    const candidates = Array.from({ length: BATCH_SIZE }, (_, i) => String(start + i));
+    const hashes = await Promise.all(candidates.map((c) => sha256(challenge + c)));
+    const index = hashes.findIndex((hash) => leadingZeroBits(hash) >= difficulty);
+    if (index !== -1) return candidates[index];
+  }
+};
+
+// Fetch and solve a challenge. Returns {} when the backend has proof-of-work disabled.
+export const getProofOfWork = async (backendUrl) => {
+  const response = await fetch(`${backendUrl}/api/waitlist/challenge`);
+  if (!response.ok) return {};
+  const { challenge, difficulty } = await response.json();
+  if (!challenge || !difficulty) return {};
+  return { challenge, solution: await solveChallenge(challenge, difficulty) };
+};
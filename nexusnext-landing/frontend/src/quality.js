@@ -0,0 +1,223 @@
+// src/quality.js
+// Rendering quality for the Three.js scenes, adjusted from how fast frames
+// actually render. The starting tier is a guess from the viewport, CPU cores and
+// connection; after that a frame-time sampler runs while a scene is animating:
+//
+// - Dynamic resolution first: slow frames scale the render resolution down (to
+//   MIN_RESOLUTION_SCALE), fast frames scale it back up. Cheap and invisible-ish.
+// - Tiers second, with hysteresis: a step down only after several slow windows at
+//   minimum resolution, a step up only after a longer run of fast windows at full
+//   resolution, never within COOLDOWN_MS of the last change, and a tier we had to
+//   leave is off limits for RETRY_AFTER_MS.
+//
+// Visitors can pin a tier with the picker; "auto" hands control back. The scene
+// manager reads the tier and the resolution scale every frame and applies both to
+// the scenes it already has (see sceneManager.js) rather than rebuilding them.
+import React, { useSyncExternalStore } from 'react';
+import { useI18n } from './i18n';
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+const STORAGE_KEY = 'nexusnext-quality';
+
+const WINDOW_MS = 1000;
+const SLOW_FRAME_MS = 22; // ~45 fps
+const FAST_FRAME_MS = 17.5; // ~57 fps, i.e. keeping up with a 60 Hz display
+const MAX_FRAME_MS = 250; // longer gaps are the tab being hidden, not slow rendering
+const SLOW_WINDOWS_TO_STEP_DOWN = 2;
+const FAST_WINDOWS_TO_STEP_UP = 5;
+const COOLDOWN_MS = 3000;
+const RETRY_AFTER_MS = 30000;
+const MIN_RESOLUTION_SCALE = 0.6;
+const RESOLUTION_STEP_DOWN = 0.1;
+const RESOLUTION_STEP_UP = 0.05;
+
+// What each tier costs. Antialiasing is a WebGL context attribute that can't change
+// on a live context, so it's done by rendering above the device pixel ratio instead
+// (up to maxPixelRatio); powerPreference only applies when a renderer is created.
+// hoverEffects is the hero's hover highlight and ripples; parallax and drag stay on.
+export const getQualitySettings = (tier) => ({
+  sphereSegments: tier === 'high' ? 32 : tier === 'medium' ? 24 : 16,
+  particleCount: tier === 'high' ? 800 : tier === 'medium' ? 400 : 200,
+  dnaParticleCount: tier === 'high' ? 150 : tier === 'medium' ? 100 : 60,
+  particleSize: tier === 'high' ? 0.12 : 0.08,
+  antialias: tier === 'high',
+  maxPixelRatio: tier === 'high' ? 2 : tier === 'medium' ? 1.5 : 1,
+  powerPreference: tier === 'high' ? 'high-performance' : 'low-power',
+  hoverEffects: tier !== 'low',
+});
+
+// Pixel ratio for a renderer at `settings`, with the current dynamic resolution applied
+export const pixelRatioFor = (settings) =>
+  Math.min(window.devicePixelRatio * (settings.antialias ? 1.5 : 1), settings.maxPixelRatio) * resolutionScale;
+
+// First guess before any frames have been measured
+const guessTier = () => {
+  const mobile = window.innerWidth < 768;
+  const lowEnd = navigator.hardwareConcurrency < 4;
+  const slowConnection = navigator.connection?.effectiveType === 'slow-2g' || navigator.connection?.effectiveType === '2g';
+  if (mobile || lowEnd || slowConnection) return 'low';
+  if (window.innerWidth < 1024) return 'medium';
+  return 'high';
+};
+
+const readOverride = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return QUALITY_TIERS.includes(value) ? value : 'auto';
+  } catch (error) {
+    return 'auto';
+  }
+};
+
+// --- store ---
+const hasWindow = typeof window !== 'undefined';
+let autoTier = hasWindow ? guessTier() : 'medium';
+let override = hasWindow ? readOverride() : 'auto';
+let resolutionScale = 1;
+let snapshot = null;
+const listeners = new Set();
+
+const SERVER_SNAPSHOT = { tier: 'medium', override: 'auto' };
+
+const getSnapshot = () => {
+  const tier = override === 'auto' ? autoTier : override;
+  if (snapshot?.tier !== tier || snapshot?.override !== override) snapshot = { tier, override };
+  return snapshot;
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { tier, override }; the prerender and hydration see 'medium'
+export const useQuality = () => useSyncExternalStore(subscribe, getSnapshot, () => SERVER_SNAPSHOT);
+
+// The same, outside React: the tier in effect, and a listener for changes to it
+export const getQualityTier = () => getSnapshot().tier;
+export const subscribeQuality = subscribe;
+
+export const getResolutionScale = () => resolutionScale;
+
+// 'auto' or a tier to pin
+export const setQualityOverride = (value) => {
+  override = QUALITY_TIERS.includes(value) ? value : 'auto';
+  resolutionScale = 1;
+  try {
+    localStorage.setItem(STORAGE_KEY, override);
+  } catch (error) {
+    // Storage disabled (private mode); the choice lasts for this page view
+  }
+  notify();
+};
+
+// --- frame sampler ---
+let samplerUsers = 0;
+let frameId = null;
+let lastFrame = 0;
+let windowStart = 0;
+let frameTimes = [];
+let slowWindows = 0;
+let fastWindows = 0;
+let lastChange = 0;
+const leftAt = {}; // tier -> when we stepped down from it
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const changeTier = (tier, now) => {
+  if (QUALITY_TIERS.indexOf(tier) < QUALITY_TIERS.indexOf(autoTier)) leftAt[autoTier] = now;
+  autoTier = tier;
+  lastChange = now;
+  slowWindows = 0;
+  fastWindows = 0;
+  notify();
+};
+
+const evaluateWindow = (now) => {
+  const frameMs = median(frameTimes);
+  const index = QUALITY_TIERS.indexOf(autoTier);
+  const settled = now - lastChange > COOLDOWN_MS;
+
+  if (frameMs > SLOW_FRAME_MS) {
+    slowWindows += 1;
+    fastWindows = 0;
+    if (resolutionScale > MIN_RESOLUTION_SCALE) {
+      resolutionScale = Math.max(MIN_RESOLUTION_SCALE, resolutionScale - RESOLUTION_STEP_DOWN);
+    } else if (slowWindows >= SLOW_WINDOWS_TO_STEP_DOWN && index > 0 && settled) {
+      // The cheaper tier gets full resolution back; it will scale down again if it needs to
+      resolutionScale = 1;
+      changeTier(QUALITY_TIERS[index - 1], now);
+    }
+  } else if (frameMs < FAST_FRAME_MS) {
+    fastWindows += 1;
+    slowWindows = 0;
+    if (resolutionScale < 1) {
+      resolutionScale = Math.min(1, resolutionScale + RESOLUTION_STEP_UP);
+    } else if (fastWindows >= FAST_WINDOWS_TO_STEP_UP && index < QUALITY_TIERS.length - 1 && settled) {
+      const next = QUALITY_TIERS[index + 1];
+      if (now - (leftAt[next] ?? -Infinity) >= RETRY_AFTER_MS) changeTier(next, now);
+    }
+  } else {
+    slowWindows = 0;
+    fastWindows = 0;
+  }
+};
+
+const sampleFrame = (now) => {
+  frameId = requestAnimationFrame(sampleFrame);
+  const frameMs = now - lastFrame;
+  lastFrame = now;
+  if (frameMs > MAX_FRAME_MS) {
+    // Coming back from a hidden tab: start a fresh window
+    windowStart = now;
+    frameTimes = [];
+    return;
+  }
+  frameTimes.push(frameMs);
+  if (now - windowStart < WINDOW_MS) return;
+  // A pinned tier still gets measured (so "auto" resumes from a fresh window) but never changed
+  if (override === 'auto') evaluateWindow(now);
+  windowStart = now;
+  frameTimes = [];
+};
+
+// Call while a scene is animating; returns the function to call when it stops.
+// The sampler runs while at least one scene needs it.
+export const sampleFrames = () => {
+  samplerUsers += 1;
+  if (samplerUsers === 1) {
+    lastFrame = windowStart = performance.now();
+    frameTimes = [];
+    frameId = requestAnimationFrame(sampleFrame);
+  }
+  return () => {
+    samplerUsers -= 1;
+    if (samplerUsers === 0) cancelAnimationFrame(frameId);
+  };
+};
+
+// Graphics quality picker, next to the language and motion controls on the landing page
+export const QualityPicker = ({ className = '' }) => {
+  const { t } = useI18n();
+  const { override: choice } = useQuality();
+  return (
+    <select
+      value={choice}
+      onChange={(e) => setQualityOverride(e.target.value)}
+      aria-label={t('quality.label')}
+      className={`rounded-full bg-white/10 text-white text-sm px-4 py-2 border border-white/20 focus:outline-none focus:bg-white/20 ${className}`}
+    >
+      {['auto', ...QUALITY_TIERS].map(value => (
+        <option key={value} value={value} className="text-black">
+          {t(`quality.${value}`)}
+        </option>
+      ))}
+    </select>
+  );
+};
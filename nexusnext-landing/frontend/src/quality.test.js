@@ -0,0 +1,183 @@
+import React from 'react';
+
+// Frames are driven by hand: requestAnimationFrame keeps the sampler's callback and
+// performance.now() is this clock
+let clock;
+let nextFrame;
+
+const frames = (frameMs, count) => {
+  for (let i = 0; i < count; i++) {
+    clock += frameMs;
+    nextFrame(clock);
+  }
+};
+// `count` one-second windows of frames taking `frameMs` each
+const windows = (frameMs, count = 1) => frames(frameMs, count * Math.ceil(1000 / frameMs));
+
+const SLOW = 30;
+const FAST = 10;
+const STEADY = 20; // neither slow nor fast
+
+const setViewport = (width, cores = 8) => {
+  Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+  Object.defineProperty(navigator, 'hardwareConcurrency', { value: cores, configurable: true });
+};
+
+// A fresh copy of the module, as on a page load (it guesses the tier and reads the
+// saved choice once). React and the helpers come along so its hooks share one React.
+let loaded = [];
+const load = () => {
+  let modules;
+  jest.isolateModules(() => {
+    modules = { ...require('./quality'), ...require('./i18n'), ...require('./testing') };
+  });
+  loaded.push(modules);
+  return modules;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  setViewport(1280);
+  clock = 0;
+  nextFrame = null;
+  window.requestAnimationFrame = jest.fn((callback) => {
+    nextFrame = callback;
+    return 1;
+  });
+  window.cancelAnimationFrame = jest.fn();
+  jest.spyOn(performance, 'now').mockImplementation(() => clock);
+});
+
+afterEach(() => {
+  loaded.forEach(modules => modules.cleanup());
+  loaded = [];
+  jest.restoreAllMocks();
+});
+
+test('starts from a guess based on the viewport and CPU', () => {
+  expect(load().getQualityTier()).toBe('high');
+  setViewport(900);
+  expect(load().getQualityTier()).toBe('medium');
+  setViewport(400);
+  expect(load().getQualityTier()).toBe('low');
+  setViewport(1280, 2);
+  expect(load().getQualityTier()).toBe('low');
+});
+
+test('scales the resolution down before stepping down a tier', () => {
+  const quality = load();
+  const changes = jest.fn();
+  quality.subscribeQuality(changes);
+  quality.sampleFrames();
+
+  windows(SLOW);
+  expect(quality.getResolutionScale()).toBeCloseTo(0.9);
+  windows(SLOW, 4);
+  expect(quality.getResolutionScale()).toBeCloseTo(0.6);
+  expect(quality.getQualityTier()).toBe('high');
+  expect(changes).not.toHaveBeenCalled();
+
+  // Already at minimum resolution: the cheaper tier, at full resolution again
+  windows(SLOW);
+  expect(quality.getQualityTier()).toBe('medium');
+  expect(quality.getResolutionScale()).toBe(1);
+  expect(changes).toHaveBeenCalledTimes(1);
+});
+
+test('steps up only after an unbroken run of fast windows', () => {
+  setViewport(400);
+  const quality = load();
+  quality.sampleFrames();
+
+  windows(FAST, 4);
+  windows(STEADY); // breaks the run
+  windows(FAST, 4);
+  expect(quality.getQualityTier()).toBe('low');
+  windows(FAST);
+  expect(quality.getQualityTier()).toBe('medium');
+
+  // Each change starts a new run
+  windows(FAST, 4);
+  expect(quality.getQualityTier()).toBe('medium');
+  windows(FAST);
+  expect(quality.getQualityTier()).toBe('high');
+});
+
+test('doesn\'t retry a tier it had to leave for a while', () => {
+  const quality = load();
+  quality.sampleFrames();
+  windows(SLOW, 6);
+  expect(quality.getQualityTier()).toBe('medium');
+
+  // Fast from then on, but 'high' stays off limits for 30 seconds
+  windows(FAST, 29);
+  expect(quality.getQualityTier()).toBe('medium');
+  windows(FAST);
+  expect(quality.getQualityTier()).toBe('high');
+});
+
+test('starts a fresh window after a hidden tab', () => {
+  const quality = load();
+  quality.sampleFrames();
+  frames(SLOW, 20);
+  frames(5000, 1); // the tab was hidden: not a slow frame
+  frames(SLOW, 20);
+  expect(quality.getResolutionScale()).toBe(1);
+  frames(SLOW, 14); // a full window since the tab came back
+  expect(quality.getResolutionScale()).toBeCloseTo(0.9);
+});
+
+test('samples while any scene needs it', () => {
+  const quality = load();
+  const stopHero = quality.sampleFrames();
+  const stopDna = quality.sampleFrames();
+  expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+  stopHero();
+  expect(window.cancelAnimationFrame).not.toHaveBeenCalled();
+  stopDna();
+  expect(window.cancelAnimationFrame).toHaveBeenCalledTimes(1);
+});
+
+test('a pinned tier is kept however frames go, until "auto" hands control back', () => {
+  const quality = load();
+  quality.sampleFrames();
+  quality.setQualityOverride('low');
+  expect(quality.getQualityTier()).toBe('low');
+
+  windows(FAST, 10);
+  windows(SLOW, 10);
+  expect(quality.getQualityTier()).toBe('low');
+
+  quality.setQualityOverride('auto');
+  expect(quality.getQualityTier()).toBe('high');
+});
+
+test('the picker\'s choice is saved and outlasts a reload', async () => {
+  const quality = load();
+  const { container } = await quality.mount(
+    <quality.I18nProvider>
+      <quality.QualityPicker />
+    </quality.I18nProvider>
+  );
+  const picker = container.querySelector('select');
+  expect(picker.value).toBe('auto');
+
+  await quality.settle(() => {
+    picker.value = 'medium';
+    picker.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  expect(quality.getQualityTier()).toBe('medium');
+  expect(localStorage.getItem('nexusnext-quality')).toBe('medium');
+
+  const reloaded = load();
+  expect(reloaded.getQualityTier()).toBe('medium');
+  reloaded.setQualityOverride('auto');
+  expect(localStorage.getItem('nexusnext-quality')).toBe('auto');
+  expect(load().getQualityTier()).toBe('high');
+});
+
+test('ignores a saved value it doesn\'t know', () => {
+  localStorage.setItem('nexusnext-quality', 'ultra');
+  expect(load().getQualityTier()).toBe('high');
+});
@@ -0,0 +1,175 @@
+// src/router.js
+// Client-side routing for the public pages (the landing page and /products/<id>)
+// on top of the History API. <Link> navigates without a page load; back/forward
+// re-render the matching route.
+//
+// Scroll restoration is done here rather than by the browser, which would restore
+// before the new route has rendered: every history entry gets a key, its scroll
+// position is remembered under that key (in sessionStorage, so a reload keeps it),
+// and returning to the entry scrolls back there. New entries start at the top, or
+// at their #hash.
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+const STORAGE_KEY = 'nexusnext-scroll';
+
+// "/products/agi/" -> "/products/agi"
+export const normalizePath = (pathname) => pathname.replace(/\/+$/, '') || '/';
+
+// matchPath('/products/:id', '/products/agi') -> { id: 'agi' }; null if it doesn't match
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/');
+  const pathParts = normalizePath(pathname).split('/');
+  if (patternParts.length !== pathParts.length) return null;
+  const params = {};
+  const matches = patternParts.every((part, i) => {
+    if (part.startsWith(':')) {
+      params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+      return true;
+    }
+    return part === pathParts[i];
+  });
+  return matches ? params : null;
+};
+
+const readPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writePositions = (positions) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+  } catch (error) {
+    // Storage disabled; positions still survive back/forward within this page load
+  }
+};
+
+const createKey = () => Math.random().toString(36).slice(2, 10);
+
+// Entries we didn't push (the landing URL, plain #hash links) get a key on first sight
+const currentKey = () => {
+  if (!window.history.state?.key) {
+    window.history.replaceState({ ...window.history.state, key: createKey() }, '');
+  }
+  return window.history.state.key;
+};
+
+const scrollToHash = (hash) => {
+  const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+  if (target) target.scrollIntoView();
+  else window.scrollTo(0, 0);
+};
+
+// Layout effects warn during server rendering; the prerender never scrolls anyway
+const useIsomorphicLayoutEffect = typeof window === 'undefined' ? useEffect : useLayoutEffect;
+
+const RouterContext = createContext(null);
+
+// `location` is the path to render when there is no window (scripts/prerender.js)
+export const Router = ({ location, children }) => {
+  const [pathname, setPathname] = useState(() => normalizePath(location || window.location.pathname));
+  const positions = useRef(null);
+  const renderedPath = useRef(pathname);
+  renderedPath.current = pathname;
+  // What to do once the next route has rendered: { restore: y } or { hash }
+  const pendingScroll = useRef(null);
+
+  const rememberScroll = useCallback(() => {
+    positions.current[currentKey()] = window.scrollY;
+    writePositions(positions.current);
+  }, []);
+
+  useEffect(() => {
+    positions.current = readPositions();
+    if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+    // A reload lands back where the visitor was
+    if (positions.current[currentKey()] !== undefined) window.scrollTo(0, positions.current[currentKey()]);
+
+    const onPopState = () => {
+      const next = normalizePath(window.location.pathname);
+      const saved = positions.current[currentKey()];
+      if (next === renderedPath.current) {
+        // Back/forward between #hash entries of the same page; a new hash jump is left to the browser
+        if (saved !== undefined) window.scrollTo(0, saved);
+        return;
+      }
+      pendingScroll.current = { restore: saved ?? 0 };
+      setPathname(next);
+    };
+    window.addEventListener('popstate', onPopState);
+    window.addEventListener('pagehide', rememberScroll);
+    return () => {
+      window.removeEventListener('popstate', onPopState);
+      window.removeEventListener('pagehide', rememberScroll);
+    };
+  }, [rememberScroll]);
+
+  // popstate has already switched entries, so keep the current one's position up to date
+  useEffect(() => {
+    let frame = null;
+    const onScroll = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        positions.current[currentKey()] = window.scrollY;
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', onScroll);
+      cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  useIsomorphicLayoutEffect(() => {
+    const pending = pendingScroll.current;
+    pendingScroll.current = null;
+    if (!pending) return;
+    if (pending.hash !== undefined) scrollToHash(pending.hash);
+    else window.scrollTo(0, pending.restore);
+  }, [pathname]);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.href);
+    if (url.origin !== window.location.origin) {
+      window.location.assign(url.href);
+      return;
+    }
+    const next = normalizePath(url.pathname);
+    rememberScroll();
+    window.history[replace ? 'replaceState' : 'pushState']({ key: createKey() }, '', `${url.pathname}${url.search}${url.hash}`);
+    if (next === pathname) {
+      // Same page (e.g. "/#join" from "/"): nothing re-renders, just scroll
+      scrollToHash(url.hash);
+      return;
+    }
+    pendingScroll.current = { hash: url.hash };
+    setPathname(next);
+  }, [pathname, rememberScroll]);
+
+  const value = useMemo(() => ({ pathname, navigate }), [pathname, navigate]);
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+export const useRouter = () => useContext(RouterContext);
+
+// <a> that navigates in-app on a plain left click; modified clicks (new tab...) behave as usual
+export const Link = ({ to, onClick, children, ...props }) => {
+  const { navigate } = useRouter();
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  };
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
@@ -0,0 +1,71 @@
+import React from 'react';
+import { DEFAULT_CONTENT } from '@nexusnext/shared/content.mjs';
+import App from './App';
+import { matchPath, normalizePath } from './router';
+import { cleanup, mount, settle } from './testing';
+
+test('normalizes trailing slashes', () => {
+  expect(normalizePath('/products/agi/')).toBe('/products/agi');
+  expect(normalizePath('/')).toBe('/');
+  expect(normalizePath('')).toBe('/');
+});
+
+test('matches route patterns and extracts params', () => {
+  expect(matchPath('/products/:id', '/products/agi')).toEqual({ id: 'agi' });
+  expect(matchPath('/products/:id', '/products/agi/')).toEqual({ id: 'agi' });
+  expect(matchPath('/products/:id', '/products')).toBeNull();
+  expect(matchPath('/products/:id', '/products/agi/extra')).toBeNull();
+  expect(matchPath('/products/:id', '/admin/agi')).toBeNull();
+});
+
+describe('App routes', () => {
+  const [agi, sphere] = ['agi', 'sphere'].map(id => DEFAULT_CONTENT.features.find(feature => feature.id === id));
+
+  // App at `path`, with the content API never answering (the bundled content stays)
+  const mountAt = async (path) => {
+    window.history.replaceState(null, '', path);
+    return (await mount(<App />)).container;
+  };
+
+  beforeEach(() => {
+    global.fetch = jest.fn(() => new Promise(() => {}));
+    window.scrollTo = jest.fn();
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete global.fetch;
+  });
+
+  test('renders a product page for /products/<id>', async () => {
+    for (const path of ['/products/agi', '/products/agi/']) {
+      const page = await mountAt(path);
+      expect(page.querySelector('h1').textContent).toBe(agi.title.en);
+      expect(document.title).toBe(`${agi.title.en} — Nexusnext`);
+    }
+  });
+
+  test('renders the 404 page for unknown paths and products', async () => {
+    for (const path of ['/nope', '/products/nope', '/products/agi/extra', '/products']) {
+      const page = await mountAt(path);
+      expect(page.querySelector('h1').textContent).toBe('Page not found');
+      expect(document.title).toBe('Page not found — Nexusnext');
+    }
+  });
+
+  test('follows links in-app and goes back on popstate', async () => {
+    const page = await mountAt('/nope');
+    const link = [...page.querySelectorAll('a')].find(a => a.getAttribute('href') === `/products/${sphere.id}`);
+
+    await settle(() => link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 })));
+    expect(window.location.pathname).toBe(`/products/${sphere.id}`);
+    expect(page.querySelector('h1').textContent).toBe(sphere.title.en);
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+
+    const popped = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+    window.history.back();
+    await settle(() => popped);
+    expect(window.location.pathname).toBe('/nope');
+    expect(page.querySelector('h1').textContent).toBe('Page not found');
+  });
+});
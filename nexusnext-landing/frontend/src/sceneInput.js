@@ -0,0 +1,217 @@
+// src/sceneInput.js
+// Pointer, touch and device-orientation input for an interactive 3D scene (the hero
+// sphere; see scenes.js). The scene's canvas sits under the hero's text and
+// gradient, so events are read on the window and mapped onto the scene's box.
+//
+// - A mouse or pen over the scene gives its position (parallax, tilt, hover).
+// - Dragging (mouse, pen or a horizontal swipe; vertical swipes still scroll the
+//   page) orbits the scene. A press that doesn't move is a tap.
+// - On phones and tablets, tilting the device stands in for the pointer. iOS only
+//   reports orientation after the visitor allows it from a tap, which TiltButton offers.
+//
+// Nothing is listened to while the scene is still (reduced motion).
+import React, { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useI18n } from './i18n';
+import { useReducedMotion } from './motion';
+
+// Presses starting on these are the page's, not the scene's
+const NOT_DRAGGABLE = 'a, button, input, select, textarea, label, h1, h2, h3, p';
+// Movement (px) before a press counts as a drag rather than a tap
+const DRAG_THRESHOLD = 6;
+// Device tilt (degrees) from the resting position that maps to the edge of the scene
+const TILT_RANGE = 25;
+// How quickly the resting position follows the way the device is held
+const TILT_RECENTER = 0.01;
+
+const clamp = (value) => Math.min(Math.max(value, -1), 1);
+
+// --- device orientation permission ---
+const hasWindow = typeof window !== 'undefined';
+
+// 'unsupported' (no sensor, or not a touch device), 'prompt' (iOS: ask first), 'granted' or 'denied'
+const initialOrientationState = () => {
+  if (!hasWindow || !window.DeviceOrientationEvent || !window.matchMedia?.('(pointer: coarse)').matches) return 'unsupported';
+  return typeof window.DeviceOrientationEvent.requestPermission === 'function' ? 'prompt' : 'granted';
+};
+
+let orientationState = initialOrientationState();
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useOrientationPermission = () =>
+  useSyncExternalStore(subscribe, () => orientationState, () => 'unsupported');
+
+// Must be called from a tap or click (iOS refuses otherwise)
+export const requestOrientationPermission = async () => {
+  try {
+    const result = await window.DeviceOrientationEvent.requestPermission();
+    orientationState = result === 'granted' ? 'granted' : 'denied';
+  } catch (error) {
+    orientationState = 'denied';
+  }
+  listeners.forEach(listener => listener());
+};
+
+// --- input ---
+const createInput = () => {
+  let dragX = 0;
+  let dragY = 0;
+  let taps = [];
+  return {
+    x: 0, // pointer over the scene, -1 (left) to 1 (right)
+    y: 0, // -1 (bottom) to 1 (top)
+    hovering: false, // a mouse or pen is over the scene
+    dragging: false,
+    tiltX: 0, // device tilt, same ranges as x and y
+    tiltY: 0,
+    addDrag: (dx, dy) => {
+      dragX += dx;
+      dragY += dy;
+    },
+    addTap: (x, y) => {
+      taps.push({ x, y });
+    },
+    // Drag distance (px) since the scene last asked
+    takeDrag: () => {
+      const drag = { x: dragX, y: dragY };
+      dragX = dragY = 0;
+      return drag;
+    },
+    // Taps since the scene last asked, at scene coordinates like x and y
+    takeTaps: () => {
+      const pending = taps;
+      taps = [];
+      return pending;
+    },
+  };
+};
+
+const reset = (input) => {
+  Object.assign(input, { x: 0, y: 0, hovering: false, dragging: false, tiltX: 0, tiltY: 0 });
+  input.takeDrag();
+  input.takeTaps();
+};
+
+// Live input for the scene inside `targetRef`, read by the scene every frame.
+// `enabled: false` detaches every listener and zeroes the input.
+export const useSceneInput = (targetRef, enabled) => {
+  const input = useMemo(createInput, []);
+  const orientation = useOrientationPermission();
+
+  useEffect(() => {
+    const element = targetRef.current;
+    if (!enabled || !element) return;
+    let press = null; // { id, x, y, moved }
+
+    // Scene coordinates for a viewport point, or null outside the scene
+    const toScene = (clientX, clientY) => {
+      const rect = element.getBoundingClientRect();
+      if (clientX < rect.left || clientX > rect.right || clientY < rect.top || clientY > rect.bottom) return null;
+      return {
+        x: ((clientX - rect.left) / rect.width) * 2 - 1,
+        y: 1 - ((clientY - rect.top) / rect.height) * 2,
+      };
+    };
+
+    const handleMove = (event) => {
+      if (event.pointerType !== 'touch') {
+        const point = toScene(event.clientX, event.clientY);
+        input.hovering = Boolean(point);
+        if (point) Object.assign(input, point);
+      }
+      if (!press || event.pointerId !== press.id) return;
+      const dx = event.clientX - press.x;
+      const dy = event.clientY - press.y;
+      if (!press.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      press.moved = true;
+      input.dragging = true;
+      input.addDrag(dx, dy);
+      press.x = event.clientX;
+      press.y = event.clientY;
+    };
+
+    const handleDown = (event) => {
+      if (press || event.button !== 0 || event.target.closest?.(NOT_DRAGGABLE)) return;
+      if (!toScene(event.clientX, event.clientY)) return;
+      press = { id: event.pointerId, x: event.clientX, y: event.clientY, moved: false };
+    };
+
+    const handleUp = (event) => {
+      if (!press || event.pointerId !== press.id) return;
+      if (!press.moved && event.type === 'pointerup') {
+        const point = toScene(event.clientX, event.clientY);
+        if (point) input.addTap(point.x, point.y);
+      }
+      press = null;
+      input.dragging = false;
+    };
+
+    // Pointer left the window
+    const handleOut = (event) => {
+      if (!event.relatedTarget) input.hovering = false;
+    };
+
+    window.addEventListener('pointermove', handleMove, { passive: true });
+    window.addEventListener('pointerdown', handleDown, { passive: true });
+    window.addEventListener('pointerup', handleUp, { passive: true });
+    // Also what a vertical swipe ends in, once the browser takes it over for scrolling
+    window.addEventListener('pointercancel', handleUp, { passive: true });
+    document.addEventListener('pointerout', handleOut, { passive: true });
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerdown', handleDown);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+      document.removeEventListener('pointerout', handleOut);
+      reset(input);
+    };
+  }, [input, targetRef, enabled]);
+
+  useEffect(() => {
+    if (!enabled || orientation !== 'granted') return;
+    let rest = null; // { beta, gamma } the device is held at
+
+    const handleOrientation = ({ beta, gamma }) => {
+      if (beta === null || gamma === null) return;
+      if (!rest) rest = { beta, gamma };
+      rest.beta += (beta - rest.beta) * TILT_RECENTER;
+      rest.gamma += (gamma - rest.gamma) * TILT_RECENTER;
+      // beta is front/back and gamma left/right in portrait; swap them when the screen is turned
+      const across = (gamma - rest.gamma) / TILT_RANGE;
+      const along = (beta - rest.beta) / TILT_RANGE;
+      const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+      const [x, y] = angle === 90 ? [along, across] : angle === -90 || angle === 270 ? [-along, -across] : [across, along];
+      input.tiltX = clamp(x);
+      input.tiltY = clamp(y);
+    };
+
+    window.addEventListener('deviceorientation', handleOrientation);
+    return () => {
+      window.removeEventListener('deviceorientation', handleOrientation);
+      input.tiltX = input.tiltY = 0;
+    };
+  }, [input, enabled, orientation]);
+
+  return input;
+};
+
+// "Enable tilt", only where the browser wants permission first (iOS) and motion is on
+export const TiltButton = ({ className = '' }) => {
+  const { t } = useI18n();
+  const state = useOrientationPermission();
+  const reducedMotion = useReducedMotion();
+  if (state !== 'prompt' || reducedMotion) return null;
+  return (
+    <button
+      type="button"
+      onClick={requestOrientationPermission}
+      className={`rounded-full bg-white/10 hover:bg-white/20 text-white text-sm px-4 py-2 border border-white/20 ${className}`}
+    >
+      {t('tilt.enable')}
+    </button>
+  );
+};
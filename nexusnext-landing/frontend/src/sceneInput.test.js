@@ -0,0 +1,256 @@
+import React from 'react';
+
+// The scene's box on screen: 200 x 100 at (100, 100)
+const BOX = { left: 100, top: 100, right: 300, bottom: 200, width: 200, height: 100 };
+
+// jsdom has no PointerEvent; a mouse event with the pointer fields does the same job
+const pointer = (target, type, { x, y, id = 1, pointerType = 'mouse', button = 0 }) => {
+  const event = new MouseEvent(type, { bubbles: true, clientX: x, clientY: y, button });
+  Object.assign(event, { pointerId: id, pointerType });
+  target.dispatchEvent(event);
+};
+
+const tilt = (beta, gamma) => window.dispatchEvent(Object.assign(new Event('deviceorientation'), { beta, gamma }));
+
+// Device stand-ins, read when the module loads: a touch screen and the orientation API
+let coarsePointer;
+let askPermission;
+const setDevice = ({ touch = true, sensor = true, permission = null } = {}) => {
+  coarsePointer = touch;
+  askPermission = permission;
+  if (sensor) window.DeviceOrientationEvent = permission ? { requestPermission: () => askPermission() } : {};
+  else delete window.DeviceOrientationEvent;
+};
+
+// A fresh copy of the module, as on a page load (it checks for the sensor once).
+// React and the helpers come along so its hooks share one React.
+let loaded = [];
+const load = () => {
+  let modules;
+  jest.isolateModules(() => {
+    modules = { ...require('./sceneInput'), ...require('./i18n'), ...require('./testing') };
+  });
+  loaded.push(modules);
+  return modules;
+};
+
+// Mounts a scene using the hook over a headline and the tilt button; returns the
+// live input, the scene's box and the button (if shown)
+const mountScene = async ({ mount, useSceneInput, I18nProvider, TiltButton }, enabled = true) => {
+  const target = { current: null };
+  const result = {};
+  const Scene = ({ enabled: on }) => {
+    result.input = useSceneInput(target, on);
+    return (
+      <div ref={target}>
+        <h1>Headline</h1>
+      </div>
+    );
+  };
+  const view = await mount(
+    <I18nProvider>
+      <Scene enabled={enabled} />
+      <TiltButton />
+    </I18nProvider>
+  );
+  target.current.getBoundingClientRect = () => BOX;
+  return {
+    ...result,
+    box: target.current,
+    headline: target.current.querySelector('h1'),
+    button: () => view.container.querySelector('button'),
+    setEnabled: on => view.update(
+      <I18nProvider>
+        <Scene enabled={on} />
+        <TiltButton />
+      </I18nProvider>
+    ),
+  };
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  setDevice({ touch: false, sensor: false });
+  window.matchMedia = query => ({
+    matches: query === '(pointer: coarse)' && coarsePointer,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+});
+
+afterEach(() => {
+  loaded.forEach(modules => modules.cleanup());
+  loaded = [];
+  delete window.matchMedia;
+  delete window.DeviceOrientationEvent;
+  delete window.screen.orientation;
+  jest.restoreAllMocks();
+});
+
+describe('pointer', () => {
+  test('maps a mouse over the scene to scene coordinates', async () => {
+    const { input, box } = await mountScene(load());
+    pointer(box, 'pointermove', { x: 150, y: 125 });
+    expect(input.hovering).toBe(true);
+    expect(input.x).toBeCloseTo(-0.5);
+    expect(input.y).toBeCloseTo(0.5);
+
+    // Outside the box the last position is kept, without hovering
+    pointer(document.body, 'pointermove', { x: 500, y: 125 });
+    expect(input.hovering).toBe(false);
+    expect(input.x).toBeCloseTo(-0.5);
+
+    pointer(box, 'pointermove', { x: 300, y: 200 });
+    pointer(document, 'pointerout', { x: 300, y: 200 });
+    expect(input.hovering).toBe(false);
+  });
+
+  test('a touch doesn\'t hover', async () => {
+    const { input, box } = await mountScene(load());
+    pointer(box, 'pointermove', { x: 150, y: 125, pointerType: 'touch' });
+    expect(input.hovering).toBe(false);
+    expect(input.x).toBe(0);
+  });
+
+  test('a press that moves is a drag; one that doesn\'t is a tap', async () => {
+    const { input, box } = await mountScene(load());
+    pointer(box, 'pointerdown', { x: 200, y: 150 });
+    pointer(box, 'pointermove', { x: 203, y: 153 });
+    expect(input.dragging).toBe(false);
+    expect(input.takeDrag()).toEqual({ x: 0, y: 0 });
+
+    pointer(box, 'pointermove', { x: 210, y: 150 });
+    expect(input.dragging).toBe(true);
+    pointer(box, 'pointermove', { x: 215, y: 148 });
+    expect(input.takeDrag()).toEqual({ x: 15, y: -2 });
+    expect(input.takeDrag()).toEqual({ x: 0, y: 0 });
+
+    pointer(box, 'pointerup', { x: 215, y: 148 });
+    expect(input.dragging).toBe(false);
+    expect(input.takeTaps()).toEqual([]);
+
+    pointer(box, 'pointerdown', { x: 250, y: 175 });
+    pointer(box, 'pointermove', { x: 252, y: 175 });
+    pointer(box, 'pointerup', { x: 252, y: 175 });
+    expect(input.takeTaps()).toEqual([{ x: expect.closeTo(0.52, 5), y: expect.closeTo(-0.5, 5) }]);
+    expect(input.takeTaps()).toEqual([]);
+  });
+
+  test('a press the browser takes over for scrolling isn\'t a tap', async () => {
+    const { input, box } = await mountScene(load());
+    pointer(box, 'pointerdown', { x: 200, y: 150, pointerType: 'touch' });
+    pointer(box, 'pointercancel', { x: 200, y: 150, pointerType: 'touch' });
+    expect(input.takeTaps()).toEqual([]);
+  });
+
+  test('leaves presses on the page\'s text, other buttons and other pointers alone', async () => {
+    const { input, box, headline } = await mountScene(load());
+    pointer(headline, 'pointerdown', { x: 200, y: 150 });
+    pointer(headline, 'pointermove', { x: 240, y: 150 });
+    pointer(headline, 'pointerup', { x: 240, y: 150 });
+    expect(input.takeDrag()).toEqual({ x: 0, y: 0 });
+    expect(input.takeTaps()).toEqual([]);
+
+    pointer(box, 'pointerdown', { x: 200, y: 150, button: 2 });
+    pointer(box, 'pointerup', { x: 200, y: 150, button: 2 });
+    expect(input.takeTaps()).toEqual([]);
+
+    pointer(box, 'pointerdown', { x: 200, y: 150, id: 1 });
+    pointer(box, 'pointermove', { x: 240, y: 150, id: 2 });
+    expect(input.dragging).toBe(false);
+  });
+
+  test('listens to nothing while disabled, and starts from zero again', async () => {
+    const scene = await mountScene(load());
+    const { input, box } = scene;
+    pointer(box, 'pointermove', { x: 150, y: 125 });
+    pointer(box, 'pointerdown', { x: 150, y: 125 });
+    pointer(box, 'pointermove', { x: 190, y: 125 });
+
+    await scene.setEnabled(false);
+    expect(input).toMatchObject({ x: 0, y: 0, hovering: false, dragging: false });
+    expect(input.takeDrag()).toEqual({ x: 0, y: 0 });
+
+    pointer(box, 'pointermove', { x: 150, y: 125 });
+    expect(input.hovering).toBe(false);
+  });
+});
+
+describe('tilt', () => {
+  test('follows the device\'s tilt away from how it\'s held, up to the edge of the scene', async () => {
+    setDevice();
+    const { input, button } = await mountScene(load());
+    expect(button()).toBeNull();
+
+    tilt(40, 0); // the resting position
+    expect(input.tiltX).toBe(0);
+    expect(input.tiltY).toBe(0);
+
+    tilt(40, 10);
+    expect(input.tiltX).toBeCloseTo(0.396);
+    expect(input.tiltY).toBe(0);
+
+    tilt(90, -60);
+    expect(input.tiltX).toBe(-1);
+    expect(input.tiltY).toBe(1);
+  });
+
+  test('swaps the axes when the screen is turned', async () => {
+    setDevice();
+    window.screen.orientation = { angle: 90 };
+    const { input } = await mountScene(load());
+    tilt(40, 0);
+    tilt(40, 10);
+    expect(input.tiltX).toBe(0);
+    expect(input.tiltY).toBeCloseTo(0.396);
+
+    window.screen.orientation = { angle: 270 };
+    tilt(40, 10);
+    expect(input.tiltY).toBeLessThan(0);
+  });
+
+  test('ignores the sensor without a touch screen, or while disabled', async () => {
+    setDevice({ touch: false });
+    const desktop = await mountScene(load());
+    tilt(40, 0);
+    tilt(40, 10);
+    expect(desktop.input.tiltX).toBe(0);
+
+    setDevice();
+    const still = await mountScene(load(), false);
+    tilt(40, 0);
+    tilt(40, 10);
+    expect(still.input.tiltX).toBe(0);
+  });
+
+  test('where the browser asks first, the button requests it and tilt starts once granted', async () => {
+    setDevice({ permission: async () => 'granted' });
+    const sceneInput = load();
+    const { input, button } = await mountScene(sceneInput);
+    expect(button().textContent).toBe('Enable tilt');
+    tilt(40, 0);
+    tilt(40, 10);
+    expect(input.tiltX).toBe(0);
+
+    await sceneInput.settle(() => button().click());
+    expect(button()).toBeNull();
+    tilt(40, 0);
+    tilt(40, 10);
+    expect(input.tiltX).toBeCloseTo(0.396);
+  });
+
+  test('a refusal, or a failed request, hides the button for good', async () => {
+    setDevice({ permission: async () => 'denied' });
+    const refused = load();
+    const first = await mountScene(refused);
+    await refused.settle(() => first.button().click());
+    expect(first.button()).toBeNull();
+    refused.cleanup();
+
+    setDevice({ permission: async () => { throw new Error('NotAllowedError'); } });
+    const failed = load();
+    const second = await mountScene(failed);
+    await failed.settle(() => second.button().click());
+    expect(second.button()).toBeNull();
+  });
+});
@@ -0,0 +1,398 @@
+// src/sceneManager.js
+// One WebGL context for every Three.js scene on the page (the scenes themselves are
+// in scenes.js). A scene is built once when it mounts and kept until it unmounts:
+//
+// - Each scene renders into its own viewport of the shared drawing buffer (sized for
+//   the largest scene), which is then copied onto a 2D canvas in the scene's
+//   container. The page's layering (overlays, fallbacks) and native scrolling stay
+//   exactly as they were with one canvas per scene.
+// - Scroll progress and the quality tier are live inputs, read when a frame is
+//   drawn rather than passed down as React state, so neither rebuilds anything.
+// - Only scenes on (or just off) screen are drawn, nothing is drawn while the tab
+//   is hidden, and the loop stops altogether when there's nothing to draw. Scenes
+//   in reduced-motion mode are drawn once, then again only when an input changes.
+// - Removing a scene releases every geometry, material and texture it holds, and the
+//   shared drawing buffer shrinks back when the last scene goes.
+//
+// Context loss: the manager stops drawing; each scene's useWebGLScene (webgl.js)
+// shows its fallback and rebuilds the scene here when the context is restored.
+import { useEffect, useRef, useState } from 'react';
+import { getQualitySettings, getQualityTier, pixelRatioFor, sampleFrames, subscribeQuality } from './quality';
+import { markFirstFrame, markSceneInit } from './vitals';
+import { isWebGL2Available, useWebGLScene } from './webgl';
+
+// Scroll distance over which scroll progress goes from 0 to 1
+const SCROLL_RANGE = 800;
+// Start drawing a scene a little before it scrolls into view
+const VISIBILITY_MARGIN = '100px';
+// Draw at most ~60 fps; `step` in update() counts 60 Hz frames
+const FRAME_MS = 1000 / 60;
+const MIN_FRAME_MS = 16;
+// Longer gaps (a scene coming back on screen) move the scenes on by this much at most
+const MAX_STEP_MS = 100;
+
+let threeModule = null;
+let renderer = null;
+let bufferWidth = 0;
+let bufferHeight = 0;
+let contextLost = false;
+
+const scenes = new Set();
+const entriesByElement = new Map();
+let visibilityObserver = null;
+let sizeObserver = null;
+let unsubscribeQuality = null;
+
+let frameId = null;
+let lastFrame = 0;
+let stopSampling = null;
+let appliedTier = null;
+let scroll = 0;
+
+const readScroll = () => Math.min(Math.max(window.scrollY / SCROLL_RANGE, 0), 1);
+
+// --- disposal ---
+const disposeMaterial = (material) => {
+  Object.values(material).forEach(value => {
+    if (value?.isTexture) value.dispose();
+  });
+  material.dispose();
+};
+
+const disposeScene = (scene) => {
+  scene.traverse(object => {
+    object.geometry?.dispose();
+    if (Array.isArray(object.material)) object.material.forEach(disposeMaterial);
+    else if (object.material) disposeMaterial(object.material);
+  });
+};
+
+// --- drawing ---
+const setSampling = (on) => {
+  if (on && !stopSampling) stopSampling = sampleFrames();
+  if (!on && stopSampling) {
+    stopSampling();
+    stopSampling = null;
+  }
+};
+
+const stop = () => {
+  if (frameId !== null) cancelAnimationFrame(frameId);
+  frameId = null;
+  setSampling(false);
+};
+
+// Schedule a frame if there may be something to draw
+const wake = () => {
+  if (frameId !== null || !renderer || contextLost || document.visibilityState === 'hidden') return;
+  lastFrame = 0;
+  frameId = requestAnimationFrame(drawFrame);
+};
+
+// Drawing buffer size in device pixels for a scene at the current quality and resolution scale
+const bufferSizeFor = (entry, pixelRatio) => [
+  Math.max(1, Math.round(entry.width * pixelRatio)),
+  Math.max(1, Math.round(entry.height * pixelRatio)),
+];
+
+const drawScene = (entry, step, pixelRatio) => {
+  const [width, height] = bufferSizeFor(entry, pixelRatio);
+  const { scene, camera, update } = entry.objects;
+  if (entry.canvas.width !== width || entry.canvas.height !== height) {
+    entry.canvas.width = width;
+    entry.canvas.height = height;
+    camera.aspect = entry.width / entry.height;
+    camera.updateProjectionMatrix();
+  }
+
+  update({ step, scroll, input: entry.input });
+
+  // Top-left corner of the shared buffer (WebGL counts from the bottom), so the copy below reads from 0, 0
+  renderer.setViewport(0, bufferHeight - height, width, height);
+  renderer.setScissor(0, bufferHeight - height, width, height);
+  renderer.setClearColor(entry.definition.clearColor, entry.definition.clearAlpha);
+  renderer.render(scene, camera);
+
+  entry.context.globalCompositeOperation = 'copy';
+  entry.context.drawImage(renderer.domElement, 0, 0, width, height, 0, 0, width, height);
+
+  if (!entry.drawn) {
+    entry.drawn = true;
+    markFirstFrame(entry.definition.section);
+  }
+};
+
+const drawFrame = (now) => {
+  frameId = null;
+  if (lastFrame && now - lastFrame < MIN_FRAME_MS) {
+    frameId = requestAnimationFrame(drawFrame);
+    return;
+  }
+  const step = lastFrame ? Math.min(now - lastFrame, MAX_STEP_MS) / FRAME_MS : 0;
+  lastFrame = now;
+
+  // A new tier (from the frame sampler or the picker) is applied to the scenes in place
+  const tier = getQualityTier();
+  const settings = getQualitySettings(tier);
+  if (tier !== appliedTier) {
+    appliedTier = tier;
+    scenes.forEach(entry => {
+      entry.objects.applyQuality(settings);
+      entry.dirty = true;
+    });
+  }
+
+  // The buffer fits the largest scene, on screen or not, so scrolling between them doesn't reallocate it
+  const pixelRatio = pixelRatioFor(settings);
+  let width = 1;
+  let height = 1;
+  scenes.forEach(entry => {
+    const [w, h] = bufferSizeFor(entry, pixelRatio);
+    width = Math.max(width, w);
+    height = Math.max(height, h);
+  });
+  if (width !== bufferWidth || height !== bufferHeight) {
+    bufferWidth = width;
+    bufferHeight = height;
+    renderer.setSize(width, height, false);
+  }
+
+  let animating = false;
+  scenes.forEach(entry => {
+    if (!entry.visible || !(entry.animated || entry.dirty)) return;
+    try {
+      drawScene(entry, entry.animated ? step : 0, pixelRatio);
+    } catch (error) {
+      removeScene(entry);
+      entry.onError?.(error);
+      return;
+    }
+    entry.dirty = false;
+    if (entry.animated) animating = true;
+  });
+
+  // Still scenes were drawn above; the loop (and the frame sampler) only runs for moving ones
+  if (animating) frameId = requestAnimationFrame(drawFrame);
+  setSampling(animating);
+};
+
+// --- page events ---
+const markAllDirty = () => scenes.forEach(entry => {
+  entry.dirty = true;
+});
+
+const handleScroll = () => {
+  const next = readScroll();
+  if (next === scroll) return;
+  scroll = next;
+  markAllDirty();
+  wake();
+};
+
+const handleVisibility = () => {
+  if (document.visibilityState === 'hidden') stop();
+  else wake();
+};
+
+const measure = (entry) => {
+  entry.width = entry.element.clientWidth;
+  entry.height = entry.element.clientHeight;
+  entry.dirty = true;
+};
+
+const handleResize = () => {
+  scenes.forEach(measure);
+  wake();
+};
+
+const handleQualityChange = () => wake();
+
+const startListening = () => {
+  scroll = readScroll();
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  document.addEventListener('visibilitychange', handleVisibility);
+  unsubscribeQuality = subscribeQuality(handleQualityChange);
+  if (window.IntersectionObserver) {
+    visibilityObserver = new IntersectionObserver(records => {
+      records.forEach(record => {
+        const entry = entriesByElement.get(record.target);
+        if (entry) entry.visible = record.isIntersecting;
+      });
+      wake();
+    }, { rootMargin: VISIBILITY_MARGIN });
+  }
+  if (window.ResizeObserver) {
+    sizeObserver = new ResizeObserver(records => {
+      records.forEach(record => {
+        const entry = entriesByElement.get(record.target);
+        if (entry) measure(entry);
+      });
+      wake();
+    });
+  } else {
+    window.addEventListener('resize', handleResize, { passive: true });
+  }
+};
+
+const stopListening = () => {
+  window.removeEventListener('scroll', handleScroll);
+  document.removeEventListener('visibilitychange', handleVisibility);
+  window.removeEventListener('resize', handleResize);
+  unsubscribeQuality?.();
+  visibilityObserver?.disconnect();
+  sizeObserver?.disconnect();
+  unsubscribeQuality = visibilityObserver = sizeObserver = null;
+};
+
+// --- scenes ---
+const getRenderer = async () => {
+  if (!threeModule) threeModule = await import('three');
+  if (!renderer) {
+    const THREE = threeModule;
+    // No MSAA: it can't be switched on a live context, so quality.js supersamples instead.
+    // powerPreference is fixed from the tier in effect when the first scene mounts.
+    renderer = new THREE.WebGLRenderer({
+      alpha: true,
+      antialias: false,
+      powerPreference: getQualitySettings(getQualityTier()).powerPreference,
+    });
+    // Sizes are handled in device pixels (bufferSizeFor)
+    renderer.setPixelRatio(1);
+    renderer.setScissorTest(true);
+    renderer.domElement.addEventListener('webglcontextlost', () => {
+      contextLost = true;
+      stop();
+    });
+    renderer.domElement.addEventListener('webglcontextrestored', () => {
+      contextLost = false;
+    });
+  }
+  return threeModule;
+};
+
+const removeScene = (entry) => {
+  if (!scenes.has(entry)) return;
+  scenes.delete(entry);
+  entriesByElement.delete(entry.element);
+  visibilityObserver?.unobserve(entry.element);
+  sizeObserver?.unobserve(entry.element);
+  entry.canvas.remove();
+  disposeScene(entry.objects.scene);
+
+  if (!scenes.size) {
+    stop();
+    stopListening();
+    // The context stays for the next scene; its drawing buffer doesn't need to
+    bufferWidth = bufferHeight = 1;
+    renderer.setSize(1, 1, false);
+  }
+};
+
+// Build `definition` (see scenes.js) and draw it into `element`. `animated: false`
+// draws still frames; `input` (sceneInput.js) is handed to the scene's update();
+// `onError` is called if the scene throws while drawing (it has been removed by
+// then). Resolves to { contextCanvas, setAnimated, remove }.
+export const addScene = async (element, definition, { animated = true, input = null, onError }) => {
+  const THREE = await getRenderer();
+  const initStart = performance.now();
+  const objects = definition.build(THREE, getQualitySettings(getQualityTier()));
+  markSceneInit(definition.section, initStart);
+
+  const canvas = document.createElement('canvas');
+  canvas.style.display = 'block';
+  canvas.style.width = '100%';
+  canvas.style.height = '100%';
+  element.appendChild(canvas);
+
+  const entry = {
+    element,
+    definition,
+    objects,
+    canvas,
+    context: canvas.getContext('2d'),
+    animated,
+    input,
+    onError,
+    // Until the IntersectionObserver says otherwise (or for good, without one)
+    visible: !window.IntersectionObserver,
+    dirty: true,
+    drawn: false,
+    width: 0,
+    height: 0,
+  };
+  if (!scenes.size) startListening();
+  scenes.add(entry);
+  entriesByElement.set(element, entry);
+  measure(entry);
+  visibilityObserver?.observe(element);
+  sizeObserver?.observe(element);
+  wake();
+
+  return {
+    contextCanvas: renderer.domElement,
+    setAnimated: (value) => {
+      entry.animated = value;
+      entry.dirty = true;
+      wake();
+    },
+    remove: () => removeScene(entry),
+  };
+};
+
+// A managed scene for a React component: attach `mountRef` to the scene's container.
+// status is useWebGLScene's ('webgl' | 'lost' | 'fallback'); isLoaded turns true once
+// the scene is built. Switching reducedMotion pauses or resumes it without a rebuild.
+// Interactive scenes pass their input (useSceneInput) along with its ref.
+export const useManagedScene = (definition, reducedMotion, { mountRef: ownRef, input = null } = {}) => {
+  const localRef = useRef(null);
+  const mountRef = ownRef || localRef;
+  const inputRef = useRef(input);
+  inputRef.current = input;
+  const handleRef = useRef(null);
+  const animatedRef = useRef(!reducedMotion);
+  animatedRef.current = !reducedMotion;
+  const [isLoaded, setIsLoaded] = useState(false);
+  const { status, generation, showFallback, watchContext } = useWebGLScene(definition.section);
+  const fallback = status === 'fallback';
+
+  useEffect(() => {
+    if (fallback) return;
+    if (!isWebGL2Available()) {
+      showFallback('no WebGL 2');
+      return;
+    }
+    let active = true;
+    let unwatchContext = () => {};
+
+    addScene(mountRef.current, definition, {
+      animated: animatedRef.current,
+      input: inputRef.current,
+      onError: (error) => showFallback('error', error),
+    })
+      .then(handle => {
+        if (!active) {
+          handle.remove();
+          return;
+        }
+        handleRef.current = handle;
+        unwatchContext = watchContext(handle.contextCanvas);
+        setIsLoaded(true);
+      })
+      .catch(error => {
+        if (active) showFallback('error', error);
+      });
+
+    return () => {
+      active = false;
+      unwatchContext();
+      handleRef.current?.remove();
+      handleRef.current = null;
+    };
+  }, [definition, mountRef, fallback, generation, showFallback, watchContext]);
+
+  useEffect(() => {
+    handleRef.current?.setAnimated(!reducedMotion);
+  }, [reducedMotion]);
+
+  return { mountRef, status, isLoaded };
+};
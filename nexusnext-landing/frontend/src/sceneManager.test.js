@@ -0,0 +1,306 @@
+import React from 'react';
+import { markFirstFrame, markSceneFallback } from './vitals';
+
+jest.mock('./vitals');
+
+// jsdom has no WebGL: a stand-in renderer, so three itself is never loaded
+const mockRenderers = [];
+jest.mock('three', () => ({
+  WebGLRenderer: class {
+    constructor(options) {
+      this.options = options;
+      this.domElement = global.document.createElement('canvas');
+      ['setPixelRatio', 'setScissorTest', 'setSize', 'setViewport', 'setScissor', 'setClearColor', 'render']
+        .forEach((method) => { this[method] = jest.fn(); });
+      mockRenderers.push(this);
+    }
+  },
+}), { virtual: true });
+
+const renderer = () => mockRenderers[mockRenderers.length - 1];
+
+// Frames are run by hand: requestAnimationFrame queues, frame() runs what's queued.
+// As in a browser, a callback cancelled during the frame doesn't run.
+let now;
+let queued;
+let due;
+let nextId;
+const frame = (ms = 1000 / 60) => {
+  now += ms;
+  due = queued;
+  queued = new Map();
+  due.forEach(callback => callback(now));
+};
+const frameQueued = () => queued.size > 0;
+
+// A scene definition (see scenes.js) whose objects record what's done to them
+const fakeScene = (section = 'hero') => {
+  const texture = { isTexture: true, dispose: jest.fn() };
+  const mesh = { geometry: { dispose: jest.fn() }, material: { map: texture, dispose: jest.fn() } };
+  const objects = {
+    scene: { traverse: (visit) => [mesh].forEach(visit) },
+    camera: { aspect: 1, updateProjectionMatrix: jest.fn() },
+    update: jest.fn(),
+    applyQuality: jest.fn(),
+  };
+  return { section, clearColor: 0x000000, clearAlpha: 0, build: jest.fn(() => objects), objects, mesh, texture };
+};
+
+const sceneElement = (width = 400, height = 300) => {
+  const element = document.body.appendChild(document.createElement('div'));
+  Object.defineProperty(element, 'clientWidth', { value: width });
+  Object.defineProperty(element, 'clientHeight', { value: height });
+  return element;
+};
+
+const setVisibility = (state) => {
+  Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+// A fresh copy of the manager (it keeps one renderer and its scenes per page) and
+// of the modules it shares state with. Its scenes are removed after each test, or
+// they'd go on listening to the page.
+let loaded = [];
+let added = [];
+const load = () => {
+  let modules;
+  jest.isolateModules(() => {
+    modules = { ...require('./sceneManager'), ...require('./quality'), ...require('./testing') };
+  });
+  const { addScene } = modules;
+  modules.addScene = async (...args) => {
+    const handle = await addScene(...args);
+    added.push(handle);
+    return handle;
+  };
+  loaded.push(modules);
+  return modules;
+};
+
+const context2d = { drawImage: jest.fn() };
+
+beforeEach(() => {
+  localStorage.clear();
+  mockRenderers.length = 0;
+  now = 0;
+  queued = new Map();
+  due = new Map();
+  nextId = 1;
+  window.requestAnimationFrame = jest.fn((callback) => {
+    queued.set(nextId, callback);
+    return nextId++;
+  });
+  window.cancelAnimationFrame = jest.fn((id) => {
+    queued.delete(id);
+    due.delete(id);
+  });
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+  // 'high' to start with: 1.5x supersampling at a device pixel ratio of 1
+  Object.defineProperty(window, 'innerWidth', { value: 1280, configurable: true });
+  Object.defineProperty(navigator, 'hardwareConcurrency', { value: 8, configurable: true });
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(type => (type === '2d' ? context2d : {}));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  setVisibility('visible');
+});
+
+afterEach(() => {
+  added.forEach(handle => handle.remove());
+  added = [];
+  loaded.forEach(modules => modules.cleanup());
+  loaded = [];
+  jest.restoreAllMocks();
+  delete window.scrollY;
+  delete window.IntersectionObserver;
+});
+
+describe('addScene', () => {
+  test('builds a scene once and draws it into its own canvas', async () => {
+    const { addScene, getQualitySettings } = load();
+    const hero = fakeScene('hero');
+    const element = sceneElement();
+    await addScene(element, hero, { animated: false });
+
+    expect(hero.build).toHaveBeenCalledTimes(1);
+    expect(hero.build).toHaveBeenCalledWith(expect.anything(), getQualitySettings('high'));
+    const canvas = element.querySelector('canvas');
+    expect(canvas).not.toBeNull();
+
+    frame();
+    expect(canvas.width).toBe(600);
+    expect(canvas.height).toBe(450);
+    expect(hero.objects.update).toHaveBeenCalledWith({ step: 0, scroll: 0, input: null });
+    expect(renderer().render).toHaveBeenCalledWith(hero.objects.scene, hero.objects.camera);
+    expect(context2d.drawImage).toHaveBeenCalledWith(renderer().domElement, 0, 0, 600, 450, 0, 0, 600, 450);
+    expect(markFirstFrame).toHaveBeenCalledWith('hero');
+  });
+
+  test('shares one renderer, sized for the largest scene', async () => {
+    const { addScene } = load();
+    await addScene(sceneElement(400, 300), fakeScene('hero'), {});
+    await addScene(sceneElement(200, 500), fakeScene('dna'), {});
+    frame();
+    expect(mockRenderers).toHaveLength(1);
+    expect(renderer().setSize).toHaveBeenLastCalledWith(600, 750, false);
+  });
+
+  test('animated scenes keep drawing; still ones draw once, then again only when an input changes', async () => {
+    const { addScene } = load();
+    const hero = fakeScene();
+    const handle = await addScene(sceneElement(), hero, { animated: false });
+    frame();
+    expect(frameQueued()).toBe(false);
+
+    window.scrollY = 400;
+    window.dispatchEvent(new Event('scroll'));
+    frame();
+    expect(hero.objects.update).toHaveBeenLastCalledWith({ step: 0, scroll: 0.5, input: null });
+    expect(frameQueued()).toBe(false);
+
+    handle.setAnimated(true);
+    frame();
+    frame();
+    expect(hero.objects.update).toHaveBeenLastCalledWith({ step: expect.closeTo(1, 5), scroll: 0.5, input: null });
+    expect(frameQueued()).toBe(true);
+  });
+
+  test('applies a new quality tier to the scenes in place', async () => {
+    const { addScene, getQualitySettings, setQualityOverride } = load();
+    const hero = fakeScene();
+    await addScene(sceneElement(), hero, { animated: false });
+    frame();
+
+    setQualityOverride('low');
+    frame();
+    expect(hero.objects.applyQuality).toHaveBeenLastCalledWith(getQualitySettings('low'));
+    expect(hero.build).toHaveBeenCalledTimes(1);
+    expect(hero.objects.update).toHaveBeenCalledTimes(2);
+  });
+
+  test('draws nothing while the tab is hidden or the context is lost', async () => {
+    const { addScene } = load();
+    const hero = fakeScene();
+    await addScene(sceneElement(), hero, {});
+    frame();
+
+    setVisibility('hidden');
+    expect(frameQueued()).toBe(false);
+    setVisibility('visible');
+    expect(frameQueued()).toBe(true);
+
+    renderer().domElement.dispatchEvent(new Event('webglcontextlost'));
+    expect(frameQueued()).toBe(false);
+    setVisibility('visible');
+    expect(frameQueued()).toBe(false);
+  });
+
+  test('skips scenes that are off screen', async () => {
+    let observe;
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        observe = callback;
+      }
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    const { addScene } = load();
+    const hero = fakeScene();
+    const element = sceneElement();
+    await addScene(element, hero, { animated: false });
+    frame();
+    expect(hero.objects.update).not.toHaveBeenCalled();
+
+    observe([{ target: element, isIntersecting: true }]);
+    frame();
+    expect(hero.objects.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('releases everything a scene holds when it is removed', async () => {
+    const { addScene } = load();
+    const hero = fakeScene();
+    const element = sceneElement();
+    const handle = await addScene(element, hero, {});
+    frame();
+
+    handle.remove();
+    expect(element.querySelector('canvas')).toBeNull();
+    expect(hero.mesh.geometry.dispose).toHaveBeenCalled();
+    expect(hero.mesh.material.dispose).toHaveBeenCalled();
+    expect(hero.texture.dispose).toHaveBeenCalled();
+    expect(renderer().setSize).toHaveBeenLastCalledWith(1, 1, false);
+    expect(frameQueued()).toBe(false);
+  });
+
+  test('removes a scene that throws while drawing, and reports it', async () => {
+    const { addScene } = load();
+    const hero = fakeScene();
+    const error = new Error('shader failed');
+    hero.objects.update.mockImplementation(() => {
+      throw error;
+    });
+    const onError = jest.fn();
+    const element = sceneElement();
+    await addScene(element, hero, { onError });
+    frame();
+
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(element.querySelector('canvas')).toBeNull();
+  });
+});
+
+describe('useManagedScene', () => {
+  // The scene component pattern from App.js, reporting what the hook returns
+  let state;
+  const sceneComponent = (manager, definition) => ({ reducedMotion }) => {
+    const { mountRef, status, isLoaded } = manager.useManagedScene(definition, reducedMotion);
+    state = { status, isLoaded };
+    return <div ref={mountRef} />;
+  };
+
+  test('adds the scene on mount, pauses it without a rebuild, and removes it on unmount', async () => {
+    HTMLCanvasElement.prototype.getContext.mockImplementation(type => (type === '2d' ? context2d : { getExtension: () => null }));
+    const manager = load();
+    const hero = fakeScene();
+    const Scene = sceneComponent(manager, hero);
+    const { container, update, unmount } = await manager.mount(<Scene reducedMotion={false} />);
+    expect(state).toEqual({ status: 'webgl', isLoaded: true });
+    frame();
+    expect(frameQueued()).toBe(true);
+
+    await update(<Scene reducedMotion />);
+    frame();
+    expect(frameQueued()).toBe(false);
+    expect(hero.build).toHaveBeenCalledTimes(1);
+
+    unmount();
+    expect(container.querySelector('canvas')).toBeNull();
+    expect(hero.mesh.geometry.dispose).toHaveBeenCalled();
+  });
+
+  test('shows the fallback without WebGL 2', async () => {
+    HTMLCanvasElement.prototype.getContext.mockReturnValue(null);
+    const manager = load();
+    const hero = fakeScene();
+    const Scene = sceneComponent(manager, hero);
+    await manager.mount(<Scene reducedMotion={false} />);
+
+    expect(state).toEqual({ status: 'fallback', isLoaded: false });
+    expect(markSceneFallback).toHaveBeenCalledWith('hero');
+    expect(hero.build).not.toHaveBeenCalled();
+  });
+
+  test('shows the fallback when the scene fails to build', async () => {
+    HTMLCanvasElement.prototype.getContext.mockImplementation(type => (type === '2d' ? context2d : { getExtension: () => null }));
+    const manager = load();
+    const hero = fakeScene();
+    hero.build.mockImplementation(() => {
+      throw new Error('out of memory');
+    });
+    const Scene = sceneComponent(manager, hero);
+    await manager.mount(<Scene reducedMotion={false} />);
+
+    expect(state.status).toBe('fallback');
+    expect(markSceneFallback).toHaveBeenCalledWith('hero');
+  });
+});
@@ -0,0 +1,453 @@
+// src/scenes.js
+// The Three.js scenes on the landing page, as definitions for the scene manager
+// (sceneManager.js). build() creates a scene's objects once, at the quality tier in
+// effect; update() moves them each frame from the live inputs; applyQuality()
+// adapts them to a new tier in place. Disposal is the manager's job: whatever
+// hangs off `scene` when it's removed gets released.
+//
+// update({ step, scroll, input }): `step` is the time since the last frame in 60 Hz
+// frames (0 for the single still frame drawn in reduced-motion mode), `scroll` the
+// scroll progress from 0 to 1, `input` the pointer/tilt state for interactive
+// scenes (sceneInput.js), otherwise null.
+import { getQualitySettings } from './quality';
+
+const SPHERE_RADIUS = 2.8;
+
+// Hero interaction
+const PARALLAX_EASE = 0.08; // share of the way to the pointer covered per frame
+const DRAG_SPEED = 0.005; // radians per pixel dragged
+const ORBIT_FRICTION = 0.95; // spin kept per frame after a drag is released
+const MAX_ORBIT_TILT = 1.2;
+const HOVER_RADIUS = 0.6; // glow around the hovered point, in scene units along the surface
+const MAX_RIPPLES = 4;
+const RIPPLE_SPEED = 2.4; // scene units per second
+const RIPPLE_LIFE = 1.6; // seconds
+const RIPPLE_INTERVAL = 0.5; // seconds between ripples while hovering
+const RIPPLE_MOVE = 0.4; // ...and distance the hover point must move
+
+// Added to the wireframe edges' shader: a glow where the pointer is over the sphere
+// and rings spreading from it along the surface. Distances are taken along the
+// sphere in its own space, so the effects turn with it.
+const RIPPLE_GLSL = `
+uniform float uEffects;
+uniform float uTime;
+uniform float uHover;
+uniform vec3 uHoverPoint;
+uniform vec3 uRippleOrigins[${MAX_RIPPLES}];
+uniform float uRippleStarts[${MAX_RIPPLES}];
+varying vec3 vSurfacePosition;
+
+float surfaceDistance(vec3 a, vec3 b) {
+  return acos(clamp(dot(normalize(a), normalize(b)), -1.0, 1.0)) * ${SPHERE_RADIUS.toFixed(1)};
+}
+
+vec4 rippleGlow() {
+  if (uEffects == 0.0) return vec4(0.0);
+  float hoverDistance = surfaceDistance(vSurfacePosition, uHoverPoint) / ${HOVER_RADIUS.toFixed(1)};
+  float glow = uHover * exp(-hoverDistance * hoverDistance);
+  for (int i = 0; i < ${MAX_RIPPLES}; i++) {
+    float age = uTime - uRippleStarts[i];
+    if (age < 0.0 || age > ${RIPPLE_LIFE.toFixed(1)}) continue;
+    float ring = surfaceDistance(vSurfacePosition, uRippleOrigins[i]) - age * ${RIPPLE_SPEED.toFixed(1)};
+    glow += exp(-ring * ring * 20.0) * (1.0 - age / ${RIPPLE_LIFE.toFixed(1)});
+  }
+  return vec4(vec3(0.55, 1.0, 1.0) * glow, glow * 0.6);
+}
+`;
+
+// Added to the particles' shader: particles near the pointer on screen grow and brighten
+const HIGHLIGHT_VERTEX_GLSL = `
+uniform vec2 uPointer;
+uniform float uHighlight;
+uniform float uAspect;
+varying float vHighlight;
+`;
+const HIGHLIGHT_FRAGMENT_GLSL = `
+varying float vHighlight;
+`;
+
+// Hero: wireframe sphere in a field of particles. Follows the pointer (or the
+// device's tilt) with parallax, orbits when dragged, and lights up where hovered.
+export const heroScene = {
+  section: 'hero',
+  clearColor: 0x0a1323,
+  clearAlpha: 1,
+  build: (THREE, settings) => {
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+    camera.position.z = 7;
+
+    // Create sphere
+    let segments = settings.sphereSegments;
+    const geometry = new THREE.SphereGeometry(SPHERE_RADIUS, segments, segments);
+
+    const material = new THREE.MeshPhysicalMaterial({
+      color: 0x83cafe,
+      emissive: 0x0ff1ff,
+      emissiveIntensity: 0.7,
+      roughness: 0.15,
+      metalness: 0.6,
+      transparent: true,
+      opacity: 0.7,
+      wireframe: true,
+    });
+
+    const sphere = new THREE.Mesh(geometry, material);
+
+    // Nested so each motion has its own rotation: tilt (pointer) > orbit (drag) > sphere (its own spin)
+    const tilt = new THREE.Group();
+    const orbit = new THREE.Group();
+    tilt.add(orbit);
+    orbit.add(sphere);
+    scene.add(tilt);
+
+    // Add wireframe edges
+    const edgesMaterial = new THREE.LineBasicMaterial({
+      color: 0x00fff9,
+      opacity: 0.38,
+      transparent: true,
+    });
+    const rippleUniforms = {
+      uEffects: { value: settings.hoverEffects ? 1 : 0 },
+      uTime: { value: 0 },
+      uHover: { value: 0 },
+      uHoverPoint: { value: new THREE.Vector3(0, 0, SPHERE_RADIUS) },
+      uRippleOrigins: { value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector3(0, 0, SPHERE_RADIUS)) },
+      uRippleStarts: { value: new Array(MAX_RIPPLES).fill(-RIPPLE_LIFE) },
+    };
+    edgesMaterial.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, rippleUniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('void main() {', 'varying vec3 vSurfacePosition;\nvoid main() {')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\n  vSurfacePosition = position;');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('void main() {', `${RIPPLE_GLSL}\nvoid main() {`)
+        .replace('#include <color_fragment>', '#include <color_fragment>\n  diffuseColor += rippleGlow();');
+    };
+    const wireframe = new THREE.LineSegments(new THREE.EdgesGeometry(geometry), edgesMaterial);
+    sphere.add(wireframe);
+
+    // Create particles: enough for the highest tier, drawing only this tier's share
+    const maxParticles = getQualitySettings('high').particleCount;
+    const particlesGeometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(maxParticles * 3);
+    const colors = new Float32Array(maxParticles * 3);
+
+    for (let i = 0; i < maxParticles; i++) {
+      const i3 = i * 3;
+      const radius = 5 + Math.random() * 13;
+      const theta = Math.random() * Math.PI * 2;
+      const phi = Math.acos(2 * Math.random() - 1);
+
+      positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+      positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+      positions[i3 + 2] = radius * Math.cos(phi);
+
+      const intensity = 0.7 + Math.random() * 0.3;
+      colors[i3] = 0.1 * intensity;
+      colors[i3 + 1] = 0.6 + Math.random() * 0.2;
+      colors[i3 + 2] = intensity;
+    }
+
+    particlesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    particlesGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    particlesGeometry.setDrawRange(0, settings.particleCount);
+
+    const particlesMaterial = new THREE.PointsMaterial({
+      size: settings.particleSize,
+      transparent: true,
+      opacity: 0.45,
+      vertexColors: true,
+      blending: THREE.AdditiveBlending,
+    });
+    const highlightUniforms = {
+      uPointer: { value: new THREE.Vector2() },
+      uHighlight: { value: 0 },
+      uAspect: { value: 1 },
+    };
+    particlesMaterial.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, highlightUniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('void main() {', `${HIGHLIGHT_VERTEX_GLSL}\nvoid main() {`)
+        .replace('#include <fog_vertex>', `#include <fog_vertex>
+  vec2 onScreen = gl_Position.xy / gl_Position.w;
+  vHighlight = uHighlight * (1.0 - smoothstep(0.05, 0.3, length((onScreen - uPointer) * vec2(uAspect, 1.0))));
+  gl_PointSize *= 1.0 + 1.5 * vHighlight;`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('void main() {', `${HIGHLIGHT_FRAGMENT_GLSL}\nvoid main() {`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+  diffuseColor.rgb = mix(diffuseColor.rgb, vec3(0.75, 0.95, 1.0), vHighlight * 0.7);
+  diffuseColor.a = min(1.0, diffuseColor.a + vHighlight * 0.5);`);
+    };
+
+    const particles = new THREE.Points(particlesGeometry, particlesMaterial);
+    scene.add(particles);
+
+    // Lighting
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+
+    let time = 0;
+    let seconds = 0;
+    let hoverEffects = settings.hoverEffects;
+
+    // Interaction state: eased pointer position, orbit spin, and the ripple ring buffer
+    const look = { x: 0, y: 0 };
+    const spin = { x: 0, y: 0 };
+    const raycaster = new THREE.Raycaster();
+    const bounds = new THREE.Sphere(new THREE.Vector3(), SPHERE_RADIUS);
+    const toSphere = new THREE.Matrix4();
+    const ray = new THREE.Ray();
+    const hit = new THREE.Vector3();
+    const lastRipple = { at: -Infinity, point: new THREE.Vector3() };
+    let nextRipple = 0;
+
+    // Where a pointer at scene coordinates (x, y) meets the sphere, in the sphere's own space
+    const pick = (x, y) => {
+      camera.updateMatrixWorld();
+      raycaster.setFromCamera({ x, y }, camera);
+      scene.updateMatrixWorld();
+      toSphere.copy(sphere.matrixWorld).invert();
+      return ray.copy(raycaster.ray).applyMatrix4(toSphere).intersectSphere(bounds, hit);
+    };
+
+    const startRipple = (point) => {
+      rippleUniforms.uRippleOrigins.value[nextRipple].copy(point);
+      rippleUniforms.uRippleStarts.value[nextRipple] = seconds;
+      nextRipple = (nextRipple + 1) % MAX_RIPPLES;
+      lastRipple.at = seconds;
+      lastRipple.point.copy(point);
+    };
+
+    const interact = (input, step) => {
+      const ease = 1 - Math.pow(1 - PARALLAX_EASE, step);
+
+      // Parallax and tilt: follow the mouse over the scene, or the device's tilt
+      const aimX = input.hovering ? input.x : input.tiltX;
+      const aimY = input.hovering ? input.y : input.tiltY;
+      look.x += (aimX - look.x) * ease;
+      look.y += (aimY - look.y) * ease;
+      camera.position.x = look.x * 0.8;
+      camera.position.y = look.y * 0.5;
+      camera.lookAt(0, 0, 0);
+      tilt.rotation.y = look.x * 0.35;
+      tilt.rotation.x = -look.y * 0.25;
+
+      // Drag to orbit; let go and it coasts to a stop
+      const drag = input.takeDrag();
+      orbit.rotation.y += drag.x * DRAG_SPEED;
+      orbit.rotation.x = Math.min(Math.max(orbit.rotation.x + drag.y * DRAG_SPEED, -MAX_ORBIT_TILT), MAX_ORBIT_TILT);
+      if (input.dragging) {
+        spin.x = (drag.y * DRAG_SPEED) / Math.max(step, 1);
+        spin.y = (drag.x * DRAG_SPEED) / Math.max(step, 1);
+      } else {
+        orbit.rotation.y += spin.y * step;
+        orbit.rotation.x = Math.min(Math.max(orbit.rotation.x + spin.x * step, -MAX_ORBIT_TILT), MAX_ORBIT_TILT);
+        const friction = Math.pow(ORBIT_FRICTION, step);
+        spin.x *= friction;
+        spin.y *= friction;
+      }
+
+      // Hover highlight and ripples (not on the low tier)
+      const taps = input.takeTaps();
+      if (!hoverEffects) return;
+      const point = input.hovering && !input.dragging ? pick(input.x, input.y) : null;
+      if (point) {
+        rippleUniforms.uHoverPoint.value.copy(point);
+        if (seconds - lastRipple.at > RIPPLE_INTERVAL && point.distanceTo(lastRipple.point) > RIPPLE_MOVE) startRipple(point);
+      }
+      taps.forEach(tap => {
+        const tapped = pick(tap.x, tap.y);
+        if (tapped) startRipple(tapped);
+      });
+      rippleUniforms.uHover.value += ((point ? 1 : 0) - rippleUniforms.uHover.value) * ease;
+      highlightUniforms.uHighlight.value += ((input.hovering ? 1 : 0) - highlightUniforms.uHighlight.value) * ease;
+      highlightUniforms.uPointer.value.set(input.x, input.y);
+      highlightUniforms.uAspect.value = camera.aspect;
+    };
+
+    return {
+      scene,
+      camera,
+      update: ({ step, scroll, input }) => {
+        time += 0.009 * step;
+        seconds += step / 60;
+        rippleUniforms.uTime.value = seconds;
+
+        // Rotation
+        sphere.rotation.y += (0.004 + scroll * 0.01) * step;
+        sphere.rotation.x += (0.002 + scroll * 0.003) * step;
+        particles.rotation.y -= (0.001 + scroll * 0.003) * step;
+        particles.rotation.x += Math.sin(time * 0.5) * 0.0008 * step;
+
+        // Opacity based on scroll
+        const sOpacity = Math.max(0.2, 1 - scroll * 0.8);
+        material.opacity = sOpacity;
+        edgesMaterial.opacity = sOpacity * 0.6;
+        particlesMaterial.opacity = sOpacity * 0.45;
+
+        // Pulsing scale
+        sphere.scale.setScalar(1 + Math.sin(time * 2) * 0.05 * (1 - scroll * 0.5));
+
+        if (input) interact(input, step);
+      },
+      // Swap the sphere's geometry if its detail changed; the old one is detached, so it's released here
+      applyQuality: (next) => {
+        if (next.sphereSegments !== segments) {
+          segments = next.sphereSegments;
+          const previous = [sphere.geometry, wireframe.geometry];
+          sphere.geometry = new THREE.SphereGeometry(SPHERE_RADIUS, segments, segments);
+          wireframe.geometry = new THREE.EdgesGeometry(sphere.geometry);
+          previous.forEach(old => old.dispose());
+        }
+        particlesGeometry.setDrawRange(0, next.particleCount);
+        particlesMaterial.size = next.particleSize;
+
+        hoverEffects = next.hoverEffects;
+        rippleUniforms.uEffects.value = hoverEffects ? 1 : 0;
+        if (!hoverEffects) highlightUniforms.uHighlight.value = 0;
+      },
+    };
+  },
+};
+
+// DNA section: double helix with rungs, in a slower particle field
+export const dnaScene = {
+  section: 'dna',
+  clearColor: 0x0a1323,
+  clearAlpha: 0,
+  build: (THREE, settings) => {
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(65, 1, 0.1, 1000);
+    camera.position.z = 8;
+
+    // DNA helix parameters
+    const helixGroup = new THREE.Group();
+    const segments = 120;
+    const radius = 2.6;
+    const verticalHeight = 7.6;
+
+    // Create strand points
+    const strand1Points = [];
+    const strand2Points = [];
+
+    for (let i = 0; i < segments; i++) {
+      const t = i / (segments - 1);
+      const angle = t * Math.PI * 10;
+      const y = (t - 0.5) * verticalHeight;
+
+      strand1Points.push(new THREE.Vector3(Math.cos(angle) * radius, y, Math.sin(angle) * radius));
+      strand2Points.push(new THREE.Vector3(Math.cos(angle + Math.PI) * radius, y, Math.sin(angle + Math.PI) * radius));
+    }
+
+    // Create curves and tubes
+    const curve1 = new THREE.CatmullRomCurve3(strand1Points);
+    const curve2 = new THREE.CatmullRomCurve3(strand2Points);
+
+    const mat1 = new THREE.MeshBasicMaterial({
+      color: 0x2fd3f7,
+      transparent: true,
+      opacity: 0.7,
+    });
+
+    const mat2 = new THREE.MeshBasicMaterial({
+      color: 0xc084fc,
+      transparent: true,
+      opacity: 0.65,
+    });
+
+    helixGroup.add(
+      new THREE.Mesh(new THREE.TubeGeometry(curve1, segments, 0.08, 6, false), mat1),
+      new THREE.Mesh(new THREE.TubeGeometry(curve2, segments, 0.08, 6, false), mat2)
+    );
+
+    // Add rungs
+    for (let i = 0; i < segments; i += 20) {
+      const t = i / (segments - 1);
+      const angle = t * Math.PI * 10;
+      const y = (t - 0.5) * verticalHeight;
+
+      const rung = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.03, 0.03, radius * 2, 4),
+        new THREE.MeshBasicMaterial({
+          color: 0xffe084,
+          transparent: true,
+          opacity: 0.5,
+        })
+      );
+      rung.position.y = y;
+      rung.rotation.y = angle;
+      rung.rotation.z = Math.PI / 2;
+
+      helixGroup.add(rung);
+    }
+
+    scene.add(helixGroup);
+
+    // Create particles: enough for the highest tier, drawing only this tier's share
+    const particleCount = getQualitySettings('high').dnaParticleCount;
+    const particlesGeometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(particleCount * 3);
+    const colors = new Float32Array(particleCount * 3);
+
+    for (let i = 0; i < particleCount; i++) {
+      const i3 = i * 3;
+      const rad = 6.5 + Math.random() * 4;
+      const phi = Math.random() * Math.PI;
+      const theta = Math.random() * 2 * Math.PI;
+
+      positions[i3] = Math.sin(phi) * Math.cos(theta) * rad;
+      positions[i3 + 1] = (Math.random() - 0.5) * verticalHeight;
+      positions[i3 + 2] = Math.sin(phi) * Math.sin(theta) * rad;
+
+      colors[i3 + 0] = 0.3 + 0.7 * Math.random();
+      colors[i3 + 1] = 0.7 + 0.3 * Math.random();
+      colors[i3 + 2] = 1.0;
+    }
+
+    particlesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    particlesGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    particlesGeometry.setDrawRange(0, settings.dnaParticleCount);
+
+    const particlesMaterial = new THREE.PointsMaterial({
+      size: 0.11,
+      transparent: true,
+      opacity: 0.4,
+      vertexColors: true,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const particles = new THREE.Points(particlesGeometry, particlesMaterial);
+    scene.add(particles);
+
+    // Lighting
+    scene.add(new THREE.AmbientLight(0xffffff, 0.54));
+
+    let time = 0;
+
+    return {
+      scene,
+      camera,
+      update: ({ step, scroll }) => {
+        time += 0.011 * step;
+
+        // Rotate helix
+        helixGroup.rotation.y = time * 0.35;
+        helixGroup.rotation.x = 0.32 * Math.sin(time * 0.32);
+
+        // Pulsing effect
+        helixGroup.scale.setScalar(1.0 + 0.08 * Math.sin(time * 2.5));
+
+        // Rotate particles
+        particles.rotation.y += 0.003 * step;
+
+        // Opacity based on scroll
+        mat1.opacity = 0.65 + 0.25 * scroll;
+        mat2.opacity = 0.62 + 0.28 * scroll;
+        particlesMaterial.opacity = 0.3 + 0.4 * scroll;
+      },
+      applyQuality: (next) => {
+        particlesGeometry.setDrawRange(0, next.dnaParticleCount);
+      },
+    };
+  },
+};
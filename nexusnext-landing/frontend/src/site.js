@@ -0,0 +1,45 @@
+// src/site.js
+// What the landing page says about itself to search engines and link unfurlers
+// (X, LinkedIn, Discord...). scripts/prerender.js turns pagesFor(content) into
+// <head> tags, JSON-LD and sitemap.xml at build time.
+import { config } from './config';
+import { DEFAULT_CONTENT, localize } from '@nexusnext/shared/content.mjs';
+
+export const SITE_NAME = 'Nexusnext';
+
+// `image` is relative to the site root (public/)
+export const HOME_PAGE = {
+  path: '/',
+  title: 'Nexusnext — where human potential meets AI innovation',
+  description: "Join the Nexusnext waitlist: connecting people, ideas and technology through Nexus Connect, Nexus AGI, Nexus Sphere and Nexus Store to solve India's defining challenges.",
+  image: '/logo512.png',
+  changefreq: 'weekly',
+  priority: 1.0,
+};
+
+export const productPath = (feature) => `/products/${feature.id}`;
+
+// English, like the prerendered pages; the client shows product.pageTitle in the visitor's language
+export const productPage = (feature) => ({
+  path: productPath(feature),
+  title: `${localize(feature.title, 'en')} — ${SITE_NAME}`,
+  description: localize(feature.tagline || feature.description, 'en'),
+  image: '/logo512.png',
+  changefreq: 'weekly',
+  priority: 0.8,
+});
+
+// Every prerendered page: the landing page and one per product (content.features)
+export const pagesFor = (content) => [HOME_PAGE, ...content.features.map(productPage)];
+
+export const absoluteUrl = (path) => `${config.siteUrl}${path}`;
+
+// schema.org Organization, with the social profiles (content.social) as sameAs
+export const organizationJsonLd = (socialLinks = DEFAULT_CONTENT.social) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Organization',
+  name: SITE_NAME,
+  url: absoluteUrl('/'),
+  logo: absoluteUrl('/logo512.png'),
+  sameAs: socialLinks.map(social => social.url),
+});
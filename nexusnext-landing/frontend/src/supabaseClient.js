@@ -1,7 +1,9 @@
 // supabaseClient.js
+// Browser client: only the public REACT_APP_ anon key, never the service role key
+// (that one stays on the backend). null when Supabase isn't configured.
 import { createClient } from '@supabase/supabase-js'
+import { config } from './config'
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-export const supabase = createClient(supabaseUrl, supabaseAnonKey)
+export const supabase = config.supabaseUrl && config.supabaseAnonKey
+  ? createClient(config.supabaseUrl, config.supabaseAnonKey)
+  : null
@@ -0,0 +1,37 @@
+// src/testing.js
+// Rendering for the *.test.js files (Testing Library isn't a dependency). Every
+// render and update runs inside act(), so effects, state updates and already
+// resolved fetches have settled by the time it returns. Test files call
+// afterEach(cleanup) to unmount whatever a test mounted.
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const mounted = new Set();
+
+// Render `element` into a fresh container in document.body
+export const mount = async (element) => {
+  const container = document.body.appendChild(document.createElement('div'));
+  const root = createRoot(container);
+  mounted.add(root);
+  await act(async () => root.render(element));
+  return {
+    container,
+    update: (next) => act(async () => root.render(next)),
+    unmount: () => {
+      mounted.delete(root);
+      act(() => root.unmount());
+    },
+  };
+};
+
+// Run `fn` (firing events, resolving a pending fetch...) and let React catch up
+export const settle = (fn = () => {}) => act(async () => fn());
+
+// Unmount everything mounted since the last cleanup, and empty the page
+export const cleanup = () => {
+  mounted.forEach(root => act(() => root.unmount()));
+  mounted.clear();
+  document.body.innerHTML = '';
+};
@@ -0,0 +1,128 @@
+// src/vitals.js
+// Real-user performance data: Core Web Vitals (via reportWebVitals) plus our own
+// marks for the Three.js scenes, sent in one beacon to POST /api/vitals when the
+// page is hidden. Every sample carries the device class and the quality tier
+// the scenes last ran at (see quality.js), so the backend can split percentiles by both.
+// Scenes that fall back to their static version or lose their GPU context are
+// reported the same way (scene_fallback, scene_context_*; see webgl.js).
+import { config } from './config';
+import reportWebVitals from './reportWebVitals';
+
+const ENDPOINT = `${config.backendUrl}/api/vitals`;
+
+const samples = [];
+const reportedMarks = new Set();
+let qualityTier = null;
+let sent = false;
+
+// mobile | tablet | desktop, from viewport width and pointer type
+const getDeviceClass = () => {
+  const coarse = window.matchMedia?.('(pointer: coarse)').matches;
+  if (window.innerWidth < 768) return 'mobile';
+  if (window.innerWidth < 1024 || coarse) return 'tablet';
+  return 'desktop';
+};
+
+// section: 'page' for whole-page vitals, otherwise the scene ('hero', 'dna')
+const addSample = (name, value, section = 'page') => {
+  if (sent || !Number.isFinite(value)) return;
+  samples.push({ name, value: Math.round(value * 1000) / 1000, section });
+};
+
+// Latest tier from quality.js (it changes as frame times are measured, or by the picker)
+export const setQualityTier = (tier) => {
+  qualityTier = tier;
+};
+
+// How long building a scene took, from `startTime` (a performance.now() value)
+export const markSceneInit = (section, startTime) => {
+  const key = `scene_init:${section}`;
+  if (reportedMarks.has(key)) return;
+  reportedMarks.add(key);
+  addSample('scene_init', performance.now() - startTime, section);
+};
+
+// Time from navigation start to a scene's first rendered frame
+export const markFirstFrame = (section) => {
+  const key = `first_3d_frame:${section}`;
+  if (reportedMarks.has(key)) return;
+  reportedMarks.add(key);
+  addSample('first_3d_frame', performance.now(), section);
+};
+
+// A scene showed its static fallback instead of WebGL (see webgl.js); the value is
+// when, like first_3d_frame, and the count says how often
+export const markSceneFallback = (section) => {
+  const key = `scene_fallback:${section}`;
+  if (reportedMarks.has(key)) return;
+  reportedMarks.add(key);
+  addSample('scene_fallback', performance.now(), section);
+};
+
+// The GPU context was taken away mid-session (value: when)... Only the first loss
+// per scene, so a flapping GPU can't push the beacon past the backend's sample cap
+export const markContextLost = (section) => {
+  const key = `scene_context_lost:${section}`;
+  if (reportedMarks.has(key)) return;
+  reportedMarks.add(key);
+  addSample('scene_context_lost', performance.now(), section);
+};
+
+// ...and how long it took to come back
+export const markContextRestored = (section, duration) => {
+  const key = `scene_context_restored:${section}`;
+  if (reportedMarks.has(key)) return;
+  reportedMarks.add(key);
+  addSample('scene_context_restored', duration, section);
+};
+
+// INP isn't in web-vitals v2, so approximate it: the slowest interaction seen
+// (web-vitals uses the 98th percentile; with few interactions they're the same)
+let interactionObserver = null;
+let worstInteraction = 0;
+
+const recordInteractions = (entries) => {
+  entries.forEach(entry => {
+    if (entry.interactionId && entry.duration > worstInteraction) worstInteraction = entry.duration;
+  });
+};
+
+const observeInteractions = () => {
+  if (!window.PerformanceObserver || !PerformanceObserver.supportedEntryTypes?.includes('event')) return;
+  interactionObserver = new PerformanceObserver(list => recordInteractions(list.getEntries()));
+  interactionObserver.observe({ type: 'event', durationThreshold: 40, buffered: true });
+};
+
+const send = () => {
+  if (sent) return;
+  if (interactionObserver) recordInteractions(interactionObserver.takeRecords());
+  if (worstInteraction) addSample('INP', worstInteraction);
+  if (!samples.length) return;
+
+  sent = true;
+  const body = JSON.stringify({
+    deviceClass: getDeviceClass(),
+    quality: qualityTier,
+    release: config.release,
+    samples,
+  });
+  // text/plain keeps the beacon a CORS "simple" request
+  if (!navigator.sendBeacon?.(ENDPOINT, new Blob([body], { type: 'text/plain' }))) {
+    fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body, keepalive: true })
+      .catch(() => {});
+  }
+};
+
+// Call once on page load
+export const startVitals = () => {
+  observeInteractions();
+  reportWebVitals(({ name, value }) => addSample(name, value));
+
+  // CLS and LCP are final once the page is hidden; web-vitals reports them from
+  // its own listener, so let it run first, then send everything in one beacon.
+  // pagehide is the fallback for browsers that unload before the timeout fires.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') setTimeout(send, 0);
+  });
+  window.addEventListener('pagehide', send);
+};
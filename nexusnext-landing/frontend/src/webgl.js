@@ -0,0 +1,73 @@
+// src/webgl.js
+// WebGL capability check and GPU context-loss handling for the Three.js scenes.
+// A scene is in one of three states: 'webgl' (rendering, or about to), 'lost' (the
+// browser took the GPU context away; the static fallback covers it while we wait
+// for it back) or 'fallback' (no WebGL 2, the scene failed to build, or the context
+// never came back). Which way each scene went is reported with the vitals.
+import { useCallback, useState } from 'react';
+import { markContextLost, markContextRestored, markSceneFallback } from './vitals';
+
+// How long to wait for webglcontextrestored before settling on the fallback
+const RESTORE_TIMEOUT_MS = 5000;
+
+let webgl2Support = null;
+
+// Three.js (r163+) renders with WebGL 2 only. Probed once per page on a throwaway canvas.
+export const isWebGL2Available = () => {
+  if (webgl2Support !== null) return webgl2Support;
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    webgl2Support = Boolean(gl);
+    // Hand the probe's context back rather than waiting for garbage collection
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+  } catch (error) {
+    webgl2Support = false;
+  }
+  return webgl2Support;
+};
+
+// State for one scene (section: 'hero' | 'dna'). `generation` changes when a lost
+// context comes back: useManagedScene (sceneManager.js) lists it in its effect
+// dependencies to rebuild the scene.
+export const useWebGLScene = (section) => {
+  const [status, setStatus] = useState('webgl');
+  const [generation, setGeneration] = useState(0);
+
+  const showFallback = useCallback((reason, error) => {
+    console.warn(`Showing the static ${section} scene (${reason})`, error || '');
+    markSceneFallback(section);
+    setStatus('fallback');
+  }, [section]);
+
+  // Listen for context loss on the shared renderer's canvas (the scene manager stops
+  // drawing by itself). Returns the function that removes the listeners.
+  const watchContext = useCallback((canvas) => {
+    let lostAt = 0;
+    let restoreTimer = null;
+
+    const handleLost = (event) => {
+      // Without preventDefault the browser never restores the context
+      event.preventDefault();
+      lostAt = performance.now();
+      markContextLost(section);
+      setStatus('lost');
+      restoreTimer = setTimeout(() => showFallback('context lost'), RESTORE_TIMEOUT_MS);
+    };
+    const handleRestored = () => {
+      clearTimeout(restoreTimer);
+      markContextRestored(section, performance.now() - lostAt);
+      setStatus('webgl');
+      setGeneration(current => current + 1);
+    };
+
+    canvas.addEventListener('webglcontextlost', handleLost);
+    canvas.addEventListener('webglcontextrestored', handleRestored);
+    return () => {
+      clearTimeout(restoreTimer);
+      canvas.removeEventListener('webglcontextlost', handleLost);
+      canvas.removeEventListener('webglcontextrestored', handleRestored);
+    };
+  }, [section, showFallback]);
+
+  return { status, generation, showFallback, watchContext };
+};
@@ -0,0 +1,121 @@
+import React from 'react';
+import { cleanup, mount, settle } from './testing';
+import { useWebGLScene } from './webgl';
+import { markContextLost, markContextRestored, markSceneFallback } from './vitals';
+
+jest.mock('./vitals');
+
+// A fresh copy of isWebGL2Available, which only probes once per page
+const freshProbe = () => {
+  let probe;
+  jest.isolateModules(() => {
+    probe = require('./webgl').isWebGL2Available;
+  });
+  return probe;
+};
+
+describe('isWebGL2Available', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('probes once and hands the probe\'s context back', () => {
+    const loseContext = jest.fn();
+    const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext')
+      .mockReturnValue({ getExtension: () => ({ loseContext }) });
+    const probe = freshProbe();
+    expect(probe()).toBe(true);
+    expect(probe()).toBe(true);
+    expect(getContext).toHaveBeenCalledTimes(1);
+    expect(getContext).toHaveBeenCalledWith('webgl2');
+    expect(loseContext).toHaveBeenCalled();
+  });
+
+  test('is false without WebGL 2, or when asking throws', () => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    expect(freshProbe()()).toBe(false);
+
+    HTMLCanvasElement.prototype.getContext.mockImplementation(() => {
+      throw new Error('blocked');
+    });
+    expect(freshProbe()()).toBe(false);
+  });
+});
+
+describe('useWebGLScene', () => {
+  let scene;
+  const Scene = () => {
+    scene = useWebGLScene('hero');
+    return null;
+  };
+
+  const contextEvent = (type) => new Event(type, { cancelable: true });
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await mount(<Scene />);
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('starts out rendering', () => {
+    expect(scene.status).toBe('webgl');
+    expect(scene.generation).toBe(0);
+  });
+
+  test('covers a lost context, and rebuilds when it comes back', async () => {
+    const canvas = document.createElement('canvas');
+    scene.watchContext(canvas);
+
+    const lost = contextEvent('webglcontextlost');
+    await settle(() => canvas.dispatchEvent(lost));
+    expect(lost.defaultPrevented).toBe(true);
+    expect(scene.status).toBe('lost');
+    expect(markContextLost).toHaveBeenCalledWith('hero');
+
+    await settle(() => canvas.dispatchEvent(contextEvent('webglcontextrestored')));
+    expect(scene.status).toBe('webgl');
+    expect(scene.generation).toBe(1);
+    expect(markContextRestored).toHaveBeenCalledWith('hero', expect.any(Number));
+
+    // The restore cancelled the fallback timer
+    await settle(() => jest.advanceTimersByTime(10000));
+    expect(scene.status).toBe('webgl');
+    expect(markSceneFallback).not.toHaveBeenCalled();
+  });
+
+  test('falls back when the context doesn\'t come back', async () => {
+    const canvas = document.createElement('canvas');
+    scene.watchContext(canvas);
+
+    await settle(() => canvas.dispatchEvent(contextEvent('webglcontextlost')));
+    await settle(() => jest.advanceTimersByTime(4999));
+    expect(scene.status).toBe('lost');
+
+    await settle(() => jest.advanceTimersByTime(1));
+    expect(scene.status).toBe('fallback');
+    expect(markSceneFallback).toHaveBeenCalledWith('hero');
+  });
+
+  test('stops listening once unwatched', async () => {
+    const canvas = document.createElement('canvas');
+    const unwatch = scene.watchContext(canvas);
+    unwatch();
+
+    await settle(() => canvas.dispatchEvent(contextEvent('webglcontextlost')));
+    expect(scene.status).toBe('webgl');
+    expect(markContextLost).not.toHaveBeenCalled();
+  });
+
+  test('showFallback gives up on WebGL for the scene', async () => {
+    await settle(() => scene.showFallback('no WebGL 2'));
+    expect(scene.status).toBe('fallback');
+    expect(markSceneFallback).toHaveBeenCalledWith('hero');
+    expect(console.warn).toHaveBeenCalledWith('Showing the static hero scene (no WebGL 2)', '');
+  });
+});
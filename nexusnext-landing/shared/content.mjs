@@ -0,0 +1,209 @@
+// Landing page content document: hero text, feature cards (each one also a
+// product page at /products/<id>), vision quote, social links and footer
+// tagline. Shared by the landing page (content.js, which falls back to
+// DEFAULT_CONTENT) and the backend (content.js, which validates drafts before
+// they can be saved or published).
+// Plain ES module with no imports so it runs unchanged in the browser and in Node.
+//
+// Text fields are localized: { en: '...', hi: '...' }. English is required and is
+// used for any language a field doesn't have. Hero title and subtitle keep their
+// {brand} / {potential} / {ai} placeholders, which the page fills with highlights.
+// A feature's `tagline` and `body` are optional; its product page falls back to
+// the card's description.
+
+export const SOCIAL_NETWORKS = ['x', 'linkedin', 'instagram', 'discord', 'youtube'];
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_FEATURES = 8;
+const MAX_SOCIAL_LINKS = 10;
+
+export const DEFAULT_CONTENT = {
+  hero: {
+    title: { en: 'Welcome to {brand}', hi: '{brand} में आपका स्वागत है' },
+    subtitle: {
+      en: 'The new era where {potential} meets {ai}.',
+      hi: 'नया युग, जहाँ {potential} का मेल होता है {ai} से।'
+    },
+    potential: { en: 'human potential', hi: 'मानव क्षमता' },
+    ai: { en: 'AI innovation', hi: 'AI नवाचार' },
+    cta: { en: 'Step Into The Future', hi: 'भविष्य में कदम रखें' }
+  },
+  features: [
+    {
+      id: 'connect',
+      icon: '🔗',
+      title: { en: 'Nexus Connect' },
+      description: {
+        en: 'Connecting people, ideas, and technology — transforming how we learn, innovate & collaborate',
+        hi: 'लोगों, विचारों और तकनीक को जोड़ते हुए — सीखने, नवाचार और सहयोग का तरीका बदलते हुए'
+      },
+      tagline: { en: 'Learn, build and grow together.', hi: 'साथ सीखें, साथ बनाएँ, साथ बढ़ें।' },
+      body: {
+        en: 'Nexus Connect brings learners, creators and mentors into one network. Find people working on the problems you care about, share what you know and turn ideas into projects with the right collaborators.',
+        hi: 'Nexus Connect सीखने वालों, रचनाकारों और मार्गदर्शकों को एक नेटवर्क में लाता है। उन लोगों को खोजिए जो आपकी परवाह वाली समस्याओं पर काम कर रहे हैं, अपना ज्ञान साझा कीजिए और सही साथियों के साथ विचारों को प्रोजेक्ट में बदलिए।'
+      }
+    },
+    {
+      id: 'agi',
+      icon: '🤖',
+      title: { en: 'Nexus AGI' },
+      description: {
+        en: 'Advanced general intelligence evolving with you.',
+        hi: 'उन्नत सामान्य बुद्धिमत्ता, जो आपके साथ विकसित होती है।'
+      },
+      tagline: { en: 'An AI that grows with you.', hi: 'एक AI जो आपके साथ बढ़ता है।' },
+      body: {
+        en: 'Nexus AGI is an assistant that learns how you work — in your language — and helps you research, plan and create. Built for India first, with your data under your control.',
+        hi: 'Nexus AGI एक सहायक है जो आपकी भाषा में आपके काम करने का तरीका सीखता है और शोध, योजना और रचना में आपकी मदद करता है। सबसे पहले भारत के लिए बना, आपका डेटा आपके नियंत्रण में।'
+      }
+    },
+    {
+      id: 'sphere',
+      icon: '🌐',
+      title: { en: 'Nexus Sphere' },
+      description: {
+        en: 'Immersive digital worlds unlock limitless possibilities.',
+        hi: 'इमर्सिव डिजिटल दुनिया, जो असीम संभावनाओं के द्वार खोलती है।'
+      },
+      tagline: { en: 'Step inside shared digital worlds.', hi: 'साझा डिजिटल दुनिया में कदम रखें।' },
+      body: {
+        en: 'Nexus Sphere is a space for immersive classrooms, events and studios. Meet, explore and build in 3D from any device, no headset required.',
+        hi: 'Nexus Sphere इमर्सिव कक्षाओं, आयोजनों और स्टूडियो के लिए एक जगह है। किसी भी डिवाइस से 3D में मिलिए, खोजिए और बनाइए — हेडसेट की ज़रूरत नहीं।'
+      }
+    },
+    {
+      id: 'store',
+      icon: '🏪',
+      title: { en: 'Nexus Store' },
+      description: {
+        en: 'Marketplace for next-gen assets and collaboration.',
+        hi: 'नई पीढ़ी के डिजिटल एसेट और सहयोग का मार्केटप्लेस।'
+      },
+      tagline: { en: 'Trade what the community creates.', hi: 'समुदाय की रचनाओं का लेन-देन करें।' },
+      body: {
+        en: 'Nexus Store is the marketplace for the whole ecosystem: courses, 3D assets, AI tools and services from creators across India, with fair payouts and transparent reviews.',
+        hi: 'Nexus Store पूरे इकोसिस्टम का मार्केटप्लेस है: पूरे भारत के रचनाकारों के कोर्स, 3D एसेट, AI टूल और सेवाएँ — उचित भुगतान और पारदर्शी समीक्षाओं के साथ।'
+      }
+    }
+  ],
+  vision: {
+    quote: { en: 'The future belongs to those who create it.', hi: 'भविष्य उन्हीं का है जो उसे रचते हैं।' }
+  },
+  social: [
+    { network: 'x', name: 'X (Twitter)', url: 'https://x.com/NEXUSNEXT001?t=TaGToS6fZdczKvwS_a8T9A&s=09' },
+    { network: 'linkedin', name: 'LinkedIn', url: 'https://www.linkedin.com/company/104148942/admin/dashboard/' },
+    { network: 'instagram', name: 'Instagram', url: 'https://www.instagram.com/nexusnext1?igsh=M2ZmZHBmMjBuOGx0' },
+    { network: 'discord', name: 'Discord', url: 'https://discord.gg/EasCrBYW' },
+    { network: 'youtube', name: 'YouTube', url: 'https://youtube.com/@vlsuniverse?si=m4tDMzNyGSCXYkNK' }
+  ],
+  footer: {
+    tagline: { en: 'Shaping tomorrow, today.', hi: 'आने वाले कल को आज आकार दे रहे हैं।' }
+  }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Text for `locale`, falling back to English
+export const localize = (text, locale) => text?.[locale] || text?.en || '';
+
+const checkText = (value, path, problems) => {
+  if (!isObject(value)) {
+    problems.push(`${path}: must be an object of language -> text`);
+    return;
+  }
+  if (typeof value.en !== 'string' || !value.en.trim()) {
+    problems.push(`${path}.en: English text is required`);
+  }
+  Object.entries(value).forEach(([language, text]) => {
+    if (!/^[a-z]{2}$/.test(language)) {
+      problems.push(`${path}.${language}: not a language code`);
+    } else if (typeof text !== 'string') {
+      problems.push(`${path}.${language}: must be a string`);
+    } else if (text.length > MAX_TEXT_LENGTH) {
+      problems.push(`${path}.${language}: longer than ${MAX_TEXT_LENGTH} characters`);
+    }
+  });
+};
+
+const checkKeys = (value, allowed, path, problems) => {
+  Object.keys(value).forEach((key) => {
+    if (!allowed.includes(key)) problems.push(`${path ? `${path}.` : ''}${key}: unknown field`);
+  });
+};
+
+// Returns a list of problems ("features[1].icon: ..."); empty means valid
+export const validateContent = (content) => {
+  const problems = [];
+  if (!isObject(content)) return ['content: must be an object'];
+  checkKeys(content, Object.keys(DEFAULT_CONTENT), '', problems);
+
+  const sections = { hero: ['title', 'subtitle', 'potential', 'ai', 'cta'], vision: ['quote'], footer: ['tagline'] };
+  Object.entries(sections).forEach(([section, fields]) => {
+    if (!isObject(content[section])) {
+      problems.push(`${section}: must be an object`);
+      return;
+    }
+    checkKeys(content[section], fields, section, problems);
+    fields.forEach(field => checkText(content[section][field], `${section}.${field}`, problems));
+  });
+
+  if (!Array.isArray(content.features) || !content.features.length || content.features.length > MAX_FEATURES) {
+    problems.push(`features: must be a list of 1-${MAX_FEATURES} cards`);
+  } else {
+    const ids = new Set();
+    content.features.forEach((card, i) => {
+      const path = `features[${i}]`;
+      if (!isObject(card)) {
+        problems.push(`${path}: must be an object`);
+        return;
+      }
+      checkKeys(card, ['id', 'icon', 'title', 'description', 'tagline', 'body'], path, problems);
+      if (typeof card.id !== 'string' || !/^[a-z0-9-]{1,32}$/.test(card.id)) {
+        problems.push(`${path}.id: use 1-32 lowercase letters, digits or dashes`);
+      } else if (ids.has(card.id)) {
+        problems.push(`${path}.id: duplicate "${card.id}"`);
+      }
+      ids.add(card.id);
+      if (typeof card.icon !== 'string' || !card.icon.trim() || card.icon.length > 8) {
+        problems.push(`${path}.icon: must be a short string (an emoji)`);
+      }
+      checkText(card.title, `${path}.title`, problems);
+      checkText(card.description, `${path}.description`, problems);
+      ['tagline', 'body'].forEach((field) => {
+        if (card[field] !== undefined) checkText(card[field], `${path}.${field}`, problems);
+      });
+    });
+  }
+
+  if (!Array.isArray(content.social) || content.social.length > MAX_SOCIAL_LINKS) {
+    problems.push(`social: must be a list of up to ${MAX_SOCIAL_LINKS} links`);
+  } else {
+    content.social.forEach((link, i) => {
+      const path = `social[${i}]`;
+      if (!isObject(link)) {
+        problems.push(`${path}: must be an object`);
+        return;
+      }
+      checkKeys(link, ['network', 'name', 'url'], path, problems);
+      if (!SOCIAL_NETWORKS.includes(link.network)) {
+        problems.push(`${path}.network: must be one of ${SOCIAL_NETWORKS.join(', ')}`);
+      }
+      if (typeof link.name !== 'string' || !link.name.trim() || link.name.length > 40) {
+        problems.push(`${path}.name: must be 1-40 characters`);
+      }
+      if (!isHttpsUrl(link.url)) {
+        problems.push(`${path}.url: must be an https URL`);
+      }
+    });
+  }
+
+  return problems;
+};
@@ -0,0 +1,171 @@
+// Shared email validation used by both the landing page (CtaSection) and the
+// backend (`import ... from '@nexusnext/shared/emailValidation.mjs'`).
+// Plain ES module with no imports so it runs unchanged in the browser and in Node.
+
+// Offline blocklist of throwaway inbox providers (subdomains match too)
+export const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonbox.net',
+  'anonymbox.com', 'burnermail.io', 'byom.de', 'chacuo.net', 'cool.fr.nf', 'courriel.fr.nf',
+  'crazymailing.com', 'discard.email', 'discardmail.com', 'disposableemailaddresses.com',
+  'dispostable.com', 'dodgit.com', 'dropmail.me', 'e4ward.com', 'emailondeck.com',
+  'emailfake.com', 'emltmp.com', 'fakeinbox.com', 'fakemail.net', 'fakemailgenerator.com',
+  'getairmail.com', 'getnada.com', 'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de',
+  'guerrillamail.info', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+  'harakirimail.com', 'incognitomail.org', 'inboxbear.com', 'inboxkitten.com', 'jetable.fr.nf',
+  'jetable.org', 'kasmail.com', 'mail-temp.com', 'mail.tm', 'mailcatch.com', 'maildrop.cc',
+  'mailexpire.com', 'mailforspam.com', 'mailinator.com', 'mailinator.net', 'mailinator2.com',
+  'mailnesia.com', 'mailnull.com', 'mailpoof.com', 'mailsac.com', 'mailtemp.net', 'mintemail.com',
+  'moakt.com', 'mohmal.com', 'mvrht.com', 'mytemp.email', 'mytrashmail.com', 'nada.email',
+  'nospam.ze.tc', 'nowmymail.com', 'onetimeemail.com', 'owlymail.com', 'pokemail.net',
+  'sharklasers.com', 'spam4.me', 'spambog.com', 'spambox.us', 'spamgourmet.com', 'spamex.com',
+  'spamfree24.org', 'spamherelots.com', 'spaml.com', 'tafmail.com', 'temp-mail.io',
+  'temp-mail.org', 'tempail.com', 'tempinbox.com', 'tempmail.com', 'tempmail.dev',
+  'tempmail.net', 'tempmail.plus', 'tempmailaddress.com', 'tempmailo.com', 'tempr.email',
+  'temporaryemail.net', 'temporaryinbox.com', 'throwam.com', 'throwawaymail.com', 'tmail.ws',
+  'tmailor.com', 'tmpmail.net', 'tmpmail.org', 'trash-mail.com', 'trashmail.com',
+  'trashmail.de', 'trashmail.me', 'trashmail.net', 'trbvm.com', 'wegwerfmail.de',
+  'wegwerfmail.net', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'zetmail.com'
+]);
+
+// Domains we offer "did you mean ...?" suggestions for
+export const COMMON_DOMAINS = [
+  'gmail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'rediffmail.com', 'protonmail.com', 'proton.me', 'aol.com', 'zoho.com',
+  'ymail.com', 'msn.com', 'me.com', 'gmx.com', 'mail.com'
+];
+
+// Gmail ignores dots and everything after "+"; these providers ignore "+tags"
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const PLUS_TAG_DOMAINS = [
+  'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+  'protonmail.com', 'proton.me', 'fastmail.com', 'zoho.com'
+];
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const MAX_LABEL_LENGTH = 63;
+
+// RFC 5322 dot-atom local part, or a quoted string
+const ATEXT = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]";
+const DOT_ATOM = new RegExp(`^${ATEXT}+(\\.${ATEXT}+)*$`);
+const QUOTED = /^"([\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+// Letters/digits/hyphens (Unicode allowed for IDNs), no leading/trailing hyphen
+const LABEL = /^[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}-]*[\p{L}\p{M}\p{N}])?$/u;
+const TLD = /^(?:\p{L}[\p{L}\p{M}]+|xn--[a-z0-9-]+)$/iu;
+
+// Split and check an address. Returns { local, domain } or { error }
+export const parseEmail = (input) => {
+  if (typeof input !== 'string') return { error: 'invalid_format' };
+  const email = input.trim();
+  if (!email || email.length > MAX_EMAIL_LENGTH) return { error: 'invalid_format' };
+
+  // The domain can't contain "@", so split on the last one (quoted local parts may)
+  const at = email.lastIndexOf('@');
+  if (at <= 0 || at === email.length - 1) return { error: 'invalid_format' };
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1).toLowerCase();
+
+  if (local.length > MAX_LOCAL_LENGTH) return { error: 'invalid_format' };
+  if (!DOT_ATOM.test(local) && !QUOTED.test(local)) return { error: 'invalid_format' };
+
+  const labels = domain.split('.');
+  if (labels.length < 2) return { error: 'invalid_format' };
+  if (labels.some(label => label.length > MAX_LABEL_LENGTH || !LABEL.test(label))) {
+    return { error: 'invalid_format' };
+  }
+  if (!TLD.test(labels[labels.length - 1])) return { error: 'invalid_format' };
+
+  return { local, domain };
+};
+
+// Display/storage form: trimmed, lower-cased
+export const normalizeEmail = (input) => {
+  const { local, domain, error } = parseEmail(input);
+  return error ? null : `${local.toLowerCase()}@${domain}`;
+};
+
+// Dedupe form: the same inbox always maps to the same string
+// (e.g. "J.Doe+news@GoogleMail.com" -> "jdoe@gmail.com")
+export const canonicalizeEmail = (input) => {
+  const { local, domain, error } = parseEmail(input);
+  if (error) return null;
+
+  let canonicalLocal = local.toLowerCase();
+  let canonicalDomain = domain;
+
+  if (GMAIL_DOMAINS.includes(domain)) {
+    canonicalLocal = canonicalLocal.split('+')[0].replace(/\./g, '');
+    canonicalDomain = 'gmail.com';
+  } else if (PLUS_TAG_DOMAINS.includes(domain)) {
+    canonicalLocal = canonicalLocal.split('+')[0];
+  }
+
+  return `${canonicalLocal}@${canonicalDomain}`;
+};
+
+export const isDisposableDomain = (domain) => {
+  const labels = String(domain).toLowerCase().split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (DISPOSABLE_DOMAINS.has(labels.slice(i).join('.'))) return true;
+  }
+  return false;
+};
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// "gmial.com" -> "gmail.com". Returns null when the domain looks fine
+export const suggestDomain = (domain) => {
+  const lower = String(domain).toLowerCase();
+  if (COMMON_DOMAINS.includes(lower)) return null;
+
+  // Short domains only tolerate one typo, or "aol.com" would match half the internet
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of COMMON_DOMAINS) {
+    const distance = editDistance(lower, candidate);
+    const maxDistance = candidate.length > 8 ? 2 : 1;
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  if (best) return best;
+
+  // Common TLD slips on any domain: ".con", ".cmo" etc. for ".com"
+  const fixedTld = lower.replace(/\.(con|cmo|comm|cpm|vom)$/, '.com');
+  return fixedTld !== lower ? fixedTld : null;
+};
+
+// Everything at once. Returns
+//   { valid: true, email, canonical, suggestion }  (suggestion may be null)
+//   { valid: false, reason: 'invalid_format' | 'disposable_domain' }
+export const validateEmail = (input) => {
+  const { local, domain, error } = parseEmail(input);
+  if (error) return { valid: false, reason: error };
+  if (isDisposableDomain(domain)) return { valid: false, reason: 'disposable_domain' };
+
+  const suggestedDomain = suggestDomain(domain);
+  return {
+    valid: true,
+    email: normalizeEmail(input),
+    canonical: canonicalizeEmail(input),
+    suggestion: suggestedDomain ? `${local}@${suggestedDomain}` : null
+  };
+};